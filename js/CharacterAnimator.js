@@ -0,0 +1,521 @@
+/**
+ * CharacterAnimator.js
+ * Animation state machine for PlayerCharacter. Every state (idle, walk, run, jump, fall, land,
+ * wave, dance) plays a clip of procedural keyframes that pose the torso, head, arms and legs,
+ * and switching states crossfades the old clip into the new one. PlayerManager feeds in the
+ * physics state every frame; emotes play on request until they run out or the player moves.
+ */
+
+// Pose channels and their rest values. Angles are in radians, relative to the rest pose.
+const CHARACTER_POSE_DEFAULTS = {
+    bob: 0,            // Vertical offset of the upper body
+    squash: 1,         // Vertical scale of the upper body (the width keeps the volume)
+    lean: 0,           // Forward lean of the upper body
+    twist: 0,          // Turn of the upper body around the vertical axis
+    sway: 0,           // Sideways tilt of the upper body
+    headNod: 0,        // Forward tilt of the head
+    headTilt: 0,       // Sideways tilt of the head
+    leftLeg: 0,        // Leg swings (positive is forward)
+    rightLeg: 0,
+    leftArm: 0,        // Arm swings (positive is forward)
+    rightArm: 0,
+    leftArmRaise: 0,   // Arm raises towards the head (negative lowers the arm)
+    rightArmRaise: 0
+};
+
+// Animation clips. Keyframe times run from 0 to 1 over the clip's duration (seconds); channels
+// a keyframe leaves out are interpolated between the keyframes that set them, and channels no
+// keyframe sets hold their base value. Looping clips wrap from the last keyframe to the first.
+// referenceSpeed makes locomotion clips play faster the faster the player moves; emoteDuration
+// marks the clips that can be played as emotes.
+const CHARACTER_ANIMATION_CLIPS = {
+    idle: {
+        loop: true,
+        duration: 3,
+        fadeIn: 0.25,
+        keyframes: [
+            { time: 0, bob: 0, squash: 1, leftArm: 0, rightArm: 0, headTilt: 0 },
+            { time: 0.5, bob: 0.04, squash: 1.02, leftArm: 0.12, rightArm: -0.12, headTilt: 0.04 }
+        ]
+    },
+    walk: {
+        loop: true,
+        duration: 0.8,
+        fadeIn: 0.2,
+        referenceSpeed: 3,
+        base: { leftArmRaise: -0.6, rightArmRaise: -0.6 },
+        keyframes: [
+            { time: 0, leftLeg: 0.45, rightLeg: -0.45, leftArm: -0.35, rightArm: 0.35, twist: 0.08, bob: 0 },
+            { time: 0.25, bob: 0.05 },
+            { time: 0.5, leftLeg: -0.45, rightLeg: 0.45, leftArm: 0.35, rightArm: -0.35, twist: -0.08, bob: 0 },
+            { time: 0.75, bob: 0.05 }
+        ]
+    },
+    run: {
+        loop: true,
+        duration: 0.5,
+        fadeIn: 0.15,
+        referenceSpeed: 7,
+        base: { lean: 0.25, headNod: -0.1, leftArmRaise: -0.4, rightArmRaise: -0.4 },
+        keyframes: [
+            { time: 0, leftLeg: 0.8, rightLeg: -0.8, leftArm: -0.7, rightArm: 0.7, twist: 0.12, bob: -0.02, squash: 0.97 },
+            { time: 0.25, bob: 0.1, squash: 1.04 },
+            { time: 0.5, leftLeg: -0.8, rightLeg: 0.8, leftArm: 0.7, rightArm: -0.7, twist: -0.12, bob: -0.02, squash: 0.97 },
+            { time: 0.75, bob: 0.1, squash: 1.04 }
+        ]
+    },
+    jump: {
+        loop: false,
+        duration: 0.3,
+        fadeIn: 0.08,
+        base: { headNod: -0.15 },
+        keyframes: [
+            { time: 0, squash: 1.15, bob: 0.05, leftLeg: 0.5, rightLeg: 0.2, leftArmRaise: 0.6, rightArmRaise: 0.6 },
+            { time: 1, squash: 1.05, bob: 0, leftLeg: 0.6, rightLeg: 0.1, leftArmRaise: 0.5, rightArmRaise: 0.5 }
+        ]
+    },
+    fall: {
+        loop: true,
+        duration: 0.6,
+        fadeIn: 0.2,
+        base: { leftArmRaise: 0.8, rightArmRaise: 0.8, leftLeg: 0.25, rightLeg: -0.15, headNod: 0.15 },
+        keyframes: [
+            { time: 0, leftArm: 0.2, rightArm: -0.2 },
+            { time: 0.5, leftArm: -0.2, rightArm: 0.2 }
+        ]
+    },
+    land: {
+        loop: false,
+        duration: 0.25,
+        fadeIn: 0.04,
+        keyframes: [
+            { time: 0, squash: 0.72, bob: -0.1, lean: 0.2, leftArmRaise: -0.3, rightArmRaise: -0.3 },
+            { time: 0.4, squash: 0.9, bob: -0.04, lean: 0.08 },
+            { time: 1, squash: 1, bob: 0, lean: 0, leftArmRaise: 0, rightArmRaise: 0 }
+        ]
+    },
+    wave: {
+        loop: true,
+        duration: 1,
+        fadeIn: 0.25,
+        emoteDuration: 2,
+        base: { leftArmRaise: -0.8, sway: -0.05, headTilt: 0.12 },
+        keyframes: [
+            { time: 0, rightArmRaise: 1.2, rightArm: 0.1 },
+            { time: 0.5, rightArmRaise: 0.6, rightArm: -0.1 }
+        ]
+    },
+    dance: {
+        loop: true,
+        duration: 1,
+        fadeIn: 0.3,
+        emoteDuration: 4,
+        keyframes: [
+            { time: 0, bob: 0, squash: 0.94, sway: 0.15, twist: 0.3, headTilt: 0.15, leftArmRaise: 1, rightArmRaise: -0.5, leftLeg: 0.2, rightLeg: 0 },
+            { time: 0.25, bob: 0.15, squash: 1.05, sway: 0, twist: 0, headTilt: 0, leftArmRaise: 0.3, rightArmRaise: 0.3, leftLeg: 0, rightLeg: 0 },
+            { time: 0.5, bob: 0, squash: 0.94, sway: -0.15, twist: -0.3, headTilt: -0.15, leftArmRaise: -0.5, rightArmRaise: 1, leftLeg: 0, rightLeg: 0.2 },
+            { time: 0.75, bob: 0.15, squash: 1.05, sway: 0, twist: 0, headTilt: 0, leftArmRaise: 0.3, rightArmRaise: 0.3, leftLeg: 0, rightLeg: 0 }
+        ]
+    }
+};
+
+// Horizontal speed below which the player counts as standing still
+const CHARACTER_IDLE_SPEED = 0.3;
+
+// Share of the top speed above which walking turns into running (and back, a little lower)
+const CHARACTER_RUN_THRESHOLD = 0.6;
+const CHARACTER_WALK_THRESHOLD = 0.5;
+
+// Seconds in the air before walking off a ledge counts as falling (keeps small bumps out)
+const CHARACTER_FALL_DELAY = 0.08;
+
+// Falling speed above which touching down plays the landing squash
+const CHARACTER_LAND_SPEED = 4;
+
+class CharacterAnimator {
+    /**
+     * Create an animator
+     * @param {Object} target - Character to pose; needs applyPose(pose, yaw) (see PlayerCharacter)
+     * @param {Object} options - Optional settings
+     * @param {number} options.animationSpeed - Playback speed of all clips (default 1)
+     * @param {number} options.turnSpeed - How fast the character turns around, in radians per second (default 12)
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        this.animationSpeed = options.animationSpeed !== undefined ? options.animationSpeed : 1;
+        this.turnSpeed = options.turnSpeed !== undefined ? options.turnSpeed : 12;
+
+        // Clips with their keyframes split into one track per channel
+        this.clips = {};
+        Object.entries(CHARACTER_ANIMATION_CLIPS).forEach(([name, definition]) => {
+            this.clips[name] = this.compileClip(name, definition);
+        });
+
+        // Playing clips, oldest first; the last one is the current state and fades in over the others
+        this.layers = [];
+
+        // Emote requested with playEmote: {name, remaining}
+        this.emote = null;
+
+        // Physics state of the previous frame, to spot take-offs and landings
+        this.airTime = 0;
+        this.lastVerticalVelocity = 0;
+
+        // Facing as a rotation around the vertical axis (0 faces the camera)
+        this.yaw = 0;
+        this.targetYaw = 0;
+
+        this.pose = { ...CHARACTER_POSE_DEFAULTS };
+        this.play('idle', 0);
+    }
+
+    /**
+     * Get the names of all animation states
+     * @returns {Array} - State names
+     */
+    static getStates() {
+        return Object.keys(CHARACTER_ANIMATION_CLIPS);
+    }
+
+    /**
+     * Get the names of the clips that can be played as emotes
+     * @returns {Array} - Emote names (e.g., 'wave', 'dance')
+     */
+    static getEmotes() {
+        return Object.keys(CHARACTER_ANIMATION_CLIPS).filter(name => CHARACTER_ANIMATION_CLIPS[name].emoteDuration);
+    }
+
+    /**
+     * Get the current animation state
+     * @returns {string} - State name
+     */
+    getState() {
+        return this.layers[this.layers.length - 1].name;
+    }
+
+    /**
+     * Switch to a clip, crossfading from whatever is playing
+     * @param {string} name - Clip name
+     * @param {number} fade - Crossfade time in seconds (the clip's fadeIn if omitted)
+     * @returns {boolean} - True if the clip started, false if it was already playing
+     */
+    play(name, fade) {
+        const clip = this.clips[name];
+        if (!clip) {
+            throw new Error(`Unknown animation: ${name}`);
+        }
+
+        const current = this.layers[this.layers.length - 1];
+        if (current && current.name === name) {
+            return false;
+        }
+
+        const fadeTime = fade !== undefined ? fade : clip.fadeIn;
+        const layer = {
+            name,
+            clip,
+            time: 0,
+            weight: fadeTime > 0 ? 0 : 1,
+            fadeRate: fadeTime > 0 ? 1 / fadeTime : Infinity
+        };
+
+        // Walking into running keeps the step phase so the legs don't jump
+        if (current && current.clip.referenceSpeed && clip.referenceSpeed) {
+            layer.time = current.time;
+        }
+
+        this.layers.push(layer);
+        if (fadeTime <= 0) {
+            this.layers = [layer];
+        }
+
+        return true;
+    }
+
+    /**
+     * Play an emote until it runs out or the player moves or jumps
+     * @param {string} name - Emote name (see getEmotes)
+     * @param {number} duration - Seconds to play it (the emote's own duration if omitted)
+     */
+    playEmote(name, duration) {
+        const clip = this.clips[name];
+        if (!clip || !clip.emoteDuration) {
+            throw new Error(`Unknown emote: ${name}. Available emotes: ${CharacterAnimator.getEmotes().join(', ')}`);
+        }
+
+        const seconds = Number(duration);
+        this.emote = {
+            name,
+            remaining: Number.isFinite(seconds) && seconds > 0 ? seconds : clip.emoteDuration
+        };
+    }
+
+    /**
+     * Stop the current emote (the character goes back to its locomotion state)
+     */
+    stopEmote() {
+        this.emote = null;
+    }
+
+    /**
+     * Pick the state for the physics state, advance the clips and pose the character
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Object} motion - Physics state of the player
+     * @param {boolean} motion.grounded - Whether the player stands on something
+     * @param {number} motion.speed - Horizontal speed in units per second
+     * @param {number} motion.maxSpeed - Top running speed in units per second
+     * @param {number} motion.verticalVelocity - Upward speed in units per second
+     * @param {number} motion.direction - Input direction: -1 left, 1 right, 0 none
+     */
+    update(deltaTime, motion = {}) {
+        const state = this.chooseState(deltaTime, motion);
+        this.play(state);
+
+        this.advanceLayers(deltaTime, motion);
+        this.blendPose();
+        this.updateFacing(deltaTime, motion.direction || 0);
+
+        if (this.target) {
+            this.target.applyPose(this.pose, this.yaw);
+        }
+    }
+
+    /**
+     * Return to the idle pose, facing the camera, without crossfading
+     */
+    reset() {
+        this.emote = null;
+        this.airTime = 0;
+        this.lastVerticalVelocity = 0;
+        this.yaw = 0;
+        this.targetYaw = 0;
+        this.layers = [];
+        this.play('idle', 0);
+        this.blendPose();
+
+        if (this.target) {
+            this.target.applyPose(this.pose, this.yaw);
+        }
+    }
+
+    /**
+     * Decide which state the character should be in
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Object} motion - Physics state of the player (see update)
+     * @returns {string} - State name
+     * @private
+     */
+    chooseState(deltaTime, motion) {
+        const { grounded = true, speed = 0, maxSpeed = 6, verticalVelocity = 0, direction = 0 } = motion;
+        const current = this.layers[this.layers.length - 1];
+        const moving = direction !== 0 || speed > CHARACTER_IDLE_SPEED;
+        const impactSpeed = -this.lastVerticalVelocity;
+        const wasAirborne = this.airTime > 0;
+
+        this.lastVerticalVelocity = verticalVelocity;
+
+        // Moving or jumping ends an emote; falling only pauses it
+        if (this.emote && (moving || verticalVelocity > 0)) {
+            this.emote = null;
+        }
+
+        if (!grounded) {
+            this.airTime += deltaTime;
+            if (verticalVelocity > 0) return 'jump';
+            if (this.airTime > CHARACTER_FALL_DELAY || current.name === 'jump') return 'fall';
+            return current.name;
+        }
+        this.airTime = 0;
+
+        // Touching down hard squashes the character before it goes on
+        if (wasAirborne && impactSpeed > CHARACTER_LAND_SPEED) {
+            return 'land';
+        }
+        if (current.name === 'land' && current.time < 1 && !moving) {
+            return 'land';
+        }
+
+        if (this.emote) {
+            this.emote.remaining -= deltaTime;
+            if (this.emote.remaining > 0) {
+                return this.emote.name;
+            }
+            this.emote = null;
+        }
+
+        if (!moving) {
+            return 'idle';
+        }
+
+        // Run above a share of the top speed; a lower threshold for slowing down avoids flicker
+        const threshold = current.name === 'run' ? CHARACTER_WALK_THRESHOLD : CHARACTER_RUN_THRESHOLD;
+        return speed > maxSpeed * threshold ? 'run' : 'walk';
+    }
+
+    /**
+     * Advance the clip times and crossfade weights
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Object} motion - Physics state of the player (see update)
+     * @private
+     */
+    advanceLayers(deltaTime, motion) {
+        const current = this.layers[this.layers.length - 1];
+
+        this.layers.forEach(layer => {
+            const { clip } = layer;
+
+            // Locomotion clips step in time with the player's speed
+            let rate = this.animationSpeed;
+            if (clip.referenceSpeed) {
+                rate *= Math.max(0.5, Math.min(2, (motion.speed || 0) / clip.referenceSpeed));
+            }
+
+            layer.time += deltaTime * rate / clip.duration;
+            layer.time = clip.loop ? layer.time % 1 : Math.min(layer.time, 1);
+
+            // The current clip fades in while the others fade out
+            if (layer === current) {
+                if (layer.weight < 1) {
+                    layer.weight = Math.min(1, layer.weight + deltaTime * layer.fadeRate);
+                }
+            } else {
+                layer.weight = Math.max(0, layer.weight - deltaTime * current.fadeRate);
+            }
+        });
+
+        this.layers = this.layers.filter(layer => layer === current || layer.weight > 0);
+    }
+
+    /**
+     * Mix the poses of the playing clips by their weights into this.pose
+     * @private
+     */
+    blendPose() {
+        const totalWeight = this.layers.reduce((sum, layer) => sum + layer.weight, 0);
+        const layers = totalWeight > 0 ? this.layers : this.layers.slice(-1);
+        const weightSum = totalWeight > 0 ? totalWeight : 1;
+
+        Object.keys(CHARACTER_POSE_DEFAULTS).forEach(channel => {
+            this.pose[channel] = 0;
+        });
+
+        layers.forEach(layer => {
+            const weight = totalWeight > 0 ? layer.weight / weightSum : 1;
+            const pose = this.sampleClip(layer.clip, layer.time);
+            Object.keys(pose).forEach(channel => {
+                this.pose[channel] += pose[channel] * weight;
+            });
+        });
+    }
+
+    /**
+     * Turn the character towards the direction it moves in. Turning around passes through
+     * facing the camera, like the character looking at the player on its way round.
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} direction - Input direction: -1 left, 1 right, 0 keeps the current facing
+     * @private
+     */
+    updateFacing(deltaTime, direction) {
+        if (direction < 0) {
+            this.targetYaw = Math.PI / 2;
+        } else if (direction > 0) {
+            this.targetYaw = -Math.PI / 2;
+        }
+
+        const maxTurn = this.turnSpeed * deltaTime;
+        const difference = this.targetYaw - this.yaw;
+        this.yaw += Math.max(-maxTurn, Math.min(maxTurn, difference));
+    }
+
+    /**
+     * Split a clip's keyframes into one sorted track per channel
+     * @param {string} name - Clip name
+     * @param {Object} definition - Clip definition (see CHARACTER_ANIMATION_CLIPS)
+     * @returns {Object} - Compiled clip {name, loop, duration, fadeIn, referenceSpeed, emoteDuration, base, tracks}
+     * @private
+     */
+    compileClip(name, definition) {
+        const base = { ...CHARACTER_POSE_DEFAULTS, ...(definition.base || {}) };
+        const tracks = {};
+
+        [...definition.keyframes]
+            .sort((a, b) => a.time - b.time)
+            .forEach(keyframe => {
+                Object.keys(keyframe).forEach(channel => {
+                    if (channel === 'time') return;
+                    if (!(channel in CHARACTER_POSE_DEFAULTS)) {
+                        throw new Error(`Unknown pose channel '${channel}' in animation ${name}`);
+                    }
+                    (tracks[channel] = tracks[channel] || []).push({ time: keyframe.time, value: keyframe[channel] });
+                });
+            });
+
+        return {
+            name,
+            loop: definition.loop,
+            duration: definition.duration,
+            fadeIn: definition.fadeIn,
+            referenceSpeed: definition.referenceSpeed || 0,
+            emoteDuration: definition.emoteDuration || 0,
+            base,
+            tracks
+        };
+    }
+
+    /**
+     * Get a clip's pose at a point in time
+     * @param {Object} clip - Compiled clip
+     * @param {number} time - Clip time from 0 to 1
+     * @returns {Object} - Value of every pose channel
+     * @private
+     */
+    sampleClip(clip, time) {
+        const pose = { ...clip.base };
+        Object.entries(clip.tracks).forEach(([channel, keys]) => {
+            pose[channel] = this.sampleTrack(keys, time, clip.loop);
+        });
+        return pose;
+    }
+
+    /**
+     * Interpolate a channel's keyframes with an ease in and out between neighbours
+     * @param {Array} keys - Keyframes {time, value}, sorted by time
+     * @param {number} time - Clip time from 0 to 1
+     * @param {boolean} loop - Whether the track wraps from its last keyframe to its first
+     * @returns {number} - Channel value
+     * @private
+     */
+    sampleTrack(keys, time, loop) {
+        const first = keys[0];
+        const last = keys[keys.length - 1];
+
+        let from;
+        let to;
+        if (time < first.time) {
+            if (!loop) return first.value;
+            from = { time: last.time - 1, value: last.value };
+            to = first;
+        } else if (time >= last.time) {
+            if (!loop) return last.value;
+            from = last;
+            to = { time: first.time + 1, value: first.value };
+        } else {
+            let index = 0;
+            while (keys[index + 1].time <= time) index++;
+            from = keys[index];
+            to = keys[index + 1];
+        }
+
+        const span = to.time - from.time;
+        if (span <= 0) return to.value;
+
+        const progress = (time - from.time) / span;
+        const eased = progress * progress * (3 - 2 * progress);
+        return from.value + (to.value - from.value) * eased;
+    }
+}
+
+// Export the CharacterAnimator class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CharacterAnimator };
+}
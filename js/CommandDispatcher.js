@@ -2,8 +2,13 @@
  * CommandDispatcher.js
  * Responsible for mapping command strings to manager functions.
  * Acts as a mediator between input sources (UI, voice, AI) and scene managers.
+ * Commands are registered with a schema of typed parameters, so input is validated and
+ * coerced before a handler runs, and the schema can be exported for prompts and help.
  */
 
+// Parameter types understood by the dispatcher
+const COMMAND_PARAM_TYPES = ['string', 'integer', 'number', 'boolean', 'color', 'enum', 'vector'];
+
 class CommandDispatcher {
     /**
      * Create a command dispatcher
@@ -12,6 +17,8 @@ class CommandDispatcher {
     constructor(managers) {
         this.managers = managers;
         this.commandMap = {};
+        this.commandOptions = {};
+        this.history = null;
         
         // Initialize with default commands
         this.initializeCommands();
@@ -21,27 +28,36 @@ class CommandDispatcher {
      * Initialize the command map with default commands
      */
     initializeCommands() {
+        // Reusable parameter definitions
+        const coordinate = (name, description) => ({ name, type: 'number', min: -250, max: 250, description });
+        const position = { name: 'position', type: 'vector', components: ['x', 'y', 'z'], description: 'Position {x, y, z} (random if omitted)' };
+        
+        // Enum values come from the managers, so commands only offer what the scene supports
+        const environment = () => this.managers.environmentManager;
+        
         // Sky commands
         this.registerCommand('day_sky', () => {
             console.log('Executing command: day_sky');
             this.managers.skyManager.setDaytime();
-        });
+        }, { description: 'Switch to a daytime sky' });
         
         this.registerCommand('sunset_sky', () => {
             console.log('Executing command: sunset_sky');
             this.managers.skyManager.setSunset();
-        });
+        }, { description: 'Switch to a sunset sky' });
         
         this.registerCommand('night_sky', () => {
             console.log('Executing command: night_sky');
             this.managers.skyManager.setNighttime();
-        });
+        }, { description: 'Switch to a night sky' });
         
         // Parameterized sky commands
-        this.registerCommand('change_sky_color', (params) => {
-            const colorHex = params.parameter || '#87CEEB'; // Default to light blue if no parameter
-            console.log(`Executing command: change_sky_color with color ${colorHex}`);
-            this.managers.skyManager.changeSkyColor(colorHex);
+        this.registerCommand('change_sky_color', ({ color }) => {
+            console.log(`Executing command: change_sky_color with color ${color}`);
+            this.managers.skyManager.changeSkyColor(color);
+        }, {
+            description: 'Set the sky color',
+            params: [{ name: 'color', type: 'color', default: '#87CEEB', description: 'Sky color' }]
         });
         
         // Ground commands
@@ -59,40 +75,45 @@ class CommandDispatcher {
                 this.managers.groundManager.detailMesh.material.color.set(0x66BB6A);
                 this.managers.groundManager.detailMesh.material.opacity = 0.7;
             }
-        });
+        }, { description: 'Cover the ground with green grass' });
         
         this.registerCommand('snowy_ground', () => {
             console.log('Executing command: snowy_ground');
             this.managers.groundManager.makeGroundSnowy();
-        });
+        }, { description: 'Cover the ground with snow' });
         
         this.registerCommand('desert_ground', () => {
             console.log('Executing command: desert_ground');
             this.managers.groundManager.makeGroundDesert();
-        });
+        }, { description: 'Turn the ground into sandy desert' });
         
         // Parameterized ground commands
-        this.registerCommand('change_ground_color', (params) => {
-            const colorHex = params.parameter || '#4CAF50'; // Default to green if no parameter
-            console.log(`Executing command: change_ground_color with color ${colorHex}`);
-            this.managers.groundManager.changeGroundColor(colorHex);
+        this.registerCommand('change_ground_color', ({ color }) => {
+            console.log(`Executing command: change_ground_color with color ${color}`);
+            this.managers.groundManager.changeGroundColor(color);
+        }, {
+            description: 'Set the ground color',
+            params: [{ name: 'color', type: 'color', default: '#4CAF50', description: 'Ground color' }]
         });
         
         // Environment commands
-        this.registerCommand('add_tree', () => {
+        this.registerCommand('add_tree', ({ x, z }) => {
             console.log('Executing command: add_tree');
-            // Generate random position within reasonable bounds
-            const randomX = (Math.random() - 0.5) * 100;
-            const randomZ = (Math.random() - 0.5) * 100;
-            const position = { x: randomX, z: randomZ };
+            // Generate random position within reasonable bounds unless one is given
+            const position = {
+                x: x !== undefined ? x : (Math.random() - 0.5) * 100,
+                z: z !== undefined ? z : (Math.random() - 0.5) * 100
+            };
             
-            console.log(`Adding tree at position: x=${randomX.toFixed(2)}, z=${randomZ.toFixed(2)}`);
+            console.log(`Adding tree at position: x=${position.x.toFixed(2)}, z=${position.z.toFixed(2)}`);
             this.managers.environmentManager.addTree(position);
+        }, {
+            description: 'Add one tree',
+            params: [coordinate('x', 'X position (random if omitted)'), coordinate('z', 'Z position (random if omitted)')]
         });
         
         // Parameterized tree commands
-        this.registerCommand('spawn_trees', (params) => {
-            const count = parseInt(params.parameter) || 1; // Default to 1 if no parameter or invalid number
+        this.registerCommand('spawn_trees', ({ count }) => {
             console.log(`Executing command: spawn_trees with count ${count}`);
             
             for (let i = 0; i < count; i++) {
@@ -104,41 +125,57 @@ class CommandDispatcher {
                 console.log(`Adding tree ${i+1}/${count} at position: x=${randomX.toFixed(2)}, z=${randomZ.toFixed(2)}`);
                 this.managers.environmentManager.addTree(position);
             }
+        }, {
+            description: 'Add trees at random positions',
+            params: [{ name: 'count', type: 'integer', min: 1, max: 50, default: 1, description: 'Number of trees' }]
         });
         
         // Tree type commands
-        this.registerCommand('spawn_tree_type', (params) => {
-            const treeType = params.parameter || 'oak'; // Default to oak if no parameter
-            console.log(`Executing command: spawn_tree_type with type ${treeType}`);
-            this.managers.environmentManager.spawnTreeType(treeType, 3);
+        this.registerCommand('spawn_tree_type', ({ type, count }) => {
+            console.log(`Executing command: spawn_tree_type with type ${type} and count ${count}`);
+            this.managers.environmentManager.spawnTreeType(type, count);
+        }, {
+            description: 'Add trees of one type',
+            params: [
+                { name: 'type', type: 'enum', values: () => environment().getTreeTypes(), default: 'oak', description: 'Tree type' },
+                { name: 'count', type: 'integer', min: 1, max: 50, default: 3, description: 'Number of trees' }
+            ]
         });
         
         // Building commands
-        this.registerCommand('spawn_building', (params) => {
-            const buildingType = params.parameter || 'cottage'; // Default to cottage if no parameter
-            console.log(`Executing command: spawn_building with type ${buildingType}`);
-            this.managers.environmentManager.spawnBuildingType(buildingType);
+        this.registerCommand('spawn_building', ({ type }) => {
+            console.log(`Executing command: spawn_building with type ${type}`);
+            this.managers.environmentManager.spawnBuildingType(type);
+        }, {
+            description: 'Place a preset building',
+            params: [{ name: 'type', type: 'enum', values: () => environment().getBuildingTypes(), default: 'cottage', description: 'Building type' }]
         });
         
         // Weather effect commands
-        this.registerCommand('set_weather', (params) => {
-            const weatherEffect = params.parameter || 'clear'; // Default to clear if no parameter
-            console.log(`Executing command: set_weather with effect ${weatherEffect}`);
-            this.managers.environmentManager.startWeatherEffect(weatherEffect);
+        this.registerCommand('set_weather', ({ effect }) => {
+            console.log(`Executing command: set_weather with effect ${effect}`);
+            this.managers.environmentManager.startWeatherEffect(effect);
+        }, {
+            description: 'Change the weather',
+            params: [{ name: 'effect', type: 'enum', values: () => environment().getWeatherEffects(), default: 'clear', description: 'Weather effect' }]
         });
         
         // Ambient light commands
-        this.registerCommand('change_ambient_light', (params) => {
-            const colorHex = params.parameter || '#FFFFFF'; // Default to white if no parameter
-            console.log(`Executing command: change_ambient_light with color ${colorHex}`);
-            this.managers.skyManager.changeAmbientLightColor(colorHex);
+        this.registerCommand('change_ambient_light', ({ color }) => {
+            console.log(`Executing command: change_ambient_light with color ${color}`);
+            this.managers.skyManager.changeAmbientLightColor(color);
+        }, {
+            description: 'Set the ambient light color',
+            params: [{ name: 'color', type: 'color', default: '#FFFFFF', description: 'Light color' }]
         });
         
         // Particle effect commands
-        this.registerCommand('start_particles', (params) => {
-            const particleEffect = params.parameter || 'leaves'; // Default to leaves if no parameter
-            console.log(`Executing command: start_particles with effect ${particleEffect}`);
-            this.managers.environmentManager.startParticleEffect(particleEffect);
+        this.registerCommand('start_particles', ({ effect }) => {
+            console.log(`Executing command: start_particles with effect ${effect}`);
+            this.managers.environmentManager.startParticleEffect(effect);
+        }, {
+            description: 'Start an ambient particle effect',
+            params: [{ name: 'effect', type: 'enum', values: () => environment().getParticleEffects(), default: 'leaves', description: 'Particle effect' }]
         });
         
         this.registerCommand('remove_tree', () => {
@@ -151,112 +188,563 @@ class CommandDispatcher {
             } else {
                 console.log('No trees to remove');
             }
-        });
+        }, { description: 'Remove the most recently added tree' });
         
-        this.registerCommand('add_rock', () => {
+        this.registerCommand('add_rock', ({ x, z, scale }) => {
             console.log('Executing command: add_rock');
-            // Generate random position within reasonable bounds
-            const randomX = (Math.random() - 0.5) * 100;
-            const randomZ = (Math.random() - 0.5) * 100;
-            const position = { x: randomX, z: randomZ };
+            // Generate random position within reasonable bounds unless one is given
+            const position = {
+                x: x !== undefined ? x : (Math.random() - 0.5) * 100,
+                z: z !== undefined ? z : (Math.random() - 0.5) * 100
+            };
             
-            console.log(`Adding rock at position: x=${randomX.toFixed(2)}, z=${randomZ.toFixed(2)}`);
-            this.managers.environmentManager.addRock(position);
+            console.log(`Adding rock at position: x=${position.x.toFixed(2)}, z=${position.z.toFixed(2)}`);
+            this.managers.environmentManager.addRock(position, scale !== undefined ? { scale } : {});
+        }, {
+            description: 'Add a rock',
+            params: [
+                coordinate('x', 'X position (random if omitted)'),
+                coordinate('z', 'Z position (random if omitted)'),
+                { name: 'scale', type: 'number', min: 0.2, max: 5, description: 'Rock size (random if omitted)' }
+            ]
         });
         
-        this.registerCommand('add_platform', () => {
+        this.registerCommand('add_platform', ({ position: requested = {} }) => {
             console.log('Executing command: add_platform');
-            // Generate random position within reasonable bounds
-            const randomX = (Math.random() - 0.5) * 100;
-            const randomZ = (Math.random() - 0.5) * 100;
-            const randomY = 5 + Math.random() * 15; // Random height between 5 and 20
-            const position = { x: randomX, y: randomY, z: randomZ };
+            // Generate random position within reasonable bounds for anything not given
+            const position = {
+                x: requested.x !== undefined ? requested.x : (Math.random() - 0.5) * 100,
+                y: requested.y !== undefined ? requested.y : 5 + Math.random() * 15, // Random height between 5 and 20
+                z: requested.z !== undefined ? requested.z : (Math.random() - 0.5) * 100
+            };
             
-            console.log(`Adding platform at position: x=${randomX.toFixed(2)}, y=${randomY.toFixed(2)}, z=${randomZ.toFixed(2)}`);
+            console.log(`Adding platform at position: x=${position.x.toFixed(2)}, y=${position.y.toFixed(2)}, z=${position.z.toFixed(2)}`);
             this.managers.environmentManager.addPlatform(position);
+        }, {
+            description: 'Add a floating platform',
+            params: [position]
         });
         
-        this.registerCommand('add_cloud', () => {
+        this.registerCommand('add_cloud', ({ position: requested = {} }) => {
             console.log('Executing command: add_cloud');
-            // Generate random position within reasonable bounds
-            const randomX = (Math.random() - 0.5) * 200;
-            const randomZ = (Math.random() - 0.5) * 200;
-            const randomY = 50 + Math.random() * 30; // Random height between 50 and 80
-            const position = { x: randomX, y: randomY, z: randomZ };
+            // Generate random position within reasonable bounds for anything not given
+            const position = {
+                x: requested.x !== undefined ? requested.x : (Math.random() - 0.5) * 200,
+                y: requested.y !== undefined ? requested.y : 50 + Math.random() * 30, // Random height between 50 and 80
+                z: requested.z !== undefined ? requested.z : (Math.random() - 0.5) * 200
+            };
             
-            console.log(`Adding cloud at position: x=${randomX.toFixed(2)}, y=${randomY.toFixed(2)}, z=${randomZ.toFixed(2)}`);
+            console.log(`Adding cloud at position: x=${position.x.toFixed(2)}, y=${position.y.toFixed(2)}, z=${position.z.toFixed(2)}`);
             this.managers.environmentManager.addCloud(position);
+        }, {
+            description: 'Add a cloud',
+            params: [position]
+        });
+        
+        // Selection commands (objects picked by clicking them, see SelectionManager)
+        const selectedIds = () => {
+            const ids = this.managers.selectionManager ? this.managers.selectionManager.getSelectedIds() : [];
+            if (ids.length === 0) {
+                throw new Error('No objects are selected. Click an object to select it first');
+            }
+            return ids;
+        };
+        
+        this.registerCommand('delete_selected', () => {
+            console.log('Executing command: delete_selected');
+            selectedIds().forEach(id => this.managers.environmentManager.removeObject(id));
+            this.managers.selectionManager.clear();
+        }, { description: 'Delete the selected objects' });
+        
+        this.registerCommand('recolor_selected', ({ color }) => {
+            console.log(`Executing command: recolor_selected with color ${color}`);
+            selectedIds().forEach(id => this.managers.environmentManager.recolorObject(id, color));
+        }, {
+            description: 'Set the color of the selected objects (the leaves of trees)',
+            params: [{ name: 'color', type: 'color', required: true, description: 'New color' }]
+        });
+        
+        this.registerCommand('scale_selected', ({ factors }) => {
+            console.log(`Executing command: scale_selected with factors ${JSON.stringify(factors)}`);
+            if (Object.keys(factors).length === 0) {
+                throw new Error('Give at least one scale factor (x, y or z)');
+            }
+            selectedIds().forEach(id => this.managers.environmentManager.scaleObject(id, factors));
+        }, {
+            description: 'Scale the selected objects along each axis (y above 1 makes them taller, below 1 shorter)',
+            params: [{
+                name: 'factors',
+                type: 'vector',
+                components: ['x', 'y', 'z'],
+                min: 0.1,
+                max: 10,
+                required: true,
+                description: 'Scale factors {x, y, z}; omitted axes keep their size'
+            }]
+        });
+        
+        this.registerCommand('replace_selected', ({ type }) => {
+            console.log(`Executing command: replace_selected with type ${type}`);
+            const replacements = selectedIds()
+                .map(id => this.managers.environmentManager.replaceObject(id, type))
+                .filter(Boolean);
+            
+            // Keep the new objects selected so they can be edited further
+            this.managers.selectionManager.select(replacements.map(object => object.id));
+        }, {
+            description: 'Replace each selected object with a tree or preset building of the given type',
+            params: [{
+                name: 'type',
+                type: 'enum',
+                values: () => [...environment().getTreeTypes(), ...environment().getBuildingTypes()],
+                required: true,
+                description: 'Tree or building type'
+            }]
         });
         
+        this.registerCommand('clear_selection', () => {
+            console.log('Executing command: clear_selection');
+            if (this.managers.selectionManager) {
+                this.managers.selectionManager.clear();
+            }
+        }, { recordHistory: false, description: 'Deselect all objects' });
+        
         // Player commands
         this.registerCommand('reset_player', () => {
             console.log('Executing command: reset_player');
             this.managers.playerManager.resetPosition();
+        }, { description: 'Move the player back to the start' });
+        
+        this.registerCommand('change_player_color', ({ color }) => {
+            console.log(`Executing command: change_player_color with color ${color}`);
+            this.managers.playerManager.changePlayerColor(color);
+        }, {
+            description: 'Set the player character color',
+            params: [{ name: 'color', type: 'color', default: '#1E88E5', description: 'Player color' }]
+        });
+        
+        this.registerCommand('set_gravity', ({ gravity }) => {
+            console.log(`Executing command: set_gravity with gravity ${gravity}`);
+            this.managers.playerManager.setPhysicsOptions({ gravity });
+        }, {
+            description: 'Set how strongly the player falls',
+            params: [{ name: 'gravity', type: 'number', min: 2, max: 80, default: 20, description: 'Downward acceleration in units per second²' }]
+        });
+        
+        this.registerCommand('set_jump_height', ({ height }) => {
+            console.log(`Executing command: set_jump_height with height ${height}`);
+            this.managers.playerManager.setPhysicsOptions({ jumpHeight: height });
+        }, {
+            description: 'Set how high the player jumps',
+            params: [{ name: 'height', type: 'number', min: 0.5, max: 15, default: 2.5, description: 'Height of a full jump in units' }]
+        });
+        
+        this.registerCommand('set_move_speed', ({ speed }) => {
+            console.log(`Executing command: set_move_speed with speed ${speed}`);
+            this.managers.playerManager.setPhysicsOptions({ moveSpeed: speed });
+        }, {
+            description: 'Set how fast the player runs',
+            params: [{ name: 'speed', type: 'number', min: 1, max: 30, default: 6, description: 'Top running speed in units per second' }]
         });
         
-        this.registerCommand('change_player_color', (params) => {
-            const colorHex = params.parameter || '#1E88E5'; // Default to blue if no parameter
-            console.log(`Executing command: change_player_color with color ${colorHex}`);
-            this.managers.playerManager.changePlayerColor(colorHex);
+        this.registerCommand('play_emote', ({ emote, duration }) => {
+            console.log(`Executing command: play_emote with emote ${emote}`);
+            this.managers.playerManager.playEmote(emote, duration);
+        }, {
+            recordHistory: false,
+            description: 'Make the player character wave or dance (moving ends it)',
+            params: [
+                { name: 'emote', type: 'enum', values: () => this.managers.playerManager.getEmotes(), default: 'wave', description: 'Emote animation' },
+                { name: 'duration', type: 'number', min: 0.5, max: 30, description: 'Seconds to play it (the emote\'s own length if omitted)' }
+            ]
         });
+        
+        // History commands (not recorded themselves)
+        this.registerCommand('undo', () => {
+            console.log('Executing command: undo');
+            if (this.history) {
+                return this.history.undo();
+            } else {
+                console.warn('No command history attached');
+            }
+        }, { recordHistory: false, internal: true, description: 'Undo the last change' });
+        
+        this.registerCommand('redo', () => {
+            console.log('Executing command: redo');
+            if (this.history) {
+                return this.history.redo();
+            } else {
+                console.warn('No command history attached');
+            }
+        }, { recordHistory: false, internal: true, description: 'Redo the last undone change' });
+    }
+    
+    /**
+     * Attach a command history so executed commands can be undone
+     * @param {CommandHistory} history - The command history
+     */
+    setHistory(history) {
+        this.history = history;
     }
     
     /**
      * Register a new command
      * @param {string} commandName - The name of the command
-     * @param {Function} commandFunction - The function to execute when the command is called
+     * @param {Function} commandFunction - The function to execute when the command is called, with the
+     *                                     validated parameters (may return a promise that resolves when
+     *                                     the command has finished)
+     * @param {Object} options - Optional command options
+     * @param {boolean} options.recordHistory - Set to false to keep the command out of undo history
+     * @param {boolean} options.internal - Set to true to keep the command out of LLM prompts
+     * @param {string} options.description - What the command does (used for prompts and help)
+     * @param {Array} options.params - Parameter schema [{name, type, description, required, default,
+     *                                 min, max, values, components}]; the first parameter also accepts
+     *                                 the 'name:value' shorthand. Without a schema parameters are passed as given.
+     * @throws {Error} - If a parameter definition is invalid
      */
-    registerCommand(commandName, commandFunction) {
+    registerCommand(commandName, commandFunction, options = {}) {
+        (options.params || []).forEach(param => {
+            if (!param.name || !COMMAND_PARAM_TYPES.includes(param.type)) {
+                throw new Error(`Invalid parameter '${param.name}' for command '${commandName}': unknown type ${param.type}`);
+            }
+            if (param.type === 'enum' && !param.values) {
+                throw new Error(`Enum parameter '${param.name}' for command '${commandName}' needs values`);
+            }
+        });
+        
         this.commandMap[commandName] = commandFunction;
+        this.commandOptions[commandName] = options;
     }
     
     /**
      * Execute a command by name
-     * @param {string} commandInput - The command to execute, can be simple name or 'name:parameter'
+     * @param {string} commandInput - The command to execute: 'name', 'name:value' or 'name key=value ...'
+     * @param {Object} additionalParams - Optional additional parameters to pass to the command
+     * @param {Object} options - Optional execution settings
+     * @param {Object} options.batch - History batch the command belongs to (see CommandHistory.runBatch)
+     * @returns {Object} - Result {ok: true, command, params} or {ok: false, command, error: {code, message, parameter}}.
+     *                     Commands that are still running (asynchronous commands, or commands waiting for an earlier
+     *                     change) return {ok: true, pending: true, command, params, completion}, where completion
+     *                     resolves to the final result. Use executeCommandAsync to wait for it directly.
+     */
+    executeCommand(commandInput, additionalParams = {}, options = {}) {
+        const validation = this.validateCommand(commandInput, additionalParams);
+        if (!validation.ok) {
+            console.warn(`Command '${validation.command}' rejected: ${validation.error.message}`);
+            return validation;
+        }
+        
+        const { command, params } = validation;
+        try {
+            const result = this.runCommand(commandInput, command, params, options.batch);
+            
+            // Asynchronous commands (and commands waiting for an earlier change) report their errors when they settle
+            if (result && typeof result.then === 'function') {
+                const completion = result.then(
+                    () => ({ ok: true, command, params }),
+                    error => {
+                        console.error(`Error executing command '${command}':`, error);
+                        return this.createError(command, 'execution_failed', error.message || String(error));
+                    }
+                );
+                return { ok: true, pending: true, command, params, completion };
+            }
+            return { ok: true, command, params };
+        } catch (error) {
+            console.error(`Error executing command '${command}':`, error);
+            return this.createError(command, 'execution_failed', error.message || String(error));
+        }
+    }
+    
+    /**
+     * Execute a command by name and wait for it to finish.
+     * Commands may return a promise (e.g., while an animation runs), which is awaited.
+     * @param {string} commandInput - The command to execute: 'name', 'name:value' or 'name key=value ...'
      * @param {Object} additionalParams - Optional additional parameters to pass to the command
-     * @returns {boolean} - True if the command was found and executed, false otherwise
+     * @param {Object} options - Optional execution settings (see executeCommand)
+     * @returns {Promise<Object>} - Result like executeCommand, once the command has finished
      */
-    executeCommand(commandInput, additionalParams = {}) {
-        // Parse the command input to extract command name and parameter
-        const { commandName, parameter } = this.parseCommandInput(commandInput);
-        
-        // Merge the parameter from the command input with any additional params
-        const params = { ...additionalParams };
-        if (parameter !== null) {
-            params.parameter = parameter;
+    async executeCommandAsync(commandInput, additionalParams = {}, options = {}) {
+        const validation = this.validateCommand(commandInput, additionalParams);
+        if (!validation.ok) {
+            console.warn(`Command '${validation.command}' rejected: ${validation.error.message}`);
+            return validation;
+        }
+        
+        const { command, params } = validation;
+        try {
+            await this.runCommand(commandInput, command, params, options.batch);
+            return { ok: true, command, params };
+        } catch (error) {
+            console.error(`Error executing command '${command}':`, error);
+            return this.createError(command, 'execution_failed', error.message || String(error));
         }
+    }
+    
+    /**
+     * Check a command and coerce its parameters without running it
+     * @param {string} commandInput - The command: 'name', 'name:value' or 'name key=value ...'
+     * @param {Object} additionalParams - Optional additional parameters (override values in the input)
+     * @returns {Object} - {ok: true, command, params} or {ok: false, command, error: {code, message, parameter}}
+     */
+    validateCommand(commandInput, additionalParams = {}) {
+        // Parse the command input to extract command name and parameters
+        const { commandName, parameter, args } = this.parseCommandInput(commandInput);
+        
+        if (!this.commandMap[commandName]) {
+            return this.createError(commandName, 'unknown_command', `Command '${commandName}' not found`);
+        }
+        
+        // Merge the parameters from the command input with any additional params
+        const raw = { ...args, ...additionalParams };
+        if (parameter !== null && raw.parameter === undefined) {
+            raw.parameter = parameter;
+        }
+        
+        const schema = this.commandOptions[commandName].params;
+        if (!schema) {
+            // Commands without a schema get their parameters as given
+            return { ok: true, command: commandName, params: raw };
+        }
+        
+        // The 'name:value' shorthand (and the legacy 'parameter' key) fills the first parameter
+        if (raw.parameter !== undefined && schema.length > 0 && raw[schema[0].name] === undefined) {
+            raw[schema[0].name] = raw.parameter;
+        }
+        delete raw.parameter;
+        
+        const unknown = Object.keys(raw).find(key => !schema.some(param => param.name === key));
+        if (unknown) {
+            return this.createError(commandName, 'unknown_parameter', `Command '${commandName}' has no parameter '${unknown}'`, unknown);
+        }
+        
+        const params = {};
+        for (const param of schema) {
+            const value = raw[param.name];
+            
+            if (value === undefined || value === null || value === '') {
+                if (param.required) {
+                    return this.createError(commandName, 'missing_parameter', `Parameter '${param.name}' is required`, param.name);
+                }
+                if (param.default !== undefined) {
+                    params[param.name] = param.default;
+                }
+                continue;
+            }
+            
+            const coerced = this.coerceParam(param, value);
+            if (coerced.error) {
+                return this.createError(commandName, 'invalid_parameter', `Parameter '${param.name}' ${coerced.error}`, param.name);
+            }
+            params[param.name] = coerced.value;
+        }
+        
+        return { ok: true, command: commandName, params };
+    }
+    
+    /**
+     * Convert a raw parameter value to its declared type
+     * @param {Object} param - Parameter definition
+     * @param {*} value - Raw value (often a string from typed input)
+     * @returns {Object} - {value} or {error} describing why the value is invalid
+     * @private
+     */
+    coerceParam(param, value) {
+        const inRange = (number) => {
+            if (param.min !== undefined && number < param.min) return `must be at least ${param.min}`;
+            if (param.max !== undefined && number > param.max) return `must be at most ${param.max}`;
+            return null;
+        };
         
-        if (this.commandMap[commandName]) {
-            try {
-                console.log(`Executing command '${commandName}'${parameter !== null ? ` with parameter '${parameter}'` : ''}`);
-                this.commandMap[commandName](params);
-                return true;
-            } catch (error) {
-                console.error(`Error executing command '${commandName}':`, error);
-                return false;
+        switch (param.type) {
+            case 'integer':
+            case 'number': {
+                const number = Number(value);
+                if (typeof value === 'boolean' || isNaN(number)) {
+                    return { error: `must be a number, got '${value}'` };
+                }
+                if (param.type === 'integer' && !Number.isInteger(number)) {
+                    return { error: `must be a whole number, got '${value}'` };
+                }
+                const rangeError = inRange(number);
+                return rangeError ? { error: rangeError } : { value: number };
+            }
+            
+            case 'boolean':
+                if (value === true || value === false) return { value };
+                if (/^(?:true|yes|on|1)$/i.test(String(value))) return { value: true };
+                if (/^(?:false|no|off|0)$/i.test(String(value))) return { value: false };
+                return { error: `must be true or false, got '${value}'` };
+            
+            case 'color': {
+                const color = this.normalizeColor(value);
+                return color ? { value: color } : { error: `must be a hex color such as #FF8800, got '${value}'` };
+            }
+            
+            case 'enum': {
+                const values = this.getEnumValues(param);
+                const option = String(value).toLowerCase().trim().replace(/[\s-]+/g, '_');
+                return values.includes(option)
+                    ? { value: option }
+                    : { error: `must be one of ${values.join(', ')}, got '${value}'` };
+            }
+            
+            case 'vector': {
+                const components = param.components || ['x', 'y', 'z'];
+                let parts = value;
+                if (typeof value === 'string') {
+                    const numbers = value.split(',').map(part => part.trim());
+                    if (numbers.length !== components.length) {
+                        return { error: `needs ${components.length} comma-separated numbers (${components.join(', ')})` };
+                    }
+                    parts = {};
+                    components.forEach((component, index) => { parts[component] = numbers[index]; });
+                } else if (Array.isArray(value)) {
+                    parts = {};
+                    components.forEach((component, index) => { parts[component] = value[index]; });
+                } else if (typeof value !== 'object') {
+                    return { error: `must be a vector {${components.join(', ')}}` };
+                }
+                
+                const vector = {};
+                for (const component of components) {
+                    if (parts[component] === undefined || parts[component] === null || parts[component] === '') continue;
+                    const number = Number(parts[component]);
+                    if (isNaN(number)) {
+                        return { error: `component ${component} must be a number, got '${parts[component]}'` };
+                    }
+                    const rangeError = inRange(number);
+                    if (rangeError) {
+                        return { error: `component ${component} ${rangeError}` };
+                    }
+                    vector[component] = number;
+                }
+                return { value: vector };
             }
-        } else {
-            console.warn(`Command '${commandName}' not found`);
-            return false;
+            
+            case 'string':
+            default:
+                return { value: String(value) };
+        }
+    }
+    
+    /**
+     * Normalize a color to '#RRGGBB'
+     * @param {string|number} value - Hex string ('#F80', '#FF8800', '0xFF8800'), number or CSS color name
+     * @returns {string|null} - The normalized color, or null if it is not a color
+     * @private
+     */
+    normalizeColor(value) {
+        if (typeof value === 'number') {
+            return value >= 0 && value <= 0xFFFFFF ? `#${value.toString(16).padStart(6, '0').toUpperCase()}` : null;
+        }
+        
+        const text = String(value).trim().toLowerCase();
+        let match = /^(?:#|0x)?([0-9a-f]{6})$/.exec(text);
+        if (match) {
+            return `#${match[1].toUpperCase()}`;
         }
+        
+        match = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(text);
+        if (match) {
+            return `#${match[1]}${match[1]}${match[2]}${match[2]}${match[3]}${match[3]}`.toUpperCase();
+        }
+        
+        // CSS color names ('skyblue', 'light blue')
+        const name = text.replace(/[\s_-]+/g, '');
+        if (typeof THREE !== 'undefined' && THREE.Color && THREE.Color.NAMES && THREE.Color.NAMES[name] !== undefined) {
+            return this.normalizeColor(THREE.Color.NAMES[name]);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the allowed values of an enum parameter
+     * @param {Object} param - Enum parameter definition (values may be an array or a function returning one)
+     * @returns {Array} - Allowed values
+     * @private
+     */
+    getEnumValues(param) {
+        return typeof param.values === 'function' ? param.values() : param.values;
     }
     
     /**
-     * Parse a command input string into command name and parameter
-     * @param {string} commandInput - The command input string (e.g., 'commandName:parameter')
-     * @returns {Object} - Object with commandName and parameter properties
+     * Build a structured error result
+     * @param {string} command - Command name
+     * @param {string} code - Error code ('unknown_command', 'unknown_parameter', 'missing_parameter',
+     *                        'invalid_parameter' or 'execution_failed')
+     * @param {string} message - Human-readable message
+     * @param {string} parameter - Parameter the error is about (optional)
+     * @returns {Object} - {ok: false, command, error: {code, message, parameter}}
+     * @private
+     */
+    createError(command, code, message, parameter) {
+        return { ok: false, command, error: { code, message, parameter } };
+    }
+    
+    /**
+     * Run a validated command, recording it for undo unless it opts out
+     * @param {string} commandInput - The original command input (used as the history label)
+     * @param {string} commandName - The command name
+     * @param {Object} params - Validated parameters passed to the command
+     * @param {Object} batch - History batch the command belongs to (optional)
+     * @returns {*} - Whatever the command returns (a promise for asynchronous commands)
+     * @private
+     */
+    runCommand(commandInput, commandName, params, batch = null) {
+        const details = Object.keys(params).length > 0 ? ` with ${JSON.stringify(params)}` : '';
+        console.log(`Executing command '${commandName}'${details}`);
+        const runCommand = () => this.commandMap[commandName](params);
+        
+        // Record the change for undo unless the command opts out
+        const options = this.commandOptions[commandName] || {};
+        if (this.history && options.recordHistory !== false) {
+            return this.history.record(typeof commandInput === 'string' ? commandInput : commandName, runCommand, 'user', batch);
+        }
+        
+        return runCommand();
+    }
+    
+    /**
+     * Parse a command input string into command name and parameters.
+     * Supports 'name', 'name:value', 'name value' and named parameters ('add_rock x=10 z=-4 scale=2').
+     * Values containing spaces can be quoted ('change_sky_color color="light blue"').
+     * @param {string} commandInput - The command input string
+     * @returns {Object} - {commandName, parameter, args}: parameter is the unnamed value (or null),
+     *                     args holds named values
      * @private
      */
     parseCommandInput(commandInput) {
         if (typeof commandInput !== 'string') {
-            return { commandName: commandInput, parameter: null };
+            return { commandName: commandInput, parameter: null, args: {} };
+        }
+        
+        const match = /^\s*([^\s:]+)(?::([^\s]*))?\s*([\s\S]*)$/.exec(commandInput);
+        if (!match) {
+            return { commandName: commandInput.trim(), parameter: null, args: {} };
         }
         
-        const parts = commandInput.split(':');
-        const commandName = parts[0].trim();
-        const parameter = parts.length > 1 ? parts[1].trim() : null;
+        const commandName = match[1];
+        let parameter = match[2] !== undefined && match[2] !== '' ? match[2] : null;
+        const args = {};
         
-        return { commandName, parameter };
+        // key=value pairs and bare values, either of which may be quoted
+        const tokenPattern = /(\w+)=("[^"]*"|'[^']*'|\S+)|("[^"]*"|'[^']*'|\S+)/g;
+        const unquote = text => text.replace(/^(["'])([\s\S]*)\1$/, '$2');
+        let token;
+        while ((token = tokenPattern.exec(match[3])) !== null) {
+            if (token[1]) {
+                args[token[1]] = unquote(token[2]);
+            } else if (parameter === null) {
+                parameter = unquote(token[3]);
+            } else {
+                // Extra bare words belong to the unnamed value ('spawn_building magic tower')
+                parameter = `${parameter} ${unquote(token[3])}`;
+            }
+        }
+        
+        return { commandName, parameter, args };
     }
     
     /**
@@ -266,9 +754,127 @@ class CommandDispatcher {
     getAvailableCommands() {
         return Object.keys(this.commandMap);
     }
+    
+    /**
+     * Export the schema of one command as plain data
+     * @param {string} commandName - The command name
+     * @returns {Object|null} - {name, description, params} or null if the command does not exist
+     */
+    getCommandSchema(commandName) {
+        if (!this.commandMap[commandName]) {
+            return null;
+        }
+        
+        const options = this.commandOptions[commandName] || {};
+        return {
+            name: commandName,
+            description: options.description || '',
+            recordHistory: options.recordHistory !== false,
+            internal: options.internal === true,
+            params: (options.params || []).map(param => {
+                const exported = { name: param.name, type: param.type };
+                ['description', 'required', 'default', 'min', 'max', 'components'].forEach(key => {
+                    if (param[key] !== undefined) exported[key] = param[key];
+                });
+                if (param.type === 'enum') {
+                    exported.values = [...this.getEnumValues(param)];
+                }
+                return exported;
+            })
+        };
+    }
+    
+    /**
+     * Export the schemas of all commands (for prompts and help)
+     * @returns {Array} - Array of command schemas (see getCommandSchema)
+     */
+    getCommandSchemas() {
+        return this.getAvailableCommands().map(commandName => this.getCommandSchema(commandName));
+    }
+    
+    /**
+     * Export the parameters of a command as a JSON Schema object (for structured LLM output)
+     * @param {string} commandName - The command name
+     * @returns {Object|null} - JSON Schema of the params object, or null if the command does not exist
+     */
+    getParamsJsonSchema(commandName) {
+        const schema = this.getCommandSchema(commandName);
+        if (!schema) {
+            return null;
+        }
+        
+        const properties = {};
+        schema.params.forEach(param => {
+            const property = {};
+            switch (param.type) {
+                case 'integer':
+                case 'number':
+                    property.type = param.type;
+                    if (param.min !== undefined) property.minimum = param.min;
+                    if (param.max !== undefined) property.maximum = param.max;
+                    break;
+                
+                case 'color':
+                    property.type = 'string';
+                    property.pattern = '^#[0-9A-Fa-f]{6}$';
+                    break;
+                
+                case 'enum':
+                    property.type = 'string';
+                    property.enum = param.values;
+                    break;
+                
+                case 'vector': {
+                    const components = param.components || ['x', 'y', 'z'];
+                    property.type = 'object';
+                    property.properties = {};
+                    components.forEach(component => { property.properties[component] = { type: 'number' }; });
+                    property.additionalProperties = false;
+                    break;
+                }
+                
+                default:
+                    property.type = param.type;
+            }
+            if (param.description) property.description = param.description;
+            properties[param.name] = property;
+        });
+        
+        const required = schema.params.filter(param => param.required).map(param => param.name);
+        return {
+            type: 'object',
+            properties,
+            ...(required.length > 0 ? { required } : {}),
+            additionalProperties: false
+        };
+    }
+    
+    /**
+     * Describe how to use one command or all commands
+     * @param {string} commandName - The command name (optional, all commands when omitted)
+     * @returns {string} - Help text, one line per command
+     */
+    getHelpText(commandName = null) {
+        const schemas = commandName ? [this.getCommandSchema(commandName)].filter(Boolean) : this.getCommandSchemas();
+        
+        return schemas.map(schema => {
+            const params = schema.params.map(param => {
+                let type = param.type;
+                if (param.type === 'enum') type = param.values.join('|');
+                else if (param.type === 'color') type = '#RRGGBB';
+                else if (param.type === 'vector') type = (param.components || ['x', 'y', 'z']).join(',');
+                else if (param.min !== undefined || param.max !== undefined) type += ` ${param.min !== undefined ? param.min : ''}..${param.max !== undefined ? param.max : ''}`;
+                
+                const usage = `${param.name}=${type}`;
+                return param.required ? usage : `[${usage}]`;
+            });
+            
+            return `${[schema.name, ...params].join(' ')}${schema.description ? ` - ${schema.description}` : ''}`;
+        }).join('\n');
+    }
 }
 
 // Export the CommandDispatcher class
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CommandDispatcher };
+    module.exports = { CommandDispatcher, COMMAND_PARAM_TYPES };
 }
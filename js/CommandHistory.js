@@ -0,0 +1,418 @@
+/**
+ * CommandHistory.js
+ * Responsible for recording scene changes so they can be undone and redone.
+ * Each history entry stores a snapshot of the managers before and after a change.
+ * Changes are recorded one at a time, so overlapping changes never end up in each other's entries.
+ */
+
+class CommandHistory {
+    /**
+     * Create a command history
+     * @param {Object} managers - Object containing all manager instances
+     * @param {Object} options - History options
+     * @param {number} options.limit - Maximum number of entries kept for undo
+     */
+    constructor(managers, options = {}) {
+        this.managers = managers;
+        this.limit = options.limit || 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.activeScope = null;
+        this.waiting = [];
+        this.isRunningWaiting = false;
+        this.isRestoring = false;
+        this.onChangeCallbacks = [];
+    }
+
+    /**
+     * Capture the current state of all managers
+     * @returns {Object} - Scene snapshot
+     */
+    captureSnapshot() {
+        const { skyManager, groundManager, environmentManager, playerManager } = this.managers;
+
+        return {
+            sky: skyManager ? skyManager.getState() : null,
+            ground: groundManager ? groundManager.getState() : null,
+            environment: environmentManager ? environmentManager.createSnapshot() : null,
+            player: playerManager ? playerManager.getState() : null
+        };
+    }
+
+    /**
+     * Restore all managers from a snapshot
+     * @param {Object} snapshot - Scene snapshot from captureSnapshot
+     */
+    restoreSnapshot(snapshot) {
+        const { skyManager, groundManager, environmentManager, playerManager } = this.managers;
+
+        this.isRestoring = true;
+        try {
+            if (skyManager && snapshot.sky) skyManager.applyState(snapshot.sky);
+            if (groundManager && snapshot.ground) groundManager.applyState(snapshot.ground);
+            if (environmentManager && snapshot.environment) environmentManager.restoreSnapshot(snapshot.environment);
+            if (playerManager && snapshot.player) playerManager.applyState(snapshot.player);
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Run a change and record it as a single history entry.
+     * Changes are recorded one at a time: while another change is still running (an asynchronous
+     * command or an open batch), this one waits for it, so each entry only covers its own change.
+     * @param {string} label - Description of the change (e.g., the command name)
+     * @param {Function} changeFunction - Function that applies the change (may return a promise)
+     * @param {string} source - Where the change came from ('user', 'ai', ...)
+     * @param {Object} batch - Batch the change was issued in (optional, see runBatch)
+     * @returns {any} - The return value of changeFunction (a promise of it if the change had to wait)
+     */
+    record(label, changeFunction, source = 'user', batch = null) {
+        // Changes inside their batch (or caused by undo/redo) are covered elsewhere
+        if (this.isRestoring || (batch && batch === this.activeScope)) {
+            return changeFunction();
+        }
+
+        if (this.activeScope) {
+            return this._waitForTurn(batch, () => this.record(label, changeFunction, source, batch));
+        }
+
+        return this._runScope(this.createBatch(label, source), changeFunction);
+    }
+
+    /**
+     * Create a batch that groups changes into a single history entry. The batch is started
+     * with runBatch; commands belong to it when it is passed along with them.
+     * @param {string} label - Description of the batch
+     * @param {string} source - Where the batch came from ('user', 'ai', ...)
+     * @returns {Object} - The batch
+     */
+    createBatch(label, source = 'user') {
+        return { label, source, before: null };
+    }
+
+    /**
+     * Run a set of changes as a single history entry. The entry stays open until applyFunction
+     * (and the promise it returns) has finished; other changes wait until then.
+     * Running a batch inside itself folds the changes into the open entry.
+     * @param {Object|string} batch - Batch from createBatch, or a label for a new batch
+     * @param {Function} applyFunction - Function that applies the changes, called with the batch
+     *                                   (may return a promise)
+     * @param {string} source - Where the batch came from, when a label is given ('user', 'ai', ...)
+     * @returns {any} - The return value of applyFunction (a promise of it if the batch had to wait)
+     */
+    runBatch(batch, applyFunction, source = 'user') {
+        if (typeof batch === 'string') {
+            batch = this.createBatch(batch, source);
+        }
+
+        if (this.isRestoring || batch === this.activeScope) {
+            return applyFunction(batch);
+        }
+
+        if (this.activeScope) {
+            return this._waitForTurn(batch, () => this.runBatch(batch, applyFunction));
+        }
+
+        return this._runScope(batch, applyFunction);
+    }
+
+    /**
+     * Check if a change is still running, so new changes will wait for it
+     * @returns {boolean} - True while an asynchronous change or a batch is open
+     */
+    get isBusy() {
+        return this.activeScope !== null;
+    }
+
+    /**
+     * Undo the most recent entry. While a change is running, this waits for it to finish.
+     * @returns {Object|null|Promise<Object|null>} - The undone entry, or null if there was nothing to undo
+     */
+    undo() {
+        if (this.activeScope) {
+            return this._waitForTurn(null, () => this.undo());
+        }
+
+        if (this.undoStack.length === 0) {
+            console.log('Nothing to undo');
+            return null;
+        }
+
+        const entry = this.undoStack.pop();
+        console.log(`Undoing: ${entry.label}`);
+        this.restoreSnapshot(entry.before);
+        this.redoStack.push(entry);
+
+        this._notifyChange();
+        return entry;
+    }
+
+    /**
+     * Redo the most recently undone entry. While a change is running, this waits for it to finish.
+     * @returns {Object|null|Promise<Object|null>} - The redone entry, or null if there was nothing to redo
+     */
+    redo() {
+        if (this.activeScope) {
+            return this._waitForTurn(null, () => this.redo());
+        }
+
+        if (this.redoStack.length === 0) {
+            console.log('Nothing to redo');
+            return null;
+        }
+
+        const entry = this.redoStack.pop();
+        console.log(`Redoing: ${entry.label}`);
+        this.restoreSnapshot(entry.after);
+        this.undoStack.push(entry);
+
+        this._notifyChange();
+        return entry;
+    }
+
+    /**
+     * Undo back to (and including) the most recent entry from a given source.
+     * Later entries are undone as well, since snapshots are restored in order.
+     * While a change is running, this waits for it to finish.
+     * @param {string} source - Source to look for (e.g., 'ai')
+     * @returns {Object|null|Promise<Object|null>} - The undone entry, or null if none was found
+     */
+    undoLastFromSource(source) {
+        if (this.activeScope) {
+            return this._waitForTurn(null, () => this.undoLastFromSource(source));
+        }
+
+        const entry = this.getLastEntry(source);
+        if (!entry) {
+            console.log(`No ${source} changes to undo`);
+            return null;
+        }
+
+        while (this.undoStack.length > 0) {
+            if (this.undo() === entry) break;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get the most recent undoable entry, optionally filtered by source
+     * @param {string} source - Optional source filter
+     * @returns {Object|null} - The entry or null
+     */
+    getLastEntry(source = null) {
+        for (let i = this.undoStack.length - 1; i >= 0; i--) {
+            if (!source || this.undoStack[i].source === source) {
+                return this.undoStack[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Clear all history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._notifyChange();
+    }
+
+    /**
+     * Register a callback to be called whenever the history changes
+     * @param {Function} callback - The callback function
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.onChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Check if there is anything to undo
+     * @returns {boolean} - True if undo is possible
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check if there is anything to redo
+     * @returns {boolean} - True if redo is possible
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Add an entry to the undo stack, dropping the redo stack
+     * @param {Object} entry - History entry
+     * @private
+     */
+    pushEntry(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this._notifyChange();
+    }
+
+    /**
+     * Run a record or batch while holding the history, then record its entry
+     * @param {Object} scope - Batch (records use a batch of their own)
+     * @param {Function} applyFunction - Function that applies the changes, called with the batch
+     * @returns {any} - The return value of applyFunction
+     * @private
+     */
+    _runScope(scope, applyFunction) {
+        scope.before = this.captureSnapshot();
+        this.activeScope = scope;
+
+        let result;
+        try {
+            result = applyFunction(scope);
+        } catch (error) {
+            this._finishScope(scope, false);
+            throw error;
+        }
+
+        // Asynchronous changes keep the history until they have finished
+        if (result && typeof result.then === 'function') {
+            return result.then(
+                value => {
+                    this._finishScope(scope, true);
+                    return value;
+                },
+                error => {
+                    this._finishScope(scope, false);
+                    throw error;
+                }
+            );
+        }
+
+        this._finishScope(scope, true);
+        return result;
+    }
+
+    /**
+     * Record the entry of a finished record or batch and let waiting changes run.
+     * Failed changes and changes that left the scene as it was get no entry, so they
+     * don't drop the redo stack.
+     * @param {Object} scope - The finished batch
+     * @param {boolean} succeeded - False if the change threw
+     * @private
+     */
+    _finishScope(scope, succeeded) {
+        this.activeScope = null;
+
+        if (succeeded) {
+            const after = this.captureSnapshot();
+            if (!this._isSameSnapshot(scope.before, after)) {
+                this.pushEntry({
+                    label: scope.label,
+                    source: scope.source,
+                    before: scope.before,
+                    after
+                });
+            }
+        }
+
+        this._runWaiting();
+    }
+
+    /**
+     * Check if two snapshots describe the same scene.
+     * Environment objects are compared by reference, like the snapshots hold them.
+     * @param {Object} a - Scene snapshot
+     * @param {Object} b - Scene snapshot
+     * @returns {boolean} - True if nothing changed between the snapshots
+     * @private
+     */
+    _isSameSnapshot(a, b) {
+        for (const key of ['sky', 'ground', 'player']) {
+            if (JSON.stringify(a[key]) !== JSON.stringify(b[key])) return false;
+        }
+
+        const before = a.environment || {};
+        const after = b.environment || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+        for (const key of keys) {
+            const first = before[key];
+            const second = after[key];
+
+            if (Array.isArray(first) && Array.isArray(second)) {
+                if (first.length !== second.length || first.some((item, i) => item !== second[i])) return false;
+            } else if (first !== second) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Queue a change until the history is free (or its batch is the one running)
+     * @param {Object|null} batch - Batch the change was issued in
+     * @param {Function} run - Function to call once it is the change's turn
+     * @returns {Promise} - Resolves to the return value of run
+     * @private
+     */
+    _waitForTurn(batch, run) {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({
+                batch,
+                run: () => {
+                    try {
+                        resolve(run());
+                    } catch (error) {
+                        reject(error);
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Run waiting changes in order, as far as the history allows
+     * @private
+     */
+    _runWaiting() {
+        if (this.isRunningWaiting) return;
+
+        this.isRunningWaiting = true;
+        try {
+            let index;
+            // Changes issued in the running batch join it; anything else waits until the history is free
+            while ((index = this.waiting.findIndex(waiter => !this.activeScope || waiter.batch === this.activeScope)) !== -1) {
+                const [waiter] = this.waiting.splice(index, 1);
+                waiter.run();
+            }
+        } finally {
+            this.isRunningWaiting = false;
+        }
+    }
+
+    /**
+     * Notify all registered callbacks that the history changed
+     * @private
+     */
+    _notifyChange() {
+        this.onChangeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in history change callback:', error);
+            }
+        });
+    }
+}
+
+// Export the CommandHistory class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandHistory };
+}
@@ -2,21 +2,41 @@
  * CommandQueue.js
  * Responsible for queuing and sequentially executing commands.
  * Allows for multiple commands to be executed in sequence with optional delays.
+ * Commands that return promises are awaited, and execution can be paused, resumed and cancelled.
  */
 
+// What to do when a command fails: stop the queue, skip to the next command, or retry it
+const COMMAND_QUEUE_FAILURE_POLICIES = ['stop', 'skip', 'retry'];
+
 class CommandQueue {
     /**
      * Create a command queue
      * @param {CommandDispatcher} commandDispatcher - The command dispatcher to use for executing commands
      * @param {Object} options - Queue options
      * @param {number} options.defaultDelay - Default delay between commands in milliseconds
+     * @param {number} options.defaultTimeout - Default time a command may take in milliseconds (0 for no limit)
+     * @param {string} options.failurePolicy - Default failure policy: 'skip' (default), 'stop' or 'retry'
+     * @param {number} options.maxRetries - Retries for commands with the 'retry' policy
      */
     constructor(commandDispatcher, options = {}) {
         this.commandDispatcher = commandDispatcher;
         this.queue = [];
         this.isExecuting = false;
         this.defaultDelay = options.defaultDelay || 150; // Default delay between commands (ms)
+        this.defaultTimeout = options.defaultTimeout !== undefined ? options.defaultTimeout : 10000;
+        this.failurePolicy = options.failurePolicy || 'skip';
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+        
+        // Pause and cancel state
+        this.isPaused = false;
+        this.isCancelled = false;
+        this.resumeCallback = null;
+        
+        // Event listeners
         this.onQueueEmptyCallbacks = [];
+        this.onCommandStartCallbacks = [];
+        this.onCommandCompleteCallbacks = [];
+        this.onCommandFailCallbacks = [];
     }
     
     /**
@@ -24,13 +44,26 @@ class CommandQueue {
      * @param {string} commandName - The name of the command to add
      * @param {Object} params - Optional parameters for the command
      * @param {number} delay - Optional delay before executing this command (overrides default)
+     * @param {Object} options - Optional per-command settings
+     * @param {number} options.timeout - Time the command may take in milliseconds (overrides default)
+     * @param {string} options.onFailure - Failure policy for this command: 'stop', 'skip' or 'retry'
+     *                                    (commands that time out are not retried)
+     * @param {number} options.retries - Retries when the policy is 'retry' (overrides maxRetries)
      * @returns {CommandQueue} - Returns this for method chaining
      */
-    addCommand(commandName, params = {}, delay = null) {
+    addCommand(commandName, params = {}, delay = null, options = {}) {
+        const onFailure = options.onFailure || this.failurePolicy;
+        if (!COMMAND_QUEUE_FAILURE_POLICIES.includes(onFailure)) {
+            throw new Error(`Unknown failure policy: ${onFailure}`);
+        }
+        
         this.queue.push({
             commandName,
             params,
-            delay: delay !== null ? delay : this.defaultDelay
+            delay: delay !== null ? delay : this.defaultDelay,
+            timeout: options.timeout !== undefined ? options.timeout : this.defaultTimeout,
+            onFailure,
+            retries: options.retries !== undefined ? options.retries : this.maxRetries
         });
         
         return this; // Allow method chaining
@@ -38,15 +71,16 @@ class CommandQueue {
     
     /**
      * Add multiple commands to the queue
-     * @param {Array} commands - Array of command objects {commandName, params, delay}
+     * @param {Array} commands - Array of command objects {commandName, params, delay, timeout, onFailure, retries}
      * @returns {CommandQueue} - Returns this for method chaining
      */
     addCommands(commands) {
         commands.forEach(cmd => {
             this.addCommand(
-                cmd.commandName, 
-                cmd.params || {}, 
-                cmd.delay !== undefined ? cmd.delay : this.defaultDelay
+                cmd.commandName,
+                cmd.params || {},
+                cmd.delay !== undefined ? cmd.delay : this.defaultDelay,
+                { timeout: cmd.timeout, onFailure: cmd.onFailure, retries: cmd.retries }
             );
         });
         
@@ -54,22 +88,62 @@ class CommandQueue {
     }
     
     /**
-     * Clear all commands from the queue
+     * Clear all pending commands from the queue.
+     * A command that is already running finishes; use cancel() to also stop execution.
      * @returns {CommandQueue} - Returns this for method chaining
      */
     clearQueue() {
-        if (!this.isExecuting) {
-            this.queue = [];
-        } else {
-            console.warn('Cannot clear queue while it is executing');
+        this.queue = [];
+        
+        return this; // Allow method chaining
+    }
+    
+    /**
+     * Pause execution after the running command finishes
+     * @returns {CommandQueue} - Returns this for method chaining
+     */
+    pause() {
+        if (this.isExecuting && !this.isPaused) {
+            console.log('Pausing command queue');
+            this.isPaused = true;
         }
         
         return this; // Allow method chaining
     }
     
+    /**
+     * Resume a paused queue
+     * @returns {CommandQueue} - Returns this for method chaining
+     */
+    resume() {
+        if (this.isPaused) {
+            console.log('Resuming command queue');
+            this.isPaused = false;
+            this._releasePause();
+        }
+        
+        return this; // Allow method chaining
+    }
+    
+    /**
+     * Stop execution after the running command finishes and drop the remaining commands
+     * @returns {CommandQueue} - Returns this for method chaining
+     */
+    cancel() {
+        if (this.isExecuting) {
+            console.log(`Cancelling command queue with ${this.queue.length} commands left`);
+            this.isCancelled = true;
+            this.isPaused = false;
+            this._releasePause();
+        }
+        
+        this.queue = [];
+        return this; // Allow method chaining
+    }
+    
     /**
      * Execute the next command in the queue
-     * @returns {Promise} - Promise that resolves when the command is executed
+     * @returns {Promise<boolean>} - Promise that resolves to true if the command succeeded
      */
     async executeNext() {
         if (this.queue.length === 0) {
@@ -78,28 +152,25 @@ class CommandQueue {
         }
         
         const command = this.queue.shift();
+        const success = await this._runCommand(command, 0, 1);
         
-        try {
-            console.log(`Executing command: ${command.commandName}`);
-            const result = this.commandDispatcher.executeCommand(command.commandName, command.params);
-            
-            // If this was the last command, notify listeners
-            if (this.queue.length === 0) {
-                this._notifyQueueEmpty();
-            }
-            
-            return result;
-        } catch (error) {
-            console.error(`Error executing command ${command.commandName}:`, error);
-            return false;
+        // If this was the last command, notify listeners
+        if (this.queue.length === 0) {
+            this._notifyQueueEmpty();
         }
+        
+        return success;
     }
     
     /**
-     * Execute all commands in the queue sequentially
-     * @returns {Promise} - Promise that resolves when all commands are executed
+     * Execute all commands in the queue sequentially, waiting for commands that return promises
+     * @param {Function} onProgress - Called after each command with (command, index, total, success) (optional)
+     * @param {Object} options - Optional run settings
+     * @param {Object} options.batch - History batch the commands belong to (see CommandHistory.runBatch)
+     * @returns {Promise<boolean>} - Resolves to true if the queue ran to the end, false if it was
+     *                               cancelled or stopped by a failing command
      */
-    async executeAll() {
+    async executeAll(onProgress = null, options = {}) {
         if (this.isExecuting) {
             console.warn('Queue is already executing');
             return false;
@@ -111,15 +182,35 @@ class CommandQueue {
         }
         
         this.isExecuting = true;
-        console.log(`Executing all ${this.queue.length} commands in queue`);
+        this.isCancelled = false;
+        this.isPaused = false;
+        const total = this.queue.length;
+        console.log(`Executing all ${total} commands in queue`);
         
+        let completed = true;
         try {
-            while (this.queue.length > 0) {
+            for (let index = 0; this.queue.length > 0; index++) {
+                // Wait here while paused
+                await this._waitWhilePaused();
+                if (this.isCancelled) {
+                    completed = false;
+                    break;
+                }
+                
                 const command = this.queue.shift();
+                const success = await this._runCommand(command, index, total, options.batch);
                 
-                // Execute the command
-                console.log(`Executing command: ${command.commandName}`);
-                this.commandDispatcher.executeCommand(command.commandName, command.params);
+                if (onProgress) {
+                    onProgress(command, index, total, success);
+                }
+                
+                if (!success && command.onFailure !== 'skip') {
+                    // 'stop', or 'retry' with no retries left
+                    console.warn(`Stopping command queue after ${command.commandName} failed`);
+                    this.queue = [];
+                    completed = false;
+                    break;
+                }
                 
                 // Wait for the specified delay if there are more commands
                 if (this.queue.length > 0 && command.delay > 0) {
@@ -127,15 +218,20 @@ class CommandQueue {
                 }
             }
             
+            if (this.isCancelled) {
+                completed = false;
+            }
+            
             // Notify listeners that the queue is empty
             this._notifyQueueEmpty();
             
-            this.isExecuting = false;
-            return true;
+            return completed;
         } catch (error) {
             console.error('Error executing command queue:', error);
-            this.isExecuting = false;
             return false;
+        } finally {
+            this.isExecuting = false;
+            this.isPaused = false;
         }
     }
     
@@ -149,6 +245,37 @@ class CommandQueue {
         }
     }
     
+    /**
+     * Register a callback to be called when a command starts
+     * @param {Function} callback - Called with (command, index, total, attempt)
+     */
+    onCommandStart(callback) {
+        if (typeof callback === 'function') {
+            this.onCommandStartCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * Register a callback to be called when a command completes
+     * @param {Function} callback - Called with (command, index, total)
+     */
+    onCommandComplete(callback) {
+        if (typeof callback === 'function') {
+            this.onCommandCompleteCallbacks.push(callback);
+        }
+    }
+    
+    /**
+     * Register a callback to be called when a command fails
+     * @param {Function} callback - Called with (command, index, total, error, action) where action
+     *                              is what happens next: 'retry', 'skip' or 'stop'
+     */
+    onCommandFail(callback) {
+        if (typeof callback === 'function') {
+            this.onCommandFailCallbacks.push(callback);
+        }
+    }
+    
     /**
      * Get the number of commands in the queue
      * @returns {number} - The number of commands in the queue
@@ -165,6 +292,119 @@ class CommandQueue {
         return this.isExecuting;
     }
     
+    /**
+     * Check if the queue is paused
+     * @returns {boolean} - True if the queue is paused
+     */
+    get paused() {
+        return this.isPaused;
+    }
+    
+    /**
+     * Run a single command, applying its timeout and retry policy
+     * @param {Object} command - Queued command
+     * @param {number} index - Position of the command in the current run
+     * @param {number} total - Number of commands in the current run
+     * @param {Object} batch - History batch the command belongs to (optional)
+     * @returns {Promise<boolean>} - True if the command succeeded
+     * @private
+     */
+    async _runCommand(command, index, total, batch = null) {
+        const attempts = command.onFailure === 'retry' ? command.retries + 1 : 1;
+        
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            this._notify(this.onCommandStartCallbacks, command, index, total, attempt);
+            console.log(`Executing command: ${command.commandName}${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+            
+            let error = null;
+            let retryable = true;
+            try {
+                const result = await this._withTimeout(
+                    this.commandDispatcher.executeCommandAsync(command.commandName, command.params, { batch }),
+                    command.timeout,
+                    command.commandName
+                );
+                if (!result || !result.ok) {
+                    error = new Error(result && result.error ? result.error.message : `Command '${command.commandName}' failed`);
+                    
+                    // Unknown commands and invalid parameters fail the same way every time
+                    retryable = !result || !result.error || result.error.code === 'execution_failed';
+                }
+            } catch (timeoutError) {
+                error = timeoutError;
+                
+                // The command may still be running, so a retry would run it a second time
+                retryable = false;
+            }
+            
+            if (!error) {
+                this._notify(this.onCommandCompleteCallbacks, command, index, total);
+                return true;
+            }
+            
+            const canRetry = attempt < attempts && retryable && !this.isCancelled;
+            const action = canRetry ? 'retry' : (command.onFailure === 'skip' ? 'skip' : 'stop');
+            console.warn(`${error.message} (${action})`);
+            this._notify(this.onCommandFailCallbacks, command, index, total, error, action);
+            
+            if (!canRetry) {
+                return false;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Reject if a promise takes longer than the timeout
+     * @param {Promise} promise - The promise to wait for
+     * @param {number} timeout - Timeout in milliseconds (0 for no limit)
+     * @param {string} commandName - Command name for the error message
+     * @returns {Promise} - Promise that settles like the original or rejects on timeout
+     * @private
+     */
+    _withTimeout(promise, timeout, commandName) {
+        if (!timeout) {
+            return promise;
+        }
+        
+        let timeoutId;
+        const timer = new Promise((resolve, reject) => {
+            timeoutId = setTimeout(() => {
+                reject(new Error(`Command '${commandName}' timed out after ${timeout}ms`));
+            }, timeout);
+        });
+        
+        return Promise.race([promise, timer]).finally(() => clearTimeout(timeoutId));
+    }
+    
+    /**
+     * Wait until the queue is resumed or cancelled
+     * @returns {Promise} - Promise that resolves when execution may continue
+     * @private
+     */
+    _waitWhilePaused() {
+        if (!this.isPaused) {
+            return Promise.resolve();
+        }
+        
+        return new Promise(resolve => {
+            this.resumeCallback = resolve;
+        });
+    }
+    
+    /**
+     * Let a paused queue continue
+     * @private
+     */
+    _releasePause() {
+        if (this.resumeCallback) {
+            const resolve = this.resumeCallback;
+            this.resumeCallback = null;
+            resolve();
+        }
+    }
+    
     /**
      * Create a delay using a promise
      * @param {number} ms - The delay in milliseconds
@@ -176,21 +416,31 @@ class CommandQueue {
     }
     
     /**
-     * Notify all registered callbacks that the queue is empty
+     * Call every callback in a list with the given arguments
+     * @param {Array} callbacks - Callback functions
+     * @param {...*} args - Arguments for the callbacks
      * @private
      */
-    _notifyQueueEmpty() {
-        this.onQueueEmptyCallbacks.forEach(callback => {
+    _notify(callbacks, ...args) {
+        callbacks.forEach(callback => {
             try {
-                callback();
+                callback(...args);
             } catch (error) {
-                console.error('Error in queue empty callback:', error);
+                console.error('Error in command queue callback:', error);
             }
         });
     }
+    
+    /**
+     * Notify all registered callbacks that the queue is empty
+     * @private
+     */
+    _notifyQueueEmpty() {
+        this._notify(this.onQueueEmptyCallbacks);
+    }
 }
 
 // Export the CommandQueue class
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CommandQueue };
+    module.exports = { CommandQueue, COMMAND_QUEUE_FAILURE_POLICIES };
 }
@@ -0,0 +1,182 @@
+/**
+ * ConversationContext.js
+ * Rolling history of natural language requests and what they did, so follow-up commands
+ * ("make them taller", "add more of those") can be resolved. Old turns are dropped to keep
+ * the history within a token budget.
+ */
+
+// Words that only make sense with an earlier request to refer to
+const CONVERSATION_FOLLOW_UP_PATTERN = /\b(them|those|these|they|their|more|again|another|same|too|also|instead|previous|last)\b/i;
+
+class ConversationContext {
+    /**
+     * Create a conversation context
+     * @param {Object} options - Context options
+     * @param {number} options.maxTokens - Estimated tokens the context may add to a prompt (default 1200)
+     * @param {number} options.maxTurns - Turns kept at most (default 10)
+     * @param {number} options.maxReplyTokens - Estimated tokens kept of each turn's result (default 120)
+     */
+    constructor(options = {}) {
+        this.maxTokens = options.maxTokens !== undefined ? options.maxTokens : 1200;
+        this.maxTurns = options.maxTurns !== undefined ? options.maxTurns : 10;
+        this.maxReplyTokens = options.maxReplyTokens !== undefined ? options.maxReplyTokens : 120;
+
+        this.turns = [];
+        this.onChangeCallbacks = [];
+    }
+
+    /**
+     * Estimate the number of tokens in a text (about four characters per token)
+     * @param {string} text - Text to measure
+     * @returns {number} - Estimated token count
+     */
+    static estimateTokens(text) {
+        return Math.ceil((text || '').length / 4);
+    }
+
+    /**
+     * Check whether a request refers back to an earlier one
+     * @param {string} input - User input text
+     * @returns {boolean} - True if the input contains words like "them", "those" or "more"
+     */
+    static isFollowUp(input) {
+        return CONVERSATION_FOLLOW_UP_PATTERN.test(input || '');
+    }
+
+    /**
+     * Record a finished request
+     * @param {string} userInput - What the user asked for
+     * @param {string} result - Short description of what was done
+     * @param {Object} details - Turn details
+     * @param {string} details.type - Request type (e.g., 'simple_parameter', 'code_generator')
+     * @param {Array} details.spawned - IDs of the objects the request created
+     * @returns {Object} - The recorded turn {user, result, type, spawned, tokens, createdAt}
+     */
+    addTurn(userInput, result, details = {}) {
+        const turn = {
+            user: userInput,
+            result: this.truncate(result || 'No changes', this.maxReplyTokens),
+            type: details.type || null,
+            spawned: details.spawned || [],
+            createdAt: new Date().toISOString()
+        };
+        turn.tokens = ConversationContext.estimateTokens(turn.user) + ConversationContext.estimateTokens(turn.result);
+
+        this.turns.push(turn);
+        this.trim();
+
+        this._notifyChange();
+        return turn;
+    }
+
+    /**
+     * Format the newest turns that fit a token budget, oldest first
+     * @param {number} tokenBudget - Estimated tokens available (defaults to maxTokens)
+     * @returns {string} - One "User:"/"Result:" pair per turn, or an empty string if there are no turns
+     */
+    getTranscript(tokenBudget = this.maxTokens) {
+        const lines = [];
+        let tokens = 0;
+
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            const turn = this.turns[i];
+            if (tokens + turn.tokens > tokenBudget) break;
+
+            tokens += turn.tokens;
+            lines.unshift(`User: ${turn.user}\nResult: ${turn.result}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Get the most recent turn that created objects
+     * @returns {Object|null} - The turn, or null if no recorded request created anything
+     */
+    getLastSpawnTurn() {
+        for (let i = this.turns.length - 1; i >= 0; i--) {
+            if (this.turns[i].spawned.length > 0) {
+                return this.turns[i];
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether any turns have been recorded
+     * @returns {boolean} - True if the conversation is empty
+     */
+    isEmpty() {
+        return this.turns.length === 0;
+    }
+
+    /**
+     * Get the estimated tokens of all recorded turns
+     * @returns {number} - Estimated token count
+     */
+    getTokenCount() {
+        return this.turns.reduce((total, turn) => total + turn.tokens, 0);
+    }
+
+    /**
+     * Start a new conversation
+     */
+    reset() {
+        this.turns = [];
+        this._notifyChange();
+        console.log('Conversation context reset');
+    }
+
+    /**
+     * Register a callback to be called whenever turns are added or removed
+     * @param {Function} callback - The callback function
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.onChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Drop the oldest turns beyond maxTurns or the token budget
+     * @private
+     */
+    trim() {
+        while (this.turns.length > this.maxTurns ||
+               (this.turns.length > 1 && this.getTokenCount() > this.maxTokens)) {
+            this.turns.shift();
+        }
+    }
+
+    /**
+     * Shorten text to an estimated token count
+     * @param {string} text - Text to shorten
+     * @param {number} maxTokens - Estimated tokens allowed
+     * @returns {string} - The text, cut with an ellipsis if it was too long
+     * @private
+     */
+    truncate(text, maxTokens) {
+        const maxLength = maxTokens * 4;
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+    }
+
+    /**
+     * Notify all registered callbacks that the conversation changed
+     * @private
+     */
+    _notifyChange() {
+        this.onChangeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in conversation change callback:', error);
+            }
+        });
+    }
+}
+
+// Export the ConversationContext class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConversationContext };
+}
@@ -0,0 +1,448 @@
+/**
+ * DeveloperConsole.js
+ * In-game console for running raw CommandDispatcher commands ('spawn_tree_type:pine',
+ * 'add_rock x=10 z=-4'). Toggled with the backtick key; supports autocomplete, parameter
+ * hints, command history and multi-line scripts.
+ */
+
+// Lines the console handles itself instead of sending them to the dispatcher
+const DEVELOPER_CONSOLE_BUILTINS = ['help', 'clear', 'wait'];
+
+// Longest pause a script may ask for with 'wait'
+const DEVELOPER_CONSOLE_MAX_WAIT = 10000;
+
+class DeveloperConsole {
+    /**
+     * Create a developer console
+     * @param {CommandDispatcher} commandDispatcher - Dispatcher that runs the commands
+     * @param {Object} elements - DOM elements of the console
+     * @param {HTMLElement} elements.container - Overlay shown and hidden by the toggle key
+     * @param {HTMLTextAreaElement} elements.input - Command input (Shift+Enter adds a line)
+     * @param {HTMLElement} elements.output - Log of commands and their results
+     * @param {HTMLElement} elements.hint - Parameter hint for the command being typed (optional)
+     * @param {Object} options - Console options
+     * @param {string} options.toggleKey - KeyboardEvent.code that opens and closes the console (default 'Backquote')
+     * @param {number} options.historyLimit - Number of inputs kept in history (default 50)
+     * @param {string} options.storageKey - localStorage key for the history (default 'developer_console_history')
+     */
+    constructor(commandDispatcher, elements, options = {}) {
+        this.commandDispatcher = commandDispatcher;
+        this.container = elements.container;
+        this.input = elements.input;
+        this.output = elements.output;
+        this.hint = elements.hint || null;
+
+        this.toggleKey = options.toggleKey || 'Backquote';
+        this.historyLimit = options.historyLimit || 50;
+        this.storageKey = options.storageKey || 'developer_console_history';
+
+        this.history = this.loadHistory();
+        this.historyIndex = this.history.length;
+        this.draft = '';
+        this.isRunning = false;
+
+        this.setupListeners();
+    }
+
+    /**
+     * Whether the console is visible
+     * @returns {boolean} - True if open
+     */
+    get isOpen() {
+        return !this.container.classList.contains('hidden');
+    }
+
+    /**
+     * Show the console and focus its input
+     */
+    open() {
+        this.container.classList.remove('hidden');
+        this.input.focus();
+        this.updateHint();
+    }
+
+    /**
+     * Hide the console
+     */
+    close() {
+        this.container.classList.add('hidden');
+        this.input.blur();
+    }
+
+    /**
+     * Show or hide the console
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Run the text in the input and add it to the history
+     * @returns {Promise<boolean>} - True if every command succeeded
+     */
+    async submit() {
+        const text = this.input.value;
+        if (!text.trim() || this.isRunning) {
+            return false;
+        }
+
+        this.addToHistory(text);
+        this.input.value = '';
+        this.updateHint();
+
+        return this.runScript(text);
+    }
+
+    /**
+     * Run one or more commands, one per line. Empty lines and lines starting with '#' or '//'
+     * are skipped; 'wait <ms>' pauses a script, 'help [command]' and 'clear' are handled here.
+     * A script with several commands is recorded as a single undo step.
+     * @param {string} text - Commands to run
+     * @returns {Promise<boolean>} - True if every command succeeded (stops at the first failure)
+     */
+    async runScript(text) {
+        const lines = text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#') && !line.startsWith('//'));
+        if (lines.length === 0) {
+            return true;
+        }
+
+        // History commands cannot run inside the batch they would undo
+        const commandLines = lines.filter(line => !DEVELOPER_CONSOLE_BUILTINS.includes(this.getCommandName(line)));
+        const history = this.commandDispatcher.history;
+        const batched = history && commandLines.length > 1 && !commandLines.some(line => {
+            const schema = this.commandDispatcher.getCommandSchema(this.getCommandName(line));
+            return schema && schema.internal;
+        });
+
+        this.isRunning = true;
+        try {
+            if (batched) {
+                return await history.runBatch(`Console: ${commandLines.length} commands`,
+                    batch => this.runLines(lines, batch), 'user');
+            }
+            return await this.runLines(lines, null);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Run script lines in order, stopping at the first failure
+     * @param {Array<string>} lines - Command lines
+     * @param {Object|null} batch - History batch the commands belong to
+     * @returns {Promise<boolean>} - True if every line succeeded
+     * @private
+     */
+    async runLines(lines, batch) {
+        for (const line of lines) {
+            this.print(`> ${line}`, 'input');
+            const success = await this.runLine(line, batch);
+            if (!success) {
+                if (lines.length > 1) {
+                    this.print('Script stopped', 'error');
+                }
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Run a single console line and print its result
+     * @param {string} line - Command line
+     * @param {Object|null} batch - History batch the command belongs to (optional)
+     * @returns {Promise<boolean>} - True if it succeeded
+     * @private
+     */
+    async runLine(line, batch = null) {
+        const commandName = this.getCommandName(line);
+        const argument = line.slice(commandName.length).trim();
+
+        switch (commandName) {
+            case 'help': {
+                const help = this.commandDispatcher.getHelpText(argument || null);
+                if (!help) {
+                    this.print(`Unknown command: ${argument}`, 'error');
+                    return false;
+                }
+                this.print(help, 'info');
+                if (!argument) {
+                    this.print('Console: help [command], clear, wait <ms>; Tab completes, Shift+Enter adds a line', 'info');
+                }
+                return true;
+            }
+
+            case 'clear':
+                this.output.innerHTML = '';
+                return true;
+
+            case 'wait': {
+                const milliseconds = Number(argument);
+                if (!argument || isNaN(milliseconds) || milliseconds < 0 || milliseconds > DEVELOPER_CONSOLE_MAX_WAIT) {
+                    this.print(`wait needs a time between 0 and ${DEVELOPER_CONSOLE_MAX_WAIT} ms`, 'error');
+                    return false;
+                }
+                await new Promise(resolve => setTimeout(resolve, milliseconds));
+                return true;
+            }
+
+            default: {
+                const result = await this.commandDispatcher.executeCommandAsync(line, {}, { batch });
+                if (result.ok) {
+                    const params = Object.keys(result.params).length > 0 ? ` ${JSON.stringify(result.params)}` : '';
+                    this.print(`✓ ${result.command}${params}`, 'success');
+                } else {
+                    this.print(`✗ ${result.error.code}: ${result.error.message}`, 'error');
+                }
+                return result.ok;
+            }
+        }
+    }
+
+    /**
+     * Complete the word before the cursor: command names first, then parameter names and enum values
+     * @returns {Array} - Candidates for the word (empty if nothing matches)
+     */
+    autocomplete() {
+        const cursor = this.input.selectionStart;
+        const before = this.input.value.slice(0, cursor);
+        const lineStart = before.lastIndexOf('\n') + 1;
+        const line = before.slice(lineStart);
+        const word = line.match(/\S*$/)[0];
+
+        const candidates = this.getCompletions(line);
+        if (candidates.length === 0) {
+            return candidates;
+        }
+
+        // Fill in what all candidates share, and list them when there is more than one
+        const common = candidates.reduce((prefix, candidate) => {
+            let length = 0;
+            while (length < prefix.length && prefix[length] === candidate[length]) length++;
+            return prefix.slice(0, length);
+        });
+        const valueStart = word.includes('=') ? word.indexOf('=') + 1 : (word.includes(':') ? word.indexOf(':') + 1 : 0);
+        const completion = common + (candidates.length === 1 && !common.endsWith('=') ? ' ' : '');
+
+        const replaceFrom = cursor - word.length + valueStart;
+        this.input.value = this.input.value.slice(0, replaceFrom) + completion + this.input.value.slice(cursor);
+        this.input.selectionStart = this.input.selectionEnd = replaceFrom + completion.length;
+
+        if (candidates.length > 1) {
+            this.print(candidates.join('  '), 'info');
+        }
+        this.updateHint();
+
+        return candidates;
+    }
+
+    /**
+     * Get completions for the last word of a line
+     * @param {string} line - Line up to the cursor
+     * @returns {Array} - Matching command names, 'param=' names or enum values
+     * @private
+     */
+    getCompletions(line) {
+        const word = line.match(/\S*$/)[0];
+        const commands = [...this.commandDispatcher.getAvailableCommands(), ...DEVELOPER_CONSOLE_BUILTINS];
+
+        // First word: the command name (unless it already has a ':value')
+        if (line.trim() === word && !word.includes(':')) {
+            return commands.filter(command => command.startsWith(word)).sort();
+        }
+
+        // 'help <command>'
+        const commandName = this.getCommandName(line);
+        if (commandName === 'help') {
+            return this.commandDispatcher.getAvailableCommands().filter(command => command.startsWith(word)).sort();
+        }
+
+        const schema = this.commandDispatcher.getCommandSchema(commandName);
+        if (!schema) {
+            return [];
+        }
+
+        // 'name:value' or 'key=value': enum values of that parameter
+        const valueMatch = /^(?:[^\s:]+:|(\w+)=)(.*)$/.exec(word);
+        if (valueMatch) {
+            const param = valueMatch[1]
+                ? schema.params.find(candidate => candidate.name === valueMatch[1])
+                : schema.params[0];
+            return param && param.values
+                ? param.values.filter(value => value.startsWith(valueMatch[2]))
+                : [];
+        }
+
+        // Parameter names that have not been given yet
+        const given = (line.match(/(\w+)=/g) || []).map(name => name.slice(0, -1));
+        return schema.params
+            .filter(param => !given.includes(param.name))
+            .map(param => `${param.name}=`)
+            .filter(name => name.startsWith(word));
+    }
+
+    /**
+     * Show the usage of the command on the cursor's line
+     */
+    updateHint() {
+        if (!this.hint) return;
+
+        const before = this.input.value.slice(0, this.input.selectionStart);
+        const line = before.slice(before.lastIndexOf('\n') + 1);
+        const commandName = this.getCommandName(line);
+
+        this.hint.textContent = commandName && this.commandDispatcher.getCommandSchema(commandName)
+            ? this.commandDispatcher.getHelpText(commandName)
+            : '';
+    }
+
+    /**
+     * Step through earlier inputs
+     * @param {number} direction - -1 for older, 1 for newer
+     */
+    browseHistory(direction) {
+        if (this.history.length === 0) return;
+
+        // Keep what was being typed so stepping past the newest entry brings it back
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.input.value;
+        }
+
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + direction));
+        this.input.value = this.historyIndex === this.history.length ? this.draft : this.history[this.historyIndex];
+        this.input.selectionStart = this.input.selectionEnd = this.input.value.length;
+        this.updateHint();
+    }
+
+    /**
+     * Append a line to the output
+     * @param {string} text - Text to print
+     * @param {string} type - 'input', 'success', 'error' or 'info'
+     */
+    print(text, type = 'info') {
+        const entry = document.createElement('div');
+        entry.className = `console-line console-${type}`;
+        entry.textContent = text;
+        this.output.appendChild(entry);
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    /**
+     * Get the command name at the start of a line
+     * @param {string} line - Command line
+     * @returns {string} - Command name ('' for an empty line)
+     * @private
+     */
+    getCommandName(line) {
+        const match = /^\s*([^\s:]+)/.exec(line);
+        return match ? match[1] : '';
+    }
+
+    /**
+     * Add an input to the history, skipping repeats of the last one
+     * @param {string} text - Input text
+     * @private
+     */
+    addToHistory(text) {
+        if (this.history[this.history.length - 1] !== text) {
+            this.history.push(text);
+            this.history = this.history.slice(-this.historyLimit);
+        }
+        this.historyIndex = this.history.length;
+        this.draft = '';
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('Could not save console history:', error);
+        }
+    }
+
+    /**
+     * Load the saved history from localStorage
+     * @returns {Array} - Earlier inputs, oldest first
+     * @private
+     */
+    loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(entry => typeof entry === 'string').slice(-this.historyLimit) : [];
+        } catch (error) {
+            console.warn('Could not load console history:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Wire up the toggle key and the input's keyboard handling
+     * @private
+     */
+    setupListeners() {
+        window.addEventListener('keydown', (event) => {
+            if (event.code !== this.toggleKey || event.ctrlKey || event.metaKey || event.altKey) return;
+
+            // Typing a backtick elsewhere is left alone; inside the console it closes it
+            const target = event.target;
+            const typing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+            if (typing && target !== this.input) return;
+
+            event.preventDefault();
+            this.toggle();
+        });
+
+        this.input.addEventListener('keydown', (event) => {
+            // Keep player movement and other shortcuts from reacting to typing
+            if (event.code !== this.toggleKey) {
+                event.stopPropagation();
+            }
+
+            const onFirstLine = !this.input.value.slice(0, this.input.selectionStart).includes('\n');
+            const onLastLine = !this.input.value.slice(this.input.selectionEnd).includes('\n');
+
+            switch (event.key) {
+                case 'Enter':
+                    if (event.shiftKey) return;
+                    event.preventDefault();
+                    this.submit();
+                    break;
+
+                case 'Tab':
+                    event.preventDefault();
+                    this.autocomplete();
+                    break;
+
+                case 'ArrowUp':
+                    if (!onFirstLine) return;
+                    event.preventDefault();
+                    this.browseHistory(-1);
+                    break;
+
+                case 'ArrowDown':
+                    if (!onLastLine) return;
+                    event.preventDefault();
+                    this.browseHistory(1);
+                    break;
+
+                case 'Escape':
+                    event.preventDefault();
+                    this.close();
+                    break;
+            }
+        });
+
+        this.input.addEventListener('keyup', (event) => event.stopPropagation());
+        this.input.addEventListener('input', () => this.updateHint());
+        this.input.addEventListener('click', () => this.updateHint());
+    }
+}
+
+// Export the DeveloperConsole class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeveloperConsole };
+}
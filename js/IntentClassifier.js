@@ -0,0 +1,235 @@
+/**
+ * IntentClassifier.js
+ * Responsible for deciding what kind of request a user input is, with a confidence score.
+ * A local keyword classifier handles clear cases; ambiguous inputs can be sent to a cheap
+ * LLM call through NaturalLanguageRouter.
+ */
+
+// Intents the router can handle
+const INTENT_TYPES = ['simple_parameter', 'code_generator', 'player', 'query', 'plan'];
+
+// Weighted cues for the local classifier. A cue adds its weight to its intent when it matches.
+const INTENT_CUES = {
+    query: [
+        { pattern: /^\s*(?:how\s+(?:many|much|tall|big|far)|what(?:'s|\s+is|\s+are|\s+color|\s+colour)?|where|which|who|why|when)\b/, weight: 2, reason: 'starts with a question word' },
+        { pattern: /^\s*(?:is|are|does|do|did|has|have)\s+(?:there|the|it|any|my)\b/, weight: 2, reason: 'yes/no question' },
+        { pattern: /^\s*(?:tell\s+me|describe|list|count|show\s+me\s+how\s+many)\b/, weight: 1.5, reason: 'asks for information' },
+        { pattern: /\?\s*$/, weight: 1, reason: 'ends with a question mark' }
+    ],
+    plan: [
+        { pattern: /\b(?:first|firstly)\b/, weight: 1, reason: 'step marker "first"' },
+        { pattern: /\b(?:then|after\s+that|afterwards|next|finally|followed\s+by|once\s+that'?s?\s+done)\b/, weight: 1.5, reason: 'sequence marker' },
+        { pattern: /\b(?:step\s+by\s+step|one\s+by\s+one|in\s+order|sequence)\b/, weight: 1, reason: 'asks for a sequence' },
+        { pattern: /(?:^|\s)(?:1[.)]|step\s+1)\s/, weight: 1.5, reason: 'numbered steps' }
+    ],
+    player: [
+        { pattern: /\b(?:player|character|hero|avatar|myself)\b/, weight: 1.5, reason: 'mentions the player' },
+        { pattern: /\b(?:teleport|move\s+me|put\s+me|take\s+me|reset\s+(?:my\s+)?position|respawn)\b/, weight: 2, reason: 'moves the player' },
+        { pattern: /\b(?:jump\s+(?:higher|lower|height)|run\s+faster|walk\s+(?:faster|slower)|(?:move|movement)\s+speed|make\s+me)\b/, weight: 1.5, reason: 'changes player abilities' },
+        { pattern: /\b(?:dance|dancing|wave\s+(?:hello|hi|goodbye|bye)|waving|emote)\b/, weight: 1.5, reason: 'plays an emote' }
+    ],
+    code_generator: [
+        { pattern: /\b(?:trees?)\b.*\b(?:into|to|with)\s+(?:\w+\s+)?skyscrapers?\b|\bskyscrapers?\b.*\btrees?\b/, weight: 3, reason: 'turns trees into skyscrapers', subtype: 'skyscraper' },
+        { pattern: /\b(?:generate|model|sculpt|design|construct|code|procedural(?:ly)?|custom)\b/, weight: 1, reason: 'asks for a custom object', custom: true },
+        { pattern: /\b(?:build|create|make|add|generate|design|sculpt|place)\s+(?:a|an|one|some|several|a\s+few|\d+|two|three|four|five|six)\s+(?:\w+\s+){0,2}(bridge|statue|vehicle|car|cart|wagon|boat|ship|airship|creature|dragon|monster|robot|lamp\s*post|lamppost|street\s*lamp|lantern|fountain|windmill|lighthouse|monument|sculpture|arch|castle|fortress|citadel)(?:e?s)?\b/, weight: 2, reason: 'creates a generated object', subtypeGroup: 1 }
+    ],
+    simple_parameter: [
+        { pattern: /\b(?:sky|ground|grass|weather|rain|snow|fog|storm|night|day|sunset|sunrise|dawn|dusk|light(?:ing)?|trees?|forest|petals|sparkles|leaves|season|winter|summer|autumn|spring)\b/, weight: 1, reason: 'mentions environment settings' },
+        { pattern: /\b(?:shrine|castle|cottage|tower|ruins|temple|pagoda)\b/, weight: 1, reason: 'mentions a preset building' },
+        { pattern: /\b(?:selected|selection|this\s+one|these\s+ones)\b/, weight: 1, reason: 'edits the selected objects' },
+        { pattern: /\b(?:color|colour|red|green|blue|yellow|purple|pink|orange|white|black|golden|dark|bright)\b/, weight: 0.5, reason: 'mentions colors' }
+    ]
+};
+
+// Buildings with a ready-made preset; generating code for them needs an explicit cue ("design a custom castle")
+const INTENT_PRESET_BUILDINGS = ['shrine', 'castle', 'cottage', 'tower', 'ruins', 'temple', 'pagoda'];
+
+// Words that make a question an instruction instead ("can you make it night?")
+const INTENT_ACTION_VERBS = /\b(?:make|turn|change|set|add|spawn|create|build|put|remove|start|stop|give|plant|grow|transform|replace|move|teleport)\b/;
+
+class IntentClassifier {
+    /**
+     * Create an intent classifier
+     * @param {Object} options - Classifier options
+     * @param {number} options.llmThreshold - Local confidence below which the LLM is asked (0-1)
+     * @param {string} options.mode - 'local', 'llm' or 'hybrid' (default)
+     * @param {string} options.model - Cheaper model for LLM classification (optional, defaults to the router's model)
+     */
+    constructor(options = {}) {
+        this.llmThreshold = options.llmThreshold !== undefined ? options.llmThreshold : 0.6;
+        this.mode = options.mode || 'hybrid';
+        this.model = options.model || '';
+    }
+
+    /**
+     * Classify an input with the local keyword classifier
+     * @param {string} input - User input text
+     * @returns {Object} - Classification {type, subtype, confidence, source, reasons}
+     */
+    classifyLocally(input) {
+        const text = (input || '').toLowerCase().trim();
+        const scores = {};
+        const reasons = {};
+        let subtype = null;
+        let customObject = false;
+
+        INTENT_TYPES.forEach(type => {
+            scores[type] = 0;
+            reasons[type] = [];
+        });
+
+        Object.keys(INTENT_CUES).forEach(type => {
+            INTENT_CUES[type].forEach(cue => {
+                const match = text.match(cue.pattern);
+                if (!match) return;
+
+                scores[type] += cue.weight;
+                reasons[type].push(cue.reason);
+
+                if (cue.custom) customObject = true;
+
+                // The first cue that names a subtype decides it
+                if (type === 'code_generator' && !subtype) {
+                    if (cue.subtype) subtype = cue.subtype;
+                    else if (cue.subtypeGroup && match[cue.subtypeGroup]) subtype = match[cue.subtypeGroup].replace(/\s+/g, '_');
+                }
+            });
+        });
+
+        // "Can you make it night?" is an instruction, not a question
+        if (scores.query > 0 && INTENT_ACTION_VERBS.test(text) && !/^\s*(?:how|what|where|which|who|why|when)\b/.test(text)) {
+            scores.query = 0;
+            reasons.query = [];
+        }
+
+        // A plan needs at least two steps, so it takes two sequence markers ("first ... then", "..., then");
+        // a single "then" is weak evidence and is left to the environment update, which runs several commands too
+        const sequenceMarkers = text.match(/\b(?:first|firstly|then|after\s+that|afterwards|next|finally|followed\s+by)\b|[;,]|(?:^|\s)(?:\d+[.)]|step\s+\d+)\s/g) || [];
+        if (scores.plan > 0 && sequenceMarkers.length < 2) {
+            scores.plan = 0;
+            reasons.plan = [];
+        }
+
+        // Code generation needs something to generate, and preset buildings only when asked for a custom one
+        if (scores.code_generator > 0 && (!subtype || (INTENT_PRESET_BUILDINGS.includes(subtype) && !customObject))) {
+            scores.code_generator = 0;
+            reasons.code_generator = [];
+        }
+
+        // Environment words in a question are what the question is about
+        if (scores.query > 0) {
+            scores.simple_parameter *= 0.5;
+        }
+
+        // Everything not recognised is treated as an environment update, but with zero confidence
+        const total = INTENT_TYPES.reduce((sum, type) => sum + scores[type], 0);
+        const best = INTENT_TYPES.reduce((bestType, type) => scores[type] > scores[bestType] ? type : bestType, 'simple_parameter');
+
+        // Confidence is the winner's share of the evidence, scaled by how much evidence there is
+        const share = total > 0 ? scores[best] / total : 0;
+        const strength = 1 - Math.exp(-1.5 * scores[best]);
+
+        return {
+            type: best,
+            subtype: best === 'code_generator' ? this.resolveSubtype(subtype) : null,
+            confidence: Math.round(share * strength * 100) / 100,
+            source: 'local',
+            reasons: reasons[best]
+        };
+    }
+
+    /**
+     * Map a subtype word to its registered code generator subtype ('dragon' → 'creature')
+     * @param {string} subtype - Subtype word
+     * @returns {string} - Registered subtype, or the word itself when nothing is registered for it
+     * @private
+     */
+    resolveSubtype(subtype) {
+        if (!subtype || typeof PromptRegistry === 'undefined') {
+            return subtype;
+        }
+
+        const definition = PromptRegistry.get(subtype);
+        return definition ? definition.subtype : subtype;
+    }
+
+    /**
+     * Check whether a local classification should be confirmed by the LLM
+     * @param {Object} classification - Result from classifyLocally
+     * @returns {boolean} - True if the LLM should be asked
+     */
+    needsLLM(classification) {
+        if (this.mode === 'local') return false;
+        if (this.mode === 'llm') return true;
+
+        return classification.confidence < this.llmThreshold;
+    }
+
+    /**
+     * Get the system prompt for LLM classification
+     * @param {Array} codeSubtypes - Registered code generator subtypes (see PromptRegistry)
+     * @returns {string} - System prompt
+     */
+    getSystemPrompt(codeSubtypes = []) {
+        return `
+        You classify requests for a 3D fantasy world editor built with Three.js.
+
+        Return ONLY a JSON object:
+        {
+          "intent": "simple_parameter | code_generator | player | query | plan",
+          "subtype": "object to generate for code_generator (one of ${codeSubtypes.join(', ') || 'skyscraper'} when it fits, otherwise a short object name), otherwise null",
+          "confidence": number between 0 and 1,
+          "reason": "a few words"
+        }
+
+        Intents:
+        - simple_parameter: change the sky, ground, weather, lighting, particles, trees or preset buildings (${INTENT_PRESET_BUILDINGS.join(', ')})
+        - code_generator: build a custom 3D object that needs generated code (including custom versions of preset buildings), or transform objects (e.g. trees into skyscrapers)
+        - player: change the player character (color, position, speed, jump) or make it wave or dance
+        - query: a question about the current scene that changes nothing
+        - plan: several steps that must happen in order
+        `;
+    }
+
+    /**
+     * Parse an LLM classification response
+     * @param {string} response - JSON response from the LLM
+     * @returns {Object} - Classification {type, subtype, confidence, source, reasons}
+     * @throws {Error} - If the response is not a valid classification
+     */
+    parseLLMResponse(response) {
+        let parsed;
+        try {
+            parsed = JSON.parse(response);
+        } catch (error) {
+            throw new Error(`Invalid classification JSON: ${error.message}`);
+        }
+
+        if (!INTENT_TYPES.includes(parsed.intent)) {
+            throw new Error(`Unknown intent: ${parsed.intent}`);
+        }
+
+        const confidence = parseFloat(parsed.confidence);
+        const subtype = parsed.intent === 'code_generator' && typeof parsed.subtype === 'string'
+            ? this.resolveSubtype(parsed.subtype.toLowerCase().trim().replace(/\s+/g, '_'))
+            : null;
+
+        // Code generation without a subtype cannot be routed
+        if (parsed.intent === 'code_generator' && !subtype) {
+            throw new Error('Classification is code_generator but has no subtype');
+        }
+
+        return {
+            type: parsed.intent,
+            subtype,
+            confidence: isNaN(confidence) ? 0.5 : Math.max(0, Math.min(1, confidence)),
+            source: 'llm',
+            reasons: parsed.reason ? [String(parsed.reason)] : []
+        };
+    }
+}
+
+// Export the IntentClassifier class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IntentClassifier, INTENT_TYPES };
+}
@@ -8,18 +8,41 @@ class NaturalLanguageProcessor {
     /**
      * Create a natural language processor
      * @param {Object} options - Configuration options
+     * @param {CommandQueue} options.commandQueue - Queue that runs multi-step plans (optional, one is created if missing)
      * @param {Object} commandDispatcher - Command dispatcher for executing commands
      */
     constructor(options = {}, commandDispatcher) {
         this.commandDispatcher = commandDispatcher;
         this.isProcessing = false;
         
+        // Queue that runs the commands of multi-step plans in order
+        this.commandQueue = options.commandQueue ||
+            (typeof CommandQueue !== 'undefined' && commandDispatcher ? new CommandQueue(commandDispatcher) : null);
+        
         // Initialize the NaturalLanguageRouter
         this.router = new NaturalLanguageRouter(options, commandDispatcher);
         
+        // Rule-based parser for simple commands and for working without an API key
+        this.offlineParser = this.createOfflineParser(options.offlineParser);
+        
         console.log('NaturalLanguageProcessor initialized');
     }
     
+    /**
+     * Create the offline command parser from options or config
+     * @param {Object} options - Parser options (optional, overrides CONFIG.offlineParser)
+     * @returns {OfflineCommandParser|null} - The parser, or null if it is disabled
+     * @private
+     */
+    createOfflineParser(options) {
+        const parserOptions = options || (typeof CONFIG !== 'undefined' && CONFIG.offlineParser) || {};
+        if (parserOptions.enabled === false || typeof OfflineCommandParser === 'undefined') {
+            return null;
+        }
+        
+        return new OfflineCommandParser(parserOptions);
+    }
+    
     /**
      * Process natural language input and convert to game commands
      * @param {string} input - Natural language input from user
@@ -27,8 +50,13 @@ class NaturalLanguageProcessor {
      * @param {Function} onError - Callback for error
      * @param {Function} onStart - Callback for when processing starts
      * @param {Function} onComplete - Callback for when processing completes (success or error)
+     * @param {Function} onProgress - Callback for progress messages such as code repair attempts and
+     *                              partial replies, called with (message, details) (optional)
+     * @param {Object} options - Request options
+     * @param {string} options.cacheMode - Response cache mode for this request, e.g. 'regenerate' to skip
+     *                                     a cached reply (optional, defaults to the router's cacheMode)
      */
-    async processInput(input, onSuccess, onError, onStart, onComplete) {
+    async processInput(input, onSuccess, onError, onStart, onComplete, onProgress, options = {}) {
         // Validate input
         if (!input || typeof input !== 'string' || input.trim() === '') {
             const errorMsg = 'Please provide a valid input description.';
@@ -47,32 +75,173 @@ class NaturalLanguageProcessor {
             return;
         }
         
-        // Set up timeout for spinner
-        let spinnerTimeoutId = null;
-        
         // Set processing state and call start callback
+        // (LLM requests time out in the router, see CONFIG.llm.requestTimeout, and can be cancelled)
         this.isProcessing = true;
+        this.isCancelled = false;
+        this.router.clearCancellation();
         console.log('NLP processing started for input:', input);
         if (onStart) onStart();
         
-        // Set up a timeout to automatically stop the spinner after 20 seconds
-        spinnerTimeoutId = setTimeout(() => {
-            if (this.isProcessing) {
-                console.error('NLP processing timeout after 20 seconds');
-                this.isProcessing = false;
-                if (onError) onError('Sorry, something went wrong. The request took too long to process. Please try again.');
-                if (onComplete) onComplete();
-            }
-        }, 20000); // 20 second timeout
-        
         try {
+            // Objects that exist before the request, so the conversation can tell which ones it created
+            const objectIdsBefore = this.router.getSceneObjects().map(object => object.id);
+            
             console.log('Determining request type for input:', input);
-            const requestType = this.router.determineRequestType(input);
-            console.log(`Request type determined: ${requestType.type}, subtype: ${requestType.subtype || 'none'}`);
+            const localType = this.router.determineRequestType(input);
+            console.log(`Local intent: ${localType.type}, subtype: ${localType.subtype || 'none'}, confidence: ${localType.confidence}`);
+            
+            // Answer questions about the scene from the managers when possible (no API key needed)
+            const sceneAnswer = localType.type === 'query' ? this.router.answerSceneQuery(input) : null;
+            if (sceneAnswer) {
+                console.log(`Answered scene question locally (${sceneAnswer.topic})`);
+                const result = this.withIntent({ query: sceneAnswer }, localType);
+                this.router.recordTurn(input, result, objectIdsBefore);
+                if (onSuccess) onSuccess(result);
+                return;
+            }
+            
+            // Try the offline parser first
+            const offlineResult = this.parseOffline(input, localType);
+            const hasCredentials = this.router.hasCredentials();
+            
+            // Follow-ups ("more of those") need the conversation, which only the LLM sees
+            const needsContext = hasCredentials && this.router.isFollowUp(input);
+            
+            if (offlineResult && (!hasCredentials || (!needsContext && this.offlineParser.isConfident(offlineResult)))) {
+                console.log(`Handling input offline (confidence ${offlineResult.confidence.toFixed(2)})`);
+                const result = this.withIntent(
+                    await this.applyOfflineCommands(offlineResult, hasCredentials ? 'fast_path' : 'no_api_key'), localType);
+                this.router.recordTurn(input, result, objectIdsBefore);
+                if (onSuccess) onSuccess(result);
+                return;
+            }
+            
+            if (!hasCredentials) {
+                if (localType.type === 'query') {
+                    throw new Error(`${this.router.provider.displayName} API key is required to answer this question. ` +
+                        'Without a key, try questions like "how many trees are there?" or "what color is the sky?".');
+                }
+                throw new Error(`${this.router.provider.displayName} API key is required for this request. ` +
+                    'Without a key, try simple commands like "make it night" or "add 5 pine trees".');
+            }
+            
+            // Confirm unclear intents with the LLM
+            const requestType = await this.router.classifyRequest(input, localType);
+            console.log(`Request type determined: ${requestType.type} (confidence ${requestType.confidence}, ${requestType.source})`);
+            
+            const result = await this.processRequest(input, requestType, offlineResult, onProgress, options);
+            
+            if (this.isCancelled) {
+                throw new Error('Request cancelled');
+            }
+            
+            const shownResult = this.withIntent(result, requestType);
+            this.router.recordTurn(input, shownResult, objectIdsBefore);
             
+            if (onSuccess) {
+                console.log('Calling success callback with result');
+                onSuccess(shownResult);
+            }
+        } catch (error) {
+            console.error('Error processing natural language input:', error);
+            if (onError) onError(error.message || 'Error processing your request. Please check your API key and try again.');
+        } finally {
+            console.log('NLP processing completed');
+            this.isProcessing = false;
+            if (onComplete) onComplete();
+        }
+    }
+    
+    /**
+     * Cancel the request being processed: the LLM call in flight is aborted and a running plan stops.
+     * Changes that were already applied stay (and can be undone).
+     * @returns {boolean} - True if there was a request to cancel
+     */
+    cancel() {
+        if (!this.isProcessing) {
+            return false;
+        }
+        
+        console.log('Cancelling natural language request');
+        this.isCancelled = true;
+        this.router.cancel();
+        if (this.commandQueue && this.commandQueue.executing) {
+            this.commandQueue.cancel();
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Start a new conversation, so follow-ups no longer refer to earlier requests
+     */
+    resetConversation() {
+        this.router.resetConversation();
+    }
+    
+    /**
+     * Send a classified request through the router and apply the response.
+     * Falls back to the offline parser's commands if the LLM cannot be reached.
+     * @param {string} input - Natural language input
+     * @param {Object} requestType - Classification from the router
+     * @param {Object|null} offlineResult - Result from the offline parser
+     * @param {Function} onProgress - Callback for progress messages
+     * @param {Object} options - Request options {cacheMode} (see processInput)
+     * @returns {Promise<Object>} - Result shown to the user
+     * @private
+     */
+    async processRequest(input, requestType, offlineResult, onProgress, options = {}) {
+        // Environment updates are applied command by command while the reply streams in,
+        // all in one history entry that stays open until the whole reply has been applied
+        const history = this.commandDispatcher ? this.commandDispatcher.history : null;
+        const streamed = {
+            applied: 0,
+            succeeded: 0,
+            pending: [],
+            batch: history ? history.createBatch('AI: environment update', 'ai') : null
+        };
+        let finishStreaming;
+        const streamingFinished = new Promise(resolve => { finishStreaming = resolve; });
+        let batchStarted = false;
+        const onCommand = requestType.type === 'simple_parameter'
+            ? ({ command, params }) => {
+                if (streamed.batch && !batchStarted) {
+                    // The batch waits for changes that are still running, and so do the commands issued in it
+                    history.runBatch(streamed.batch, () => streamingFinished);
+                    batchStarted = true;
+                }
+                streamed.applied++;
+                streamed.pending.push(this.applyEnvironmentCommand(command, params, streamed.batch).then(ok => {
+                    if (ok) streamed.succeeded++;
+                }));
+            }
+            : null;
+        
+        try {
+            return await this.routeAndApply(input, requestType, offlineResult, onProgress, onCommand, streamed, options);
+        } finally {
+            finishStreaming();
+        }
+    }
+    
+    /**
+     * Route a request and apply the router response
+     * @param {string} input - Natural language input
+     * @param {Object} requestType - Classification from the router
+     * @param {Object|null} offlineResult - Result from the offline parser
+     * @param {Function} onProgress - Callback for progress messages
+     * @param {Function|null} onCommand - Applies environment commands as they stream in (optional)
+     * @param {Object} streamed - Counts of streamed commands {applied, succeeded} and their history batch
+     * @param {Object} options - Request options {cacheMode} (see processInput)
+     * @returns {Promise<Object>} - Result shown to the user
+     * @private
+     */
+    async routeAndApply(input, requestType, offlineResult, onProgress, onCommand, streamed, options = {}) {
+        let routerResponse;
+        try {
             console.log('Routing command to appropriate handler');
-            // Use the router to route the command to the appropriate handler
-            const routerResponse = await this.router.routeCommand(
+            routerResponse = await this.router.routeCommand(
                 input,
                 // Success callback for router
                 (result) => {
@@ -90,73 +259,308 @@ class NaturalLanguageProcessor {
                 // Complete callback for router
                 () => {
                     console.log('Router command processing completed');
-                }
+                },
+                // Progress callback for router
+                onProgress,
+                requestType,
+                onCommand,
+                { cacheMode: options.cacheMode }
             );
+        } catch (error) {
+            // Streamed commands were already applied, so the offline commands would repeat them
+            if (!offlineResult || streamed.applied > 0 || !this.isConnectionError(error)) {
+                throw error;
+            }
             
-            console.log('Router response received:', routerResponse.type);
-            
-            // Handle the response based on its type
-            if (routerResponse.type === 'simple_parameter') {
+            console.warn('LLM unavailable, using offline commands instead:', error.message);
+            return this.applyOfflineCommands(offlineResult, 'llm_unavailable');
+        }
+        
+        console.log('Router response received:', routerResponse.type);
+        const result = await this.applyRouterResponse(routerResponse, onProgress, streamed);
+        
+        // Show whether the response was replayed from the cache
+        if (routerResponse.cache && result && typeof result === 'object') {
+            result.cache = routerResponse.cache;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Apply a router response to the scene
+     * @param {Object} routerResponse - Response from NaturalLanguageRouter.routeCommand
+     * @param {Function} onProgress - Callback for progress messages
+     * @param {Object} streamed - Counts of environment commands already applied while streaming {applied, succeeded}
+     *                            and their history batch
+     * @returns {Promise<Object>} - Result shown to the user
+     * @private
+     */
+    async applyRouterResponse(routerResponse, onProgress, streamed = { applied: 0, succeeded: 0 }) {
+        // Handle the response based on its type
+        switch (routerResponse.type) {
+            case 'simple_parameter': {
                 console.log('Processing simple parameter response');
                 // Apply environment updates for simple parameter responses
                 const gameCommands = routerResponse.data;
                 console.log('Applying environment updates with commands:', gameCommands);
-                this.applyEnvironmentUpdates(gameCommands);
-                
-                if (onSuccess) {
-                    console.log('Calling success callback with game commands');
-                    onSuccess(gameCommands);
-                }
-            } else if (routerResponse.type === 'code_generator') {
+                await this.applyEnvironmentUpdates(gameCommands, streamed);
+                return {
+                    environment_update: {
+                        commands: gameCommands.commands,
+                        rejected_commands: gameCommands.rejected.length > 0 ? gameCommands.rejected : undefined
+                    }
+                };
+            }
+            
+            case 'player':
+                console.log('Processing player response');
+                await this.applyPlayerUpdates(routerResponse.data);
+                return { player_update: routerResponse.data };
+            
+            case 'query':
+                // Questions never change the scene
+                return { query: routerResponse.data };
+            
+            case 'plan':
+                return await this.executePlan(routerResponse.data, onProgress);
+            
+            case 'code_generator':
                 console.log(`Processing code generator response with subtype: ${routerResponse.subtype}`);
-                // Handle code generator responses based on subtype
-                if (routerResponse.subtype === 'skyscraper') {
-                    console.log('Applying skyscraper transformation');
-                    // Apply skyscraper transformation
-                    this.applySkyscraperTransformation(routerResponse.data);
-                    
-                    if (onSuccess) {
-                        console.log('Calling success callback with skyscraper transformation result');
-                        onSuccess({
-                            skyscraper_transformation: {
-                                success: true,
-                                code_snippet_length: routerResponse.data.javascriptCodeSnippet.length,
-                                comments: routerResponse.data.comments
-                            }
-                        });
+                // Place the generated objects the way their subtype is registered (the code snippet runs in the sandbox)
+                const createdObjects = await this.applyGeneratedObjects(routerResponse.subtype, routerResponse.data);
+                
+                return {
+                    generated_objects: {
+                        subtype: routerResponse.subtype,
+                        success: !routerResponse.data.failed,
+                        code_snippet_length: routerResponse.data.javascriptCodeSnippet.length,
+                        objects_created: createdObjects.length,
+                        fallbacks_used: createdObjects.filter(object => object.source && object.source.kind === 'fallback').length,
+                        repair_attempts: routerResponse.data.repairAttempts.map(attempt => ({
+                            attempt: attempt.attempt,
+                            stage: attempt.stage,
+                            error: attempt.error
+                        })),
+                        error: routerResponse.data.error,
+                        comments: routerResponse.data.comments
                     }
-                } else {
-                    // Handle other code generator subtypes here
-                    console.warn(`Unhandled code generator subtype: ${routerResponse.subtype}`);
-                    if (onSuccess) onSuccess(routerResponse.data);
-                }
-            } else {
+                };
+            
+            default:
                 console.warn(`Unknown response type: ${routerResponse.type}`);
-                if (onSuccess) onSuccess(routerResponse.data);
+                return routerResponse.data;
+        }
+    }
+    
+    /**
+     * Run the steps of a plan through the command queue, as one undoable change
+     * @param {Object} plan - Validated plan {steps, rejected} from the router
+     * @param {Function} onProgress - Callback for progress messages
+     * @returns {Promise<Object>} - Result with the outcome of each step
+     * @private
+     */
+    async executePlan(plan, onProgress) {
+        if (!this.commandQueue) {
+            throw new Error('Command queue not available for multi-step plans');
+        }
+        
+        if (this.commandQueue.executing) {
+            throw new Error('Another plan is still running, please wait.');
+        }
+        
+        // Queue every run of every step, remembering which step each command belongs to
+        const queuedSteps = [];
+        this.commandQueue.clearQueue();
+        plan.steps.forEach((step, stepIndex) => {
+            for (let run = 0; run < step.repeat; run++) {
+                // A failed step is reported, but does not stop the rest of the plan
+                this.commandQueue.addCommand(step.command, step.params, step.delay, { onFailure: 'skip' });
+                queuedSteps.push({ stepIndex, run });
             }
-        } catch (error) {
-            console.error('Error processing natural language input:', error);
-            if (onError) onError(error.message || 'Error processing your request. Please check your API key and try again.');
-        } finally {
-            // Clear the spinner timeout
-            if (spinnerTimeoutId) {
-                clearTimeout(spinnerTimeoutId);
+        });
+        
+        const failedRuns = plan.steps.map(() => 0);
+        
+        const completed = await this.runAsHistoryBatch('AI: plan', batch => {
+            return this.commandQueue.executeAll((command, index, total, success) => {
+                const { stepIndex, run } = queuedSteps[index];
+                const step = plan.steps[stepIndex];
+                if (!success) failedRuns[stepIndex]++;
+                
+                if (onProgress) {
+                    const repeat = step.repeat > 1 ? ` (${run + 1}/${step.repeat})` : '';
+                    onProgress(`Step ${stepIndex + 1} of ${plan.steps.length}: ${step.description}${repeat}` +
+                        (success ? '' : ' - failed'));
+                }
+            }, { batch });
+        });
+        
+        if (!completed) {
+            throw new Error('The plan was cancelled before all steps ran');
+        }
+        
+        return {
+            plan: {
+                steps: plan.steps.map((step, index) => ({
+                    command: step.command,
+                    params: Object.keys(step.params).length > 0 ? step.params : undefined,
+                    repeat: step.repeat,
+                    delay: step.delay !== null ? step.delay : undefined,
+                    description: step.description,
+                    success: failedRuns[index] === 0
+                })),
+                rejected_steps: plan.rejected.length > 0 ? plan.rejected : undefined
+            }
+        };
+    }
+    
+    /**
+     * Apply player updates from a player response
+     * @param {Object} updates - Parsed player updates
+     * @returns {Promise|undefined} - A promise while the updates wait for an earlier change to finish
+     * @private
+     */
+    applyPlayerUpdates(updates) {
+        const playerManager = this.commandDispatcher && this.commandDispatcher.managers
+            ? this.commandDispatcher.managers.playerManager
+            : null;
+        if (!playerManager) {
+            throw new Error('PlayerManager not available');
+        }
+        
+        return this.runAsHistoryBatch('AI: player update', () => {
+            if (updates.player_color) {
+                console.log('Applying player color:', updates.player_color);
+                playerManager.changePlayerColor(updates.player_color);
             }
             
-            console.log('NLP processing completed');
-            this.isProcessing = false;
-            if (onComplete) onComplete();
+            if (updates.reset_position) {
+                playerManager.resetPosition();
+            } else if (updates.player_position) {
+                const x = Math.max(-100, Math.min(100, Number(updates.player_position.x) || 0));
+                const z = Math.max(-100, Math.min(100, Number(updates.player_position.z) || 0));
+                // Drop the player in from above the ground so they land on it
+                playerManager.setPosition({ x, y: playerManager.getGroundHeightAt(x, z) + 5, z });
+            }
+            
+            // Out-of-range values are clamped by the player manager
+            playerManager.setPhysicsOptions({
+                moveSpeed: updates.move_speed,
+                jumpHeight: updates.jump_height,
+                gravity: updates.gravity
+            });
+            
+            if (updates.jump) {
+                playerManager.jump();
+            }
+            
+            if (updates.emote) {
+                if (playerManager.getEmotes().includes(updates.emote)) {
+                    playerManager.playEmote(updates.emote);
+                } else {
+                    console.warn(`Ignoring unknown emote: ${updates.emote}`);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Run the offline parser unless the request needs the LLM
+     * @param {string} input - Natural language input
+     * @param {Object} requestType - Local classification of the input
+     * @returns {Object|null} - Parser result with at least one command, or null
+     * @private
+     */
+    parseOffline(input, requestType) {
+        // Code generation, questions and plans always need the LLM
+        if (!this.offlineParser || ['code_generator', 'query', 'plan'].includes(requestType.type)) {
+            return null;
         }
+        
+        const result = this.offlineParser.parse(input);
+        return result.commands.length > 0 ? result : null;
+    }
+    
+    /**
+     * Add the intent decision to a result so it shows in the response panel
+     * @param {Object} result - Result shown to the user
+     * @param {Object} requestType - Classification {type, subtype, confidence, source, reasons}
+     * @returns {Object} - Result with an intent field first
+     * @private
+     */
+    withIntent(result, requestType) {
+        return {
+            intent: {
+                type: requestType.type,
+                subtype: requestType.subtype || undefined,
+                confidence: requestType.confidence,
+                source: requestType.source,
+                reasons: requestType.reasons
+            },
+            ...(result && typeof result === 'object' ? result : { result })
+        };
+    }
+    
+    /**
+     * Check whether an error means the LLM could not be reached (as opposed to a bad request)
+     * @param {Error} error - Error from the router
+     * @returns {boolean} - True for network failures, timeouts and server errors
+     * @private
+     */
+    isConnectionError(error) {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return true;
+        }
+        
+        const message = (error && error.message) || '';
+        return /failed to fetch|networkerror|load failed|timed out|returned 5\d\d/i.test(message);
+    }
+    
+    /**
+     * Execute the commands found by the offline parser as one undoable change
+     * @param {Object} offlineResult - Result from the offline parser
+     * @param {string} reason - Why the offline commands were used ('fast_path', 'no_api_key' or 'llm_unavailable')
+     * @returns {Promise<Object>} - Result shown to the user, once the commands have finished
+     * @private
+     */
+    async applyOfflineCommands(offlineResult, reason) {
+        // Validate commandDispatcher
+        if (!this.commandDispatcher || typeof this.commandDispatcher.executeCommandAsync !== 'function') {
+            throw new Error('Command dispatcher not properly initialized');
+        }
+        
+        const errors = [];
+        await this.runAsHistoryBatch('AI: offline commands', async batch => {
+            for (const { command, params } of offlineResult.commands) {
+                const result = await this.commandDispatcher.executeCommandAsync(command, params, { batch });
+                if (!result.ok) {
+                    errors.push({ command, ...result.error });
+                }
+            }
+        });
+        
+        return {
+            offline_commands: {
+                reason,
+                confidence: Math.round(offlineResult.confidence * 100) / 100,
+                commands: offlineResult.commands.map(({ command, params }) =>
+                    params.count ? `${command} (x${params.count})` : command),
+                unmatched_words: offlineResult.unmatched,
+                errors
+            }
+        };
     }
     
     /**
-     * Apply skyscraper transformation using the JavaScript code snippet
-     * @param {Object} skyscraperData - Parsed skyscraper data
-     * @returns {boolean} - True if transformation was successful
+     * Build and place generated objects using the JavaScript code snippet
+     * @param {string} subtype - Registered code generator subtype (e.g., 'skyscraper', 'statue')
+     * @param {Object} generatedData - Parsed code generator data
+     * @returns {Promise<Array>} - The created objects
      * @private
      */
-    applySkyscraperTransformation(skyscraperData) {
-        console.log('Applying skyscraper transformation:', skyscraperData);
+    async applyGeneratedObjects(subtype, generatedData) {
+        console.log(`Applying generated ${subtype} objects:`, generatedData);
         
         try {
             // Validate commandDispatcher
@@ -178,128 +582,78 @@ class NaturalLanguageProcessor {
                 throw new Error('EnvironmentManager not available');
             }
             
-            // Transform trees to skyscrapers using the JavaScript code snippet
-            managers.environmentManager.transformTreesToSkyscrapers(skyscraperData.javascriptCodeSnippet);
+            const environmentManager = managers.environmentManager;
+            const definition = environmentManager.getGeneratedObjectDefinition(subtype);
             
-            return true;
+            // Repairs were exhausted: use the subtype's fallback instead of running the broken code
+            if (generatedData.failed) {
+                console.warn(`Generated code could not be repaired, using ${definition.fallback ? 'fallback objects' : 'nothing'}:`, generatedData.error);
+                if (!definition.fallback) {
+                    return [];
+                }
+            }
+            
+            // Place the objects using the JavaScript code snippet
+            return await this.runAsHistoryBatch(`AI: generate ${definition.subtype}`, () => {
+                return environmentManager.placeGeneratedObjects(generatedData.javascriptCodeSnippet, definition, {
+                    count: generatedData.count,
+                    useFallback: !!generatedData.failed
+                });
+            });
         } catch (error) {
-            console.error('Error applying skyscraper transformation:', error);
+            console.error(`Error applying generated ${subtype} objects:`, error);
             throw error; // Re-throw to be handled by the caller
         }
     }
     
     /**
      * Apply environment updates based on parsed game commands
-     * @param {Object} commands - Parsed game commands
-     * @returns {boolean} - True if any changes were applied
+     * @param {Object} commands - Validated game commands {commands: [{command, params}], rejected}
+     * @param {Object} streamed - Counts of the first commands, already applied while streaming {applied, succeeded},
+     *                            the commands still running {pending} and the history batch they were applied in
+     * @returns {Promise<boolean>} - True if any changes were applied, once all commands have finished
+     * @private
+     */
+    applyEnvironmentUpdates(commands, streamed = { applied: 0, succeeded: 0 }) {
+        return this.runAsHistoryBatch(streamed.batch || 'AI: environment update',
+            batch => this.applyEnvironmentUpdateCommands(commands, streamed, batch));
+    }
+    
+    /**
+     * Run each validated game command through the command dispatcher, one after another
+     * @param {Object} commands - Validated game commands {commands: [{command, params}], rejected}
+     * @param {Object} streamed - Counts of the first commands, already applied while streaming {applied, succeeded},
+     *                            and the commands still running {pending}
+     * @param {Object} batch - History batch the commands belong to (optional)
+     * @returns {Promise<boolean>} - True if any changes were applied
      * @private
      */
-    applyEnvironmentUpdates(commands) {
+    async applyEnvironmentUpdateCommands(commands, streamed = { applied: 0, succeeded: 0 }, batch = null) {
         try {
             console.log('Applying environment updates:', commands);
             
             // Validate commandDispatcher
-            if (!this.commandDispatcher || typeof this.commandDispatcher.executeCommand !== 'function') {
-                console.error('CommandDispatcher is not properly initialized or missing executeCommand method');
+            if (!this.commandDispatcher || typeof this.commandDispatcher.executeCommandAsync !== 'function') {
+                console.error('CommandDispatcher is not properly initialized or missing executeCommandAsync method');
                 throw new Error('Command dispatcher not properly initialized');
             }
             
-            // Access managers through the commandDispatcher
-            const managers = this.commandDispatcher.managers;
-            if (!managers) {
-                console.error('Managers not available in commandDispatcher');
-                throw new Error('Managers not available');
-            }
-            
-            let changesApplied = false;
+            // Commands that streamed in were applied already; wait for the ones still running
+            await Promise.all(streamed.pending || []);
+            let changesApplied = streamed.succeeded > 0;
             
-            // Apply sky color changes if provided
-            if (commands.sky_color && managers.skyManager) {
-                console.log('Applying sky color:', commands.sky_color);
-                // Use the changeSkyColor method
-                managers.skyManager.changeSkyColor(commands.sky_color);
-                changesApplied = true;
-            }
-            
-            // Apply ground color changes if provided
-            if (commands.ground_color && managers.groundManager) {
-                console.log('Applying ground color:', commands.ground_color);
-                // Use the changeGroundColor method
-                managers.groundManager.changeGroundColor(commands.ground_color);
-                changesApplied = true;
-            }
-            
-            // Apply tree type changes if provided
-            if (commands.tree_type && managers.environmentManager) {
-                console.log('Applying tree type:', commands.tree_type);
-                // Use the spawnTreeType method
-                const treeCount = commands.tree_count || 5; // Default to 5 trees if not specified
-                managers.environmentManager.spawnTreeType(commands.tree_type, treeCount);
-                changesApplied = true;
-            }
-            
-            // Apply building type changes if provided
-            if (commands.building_type && managers.environmentManager) {
-                console.log('Applying building type:', commands.building_type);
-                // Use the spawnBuildingType method
-                managers.environmentManager.spawnBuildingType(commands.building_type);
-                changesApplied = true;
-            }
-            
-            // Apply weather effect changes if provided
-            if (commands.weather_effect && managers.environmentManager) {
-                console.log('Applying weather effect:', commands.weather_effect);
-                // Use the startWeatherEffect method
-                managers.environmentManager.startWeatherEffect(commands.weather_effect);
-                changesApplied = true;
-            }
-            
-            // Apply ambient light color changes if provided
-            if (commands.ambient_light_color && managers.skyManager) {
-                console.log('Applying ambient light color:', commands.ambient_light_color);
-                // Use the changeAmbientLightColor method
-                if (typeof managers.skyManager.changeAmbientLightColor === 'function') {
-                    managers.skyManager.changeAmbientLightColor(commands.ambient_light_color);
+            for (const { command, params } of commands.commands.slice(streamed.applied)) {
+                if (await this.applyEnvironmentCommand(command, params, batch)) {
                     changesApplied = true;
-                } else {
-                    console.log('changeAmbientLightColor method not available in skyManager');
                 }
             }
             
-            // Apply particle effect changes if provided
-            if (commands.particle_effect && managers.environmentManager) {
-                console.log('Applying particle effect:', commands.particle_effect);
-                // Use the startParticleEffect method
-                managers.environmentManager.startParticleEffect(commands.particle_effect);
-                changesApplied = true;
-            }
-            
-            // Apply player color changes if provided
-            if (commands.player_color && managers.playerManager) {
-                console.log('Applying player color:', commands.player_color);
-                // Use the changePlayerColor method
-                managers.playerManager.changePlayerColor(commands.player_color);
-                changesApplied = true;
-            }
-            
-            // Apply tree-to-building transformation if provided
-            if (commands.transform_trees_to_buildings && managers.environmentManager) {
-                console.log('Transforming trees to buildings:', commands.transform_trees_to_buildings);
-                // Use the transformTreesToBuildings method
-                managers.environmentManager.transformTreesToBuildings(commands.transform_trees_to_buildings);
-                changesApplied = true;
-            }
-            
             // If no valid changes were applied, fall back to a default spring scene
             if (!changesApplied) {
                 console.log('No valid changes detected, applying default spring scene');
-                this.commandDispatcher.executeCommand('change_sky_color:#87CEEB');
-                this.commandDispatcher.executeCommand('change_ground_color:#4CAF50');
-                if (managers.environmentManager) {
-                    managers.environmentManager.spawnTreeType('oak', 5);
-                } else {
-                    this.commandDispatcher.executeCommand('spawn_trees:5');
-                }
+                await this.commandDispatcher.executeCommandAsync('change_sky_color:#87CEEB', {}, { batch });
+                await this.commandDispatcher.executeCommandAsync('change_ground_color:#4CAF50', {}, { batch });
+                await this.commandDispatcher.executeCommandAsync('spawn_tree_type type=oak count=5', {}, { batch });
             }
             
             return changesApplied;
@@ -309,11 +663,50 @@ class NaturalLanguageProcessor {
         }
     }
     
+    /**
+     * Run one validated environment command and wait for it to finish
+     * @param {string} command - Command name
+     * @param {Object} params - Validated parameters
+     * @param {Object} batch - History batch the command belongs to (optional)
+     * @returns {Promise<boolean>} - True if the command ran without errors
+     * @private
+     */
+    async applyEnvironmentCommand(command, params, batch = null) {
+        const result = await this.commandDispatcher.executeCommandAsync(command, params, { batch });
+        if (!result.ok) {
+            console.warn(`Could not apply ${command}:`, result.error.message);
+        }
+        
+        return result.ok;
+    }
+    
+    /**
+     * Run a set of changes as one undoable history entry (if history is attached).
+     * Commands run by applyFunction must be passed the batch it is called with, so they join the entry.
+     * @param {Object|string} batch - History batch, or a label for a new one
+     * @param {Function} applyFunction - Function that applies the changes, called with the batch
+     *                                   (null without history; may return a promise)
+     * @returns {any} - The return value of applyFunction (a promise of it while an earlier change is running)
+     * @private
+     */
+    runAsHistoryBatch(batch, applyFunction) {
+        const history = this.commandDispatcher ? this.commandDispatcher.history : null;
+        if (!history) {
+            return applyFunction(null);
+        }
+        
+        return history.runBatch(batch, applyFunction, 'ai');
+    }
+    
     /**
      * Update configuration options
      * @param {Object} options - New configuration options
      */
     updateConfig(options) {
+        if (options.commandQueue) {
+            this.commandQueue = options.commandQueue;
+        }
+        
         // Update the router configuration
         this.router.updateConfig(options);
     }
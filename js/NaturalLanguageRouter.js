@@ -4,47 +4,143 @@
  * A centralized router that decides which LLM call (and which prompt) to trigger
  * based on the user request. This router intelligently routes between:
  * 1. Simple Parameter LLM - for basic environment changes (sky color, ground color, etc.)
- * 2. Code Generator LLM - for complex object transformations (skyscrapers, etc.)
+ * 2. Code Generator LLM - for generated objects registered in PromptRegistry (skyscrapers, castles, statues, etc.)
  */
 
 class NaturalLanguageRouter {
     /**
      * Initialize the NaturalLanguageRouter
      * @param {Object} options - Configuration options
-     * @param {string} options.apiKey - OpenAI API key (optional, will try to load from config or localStorage)
-     * @param {string} options.model - OpenAI model to use (optional)
-     * @param {number} options.temperature - Temperature for OpenAI calls (optional)
+     * @param {string} options.provider - LLM provider id: 'openai', 'openai_compatible' or 'anthropic' (optional)
+     * @param {string} options.apiKey - API key for the provider (optional, will try to load from config or localStorage)
+     * @param {string} options.baseUrl - Base URL for the provider API (optional)
+     * @param {string} options.model - Model to use (optional)
+     * @param {number} options.temperature - Temperature for LLM calls (optional)
+     * @param {number} options.requestTimeout - Milliseconds an LLM request may wait for data, 0 for no limit (optional)
+     * @param {boolean} options.streamResponses - Stream replies so progress can be shown as they arrive (optional)
+     * @param {string} options.cacheMode - 'replay', 'regenerate' or 'off' (optional, see ResponseCache)
+     * @param {ResponseCache} options.responseCache - Cache for parsed responses (optional, created from CONFIG.llm.cache)
+     * @param {ConversationContext} options.conversation - Conversation history (optional, created from CONFIG.llm.context)
      * @param {Object} commandDispatcher - Command dispatcher for executing commands
      */
     constructor(options = {}, commandDispatcher = null) {
         // Initialize with options or defaults
-        this.apiKey = options.apiKey || this.loadApiKey();
-        this.model = options.model || this.loadModel();
+        this.providerId = options.provider || this.loadProviderId();
+        this.apiKey = options.apiKey || this.loadApiKey(this.providerId);
+        this.baseUrl = options.baseUrl || this.loadBaseUrl(this.providerId);
+        this.maxRepairAttempts = options.maxRepairAttempts !== undefined ? options.maxRepairAttempts : this.loadMaxRepairAttempts();
+        this.model = options.model || this.loadModel(this.providerId);
         this.temperature = options.temperature !== undefined ? options.temperature : this.loadTemperature();
         this.topP = options.topP !== undefined ? options.topP : 1.0;
+        this.requestTimeout = options.requestTimeout !== undefined ? options.requestTimeout : this.loadRequestSetting('requestTimeout', 30000);
+        this.streamResponses = options.streamResponses !== undefined ? options.streamResponses : this.loadRequestSetting('stream', true);
+        
+        // Create the provider that talks to the LLM API
+        this.provider = this.createProvider();
+        
+        // Parsed responses of earlier requests, so repeated commands skip the API call
+        this.responseCache = options.responseCache !== undefined ? options.responseCache : this.createResponseCache();
+        this.cacheMode = options.cacheMode || (this.responseCache ? this.loadCacheMode() : 'off');
+        
+        // Earlier requests and their results, sent along so follow-ups like "make them taller" resolve
+        this.conversation = options.conversation !== undefined ? options.conversation : this.createConversationContext();
+        
+        // Decides which handler a request goes to
+        this.intentClassifier = new IntentClassifier(options.intentClassifier || this.loadIntentClassifierOptions());
         
         // Store command dispatcher for executing commands
         this.commandDispatcher = commandDispatcher;
         
+        // Answers questions from the managers' state (created on first question, see getSceneQueryEngine)
+        this.sceneQueryEngine = null;
+        
         // Track processing state
         this.isProcessing = false;
         
-        console.log('NaturalLanguageRouter initialized with model:', this.model);
+        // Request in flight (so it can be cancelled) and whether the user cancelled
+        this.activeController = null;
+        this.isCancelled = false;
+        
+        console.log(`NaturalLanguageRouter initialized with provider ${this.providerId} and model:`, this.model);
+    }
+    
+    /**
+     * Load intent classifier options from config
+     * @returns {Object} - Intent classifier options
+     * @private
+     */
+    loadIntentClassifierOptions() {
+        if (typeof CONFIG !== 'undefined' && CONFIG.intentClassifier) {
+            return CONFIG.intentClassifier;
+        }
+        
+        return {};
+    }
+    
+    /**
+     * Get the localStorage key for a provider setting
+     * @param {string} providerId - Provider id
+     * @param {string} setting - Setting name (e.g., 'api_key', 'model', 'base_url')
+     * @returns {string} - localStorage key (e.g., 'openai_api_key')
+     */
+    static getStorageKey(providerId, setting) {
+        return `${providerId}_${setting}`;
+    }
+    
+    /**
+     * Get the config section for a provider
+     * @param {string} providerId - Provider id
+     * @returns {Object} - Provider config (empty object if not configured)
+     * @private
+     */
+    getProviderConfig(providerId) {
+        if (typeof CONFIG === 'undefined') {
+            return {};
+        }
+        
+        // OpenAI settings predate the provider layer and keep their own section
+        if (providerId === 'openai') {
+            return CONFIG.openai || {};
+        }
+        
+        return (CONFIG.llm && CONFIG.llm[providerId]) || {};
+    }
+    
+    /**
+     * Load the selected provider id from localStorage or config
+     * @returns {string} - Provider id
+     * @private
+     */
+    loadProviderId() {
+        // Try to load the user's choice from localStorage
+        const storedProvider = localStorage.getItem('llm_provider');
+        if (storedProvider) {
+            return storedProvider;
+        }
+        
+        // Fall back to the configured default
+        if (typeof CONFIG !== 'undefined' && CONFIG.llm && CONFIG.llm.provider) {
+            return CONFIG.llm.provider;
+        }
+        
+        return 'openai';
     }
     
     /**
      * Load API key from config or localStorage
-     * @returns {string} - OpenAI API key
+     * @param {string} providerId - Provider id
+     * @returns {string} - API key for the provider
      * @private
      */
-    loadApiKey() {
+    loadApiKey(providerId = this.providerId) {
         // Try to load from config
-        if (typeof CONFIG !== 'undefined' && CONFIG.openai && CONFIG.openai.apiKey) {
-            return CONFIG.openai.apiKey;
+        const providerConfig = this.getProviderConfig(providerId);
+        if (providerConfig.apiKey) {
+            return providerConfig.apiKey;
         }
         
         // Try to load from localStorage
-        const storedKey = localStorage.getItem('openai_api_key');
+        const storedKey = localStorage.getItem(NaturalLanguageRouter.getStorageKey(providerId, 'api_key'));
         if (storedKey) {
             return storedKey;
         }
@@ -54,29 +150,60 @@ class NaturalLanguageRouter {
     }
     
     /**
-     * Load model from config or localStorage
-     * @returns {string} - OpenAI model
+     * Load the API base URL from localStorage or config
+     * @param {string} providerId - Provider id
+     * @returns {string} - Base URL, or empty string for the provider default
      * @private
      */
-    loadModel() {
-        // Try to load from config
-        if (typeof CONFIG !== 'undefined' && CONFIG.openai && CONFIG.openai.defaultModel) {
-            return CONFIG.openai.defaultModel;
+    loadBaseUrl(providerId = this.providerId) {
+        const storedBaseUrl = localStorage.getItem(NaturalLanguageRouter.getStorageKey(providerId, 'base_url'));
+        if (storedBaseUrl) {
+            return storedBaseUrl;
         }
         
-        // Try to load from localStorage
-        const storedModel = localStorage.getItem('openai_model');
+        return this.getProviderConfig(providerId).baseUrl || '';
+    }
+    
+    /**
+     * Load model from localStorage or config
+     * @param {string} providerId - Provider id
+     * @returns {string} - Model name
+     * @private
+     */
+    loadModel(providerId = this.providerId) {
+        // Try to load the user's choice from localStorage
+        const storedModel = localStorage.getItem(NaturalLanguageRouter.getStorageKey(providerId, 'model'));
         if (storedModel) {
             return storedModel;
         }
         
-        // Return default model if not found
-        return 'gpt-4o';
+        // Try to load the default from config
+        const providerConfig = this.getProviderConfig(providerId);
+        if (providerConfig.defaultModel) {
+            return providerConfig.defaultModel;
+        }
+        
+        // Fall back to the provider's first listed model
+        const providerInfo = LLMProvider.listProviders().find(info => info.id === providerId);
+        return providerInfo && providerInfo.models.length > 0 ? providerInfo.models[0].value : '';
+    }
+    
+    /**
+     * Create the provider for the current settings
+     * @returns {LLMProvider} - The provider
+     * @private
+     */
+    createProvider() {
+        return LLMProvider.create(this.providerId, {
+            ...this.getProviderConfig(this.providerId),
+            apiKey: this.apiKey,
+            baseUrl: this.baseUrl
+        });
     }
     
     /**
      * Load temperature from config or localStorage
-     * @returns {number} - OpenAI temperature
+     * @returns {number} - LLM temperature
      * @private
      */
     loadTemperature() {
@@ -95,6 +222,111 @@ class NaturalLanguageRouter {
         return 0.7;
     }
     
+    /**
+     * Load an LLM request setting from config
+     * @param {string} key - Setting in CONFIG.llm ('requestTimeout' or 'stream')
+     * @param {*} defaultValue - Value used when the setting is missing
+     * @returns {*} - Setting value
+     * @private
+     */
+    loadRequestSetting(key, defaultValue) {
+        if (typeof CONFIG !== 'undefined' && CONFIG.llm && CONFIG.llm[key] !== undefined) {
+            return CONFIG.llm[key];
+        }
+        
+        return defaultValue;
+    }
+    
+    /**
+     * Create the response cache from config
+     * @returns {ResponseCache|null} - The cache, or null if it is disabled
+     * @private
+     */
+    createResponseCache() {
+        const cacheOptions = this.loadRequestSetting('cache', {});
+        if (cacheOptions.enabled === false || typeof ResponseCache === 'undefined') {
+            return null;
+        }
+        
+        return new ResponseCache(cacheOptions);
+    }
+    
+    /**
+     * Load the cache mode from localStorage or config
+     * @returns {string} - 'replay', 'regenerate' or 'off'
+     * @private
+     */
+    loadCacheMode() {
+        const storedMode = localStorage.getItem('llm_cache_mode');
+        if (RESPONSE_CACHE_MODES.includes(storedMode)) {
+            return storedMode;
+        }
+        
+        const cacheOptions = this.loadRequestSetting('cache', {});
+        return RESPONSE_CACHE_MODES.includes(cacheOptions.mode) ? cacheOptions.mode : 'replay';
+    }
+    
+    /**
+     * Create the conversation context from config
+     * @returns {ConversationContext|null} - The context, or null if it is disabled
+     * @private
+     */
+    createConversationContext() {
+        const contextOptions = this.loadRequestSetting('context', {});
+        if (contextOptions.enabled === false || typeof ConversationContext === 'undefined') {
+            return null;
+        }
+        
+        return new ConversationContext(contextOptions);
+    }
+    
+    /**
+     * Cancel the LLM request in flight; later calls fail until clearCancellation is called
+     */
+    cancel() {
+        this.isCancelled = true;
+        if (this.activeController) {
+            this.activeController.abort();
+        }
+    }
+    
+    /**
+     * Allow LLM calls again after a cancellation (called when a new request starts)
+     */
+    clearCancellation() {
+        this.isCancelled = false;
+    }
+    
+    /**
+     * Load the number of repair attempts for failing code snippets from config
+     * @returns {number} - Maximum repair attempts
+     * @private
+     */
+    loadMaxRepairAttempts() {
+        if (typeof CONFIG !== 'undefined' && CONFIG.codeGeneration && CONFIG.codeGeneration.maxRepairAttempts !== undefined) {
+            return CONFIG.codeGeneration.maxRepairAttempts;
+        }
+        
+        return 2;
+    }
+    
+    /**
+     * Check whether the selected provider has the credentials it needs
+     * @returns {boolean} - True if an LLM call can be made
+     */
+    hasCredentials() {
+        if (!this.provider.requiresApiKey) {
+            return true;
+        }
+        
+        if (!this.apiKey) {
+            this.apiKey = this.loadApiKey();
+            this.provider.apiKey = this.apiKey;
+        }
+        
+        return !!this.apiKey;
+    }
+    
     /**
      * Route a user command to the appropriate LLM call
      * @param {string} userInput - User input text
@@ -102,15 +334,22 @@ class NaturalLanguageRouter {
      * @param {Function} onError - Callback for error
      * @param {Function} onStart - Callback for when processing starts
      * @param {Function} onComplete - Callback for when processing completes (success or error)
+     * @param {Function} onProgress - Callback for progress messages (e.g., code repair attempts, partial replies)
+     * @param {Object} requestType - Classification from classifyRequest (optional, classified here if missing)
+     * @param {Function} onCommand - Called with each validated {command, params} of an environment update
+     *                               as soon as it has streamed in (optional)
+     * @param {Object} options - Request options
+     * @param {string} options.cacheMode - Cache mode for this request only, e.g. 'regenerate' (optional)
      */
-    async routeCommand(userInput, onSuccess, onError, onStart, onComplete) {
+    async routeCommand(userInput, onSuccess, onError, onStart, onComplete, onProgress, requestType = null, onCommand = null, options = {}) {
         // Validate API key - try to reload it if it's not set
-        if (!this.apiKey) {
+        if (!this.apiKey && this.provider.requiresApiKey) {
             this.apiKey = this.loadApiKey();
+            this.provider.apiKey = this.apiKey;
             
             // If still no API key after trying to reload
             if (!this.apiKey) {
-                const errorMsg = 'OpenAI API key is required. Please enter your API key in the settings.';
+                const errorMsg = `${this.provider.displayName} API key is required. Please enter your API key in the settings.`;
                 console.error(errorMsg);
                 if (onError) onError(errorMsg);
                 if (onComplete) onComplete();
@@ -118,373 +357,1063 @@ class NaturalLanguageRouter {
             }
         }
         
-        // Prevent multiple simultaneous requests
-        if (this.isProcessing) {
-            const errorMsg = 'Already processing a request, please wait.';
-            console.warn(errorMsg);
-            if (onError) onError(errorMsg);
-            if (onComplete) onComplete();
-            return;
-        }
+        // Prevent multiple simultaneous requests
+        if (this.isProcessing) {
+            const errorMsg = 'Already processing a request, please wait.';
+            console.warn(errorMsg);
+            if (onError) onError(errorMsg);
+            if (onComplete) onComplete();
+            return;
+        }
+        
+        this.isProcessing = true;
+        if (onStart) onStart();
+        
+        try {
+            // Determine the type of request
+            if (!requestType) {
+                requestType = await this.classifyRequest(userInput);
+            }
+            console.log(`Request type determined: ${requestType.type} (confidence ${requestType.confidence}, ${requestType.source})`);
+            
+            // Replay the response of an identical earlier request
+            const cacheMode = options.cacheMode || this.cacheMode;
+            const cacheLookup = this.getCacheLookup(userInput, requestType, cacheMode);
+            let result = cacheMode === 'replay' ? await this.readCachedResponse(cacheLookup) : null;
+            
+            if (!result) {
+                // Route to the appropriate handler based on request type
+                switch (requestType.type) {
+                    case 'code_generator':
+                        result = await this.handleCodeGeneratorRequest(userInput, requestType.subtype, onProgress);
+                        break;
+                        
+                    case 'player':
+                        result = await this.handlePlayerRequest(userInput, onProgress);
+                        break;
+                        
+                    case 'query':
+                        result = await this.handleQueryRequest(userInput, onProgress);
+                        break;
+                        
+                    case 'plan':
+                        result = await this.handlePlanRequest(userInput, onProgress);
+                        break;
+                        
+                    case 'simple_parameter':
+                    default:
+                        result = await this.handleSimpleParameterRequest(userInput, onProgress, onCommand);
+                        break;
+                }
+                
+                const cacheStatus = await this.saveCachedResponse(cacheLookup, cacheMode, result);
+                if (cacheStatus) result.cache = cacheStatus;
+            }
+            
+            result.intent = requestType;
+            
+            // Call success callback with result
+            if (onSuccess) onSuccess(result);
+            
+            return result;
+        } catch (error) {
+            console.error('Error routing command:', error);
+            if (onError) onError(error.message || 'Error processing your request');
+        } finally {
+            this.isProcessing = false;
+            if (onComplete) onComplete();
+        }
+    }
+    
+    /**
+     * Describe the cache entry a request maps to
+     * @param {string} userInput - User input text
+     * @param {Object} requestType - Classification {type, subtype}
+     * @param {string} cacheMode - 'replay', 'regenerate' or 'off'
+     * @returns {Object|null} - {key, input, route, model, promptVersion}, or null if the request is not cached
+     * @private
+     */
+    getCacheLookup(userInput, requestType, cacheMode) {
+        // Answers to questions depend on the current scene, so they are never cached
+        if (!this.responseCache || cacheMode === 'off' || requestType.type === 'query') {
+            return null;
+        }
+        
+        // Follow-ups mean something different after every request
+        if (this.isFollowUp(userInput)) {
+            return null;
+        }
+        
+        const type = requestType.type || 'simple_parameter';
+        const route = type === 'code_generator'
+            ? `code_generator:${this.getCodeGeneratorDefinition(requestType.subtype).subtype}`
+            : type;
+        const parts = {
+            input: userInput,
+            route,
+            model: `${this.providerId}/${this.model}`,
+            promptVersion: this.getPromptVersion(type, requestType.subtype)
+        };
+        
+        return { key: ResponseCache.buildKey(parts), ...parts };
+    }
+    
+    /**
+     * Get the version of the system prompt a route uses. Prompts are generated from the
+     * registered commands and prompts, so the version is a hash of the prompt text.
+     * @param {string} type - Request type
+     * @param {string} subtype - Code generator subtype (optional)
+     * @returns {string} - Prompt version (e.g., 'v1-3f2a9c01')
+     * @private
+     */
+    getPromptVersion(type, subtype) {
+        let systemPrompt;
+        switch (type) {
+            case 'code_generator':
+                systemPrompt = this.getCodeGeneratorSystemPrompt(this.getCodeGeneratorDefinition(subtype).subtype);
+                break;
+            case 'player':
+                systemPrompt = this.getPlayerSystemPrompt();
+                break;
+            case 'plan':
+                systemPrompt = this.getPlanSystemPrompt(this.getModelCommandSchemas());
+                break;
+            default:
+                systemPrompt = this.getSimpleParameterSystemPrompt(this.getModelCommandSchemas());
+                break;
+        }
+        
+        return `v${RESPONSE_CACHE_VERSION}-${ResponseCache.hash(systemPrompt)}`;
+    }
+    
+    /**
+     * Read a cached response. Cache failures are logged and treated as a miss.
+     * @param {Object|null} cacheLookup - Entry description from getCacheLookup
+     * @returns {Promise<Object|null>} - The cached router response with cache {status: 'hit', cachedAt, hits}, or null
+     * @private
+     */
+    async readCachedResponse(cacheLookup) {
+        if (!cacheLookup) {
+            return null;
+        }
+        
+        try {
+            const entry = await this.responseCache.get(cacheLookup.key);
+            if (!entry) {
+                return null;
+            }
+            
+            console.log(`Replaying cached response for "${entry.input}" (${entry.route}, ${entry.model})`);
+            return {
+                ...entry.response,
+                cache: { status: 'hit', cachedAt: entry.createdAt, hits: entry.hits }
+            };
+        } catch (error) {
+            console.warn('Response cache lookup failed:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Store a router response in the cache. Failed or empty responses are not stored.
+     * @param {Object|null} cacheLookup - Entry description from getCacheLookup
+     * @param {string} cacheMode - 'replay' or 'regenerate'
+     * @param {Object} result - Router response {type, subtype, data}
+     * @returns {Promise<Object|null>} - Cache info {status: 'miss'|'regenerated', stored}, or null if the request is not cached
+     * @private
+     */
+    async saveCachedResponse(cacheLookup, cacheMode, result) {
+        if (!cacheLookup) {
+            return null;
+        }
+        
+        const status = cacheMode === 'regenerate' ? 'regenerated' : 'miss';
+        if (!this.isCacheableResponse(result)) {
+            return { status, stored: false };
+        }
+        
+        try {
+            await this.responseCache.set(cacheLookup.key, {
+                input: cacheLookup.input,
+                route: cacheLookup.route,
+                model: cacheLookup.model,
+                promptVersion: cacheLookup.promptVersion,
+                response: result
+            });
+            return { status, stored: true };
+        } catch (error) {
+            console.warn('Could not store response in cache:', error);
+            return { status, stored: false };
+        }
+    }
+    
+    /**
+     * Check whether a router response is worth replaying
+     * @param {Object} result - Router response {type, subtype, data}
+     * @returns {boolean} - False for failed code and responses without commands
+     * @private
+     */
+    isCacheableResponse(result) {
+        switch (result.type) {
+            case 'code_generator':
+                return !result.data.failed;
+            case 'simple_parameter':
+                return result.data.commands.length > 0;
+            case 'plan':
+                return result.data.steps.length > 0;
+            case 'player':
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Determine the type of request with the local classifier (no LLM call)
+     * @param {string} userInput - User input text
+     * @returns {Object} - Request type information {type, subtype, confidence, source, reasons}
+     */
+    determineRequestType(userInput) {
+        return this.intentClassifier.classifyLocally(userInput);
+    }
+    
+    /**
+     * Classify a request, asking the LLM when the local classifier is unsure
+     * @param {string} userInput - User input text
+     * @param {Object} localClassification - Result of determineRequestType, if already computed
+     * @returns {Promise<Object>} - Request type information {type, subtype, confidence, source, reasons}
+     */
+    async classifyRequest(userInput, localClassification = null) {
+        const local = localClassification || this.determineRequestType(userInput);
+        if (!this.intentClassifier.needsLLM(local) || !this.hasCredentials()) {
+            return local;
+        }
+        
+        try {
+            console.log(`Local intent ${local.type} has low confidence (${local.confidence}), asking the LLM`);
+            const codeSubtypes = typeof PromptRegistry !== 'undefined' ? PromptRegistry.list() : [];
+            const response = await this.callLLM(userInput, this.intentClassifier.getSystemPrompt(codeSubtypes), [], {
+                model: this.intentClassifier.model,
+                context: true
+            });
+            return this.intentClassifier.parseLLMResponse(response);
+        } catch (error) {
+            // A failed classification should not fail the request
+            console.warn('LLM intent classification failed, using the local result:', error.message);
+            return local;
+        }
+    }
+    
+    /**
+     * Handle a simple parameter request.
+     * The model picks from the registered commands, and each command it returns is validated
+     * against the command schema before anything runs.
+     * @param {string} userInput - User input text
+     * @param {Function} onProgress - Called with the partial reply while it streams (optional)
+     * @param {Function} onCommand - Called with each validated {command, params} as soon as it has streamed in,
+     *                               in the same order as the returned commands (optional)
+     * @returns {Object} - Validated commands {commands: [{command, params}], rejected}
+     * @private
+     */
+    async handleSimpleParameterRequest(userInput, onProgress = null, onCommand = null) {
+        console.log('Handling simple parameter request:', userInput);
+        
+        // Prompt and structured output schema are generated from the registered commands
+        const commandSchemas = this.getModelCommandSchemas();
+        const availableCommands = commandSchemas.map(schema => schema.name);
+        const systemPrompt = this.getSimpleParameterSystemPrompt(commandSchemas);
+        
+        // Hand over each command as soon as its closing brace has arrived
+        const streamParser = new JsonStreamParser('commands');
+        const onPartial = (text) => {
+            if (onProgress) onProgress(text, { partial: true });
+            if (!onCommand) return;
+            
+            streamParser.update(text).forEach(entry => {
+                const validation = this.validateCommandEntry(entry, availableCommands);
+                if (validation.ok) {
+                    onCommand({ command: validation.command, params: validation.params });
+                }
+            });
+        };
+        
+        // Call the LLM
+        const response = await this.callLLM(userInput, systemPrompt, [], {
+            jsonSchema: this.getCommandListJsonSchema('environment_commands', 'commands', commandSchemas),
+            onPartial: onProgress || onCommand ? onPartial : null,
+            context: true
+        });
+        
+        // Parse the response
+        const parsedResponse = this.parseCommandListResponse(response, availableCommands);
+        
+        return {
+            type: 'simple_parameter',
+            data: parsedResponse
+        };
+    }
+    
+    /**
+     * Handle a player change request
+     * @param {string} userInput - User input text
+     * @param {Function} onProgress - Called with the partial reply while it streams (optional)
+     * @returns {Object} - Parsed player update parameters
+     * @private
+     */
+    async handlePlayerRequest(userInput, onProgress = null) {
+        console.log('Handling player request:', userInput);
+        
+        // Call the LLM
+        const response = await this.callLLM(userInput, this.getPlayerSystemPrompt(), [], {
+            onPartial: this.getPartialHandler(onProgress),
+            context: true
+        });
+        
+        return {
+            type: 'player',
+            data: this.parseSimpleParameterResponse(response)
+        };
+    }
+    
+    /**
+     * Handle a question about the scene. Questions never change the scene.
+     * Questions the scene query engine understands are answered locally; others go to the LLM
+     * together with the facts about the scene.
+     * @param {string} userInput - User input text
+     * @param {Function} onProgress - Called with the partial reply while it streams (optional)
+     * @returns {Promise<Object>} - Query response {type: 'query', data: {question, answer, source}}
+     * @private
+     */
+    async handleQueryRequest(userInput, onProgress = null) {
+        console.log('Handling query request:', userInput);
+        
+        const localAnswer = this.answerSceneQuery(userInput);
+        if (localAnswer) {
+            return { type: 'query', data: localAnswer };
+        }
+        
+        const engine = this.getSceneQueryEngine();
+        if (!engine || !this.hasCredentials()) {
+            return {
+                type: 'query',
+                data: {
+                    question: userInput,
+                    answer: null,
+                    source: null,
+                    message: 'This looks like a question about the scene, but it could not be answered. ' +
+                        'Try "how many trees are there?" or "what color is the sky?". Nothing was changed.'
+                }
+            };
+        }
+        
+        const response = await this.callLLM(userInput, this.getQuerySystemPrompt(engine.collectFacts()), [], {
+            onPartial: this.getPartialHandler(onProgress),
+            context: true
+        });
+        const parsedResponse = this.parseSimpleParameterResponse(response);
+        
+        return {
+            type: 'query',
+            data: {
+                question: userInput,
+                answer: typeof parsedResponse.answer === 'string' ? parsedResponse.answer : String(parsedResponse.answer || ''),
+                source: 'llm'
+            }
+        };
+    }
+    
+    /**
+     * Answer a question about the scene without the LLM
+     * @param {string} userInput - User input text
+     * @returns {Object|null} - {question, answer, topic, source: 'scene'}, or null if the question is not understood
+     */
+    answerSceneQuery(userInput) {
+        const engine = this.getSceneQueryEngine();
+        const result = engine ? engine.answer(userInput) : null;
+        if (!result) {
+            return null;
+        }
+        
+        return { question: userInput, answer: result.answer, topic: result.topic, source: 'scene' };
+    }
+    
+    /**
+     * Get the engine that answers questions from the managers, created on first use
+     * @returns {SceneQueryEngine|null} - The engine, or null without managers or SceneQueryEngine
+     * @private
+     */
+    getSceneQueryEngine() {
+        if (!this.sceneQueryEngine) {
+            const managers = this.commandDispatcher && this.commandDispatcher.managers;
+            if (!managers || typeof SceneQueryEngine === 'undefined') {
+                return null;
+            }
+            
+            this.sceneQueryEngine = new SceneQueryEngine(managers);
+        }
+        
+        return this.sceneQueryEngine;
+    }
+    
+    /**
+     * Handle a multi-step request. The LLM turns it into an ordered list of
+     * CommandDispatcher commands, which are checked against the registered commands.
+     * @param {string} userInput - User input text
+     * @param {Function} onProgress - Called with the partial reply while it streams (optional)
+     * @returns {Promise<Object>} - Plan response {type: 'plan', data: {steps, rejected}}
+     * @private
+     */
+    async handlePlanRequest(userInput, onProgress = null) {
+        console.log('Handling plan request:', userInput);
+        
+        const commandSchemas = this.getModelCommandSchemas();
+        
+        // Call the LLM
+        const response = await this.callLLM(userInput, this.getPlanSystemPrompt(commandSchemas), [], {
+            onPartial: this.getPartialHandler(onProgress),
+            context: true,
+            jsonSchema: this.getCommandListJsonSchema('plan', 'steps', commandSchemas, {
+                repeat: { type: 'integer', minimum: 1, maximum: 10 },
+                delay: { type: 'integer', minimum: 0, maximum: 10000 },
+                description: { type: 'string' }
+            })
+        });
+        
+        // Parse the response
+        const plan = this.parsePlanResponse(response, commandSchemas.map(schema => schema.name));
+        
+        return {
+            type: 'plan',
+            data: plan
+        };
+    }
+    
+    /**
+     * Get the schemas of the commands the model may use
+     * @returns {Array} - Command schemas (see CommandDispatcher.getCommandSchema)
+     * @throws {Error} - If no command dispatcher is attached
+     * @private
+     */
+    getModelCommandSchemas() {
+        if (!this.commandDispatcher || typeof this.commandDispatcher.getCommandSchemas !== 'function') {
+            throw new Error('Command dispatcher not available for game commands');
+        }
+        
+        // Internal commands (undo/redo) would undo the model's own changes
+        return this.commandDispatcher.getCommandSchemas().filter(schema => !schema.internal);
+    }
+    
+    /**
+     * List commands for a system prompt, one usage line each
+     * @param {Array} commandSchemas - Command schemas to list
+     * @returns {string} - Command list
+     * @private
+     */
+    describeCommands(commandSchemas) {
+        return commandSchemas
+            .map(schema => `- ${this.commandDispatcher.getHelpText(schema.name)}`)
+            .join('\n        ');
+    }
+    
+    /**
+     * Build a JSON Schema for a reply that holds a list of commands (for structured output)
+     * @param {string} name - Schema name
+     * @param {string} listKey - Key of the command list in the reply ('commands' or 'steps')
+     * @param {Array} commandSchemas - Commands the list may contain
+     * @param {Object} extraProperties - JSON Schema properties added to every entry (optional)
+     * @returns {Object} - {name, schema}
+     * @private
+     */
+    getCommandListJsonSchema(name, listKey, commandSchemas, extraProperties = {}) {
+        // One entry schema per command, so params are checked against that command's parameters
+        const entries = commandSchemas.map(schema => ({
+            type: 'object',
+            properties: {
+                command: { type: 'string', enum: [schema.name] },
+                params: this.commandDispatcher.getParamsJsonSchema(schema.name),
+                ...extraProperties
+            },
+            required: ['command'],
+            additionalProperties: false
+        }));
+        
+        return {
+            name,
+            schema: {
+                type: 'object',
+                properties: {
+                    [listKey]: { type: 'array', items: { anyOf: entries } }
+                },
+                required: [listKey],
+                additionalProperties: false
+            }
+        };
+    }
+    
+    /**
+     * Get the system prompt for multi-step plans
+     * @param {Array} commandSchemas - Commands the plan may use
+     * @returns {string} - System prompt for plans
+     * @private
+     */
+    getPlanSystemPrompt(commandSchemas) {
+        return `
+        You are a 3D environment assistant that plans changes to a fantasy world built with Three.js.
+        
+        When the player asks for several changes in order, output ONLY a pure JSON object:
+        
+        {
+          "steps": [
+            {
+              "command": "one of the commands below",
+              "params": { "parameter name": value } (omit to use the defaults),
+              "repeat": number of times to run the command (1-10, default 1),
+              "delay": milliseconds to wait after each run (0-10000, default 300),
+              "description": "a few words describing the step"
+            }
+          ]
+        }
+        
+        Commands (parameters in [brackets] are optional):
+        ${this.describeCommands(commandSchemas)}
+        
+        Rules:
+        - ONLY return JSON, no explanation.
+        - Use only the commands and parameter values listed above, in the order the player asked for.
+        - Use repeat and a longer delay when something should happen slowly or one by one.
+        
+        Examples:
+        "First make it sunset, then slowly grow five towers, then start sparkles" →
+        {"steps":[{"command":"sunset_sky","delay":1000,"description":"sunset"},{"command":"spawn_building","params":{"type":"tower"},"repeat":5,"delay":1500,"description":"grow towers one by one"},{"command":"start_particles","params":{"effect":"sparkles"},"description":"sparkles"}]}
+        `;
+    }
+    
+    /**
+     * Parse and validate a plan response
+     * @param {string} response - LLM response
+     * @param {Array} availableCommands - Command names the plan may use
+     * @returns {Object} - Plan {steps, rejected}; step params are validated and coerced, rejected steps
+     *                     use unknown commands or invalid parameters
+     * @throws {Error} - If the response has no usable steps
+     * @private
+     */
+    parsePlanResponse(response, availableCommands) {
+        if (!response) {
+            throw new Error('Empty response received from the LLM');
+        }
+        
+        console.log('Raw LLM plan response:', response);
+        
+        let parsedResponse;
+        try {
+            parsedResponse = JSON.parse(response);
+        } catch (error) {
+            throw new Error('Failed to parse AI response: ' + error.message);
+        }
+        
+        if (!parsedResponse || !Array.isArray(parsedResponse.steps)) {
+            throw new Error('Failed to parse AI response: missing steps');
+        }
+        
+        const clamp = (value, min, max, fallback) => {
+            const number = Number(value);
+            return isNaN(number) || value === null || value === undefined
+                ? fallback
+                : Math.max(min, Math.min(max, Math.round(number)));
+        };
+        
+        const steps = [];
+        const rejected = [];
+        
+        parsedResponse.steps.forEach((step, index) => {
+            const command = step && typeof step.command === 'string' ? step.command.trim() : '';
+            if (!availableCommands.includes(command)) {
+                console.warn(`Plan step ${index + 1} uses unknown command: ${command}`);
+                rejected.push({ step: index + 1, command, reason: 'unknown command' });
+                return;
+            }
+            
+            // Check the parameters against the command schema before anything runs
+            const validation = this.commandDispatcher.validateCommand(command, this.getStepParams(step));
+            if (!validation.ok) {
+                console.warn(`Plan step ${index + 1} has invalid parameters: ${validation.error.message}`);
+                rejected.push({ step: index + 1, command, reason: validation.error.message });
+                return;
+            }
+            
+            steps.push({
+                command,
+                params: validation.params,
+                repeat: clamp(step.repeat, 1, 10, 1),
+                delay: clamp(step.delay, 0, 10000, null),
+                description: step.description ? String(step.description) : command
+            });
+        });
+        
+        if (steps.length === 0) {
+            throw new Error('The AI plan did not contain any known commands');
+        }
+        
+        return { steps, rejected };
+    }
+    
+    /**
+     * Parse and validate a reply that holds a list of commands
+     * @param {string} response - LLM response {commands: [{command, params}]}
+     * @param {Array} availableCommands - Command names the reply may use
+     * @returns {Object} - {commands: [{command, params}], rejected: [{command, reason}]}; params are validated and coerced
+     * @throws {Error} - If the response is not a command list
+     * @private
+     */
+    parseCommandListResponse(response, availableCommands) {
+        const parsedResponse = this.parseSimpleParameterResponse(response);
+        if (!Array.isArray(parsedResponse.commands)) {
+            throw new Error('Failed to parse AI response: missing commands');
+        }
+        
+        const commands = [];
+        const rejected = [];
+        
+        parsedResponse.commands.forEach(entry => {
+            const validation = this.validateCommandEntry(entry, availableCommands);
+            if (!validation.ok) {
+                console.warn(`AI response has an invalid command ${validation.command}: ${validation.reason}`);
+                rejected.push({ command: validation.command, reason: validation.reason });
+                return;
+            }
+            
+            commands.push({ command: validation.command, params: validation.params });
+        });
+        
+        return { commands, rejected };
+    }
+    
+    /**
+     * Validate one command entry of an LLM reply
+     * @param {Object} entry - Command entry {command, params}
+     * @param {Array} availableCommands - Command names the reply may use
+     * @returns {Object} - {ok: true, command, params} or {ok: false, command, reason}
+     * @private
+     */
+    validateCommandEntry(entry, availableCommands) {
+        const command = entry && typeof entry.command === 'string' ? entry.command.trim() : '';
+        if (!availableCommands.includes(command)) {
+            return { ok: false, command, reason: 'unknown command' };
+        }
+        
+        const validation = this.commandDispatcher.validateCommand(command, this.getStepParams(entry));
+        return validation.ok
+            ? { ok: true, command, params: validation.params }
+            : { ok: false, command, reason: validation.error.message };
+    }
+    
+    /**
+     * Wrap a progress callback so it receives partial replies while they stream
+     * @param {Function} onProgress - Progress callback (optional)
+     * @returns {Function|null} - Partial reply handler, or null without a callback
+     * @private
+     */
+    getPartialHandler(onProgress) {
+        return onProgress ? (text) => onProgress(text, { partial: true }) : null;
+    }
+    
+    /**
+     * Get the raw parameters of a command entry in an LLM reply
+     * @param {Object} entry - Command entry {command, params} (older replies use parameter and count)
+     * @returns {Object} - Parameters to validate
+     * @private
+     */
+    getStepParams(entry) {
+        const params = entry.params && typeof entry.params === 'object' && !Array.isArray(entry.params)
+            ? { ...entry.params }
+            : {};
+        
+        if (entry.parameter !== undefined && entry.parameter !== null && entry.parameter !== '') {
+            params.parameter = entry.parameter;
+        }
+        if (entry.count !== undefined && entry.count !== null && params.count === undefined) {
+            params.count = entry.count;
+        }
+        
+        return params;
+    }
+    
+    /**
+     * Handle a code generator request.
+     * Generated code is validated and test-run in the sandbox; when it fails, the error and
+     * the failing code are sent back to the model for up to maxRepairAttempts repairs.
+     * @param {string} userInput - User input text
+     * @param {string} subtype - Subtype of code generator request (e.g., 'skyscraper', 'lamp_post')
+     * @param {Function} onProgress - Callback for repair progress messages (optional)
+     * @returns {Object} - Parsed code generator response
+     * @private
+     */
+    async handleCodeGeneratorRequest(userInput, subtype, onProgress = null) {
+        // Aliases such as 'dragon' resolve to their registered subtype ('creature')
+        const definition = this.getCodeGeneratorDefinition(subtype);
+        subtype = definition.subtype;
+        console.log(`Handling code generator request (${subtype}):`, userInput);
+        
+        // Get the appropriate system prompt based on subtype
+        const systemPrompt = this.getCodeGeneratorSystemPrompt(subtype);
         
-        this.isProcessing = true;
-        if (onStart) onStart();
+        // Conversation so far, so each repair sees all earlier attempts
+        const followUpMessages = [];
+        const repairAttempts = [];
         
-        try {
-            // Determine the type of request
-            const requestType = this.determineRequestType(userInput);
-            console.log(`Request type determined: ${requestType.type}`);
+        // Latest response that parsed; a failed repair never falls back to an older snippet
+        // unless the later attempts could not be parsed at all (then the fallback objects are used)
+        let parsedResponse = null;
+        
+        for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+            // Call the LLM
+            const response = await this.callLLM(userInput, systemPrompt, followUpMessages, {
+                onPartial: this.getPartialHandler(onProgress),
+                context: true
+            });
             
-            let result;
+            // Parse the response and check the code
+            let attemptResponse = null;
+            let failure;
+            try {
+                attemptResponse = this.parseCodeGeneratorResponse(response, subtype);
+            } catch (parseError) {
+                failure = { stage: 'parse', error: parseError.message };
+            }
             
-            // Route to the appropriate handler based on request type
-            switch (requestType.type) {
-                case 'code_generator':
-                    result = await this.handleCodeGeneratorRequest(userInput, requestType.subtype);
-                    break;
-                    
-                case 'simple_parameter':
-                default:
-                    result = await this.handleSimpleParameterRequest(userInput);
-                    break;
+            if (attemptResponse) {
+                parsedResponse = attemptResponse;
+                failure = await this.checkCodeSnippet(attemptResponse.javascriptCodeSnippet);
             }
             
-            // Call success callback with result
-            if (onSuccess) onSuccess(result);
+            if (!failure) {
+                break;
+            }
             
-            return result;
-        } catch (error) {
-            console.error('Error routing command:', error);
-            if (onError) onError(error.message || 'Error processing your request');
-        } finally {
-            this.isProcessing = false;
-            if (onComplete) onComplete();
+            repairAttempts.push({ attempt: attempt + 1, ...failure });
+            console.warn(`Generated code failed (${failure.stage}) on attempt ${attempt + 1}:\n${failure.error}`);
+            
+            if (attempt === this.maxRepairAttempts) {
+                break;
+            }
+            
+            if (onProgress) {
+                onProgress(`Attempt ${attempt + 1} failed (${failure.stage}): ${failure.error}\n` +
+                    `Asking the AI to fix it (repair ${attempt + 1} of ${this.maxRepairAttempts})...`, repairAttempts);
+            }
+            
+            followUpMessages.push(
+                { role: 'assistant', content: response },
+                { role: 'user', content: this.getRepairPrompt(failure, attemptResponse ? attemptResponse.javascriptCodeSnippet : null) }
+            );
+        }
+        
+        // Out of attempts without a usable response at all
+        if (!parsedResponse) {
+            throw new Error(`The AI response could not be parsed after ${repairAttempts.length} attempts`);
         }
+        
+        const lastAttempt = repairAttempts[repairAttempts.length - 1];
+        parsedResponse.failed = repairAttempts.length > this.maxRepairAttempts;
+        parsedResponse.repaired = repairAttempts.length > 0 && !parsedResponse.failed;
+        parsedResponse.repairAttempts = repairAttempts;
+        if (parsedResponse.failed && lastAttempt) {
+            parsedResponse.error = lastAttempt.error;
+        }
+        
+        return {
+            type: 'code_generator',
+            subtype: subtype,
+            data: parsedResponse
+        };
     }
     
     /**
-     * Determine the type of request based on user input
-     * @param {string} userInput - User input text
-     * @returns {Object} - Request type information { type, subtype }
+     * Check a generated code snippet: static validation, then a test run in the sandbox
+     * @param {string} codeSnippet - Generated JavaScript code
+     * @returns {Promise<Object|null>} - Failure {stage, error, diagnostics} or null if the code works
      * @private
      */
-    determineRequestType(userInput) {
-        const lowerInput = userInput.toLowerCase();
+    async checkCodeSnippet(codeSnippet) {
+        if (codeSnippet === undefined) {
+            return null;
+        }
         
-        // Check for code generator requests
-        if (this.isSkyscraperRequest(lowerInput)) {
-            return { type: 'code_generator', subtype: 'skyscraper' };
+        if (typeof SnippetValidator !== 'undefined') {
+            const validation = SnippetValidator.validate(codeSnippet);
+            if (!validation.valid) {
+                return {
+                    stage: 'validation',
+                    error: SnippetValidator.formatDiagnostics(validation.diagnostics),
+                    diagnostics: validation.diagnostics
+                };
+            }
         }
         
-        // Add more code generator request types here as needed
-        // if (this.isCastleRequest(lowerInput)) {
-        //     return { type: 'code_generator', subtype: 'castle' };
-        // }
+        if (typeof CodeEvaluator !== 'undefined') {
+            try {
+                await CodeEvaluator.evaluateSnippet(codeSnippet);
+            } catch (error) {
+                return { stage: 'evaluation', error: error.message };
+            }
+        }
         
-        // Default to simple parameter request
-        return { type: 'simple_parameter', subtype: 'environment' };
+        return null;
     }
     
     /**
-     * Check if the input is a request to generate skyscrapers
-     * @param {string} lowerInput - Lowercase user input
-     * @returns {boolean} - True if this is a skyscraper request
+     * Build the follow-up message asking the model to fix code that failed
+     * @param {Object} failure - Failure {stage, error} from checkCodeSnippet
+     * @param {string} codeSnippet - The failing code (if it could be parsed)
+     * @returns {string} - Repair request message
      * @private
      */
-    isSkyscraperRequest(lowerInput) {
-        return (
-            (lowerInput.includes('skyscraper') || lowerInput.includes('skyscrapers')) &&
-            (lowerInput.includes('tree') || lowerInput.includes('trees')) &&
-            (lowerInput.includes('replace') || lowerInput.includes('transform') || 
-             lowerInput.includes('change') || lowerInput.includes('turn'))
-        );
+    getRepairPrompt(failure, codeSnippet) {
+        const problem = {
+            parse: 'Your response was not valid JSON in the required format',
+            validation: 'Your javascript_code_snippet failed validation',
+            evaluation: 'Your javascript_code_snippet threw an error or did not return a Three.js Object3D when it was run'
+        }[failure.stage];
+        
+        return `${problem}:
+${failure.error}
+${codeSnippet ? `\nFailing code:\n${codeSnippet}\n` : ''}
+Fix every error and return the complete corrected JSON object in the same format.
+Remember: only use THREE, loops must have small constant bounds, and the code must end with a return statement.`;
     }
     
     /**
-     * Handle a simple parameter request
-     * @param {string} userInput - User input text
-     * @returns {Object} - Parsed environment update parameters
+     * Get the system prompt for simple parameter requests, generated from the registered commands
+     * @param {Array} commandSchemas - Commands the model may use
+     * @returns {string} - System prompt
      * @private
      */
-    async handleSimpleParameterRequest(userInput) {
-        console.log('Handling simple parameter request:', userInput);
+    getSimpleParameterSystemPrompt(commandSchemas) {
+        return `
+        You are a 3D environment assistant for a fantasy game built with Three.js.
         
-        // Use the environment update system prompt
-        const systemPrompt = this.getSimpleParameterSystemPrompt();
+        When the player describes a scene or environment change, output ONLY a pure JSON object
+        with the game commands that make the change:
         
-        // Call OpenAI API
-        const response = await this.callOpenAI(userInput, systemPrompt);
+        {
+          "commands": [
+            { "command": "one of the commands below", "params": { "parameter name": value } }
+          ]
+        }
         
-        // Parse the response
-        const parsedResponse = this.parseSimpleParameterResponse(response);
+        Commands (parameters in [brackets] are optional):
+        ${this.describeCommands(commandSchemas)}
         
-        return {
-            type: 'simple_parameter',
-            data: parsedResponse
-        };
+        Rules:
+        - ONLY return JSON, no explanation.
+        - Only include changes that are explicitly or implicitly mentioned.
+        - Use only the commands, parameters and values listed above; leave out params to use the defaults.
+        - Use #RRGGBB hex codes for colors.
+        
+        Examples:
+        "Make it a sunny day with green grass" → {"commands":[{"command":"day_sky"},{"command":"change_ground_color","params":{"color":"#4CAF50"}}]}
+        "Create a spooky forest at night" → {"commands":[{"command":"night_sky"},{"command":"change_ambient_light","params":{"color":"#2E4057"}},{"command":"spawn_tree_type","params":{"type":"oak","count":8}}]}
+        "I want cherry blossom trees with falling petals" → {"commands":[{"command":"spawn_tree_type","params":{"type":"cherry_blossom"}},{"command":"start_particles","params":{"effect":"petals"}}]}
+        `;
     }
     
     /**
-     * Handle a code generator request
-     * @param {string} userInput - User input text
-     * @param {string} subtype - Subtype of code generator request (e.g., 'skyscraper')
-     * @returns {Object} - Parsed code generator response
+     * Get the system prompt for player change requests
+     * @returns {string} - System prompt for player changes
      * @private
      */
-    async handleCodeGeneratorRequest(userInput, subtype) {
-        console.log(`Handling code generator request (${subtype}):`, userInput);
+    getPlayerSystemPrompt() {
+        return `
+        You are a 3D game assistant that changes the player character in a fantasy game built with Three.js.
         
-        // Get the appropriate system prompt based on subtype
-        const systemPrompt = this.getCodeGeneratorSystemPrompt(subtype);
+        When the player asks to change their character, output ONLY a pure JSON object with the relevant fields from this list:
         
-        // Call OpenAI API
-        const response = await this.callOpenAI(userInput, systemPrompt);
+        {
+          "player_color": "hex color code for the player character",
+          "player_position": { "x": number (-100 to 100), "z": number (-100 to 100) },
+          "reset_position": true to move the player back to the start,
+          "move_speed": number (1-30 units per second, default 6),
+          "jump_height": number (0.5-15 units, default 2.5),
+          "gravity": number (2-80, default 20; lower is floatier),
+          "jump": true to make the player jump now,
+          "emote": "wave" or "dance" to play that animation until the player moves
+        }
         
-        // Parse the response based on subtype
-        const parsedResponse = this.parseCodeGeneratorResponse(response, subtype);
+        Rules:
+        - ONLY return JSON, no explanation.
+        - Only include fields that are explicitly or implicitly mentioned.
         
-        return {
-            type: 'code_generator',
-            subtype: subtype,
-            data: parsedResponse
-        };
+        Examples:
+        "Make my character red" → {"player_color":"#FF0000"}
+        "Let me jump higher and run faster" → {"jump_height":5,"move_speed":12}
+        "Low gravity like on the moon" → {"gravity":4}
+        "Take me back to the start" → {"reset_position":true}
+        "Make the character dance" → {"emote":"dance"}
+        `;
     }
     
     /**
-     * Get the system prompt for simple parameter requests
-     * @returns {string} - System prompt
+     * Get the system prompt for questions about the scene
+     * @param {Object} facts - Facts about the scene (see SceneQueryEngine.collectFacts)
+     * @returns {string} - System prompt for scene questions
      * @private
      */
-    getSimpleParameterSystemPrompt() {
-        // Use the environment update system prompt
-        // This could be loaded from a separate file in the future
+    getQuerySystemPrompt(facts) {
         return `
-        You are a 3D environment assistant for a fantasy game built with Three.js.
+        You are a 3D game assistant that answers questions about the scene of a fantasy game built with Three.js.
         
-        When the player describes a scene or environment change, output ONLY a pure JSON object.
+        This is everything known about the scene right now:
+        ${JSON.stringify(facts)}
         
-        The JSON must contain relevant environment parameters from this list (only include what's relevant):
+        Output ONLY a pure JSON object:
         
         {
-          "sky_color": "hex color code for sky",
-          "ground_color": "hex color code for ground",
-          "tree_type": "cherry_blossom, pine, oak, willow, palm, magical",
-          "tree_count": number of trees to spawn (1-10),
-          "weather_effect": "rain, snow, clear, fog, storm",
-          "ambient_light_color": "hex color code for ambient light",
-          "particle_effect": "petals, snowflakes, raindrops, leaves, sparkles",
-          "building_type": "shrine, castle, cottage, tower, ruins, temple, pagoda",
-          "player_color": "hex color code for player character",
-          "transform_trees_to_buildings": {
-            "new_object_type": "simple_building, fantasy_tower, magical_structure",
-            "scale_up_factor": scale factor (1.0-3.0),
-            "color_scheme": "pastel_city, soft_neon, fairytale, medieval",
-            "transition_animation": "grow_taller, grow_taller_and_squarer, spiral_up",
-            "particle_effect": "sparkles, magic_dust, energy_field, none"
-          }
+          "answer": "one or two short sentences answering the question"
         }
         
         Rules:
         - ONLY return JSON, no explanation.
-        - Only include parameters that are explicitly or implicitly mentioned.
-        - Use appropriate hex color codes for colors.
-        - For tree_type, only use the predefined types.
-        - For weather_effect, only use the predefined effects.
+        - Answer only from the facts above. If they do not tell, say so.
+        - Never suggest that anything in the scene was changed.
         
         Examples:
-        "Make it a sunny day with green grass" → {"sky_color":"#87CEEB","ground_color":"#4CAF50"}
-        "Create a spooky forest at night" → {"sky_color":"#0D1321","ambient_light_color":"#2E4057","tree_type":"oak","tree_count":8}
-        "I want cherry blossom trees with falling petals" → {"tree_type":"cherry_blossom","particle_effect":"petals"}
+        "Is it a good time for a walk?" → {"answer":"Yes, it is a clear day with the sun out."}
+        "What is the tallest thing here?" → {"answer":"I can't tell the height of objects, but there are 3 castles and 5 pine trees."}
         `;
     }
     
     /**
-     * Get the system prompt for code generator requests
+     * Get the system prompt for code generator requests.
+     * Subtypes register their prompts with PromptRegistry; unknown subtypes get a generic prompt.
      * @param {string} subtype - Subtype of code generator request
      * @returns {string} - System prompt
      * @private
      */
     getCodeGeneratorSystemPrompt(subtype) {
-        // Get the appropriate system prompt based on subtype
-        switch (subtype) {
-            case 'skyscraper':
-                // Use the skyscraper system prompt if available
-                if (typeof SKYSCRAPER_SYSTEM_PROMPT !== 'undefined') {
-                    return SKYSCRAPER_SYSTEM_PROMPT;
-                }
-                
-                // Fallback to default skyscraper prompt
-                return `
-                You are a 3D environment assistant for a fantasy game built with Three.js (JavaScript based).
-                
-                When the player asks to replace trees with skyscrapers,  
-                output ONLY a pure JSON object.
-                
-                The JSON must contain:
-                
-                {
-                  "javascript_code_snippet": "JS code string that creates and returns a Three.js Mesh or Group for a stylized fantasy skyscraper",
-                  "comments": "Optional inline comments explaining what the code does"
-                }
-                
-                Code Requirements:
-                - Use Three.js syntax to create fantasy skyscraper meshes.
-                - Go beyond simple BoxGeometry when possible - consider using combinations of geometries for more interesting shapes.
-                - Apply MeshStandardMaterial or MeshLambertMaterial with magical pastel colors (e.g., light blue, soft lavender, mint green).
-                - Target skyscraper dimensions:
-                   - Height: 25–50 units
-                   - Width: 2–5 units
-                   - Depth: 2–5 units
-                - Keep proportions suitable for a fantasy cityscape (tall and elegant).
-                - Add slight randomness (5–10%) to height and width if possible.
-                - Consider adding magical elements like:
-                   - Tapered tops or spires
-                   - Geometric patterns or textures using multiple materials
-                   - Slight curves or organic shapes
-                   - Floating sections or disconnected parts
-                
-                Rules:
-                - ONLY return JSON, no extra explanation outside JSON.
-                - Keep the JS code snippet clean, safe, and lightweight.
-                - No external assets, no HTML DOM changes, no CSS classes.
-                - Only Three.js compatible object creation.
-                - Your code MUST return a valid Three.js Object3D (Mesh, Group, etc.)
-                
-                Focus:
-                - Directly usable code snippets.
-                - Skyscrapers should look fantasy, magical, stylized - not realistic modern buildings.
-                - Use soft, magical, or pastel colors appropriate for a fantasy world.
-                - Lightweight for real-time rendering.
-                - Creative and varied designs that would look good in a magical cityscape.
-                `;
-                
-            // Add more subtypes here as needed
-            
-            default:
-                // Return a generic code generator prompt for unknown subtypes
-                return `
-                You are a 3D environment assistant for a fantasy game built with Three.js (JavaScript based).
-                
-                When the player asks for a 3D object transformation, output ONLY a pure JSON object.
-                
-                The JSON must contain:
-                
-                {
-                  "javascript_code_snippet": "JS code string that creates and returns a Three.js Mesh or Group",
-                  "comments": "Optional inline comments explaining what the code does"
-                }
-                
-                Code Requirements:
-                - Use Three.js syntax to create fantasy 3D objects.
-                - Apply MeshStandardMaterial or MeshLambertMaterial with magical pastel colors.
-                - Keep proportions suitable for a fantasy world.
-                
-                Rules:
-                - ONLY return JSON, no extra explanation outside JSON.
-                - Keep the JS code snippet clean, safe, and lightweight.
-                - No external assets, no HTML DOM changes, no CSS classes.
-                - Only Three.js compatible object creation.
-                - Your code MUST return a valid Three.js Object3D (Mesh, Group, etc.)
-                `;
+        return this.getCodeGeneratorDefinition(subtype).prompt;
+    }
+    
+    /**
+     * Get the registered definition of a code generator subtype
+     * @param {string} subtype - Subtype name or alias (e.g., 'skyscraper', 'dragon')
+     * @returns {Object} - Subtype definition (see PromptRegistry.register)
+     * @private
+     */
+    getCodeGeneratorDefinition(subtype) {
+        if (typeof PromptRegistry === 'undefined') {
+            throw new Error('PromptRegistry not available. Make sure it\'s imported.');
         }
+        
+        return PromptRegistry.resolve(subtype);
     }
     
     /**
-     * Call OpenAI API with a system prompt
+     * Call the selected LLM provider with a system prompt.
+     * The request is aborted after requestTimeout milliseconds without data (each streamed
+     * chunk restarts the timer) or when cancel is called.
      * @param {string} userInput - User input text
      * @param {string} systemPrompt - System prompt
-     * @returns {string} - OpenAI API response
+     * @param {Array} followUpMessages - Extra messages appended after the user input (e.g., a repair request)
+     * @param {Object} options - Call options
+     * @param {string} options.model - Model to use instead of the configured one (optional)
+     * @param {Object} options.jsonSchema - JSON Schema {name, schema} for providers with structured output (optional)
+     * @param {Function} options.onPartial - Called with the reply so far while it streams (optional)
+     * @param {boolean} options.context - Add the conversation so far and the current scene to the system prompt (optional)
+     * @returns {string} - LLM response (a JSON object string)
      * @private
      */
-    async callOpenAI(userInput, systemPrompt) {
+    async callLLM(userInput, systemPrompt, followUpMessages = [], options = {}) {
+        const model = options.model || this.model;
+        const providerName = this.provider.displayName;
+        
+        if (this.isCancelled) {
+            throw new Error('Request cancelled');
+        }
+        
+        // Earlier requests and the current scene let the model resolve follow-ups
+        const contextPrompt = options.context ? this.getContextPrompt() : '';
+        if (contextPrompt) {
+            systemPrompt = `${systemPrompt}\n\n${contextPrompt}`;
+        }
+        
         try {
-            console.log('Making OpenAI API request with model:', this.model);
-            console.log('Request payload preparation started');
-            
-            // Prepare the request payload
-            const payload = {
-                model: this.model,
-                messages: [
-                    {
-                        role: "system",
-                        content: systemPrompt
-                    },
-                    {
-                        role: "user",
-                        content: userInput
-                    }
-                ],
-                temperature: this.temperature,
-                top_p: this.topP,
-                response_format: { type: "json_object" } // Ensure JSON response
-            };
+            console.log(`Making ${providerName} API request with model:`, model);
             
-            console.log('Request payload prepared, initiating fetch to OpenAI API');
-            
-            // Create an AbortController for timeout handling
+            // Create an AbortController for timeout and cancel handling
             const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+            this.activeController = controller;
             
-            try {
-                // Make direct fetch request to OpenAI API with timeout
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Bearer ${this.apiKey}`
-                    },
-                    body: JSON.stringify(payload),
-                    signal: controller.signal
-                });
-                
-                // Clear the timeout since the request completed
+            let timeoutId = null;
+            const restartTimeout = () => {
                 clearTimeout(timeoutId);
-                
-                console.log('OpenAI API response received with status:', response.status);
-                
-                // Check if the response is OK
-                if (!response.ok) {
-                    const errorData = await response.json().catch(() => ({}));
-                    const errorMessage = errorData.error?.message || response.statusText;
-                    console.error(`OpenAI API error (${response.status}):`, errorMessage);
-                    throw new Error(`OpenAI API returned ${response.status}: ${errorMessage}`);
+                if (this.requestTimeout > 0) {
+                    timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
                 }
-                
-                console.log('Parsing OpenAI API response JSON');
-                // Parse the response
-                const data = await response.json();
-                
-                // Validate the response structure
-                if (!data.choices || !data.choices[0] || !data.choices[0].message || !data.choices[0].message.content) {
-                    console.error('Invalid response format from OpenAI API:', data);
-                    throw new Error('Invalid response format from OpenAI API');
+            };
+            restartTimeout();
+            
+            // Streamed chunks show progress and prove the server is still working
+            const onToken = options.onPartial && this.streamResponses
+                ? (text) => {
+                    restartTimeout();
+                    options.onPartial(text);
                 }
+                : null;
+            
+            try {
+                // Every handler expects a JSON object, so always ask for JSON mode
+                const content = await this.provider.complete({
+                    systemPrompt,
+                    messages: [
+                        { role: 'user', content: userInput },
+                        ...followUpMessages
+                    ],
+                    model,
+                    temperature: this.temperature,
+                    topP: this.topP,
+                    json: true,
+                    jsonSchema: options.jsonSchema,
+                    onToken,
+                    signal: controller.signal
+                });
                 
-                console.log('OpenAI API response successfully parsed');
-                // Extract and return the content
-                return data.choices[0].message.content;
+                console.log(`${providerName} API response successfully parsed`);
+                return content;
             } catch (fetchError) {
-                // Clear the timeout if there was an error
-                clearTimeout(timeoutId);
-                
-                // Handle AbortController timeout
+                // Handle AbortController cancel and timeout
                 if (fetchError.name === 'AbortError') {
-                    console.error('OpenAI API request timed out after 15 seconds');
-                    throw new Error('Request to OpenAI timed out. Please try again.');
+                    if (this.isCancelled) {
+                        throw new Error('Request cancelled');
+                    }
+                    
+                    const seconds = Math.round(this.requestTimeout / 1000);
+                    console.error(`${providerName} API request timed out after ${seconds} seconds`);
+                    throw new Error(`Request to ${providerName} timed out after ${seconds} seconds. Please try again.`);
                 }
                 
                 // Re-throw other errors
                 throw fetchError;
+            } finally {
+                // Clear the timeout whether the request completed or failed
+                clearTimeout(timeoutId);
+                if (this.activeController === controller) {
+                    this.activeController = null;
+                }
             }
         } catch (error) {
-            console.error('OpenAI API error:', error);
-            throw new Error('Failed to communicate with OpenAI: ' + (error.message || 'Unknown error'));
+            if (this.isCancelled) {
+                console.log(`${providerName} API request cancelled`);
+                throw new Error('Request cancelled');
+            }
+            
+            console.error(`${providerName} API error:`, error);
+            throw new Error(`Failed to communicate with ${providerName}: ` + (error.message || 'Unknown error'));
         }
     }
     
     /**
      * Parse a simple parameter response
-     * @param {string} response - OpenAI API response
+     * @param {string} response - LLM response
      * @returns {Object} - Parsed environment update parameters
      * @private
      */
@@ -492,11 +1421,11 @@ class NaturalLanguageRouter {
         try {
             // Ensure we have a response
             if (!response) {
-                throw new Error('Empty response received from OpenAI');
+                throw new Error('Empty response received from the LLM');
             }
             
             // Log the raw response for debugging
-            console.log('Raw OpenAI simple parameter response:', response);
+            console.log('Raw LLM simple parameter response:', response);
             
             // Parse JSON response
             let parsedResponse;
@@ -533,7 +1462,7 @@ class NaturalLanguageRouter {
     
     /**
      * Parse a code generator response
-     * @param {string} response - OpenAI API response
+     * @param {string} response - LLM response
      * @param {string} subtype - Subtype of code generator request
      * @returns {Object} - Parsed code generator response
      * @private
@@ -542,11 +1471,11 @@ class NaturalLanguageRouter {
         try {
             // Ensure we have a response
             if (!response) {
-                throw new Error('Empty response received from OpenAI');
+                throw new Error('Empty response received from the LLM');
             }
             
             // Log the raw response for debugging
-            console.log(`Raw OpenAI code generator response (${subtype}):`, response);
+            console.log(`Raw LLM code generator response (${subtype}):`, response);
             
             // Parse JSON response
             let parsedResponse;
@@ -573,47 +1502,312 @@ class NaturalLanguageRouter {
                 throw new Error('Invalid response format: not an object');
             }
             
-            // Check for required fields based on subtype
-            if (subtype === 'skyscraper') {
-                if (!parsedResponse.javascript_code_snippet) {
-                    throw new Error('Missing required field: javascript_code_snippet');
-                }
-                
-                // Return skyscraper-specific response
-                return {
-                    javascriptCodeSnippet: parsedResponse.javascript_code_snippet,
-                    comments: parsedResponse.comments || ''
-                };
+            // Every subtype returns code that builds one object
+            if (!parsedResponse.javascript_code_snippet) {
+                throw new Error('Missing required field: javascript_code_snippet');
             }
             
-            // Generic code generator response for other subtypes
-            return parsedResponse;
+            const result = {
+                javascriptCodeSnippet: parsedResponse.javascript_code_snippet,
+                comments: parsedResponse.comments || ''
+            };
+            
+            // Optional number of objects to place (ignored by subtypes that replace trees)
+            const count = parseInt(parsedResponse.count, 10);
+            if (count > 0) {
+                const maxCount = typeof PROMPT_MAX_OBJECT_COUNT !== 'undefined' ? PROMPT_MAX_OBJECT_COUNT : 20;
+                result.count = Math.min(count, maxCount);
+            }
+            
+            return result;
         } catch (error) {
             console.error(`Error parsing code generator response (${subtype}):`, error);
             throw new Error('Failed to parse AI response: ' + (error.message || 'Invalid format'));
         }
     }
     
+    /**
+     * Start a new conversation, so later requests no longer see earlier ones
+     */
+    resetConversation() {
+        if (this.conversation) {
+            this.conversation.reset();
+        }
+    }
+    
+    /**
+     * Check whether a request refers back to earlier requests in the conversation or to the selected objects
+     * @param {string} userInput - User input text
+     * @returns {boolean} - True for follow-ups like "add more of those" when there is a conversation to refer to,
+     *                      and for requests like "make this one a castle" while objects are selected
+     */
+    isFollowUp(userInput) {
+        const followsConversation = !!this.conversation && !this.conversation.isEmpty() && ConversationContext.isFollowUp(userInput);
+        return followsConversation || this.refersToSelection(userInput);
+    }
+    
+    /**
+     * Check whether a request is about the selected objects
+     * @param {string} userInput - User input text
+     * @returns {boolean} - True if objects are selected and the input refers to them ("this one", "selected")
+     */
+    refersToSelection(userInput) {
+        const selectionManager = this.commandDispatcher && this.commandDispatcher.managers
+            ? this.commandDispatcher.managers.selectionManager
+            : null;
+        
+        return !!selectionManager && selectionManager.getSelectedIds().length > 0 &&
+            SelectionManager.isSelectionReference(userInput);
+    }
+    
+    /**
+     * Record a finished request in the conversation and select the objects it created
+     * @param {string} userInput - User input text
+     * @param {Object} result - Result shown to the user (see NaturalLanguageProcessor.processInput)
+     * @param {Array} objectIdsBefore - Scene object IDs from before the request (see getSceneObjects),
+     *                                  used to find the objects the request created
+     */
+    recordTurn(userInput, result, objectIdsBefore = []) {
+        const existing = new Set(objectIdsBefore);
+        const spawned = this.getSceneObjects()
+            .filter(object => !existing.has(object.id))
+            .map(object => object.id);
+        
+        // New objects become the selection, so follow-ups like "make them taller" can change them
+        const selectionManager = this.commandDispatcher && this.commandDispatcher.managers
+            ? this.commandDispatcher.managers.selectionManager
+            : null;
+        if (selectionManager && spawned.length > 0) {
+            selectionManager.select(spawned);
+        }
+        
+        if (!this.conversation) return;
+        
+        this.conversation.addTurn(userInput, this.summarizeResult(result), {
+            type: result && result.intent ? result.intent.type : null,
+            spawned
+        });
+    }
+    
+    /**
+     * Describe what a request did in one line for the conversation history
+     * @param {Object} result - Result shown to the user
+     * @returns {string} - Short description (e.g., 'spawn_tree_type type=pine count=5; night_sky')
+     * @private
+     */
+    summarizeResult(result) {
+        if (!result || typeof result !== 'object') {
+            return String(result || '');
+        }
+        
+        if (result.environment_update) {
+            return result.environment_update.commands.map(({ command, params }) => this.formatCommand(command, params)).join('; ');
+        }
+        
+        if (result.offline_commands) {
+            return result.offline_commands.commands.join('; ');
+        }
+        
+        if (result.plan) {
+            return result.plan.steps.map(step =>
+                this.formatCommand(step.command, step.params) + (step.repeat > 1 ? ` (x${step.repeat})` : '')).join('; ');
+        }
+        
+        if (result.generated_objects) {
+            const generated = result.generated_objects;
+            return `Generated ${generated.objects_created} ${generated.subtype} object(s)` + (generated.success ? '' : ' (code failed)');
+        }
+        
+        if (result.player_update) {
+            return `Player: ${JSON.stringify(result.player_update)}`;
+        }
+        
+        if (result.query) {
+            return result.query.answer || result.query.message || '';
+        }
+        
+        const { intent, cache, ...rest } = result;
+        return JSON.stringify(rest);
+    }
+    
+    /**
+     * Format a command the way the developer console accepts it
+     * @param {string} command - Command name
+     * @param {Object} params - Validated parameters
+     * @returns {string} - e.g., 'add_rock x=10 z=-4'
+     * @private
+     */
+    formatCommand(command, params = {}) {
+        const args = Object.entries(params || {}).map(([name, value]) =>
+            `${name}=${value !== null && typeof value === 'object' ? JSON.stringify(value) : value}`);
+        return [command, ...args].join(' ');
+    }
+    
+    /**
+     * List the objects in the scene
+     * @returns {Array} - Objects {id, kind}, where kind is the generated subtype, the preset building type or the collection (e.g., 'castle', 'trees')
+     */
+    getSceneObjects() {
+        const environmentManager = this.commandDispatcher && this.commandDispatcher.managers
+            ? this.commandDispatcher.managers.environmentManager
+            : null;
+        if (!environmentManager || typeof environmentManager.getCollectionDefinitions !== 'function') {
+            return [];
+        }
+        
+        const objects = [];
+        environmentManager.getCollectionDefinitions().forEach(({ name }) => {
+            (environmentManager[name] || []).forEach(object => {
+                const source = object.source || {};
+                objects.push({ id: object.id, kind: source.subtype || source.buildingType || name });
+            });
+        });
+        
+        return objects;
+    }
+    
+    /**
+     * Describe the current scene in a few lines for the prompt
+     * @returns {string} - Scene description
+     * @private
+     */
+    describeSceneState() {
+        const managers = (this.commandDispatcher && this.commandDispatcher.managers) || {};
+        const { skyManager, groundManager, environmentManager } = managers;
+        const formatColor = (color) => typeof color === 'number' ? `#${color.toString(16).padStart(6, '0').toUpperCase()}` : String(color);
+        const countByKind = (objects) => {
+            const counts = {};
+            objects.forEach(object => { counts[object.kind] = (counts[object.kind] || 0) + 1; });
+            return Object.entries(counts).map(([kind, count]) => `${kind} x${count}`).join(', ');
+        };
+        const lines = [];
+        
+        if (skyManager) {
+            const bodies = [skyManager.sun ? 'sun' : null, skyManager.moon ? 'moon' : null].filter(Boolean);
+            lines.push(`- Sky: ${formatColor(skyManager.skyColor)}${bodies.length ? `, ${bodies.join(' and ')}` : ''}`);
+        }
+        
+        if (groundManager) {
+            const terrain = groundManager.terrain ? `, ${groundManager.terrain.shape} terrain` : '';
+            lines.push(`- Ground: ${formatColor(groundManager.groundColor)}${terrain}`);
+        }
+        
+        if (environmentManager) {
+            lines.push(`- Weather: ${environmentManager.currentWeather || 'clear'}` +
+                (environmentManager.currentParticleEffect ? `, particles: ${environmentManager.currentParticleEffect}` : ''));
+        }
+        
+        const objects = this.getSceneObjects();
+        lines.push(`- Objects: ${countByKind(objects) || 'none'}`);
+        
+        // Objects from the latest request that created any (and still exist after undo)
+        const lastSpawnTurn = this.conversation ? this.conversation.getLastSpawnTurn() : null;
+        if (lastSpawnTurn) {
+            const spawnedIds = new Set(lastSpawnTurn.spawned);
+            const spawned = objects.filter(object => spawnedIds.has(object.id));
+            if (spawned.length > 0) {
+                const ids = spawned.slice(0, 10).map(object => object.id).join(', ') + (spawned.length > 10 ? ', ...' : '');
+                lines.push(`- Last created (by "${lastSpawnTurn.user}"): ${countByKind(spawned)} (${ids})`);
+            }
+        }
+        
+        // Objects the user clicked, which "this one", "these" and "selected" refer to
+        const selectionManager = managers.selectionManager;
+        if (selectionManager) {
+            const selected = selectionManager.describeSelection();
+            if (selected.length > 0) {
+                const described = selected.slice(0, 10).map(object => `${object.id} (${object.type})`).join(', ') +
+                    (selected.length > 10 ? ', ...' : '');
+                lines.push(`- Selected (what "them", "this one", "these" and "selected" refer to; change them with the *_selected commands): ${described}`);
+            }
+        }
+        
+        return lines.join('\n');
+    }
+    
+    /**
+     * Build the context block added to system prompts: the current scene and as many
+     * recent turns as fit in the conversation's token budget
+     * @returns {string} - Context block, or an empty string if context is disabled
+     * @private
+     */
+    getContextPrompt() {
+        if (!this.conversation) {
+            return '';
+        }
+        
+        const sceneState = this.describeSceneState();
+        const transcript = this.conversation.getTranscript(
+            this.conversation.maxTokens - ConversationContext.estimateTokens(sceneState));
+        
+        let contextPrompt = `Current scene:\n${sceneState}`;
+        if (transcript) {
+            contextPrompt = `Earlier requests in this conversation (oldest first):\n${transcript}\n\n${contextPrompt}`;
+        }
+        
+        return `${contextPrompt}\n\nUse this context to resolve references like "them", "those", "more" or "again" in the request. ` +
+            'Reply only to the latest request, in the format described above.';
+    }
+    
     /**
      * Update configuration options
      * @param {Object} options - New configuration options
      */
     updateConfig(options) {
-        if (options.apiKey) this.apiKey = options.apiKey;
+        // Switching provider loads that provider's saved key, URL and model
+        if (options.provider && options.provider !== this.providerId) {
+            this.providerId = options.provider;
+            this.apiKey = this.loadApiKey(this.providerId);
+            this.baseUrl = this.loadBaseUrl(this.providerId);
+            this.model = this.loadModel(this.providerId);
+            localStorage.setItem('llm_provider', this.providerId);
+        }
+        
+        if (options.apiKey !== undefined) this.apiKey = options.apiKey;
+        if (options.baseUrl !== undefined) this.baseUrl = options.baseUrl;
         if (options.model) this.model = options.model;
         if (options.temperature !== undefined) this.temperature = parseFloat(options.temperature);
         if (options.topP !== undefined) this.topP = parseFloat(options.topP);
+        if (options.maxRepairAttempts !== undefined) this.maxRepairAttempts = options.maxRepairAttempts;
+        if (options.requestTimeout !== undefined) this.requestTimeout = options.requestTimeout;
+        if (options.streamResponses !== undefined) this.streamResponses = options.streamResponses;
+        if (options.cacheMode && this.responseCache && RESPONSE_CACHE_MODES.includes(options.cacheMode)) {
+            this.cacheMode = options.cacheMode;
+            localStorage.setItem('llm_cache_mode', this.cacheMode);
+        }
         
         // Save to localStorage for persistence
-        if (options.apiKey) localStorage.setItem('openai_api_key', options.apiKey);
-        if (options.model) localStorage.setItem('openai_model', options.model);
+        this.saveProviderSetting('api_key', options.apiKey);
+        this.saveProviderSetting('base_url', options.baseUrl);
+        this.saveProviderSetting('model', options.model);
         if (options.temperature !== undefined) localStorage.setItem('openai_temperature', options.temperature);
         
+        // Recreate the provider with the new settings
+        this.provider = this.createProvider();
+        
         console.log('Updated NaturalLanguageRouter configuration:', {
+            provider: this.providerId,
             model: this.model,
             temperature: this.temperature
         });
     }
+    
+    /**
+     * Save a setting for the current provider to localStorage (an empty string removes it)
+     * @param {string} setting - Setting name (e.g., 'api_key')
+     * @param {string} value - New value, or undefined to leave the setting unchanged
+     * @private
+     */
+    saveProviderSetting(setting, value) {
+        if (value === undefined) return;
+        
+        const storageKey = NaturalLanguageRouter.getStorageKey(this.providerId, setting);
+        if (value) {
+            localStorage.setItem(storageKey, value);
+        } else {
+            localStorage.removeItem(storageKey);
+        }
+    }
 }
 
 // Export the NaturalLanguageRouter class
@@ -0,0 +1,409 @@
+/**
+ * OfflineCommandParser.js
+ * Responsible for turning common English phrases into CommandDispatcher commands without an LLM.
+ * Used when no API key is configured, when the LLM cannot be reached, and as a fast path
+ * for simple requests ("make it night", "add 5 pine trees", "red sky").
+ */
+
+// Color names understood by the parser (longer names are matched first)
+const OFFLINE_PARSER_COLORS = {
+    'light blue': '#87CEEB',
+    'sky blue': '#87CEEB',
+    'dark red': '#8B0000',
+    'dark blue': '#1A237E',
+    'navy': '#000080',
+    'light green': '#90EE90',
+    'dark green': '#006400',
+    'red': '#FF0000',
+    'crimson': '#DC143C',
+    'orange': '#FFA500',
+    'yellow': '#FFFF00',
+    'gold': '#FFD700',
+    'golden': '#FFD700',
+    'green': '#4CAF50',
+    'blue': '#1E88E5',
+    'teal': '#009688',
+    'cyan': '#00FFFF',
+    'purple': '#800080',
+    'violet': '#8A2BE2',
+    'magenta': '#FF00FF',
+    'pink': '#FFC0CB',
+    'white': '#FFFFFF',
+    'black': '#000000',
+    'gray': '#808080',
+    'grey': '#808080',
+    'silver': '#C0C0C0',
+    'brown': '#8B4513',
+    'beige': '#F5F5DC'
+};
+
+// Quantity words understood by the parser
+const OFFLINE_PARSER_NUMBERS = {
+    'a': 1, 'an': 1, 'one': 1, 'another': 1,
+    'two': 2, 'a couple of': 2, 'a pair of': 2,
+    'three': 3, 'a few': 3, 'few': 3, 'some': 3, 'more': 3, 'several': 4,
+    'four': 4, 'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10,
+    'many': 10, 'lots of': 10, 'a lot of': 10
+};
+
+// Words that carry no meaning on their own; they do not count against confidence
+const OFFLINE_PARSER_FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'it', 'its', 'make', 'set', 'change', 'turn', 'into', 'to', 'be', 'is',
+    'please', 'can', 'could', 'you', 'i', 'want', 'would', 'like', 'let', 'lets', 'some', 'with',
+    'and', 'then', 'also', 'now', 'give', 'me', 'us', 'of', 'in', 'at', 'on', 'scene', 'world',
+    'environment', 'color', 'colour', 'very', 'really', 'bit', 'little', 'more', 'do', 'have', 'get'
+]);
+
+// Negations that turn a phrase around ("don't add trees"); apostrophes are removed before matching
+const OFFLINE_PARSER_NEGATIONS = new Set(['not', 'no', 'dont', 'doesnt', 'never', 'without', 'cannot', 'cant']);
+
+// Tree type names and their aliases
+const OFFLINE_PARSER_TREE_TYPES = {
+    'cherry blossom': 'cherry_blossom',
+    'cherry': 'cherry_blossom',
+    'sakura': 'cherry_blossom',
+    'pine': 'pine',
+    'fir': 'pine',
+    'oak': 'oak',
+    'willow': 'willow',
+    'palm': 'palm',
+    'magical': 'magical',
+    'magic': 'magical'
+};
+
+// Building names and their aliases
+const OFFLINE_PARSER_BUILDING_TYPES = {
+    'shrine': 'shrine',
+    'pagoda': 'pagoda',
+    'castle': 'castle',
+    'cottage': 'cottage',
+    'house': 'cottage',
+    'tower': 'tower',
+    'ruins': 'ruins',
+    'temple': 'temple'
+};
+
+class OfflineCommandParser {
+    /**
+     * Create an offline command parser
+     * @param {Object} options - Parser options
+     * @param {number} options.confidenceThreshold - Confidence (0-1) needed to skip the LLM
+     * @param {number} options.maxCount - Largest number of objects one phrase may add
+     */
+    constructor(options = {}) {
+        this.confidenceThreshold = options.confidenceThreshold !== undefined ? options.confidenceThreshold : 0.8;
+        this.maxCount = options.maxCount || 20;
+        this.rules = this.createRules();
+    }
+
+    /**
+     * Parse a natural language input into commands
+     * @param {string} input - Natural language input
+     * @returns {Object} - {commands: [{command, params}], confidence, unmatched: [words]}
+     */
+    parse(input) {
+        const result = { commands: [], confidence: 0, unmatched: [] };
+        if (!input || typeof input !== 'string') {
+            return result;
+        }
+
+        let contentWordCount = 0;
+
+        this.splitClauses(input).forEach(clause => {
+            const contentWords = this.getContentWords(clause);
+            contentWordCount += contentWords.length;
+
+            // Each rule consumes the words it matched so later rules only see what is left
+            const clauseCommands = [];
+            let remaining = ` ${clause} `;
+            this.rules.forEach(rule => {
+                const match = remaining.match(rule.pattern);
+                if (!match) return;
+
+                const commands = rule.build(match);
+                if (commands.length === 0) return;
+
+                clauseCommands.push(...commands);
+                remaining = remaining.replace(new RegExp(rule.pattern.source, 'g'), ' ');
+            });
+
+            // A negation no rule understood would turn the clause around, so it is left to the LLM
+            const unmatched = this.getContentWords(remaining);
+            if (unmatched.some(word => OFFLINE_PARSER_NEGATIONS.has(word))) {
+                result.unmatched.push(...contentWords);
+                return;
+            }
+
+            result.commands.push(...clauseCommands);
+            result.unmatched.push(...unmatched);
+        });
+
+        if (contentWordCount > 0 && result.commands.length > 0) {
+            result.confidence = (contentWordCount - result.unmatched.length) / contentWordCount;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check whether a parse result is confident enough to skip the LLM
+     * @param {Object} result - Result from parse
+     * @returns {boolean} - True if the commands can be used directly
+     */
+    isConfident(result) {
+        return result.commands.length > 0 && result.confidence >= this.confidenceThreshold;
+    }
+
+    /**
+     * Lower-case the input and split it into clauses
+     * @param {string} input - Natural language input
+     * @returns {Array} - Array of clause strings
+     * @private
+     */
+    splitClauses(input) {
+        return input
+            .toLowerCase()
+            .replace(/n['’]t\b/g, 'nt')
+            .replace(/[!?."']/g, ' ')
+            .split(/,|;|\band\b|\bthen\b|\bplus\b/)
+            .map(clause => clause.replace(/\s+/g, ' ').trim())
+            .filter(clause => clause.length > 0);
+    }
+
+    /**
+     * Get the words of a clause that carry meaning
+     * @param {string} text - Clause text
+     * @returns {Array} - Array of words
+     * @private
+     */
+    getContentWords(text) {
+        return text
+            .split(/\s+/)
+            .filter(word => word.length > 0 && !OFFLINE_PARSER_FILLER_WORDS.has(word));
+    }
+
+    /**
+     * Convert a quantity word or number to a count
+     * @param {string} text - Quantity text (e.g., '5', 'five', 'a few'), or undefined
+     * @returns {number} - Count between 1 and maxCount
+     * @private
+     */
+    parseCount(text) {
+        if (!text) return 1;
+
+        const count = /^\d+$/.test(text) ? parseInt(text, 10) : OFFLINE_PARSER_NUMBERS[text] || 1;
+        return Math.max(1, Math.min(count, this.maxCount));
+    }
+
+    /**
+     * Build a regex alternation from dictionary keys, longest first
+     * @param {Object} dictionary - Object whose keys are phrases
+     * @returns {string} - Regex source such as 'light blue|blue'
+     * @private
+     */
+    alternation(dictionary) {
+        return Object.keys(dictionary)
+            .sort((a, b) => b.length - a.length)
+            .map(phrase => phrase.replace(/\s+/g, '\\s+'))
+            .join('|');
+    }
+
+    /**
+     * Resolve a matched color to a hex string
+     * @param {string} text - Color name or hex code
+     * @returns {string} - Hex color
+     * @private
+     */
+    resolveColor(text) {
+        if (text.startsWith('#')) {
+            return text.toUpperCase();
+        }
+
+        return OFFLINE_PARSER_COLORS[text.replace(/\s+/g, ' ')];
+    }
+
+    /**
+     * Create the phrase rules, in the order they are tried
+     * @returns {Array} - Array of rules {pattern, build(match) => [{command, params}]}
+     * @private
+     */
+    createRules() {
+        const color = `(#[0-9a-f]{6}|#[0-9a-f]{3}|${this.alternation(OFFLINE_PARSER_COLORS)})`;
+        const count = `(\\d+|${this.alternation(OFFLINE_PARSER_NUMBERS)})`;
+        const treeType = `(${this.alternation(OFFLINE_PARSER_TREE_TYPES)})`;
+        const buildingType = `(${this.alternation(OFFLINE_PARSER_BUILDING_TYPES)})`;
+        const addVerb = '(?:add|spawn|plant|create|grow|place|put|build|make|generate)';
+        const command = (name, params = {}) => ({ command: name, params });
+        const selected = '(?:selected(?:\\s+(?:ones?|objects?|things?|trees?|rocks?|buildings?))?|selection|this(?:\\s+one)?|these(?:\\s+ones)?|that\\s+one)';
+
+        return [
+            // "Dark" on its own means night; "dark red sky" is a color (tried first, before colors consume words)
+            {
+                pattern: /\bdark\s*$/,
+                build: () => [command('night_sky')]
+            },
+            // The selected objects ("delete selected", "make this one a castle", "paint these red")
+            {
+                pattern: new RegExp(`\\b(?:delete|remove|destroy|get\\s+rid\\s+of)\\s+(?:the\\s+)?${selected}\\b`),
+                build: () => [command('delete_selected')]
+            },
+            {
+                pattern: new RegExp(`\\b(?:make|turn|change|replace)\\s+(?:the\\s+)?${selected}\\s+(?:into\\s+|to\\s+|with\\s+)?(?:an?\\s+)?(?:${treeType}\\s+trees?|${buildingType}s?)\\b`),
+                build: match => {
+                    const type = match[1]
+                        ? OFFLINE_PARSER_TREE_TYPES[match[1].replace(/\s+/g, ' ')]
+                        : OFFLINE_PARSER_BUILDING_TYPES[match[2]];
+                    return [command(`replace_selected:${type}`)];
+                }
+            },
+            {
+                pattern: new RegExp(`\\b(?:make|paint|colou?r|recolou?r|turn)\\s+(?:the\\s+)?${selected}\\s+(?:to\\s+|in\\s+)?${color}\\b|\\b${selected}\\s+${color}\\b`),
+                build: match => [command(`recolor_selected:${this.resolveColor(match[1] || match[2])}`)]
+            },
+            {
+                pattern: /\b(?:deselect|unselect|clear\s+(?:the\s+)?selection)\b/,
+                build: () => [command('clear_selection')]
+            },
+            // Player color ("make the player red", "blue character")
+            {
+                pattern: new RegExp(`\\b(?:player|character|hero)\\b(?:\\s+\\w+){0,2}?\\s+${color}\\b|\\b${color}\\s+(?:player|character|hero)\\b`),
+                build: match => [command(`change_player_color:${this.resolveColor(match[1] || match[2])}`)]
+            },
+            // Player physics ("gravity 10", "low gravity", "jump height to 5", "move speed 12")
+            {
+                pattern: /\b(low|lower|moon|normal|default|high|higher|heavy)\s+gravity\b/,
+                build: match => {
+                    const gravity = { low: 8, lower: 8, moon: 4, normal: 20, default: 20, high: 40, higher: 40, heavy: 40 }[match[1]];
+                    return [command('set_gravity', { gravity })];
+                }
+            },
+            {
+                pattern: /\bgravity(?:\s+(?:to|of|=))?\s+(\d+(?:\.\d+)?)\b/,
+                build: match => [command('set_gravity', { gravity: parseFloat(match[1]) })]
+            },
+            {
+                pattern: /\bjump\s+height(?:\s+(?:to|of|=))?\s+(\d+(?:\.\d+)?)\b/,
+                build: match => [command('set_jump_height', { height: parseFloat(match[1]) })]
+            },
+            {
+                pattern: /\b(?:move|movement|run|running|walk|walking|player)\s+speed(?:\s+(?:to|of|=))?\s+(\d+(?:\.\d+)?)\b/,
+                build: match => [command('set_move_speed', { speed: parseFloat(match[1]) })]
+            },
+            // Emotes ("make the character dance", "wave hello", "dance!")
+            {
+                pattern: /\b(?:player|character|hero|avatar|me)\s+(?:\w+\s+)?(dance|wave)\b|\b(dance|wave)\s+(?:hello|hi|goodbye|bye|emote|animation)\b|^\s*(dance|wave)\s*$/,
+                build: match => [command('play_emote', { emote: match[1] || match[2] || match[3] })]
+            },
+            // Ambient light color ("purple light", "lighting to gold")
+            {
+                pattern: new RegExp(`\\b${color}\\s+(?:ambient\\s+)?light(?:ing)?\\b|\\b(?:ambient\\s+light|lighting)(?:\\s+(?:to|is|be))?\\s+${color}\\b`),
+                build: match => [command(`change_ambient_light:${this.resolveColor(match[1] || match[2])}`)]
+            },
+            // Sky color ("red sky", "sky to light blue")
+            {
+                pattern: new RegExp(`\\b${color}\\s+sky\\b|\\bsky(?:\\s+(?:colou?r|to|is|be|into|should|look))*\\s+${color}\\b`),
+                build: match => [command(`change_sky_color:${this.resolveColor(match[1] || match[2])}`)]
+            },
+            // Ground presets
+            {
+                pattern: /\b(?:snowy|snow[- ]covered|snow|icy|winter)\s+(?:ground|grass|floor|land)\b|\bground\s+(?:snowy|icy)\b/,
+                build: () => [command('snowy_ground')]
+            },
+            {
+                pattern: /\b(?:desert|sandy|sand)(?:\s+(?:ground|floor|land|landscape))?\b/,
+                build: () => [command('desert_ground')]
+            },
+            {
+                pattern: /\b(?:grassy|green\s+grass|lush)(?:\s+(?:ground|floor|land|field))?\b/,
+                build: () => [command('grassy_ground')]
+            },
+            // Ground color ("brown ground", "ground to white")
+            {
+                pattern: new RegExp(`\\b${color}\\s+(?:ground|grass|floor|land)\\b|\\b(?:ground|grass|floor)(?:\\s+(?:colou?r|to|is|be|into))*\\s+${color}\\b`),
+                build: match => [command(`change_ground_color:${this.resolveColor(match[1] || match[2])}`)]
+            },
+            // Trees ("add 5 pine trees", "plant a tree", "with pine trees")
+            {
+                pattern: new RegExp(`\\b(?:${addVerb}|with)\\s+(?:${count}\\s+)?(?:${treeType}\\s+)?trees?\\b`),
+                build: match => {
+                    const treeCount = this.parseCount(match[1]);
+                    if (match[2]) {
+                        const type = OFFLINE_PARSER_TREE_TYPES[match[2].replace(/\s+/g, ' ')];
+                        return [command(`spawn_tree_type:${type}`, { count: treeCount })];
+                    }
+                    return [command(`spawn_trees:${treeCount}`)];
+                }
+            },
+            {
+                pattern: /\b(?:remove|delete|cut\s+down|chop\s+down)\s+(?:a|one|the\s+last|the)?\s*tree\b/,
+                build: () => [command('remove_tree')]
+            },
+            // Simple objects ("add a platform", "add 3 clouds")
+            {
+                pattern: new RegExp(`\\b${addVerb}\\s+(?:${count}\\s+)?(rock|stone|boulder|platform|cloud)s?\\b`),
+                build: match => {
+                    const objectCommand = {
+                        rock: 'add_rock',
+                        stone: 'add_rock',
+                        boulder: 'add_rock',
+                        platform: 'add_platform',
+                        cloud: 'add_cloud'
+                    }[match[2]];
+                    return Array.from({ length: this.parseCount(match[1]) }, () => command(objectCommand));
+                }
+            },
+            // Buildings ("build a castle", "add 2 towers")
+            {
+                pattern: new RegExp(`\\b${addVerb}\\s+(?:${count}\\s+)?${buildingType}s?\\b`),
+                build: match => {
+                    const type = OFFLINE_PARSER_BUILDING_TYPES[match[2]];
+                    return Array.from({ length: this.parseCount(match[1]) }, () => command(`spawn_building:${type}`));
+                }
+            },
+            // Particles ("falling petals", "sparkles")
+            {
+                pattern: /\b(?:falling\s+)?(petals|sparkles|snowflakes|raindrops|leaves)(?:\s+falling)?\b/,
+                build: match => [command(`start_particles:${match[1]}`)]
+            },
+            // Weather ("stop the rain", "make it not rain" and "don't let it snow" are tried before "rain")
+            {
+                pattern: /\bclear\s+(?:weather|skies|sky)\b|\b(?:stop|end|no|not|dont|do\s+not)\s+(?:(?:make|let)\s+(?:it\s+)?)?(?:more\s+)?(?:the\s+)?(?:rain|raining|snow|snowing|storm|fog|weather)\b/,
+                build: () => [command('set_weather:clear')]
+            },
+            {
+                pattern: /\b(?:storm|stormy|thunderstorm|thunder|lightning)\b/,
+                build: () => [command('set_weather:storm')]
+            },
+            {
+                pattern: /\b(?:rain|raining|rainy|drizzle)\b/,
+                build: () => [command('set_weather:rain')]
+            },
+            {
+                pattern: /\b(?:snow|snowing|snowy|snowfall|blizzard)\b/,
+                build: () => [command('set_weather:snow')]
+            },
+            {
+                pattern: /\b(?:fog|foggy|mist|misty|haze|hazy)\b/,
+                build: () => [command('set_weather:fog')]
+            },
+            // Time of day
+            {
+                pattern: /\b(?:night|nighttime|night\s+time|midnight)\b/,
+                build: () => [command('night_sky')]
+            },
+            {
+                pattern: /\b(?:sunset|dusk|evening|twilight|sundown)\b/,
+                build: () => [command('sunset_sky')]
+            },
+            {
+                pattern: /\b(?:day|daytime|day\s+time|morning|noon|sunny|daylight)\b/,
+                build: () => [command('day_sky')]
+            }
+        ];
+    }
+}
+
+// Export the OfflineCommandParser class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineCommandParser };
+}
@@ -0,0 +1,482 @@
+/**
+ * ParticleEmitter.js
+ * A pooled particle emitter for ambient effects (petals, snowflakes, leaves, ...).
+ * Particles are drawn as textured point sprites in a single draw call. They spawn in a
+ * volume that follows the camera, fall with gravity, drift with the wind and fade in and
+ * out over their lifetime. Dead particles return to the pool and are reused.
+ */
+
+// Size in pixels of the procedurally drawn particle textures
+const PARTICLE_TEXTURE_SIZE = 64;
+
+// Draw a particle shape onto a square canvas context (white shapes are tinted per particle)
+const PARTICLE_TEXTURE_PAINTERS = {
+    petal: (ctx, size) => {
+        // Rounded petal with a notch at the tip and a slightly darker base
+        const gradient = ctx.createLinearGradient(0, size * 0.9, 0, size * 0.1);
+        gradient.addColorStop(0, 'rgba(235, 215, 225, 1)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 1)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.moveTo(size * 0.5, size * 0.92);
+        ctx.bezierCurveTo(size * 0.05, size * 0.65, size * 0.15, size * 0.1, size * 0.42, size * 0.12);
+        ctx.lineTo(size * 0.5, size * 0.2);
+        ctx.lineTo(size * 0.58, size * 0.12);
+        ctx.bezierCurveTo(size * 0.85, size * 0.1, size * 0.95, size * 0.65, size * 0.5, size * 0.92);
+        ctx.fill();
+    },
+    snowflake: (ctx, size) => {
+        // Six-armed flake with small side branches over a soft glow
+        const center = size / 2;
+        const glow = ctx.createRadialGradient(center, center, 0, center, center, center);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 0.6)');
+        glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, size, size);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 1)';
+        ctx.lineWidth = size * 0.05;
+        ctx.lineCap = 'round';
+        ctx.translate(center, center);
+        for (let arm = 0; arm < 6; arm++) {
+            ctx.beginPath();
+            ctx.moveTo(0, 0);
+            ctx.lineTo(0, -size * 0.42);
+            ctx.moveTo(0, -size * 0.25);
+            ctx.lineTo(-size * 0.1, -size * 0.34);
+            ctx.moveTo(0, -size * 0.25);
+            ctx.lineTo(size * 0.1, -size * 0.34);
+            ctx.stroke();
+            ctx.rotate(Math.PI / 3);
+        }
+    },
+    raindrop: (ctx, size) => {
+        // Narrow streak that fades towards the top
+        const gradient = ctx.createLinearGradient(0, size * 0.05, 0, size * 0.95);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+        gradient.addColorStop(1, 'rgba(255, 255, 255, 1)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.moveTo(size * 0.5, size * 0.05);
+        ctx.quadraticCurveTo(size * 0.58, size * 0.7, size * 0.56, size * 0.88);
+        ctx.arc(size * 0.5, size * 0.88, size * 0.06, 0, Math.PI);
+        ctx.quadraticCurveTo(size * 0.42, size * 0.7, size * 0.5, size * 0.05);
+        ctx.fill();
+    },
+    leaf: (ctx, size) => {
+        // Pointed leaf with a central vein and a short stem
+        ctx.fillStyle = 'rgba(255, 255, 255, 1)';
+        ctx.beginPath();
+        ctx.moveTo(size * 0.5, size * 0.06);
+        ctx.quadraticCurveTo(size * 0.95, size * 0.4, size * 0.5, size * 0.82);
+        ctx.quadraticCurveTo(size * 0.05, size * 0.4, size * 0.5, size * 0.06);
+        ctx.fill();
+
+        ctx.strokeStyle = 'rgba(120, 90, 60, 0.8)';
+        ctx.lineWidth = size * 0.035;
+        ctx.beginPath();
+        ctx.moveTo(size * 0.5, size * 0.12);
+        ctx.lineTo(size * 0.5, size * 0.95);
+        ctx.stroke();
+    },
+    sparkle: (ctx, size) => {
+        // Four-pointed star over a bright radial glow
+        const center = size / 2;
+        const glow = ctx.createRadialGradient(center, center, 0, center, center, center);
+        glow.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        glow.addColorStop(0.25, 'rgba(255, 255, 255, 0.5)');
+        glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, size, size);
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 1)';
+        ctx.beginPath();
+        ctx.moveTo(center, 0);
+        ctx.quadraticCurveTo(center, center, size, center);
+        ctx.quadraticCurveTo(center, center, center, size);
+        ctx.quadraticCurveTo(center, center, 0, center);
+        ctx.quadraticCurveTo(center, center, center, 0);
+        ctx.fill();
+    }
+};
+
+// Point sprite shaders: per-particle size, opacity, rotation and tint
+const PARTICLE_VERTEX_SHADER = `
+    attribute float size;
+    attribute float alpha;
+    attribute float rotation;
+    attribute vec3 tint;
+    uniform float scale;
+    varying float vAlpha;
+    varying float vRotation;
+    varying vec3 vTint;
+
+    void main() {
+        vAlpha = alpha;
+        vRotation = rotation;
+        vTint = tint;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_PointSize = size * scale / -mvPosition.z;
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    uniform sampler2D map;
+    varying float vAlpha;
+    varying float vRotation;
+    varying vec3 vTint;
+
+    void main() {
+        if (vAlpha <= 0.0) discard;
+        vec2 offset = gl_PointCoord - 0.5;
+        float s = sin(vRotation);
+        float c = cos(vRotation);
+        vec2 uv = vec2(c * offset.x - s * offset.y, s * offset.x + c * offset.y) + 0.5;
+        vec4 texel = texture2D(map, uv);
+        float opacity = texel.a * vAlpha;
+        if (opacity < 0.01) discard;
+        gl_FragColor = vec4(vTint * texel.rgb, opacity);
+    }
+`;
+
+class ParticleEmitter {
+    /**
+     * Create a particle emitter and add it to the scene
+     * @param {THREE.Scene} scene - The Three.js scene
+     * @param {Object} config - Emitter settings
+     * @param {string} config.texture - Shape of the particles (petal, snowflake, raindrop, leaf, sparkle)
+     * @param {number} config.maxParticles - Size of the particle pool
+     * @param {number} config.spawnRate - Particles spawned per second (default: pool size / average lifetime)
+     * @param {Array} config.colors - Tints picked at random per particle (hex numbers)
+     * @param {number} config.size - Particle size in world units
+     * @param {number} config.sizeVariation - Random extra size per particle
+     * @param {number} config.lifetime - Average lifetime in seconds
+     * @param {number} config.lifetimeVariation - Random extra lifetime in seconds
+     * @param {number} config.opacity - Opacity of a fully faded-in particle (0-1)
+     * @param {number} config.fadeIn - Seconds a new particle takes to fade in
+     * @param {number} config.fadeOut - Seconds before the end of its life a particle starts to fade out
+     * @param {number} config.gravity - Vertical acceleration in units per second² (negative falls, positive rises)
+     * @param {number} config.maxFallSpeed - Terminal fall speed in units per second
+     * @param {Object} config.wind - Wind velocity {x, z} in units per second
+     * @param {number} config.sway - Amplitude of the sideways flutter (0 for none)
+     * @param {number} config.spin - Maximum rotation speed in radians per second
+     * @param {number} config.twinkle - Strength of the opacity flicker (0-1)
+     * @param {Object} config.volume - Spawn volume around the camera {size, height, offsetY}
+     * @param {string} config.spawnAt - 'top' to spawn along the top of the volume, 'volume' to spawn anywhere in it
+     * @param {boolean} config.additive - Use additive blending (glowing particles)
+     */
+    constructor(scene, config = {}) {
+        this.scene = scene;
+        this.config = Object.assign({
+            texture: 'sparkle',
+            maxParticles: 500,
+            colors: [0xFFFFFF],
+            size: 0.3,
+            sizeVariation: 0.1,
+            lifetime: 10,
+            lifetimeVariation: 4,
+            opacity: 1,
+            fadeIn: 1,
+            fadeOut: 2,
+            gravity: -1,
+            maxFallSpeed: 2,
+            wind: { x: 0, z: 0 },
+            sway: 0,
+            spin: 0,
+            twinkle: 0,
+            volume: { size: 80, height: 30, offsetY: 0 },
+            spawnAt: 'top',
+            additive: false
+        }, config);
+        this.config.volume = Object.assign({ size: 80, height: 30, offsetY: 0 }, config.volume);
+        this.wind = Object.assign({ x: 0, z: 0 }, this.config.wind);
+
+        const count = Math.max(0, Math.floor(this.config.maxParticles));
+        this.count = count;
+        this.spawnRate = this.config.spawnRate !== undefined
+            ? this.config.spawnRate
+            : count / (this.config.lifetime + this.config.lifetimeVariation / 2);
+        this.spawnAccumulator = 0;
+
+        // Per-particle simulation state
+        this.velocities = new Float32Array(count * 3);
+        this.ages = new Float32Array(count);
+        this.lifetimes = new Float32Array(count);
+        this.baseSizes = new Float32Array(count);
+        this.spins = new Float32Array(count);
+        this.phases = new Float32Array(count);
+        this.alive = new Uint8Array(count);
+
+        // Indices of dead particles, ready to be reused
+        this.freeIndices = [];
+        for (let i = count - 1; i >= 0; i--) {
+            this.freeIndices.push(i);
+        }
+
+        // Tints are converted once instead of on every spawn
+        this.tints = this.config.colors.map(color => new THREE.Color(color));
+
+        this.texture = ParticleEmitter.createTexture(this.config.texture);
+        this.points = this.createPoints(count);
+        this.scene.add(this.points);
+    }
+
+    /**
+     * Draw a particle texture on a canvas
+     * @param {string} shape - Texture shape (petal, snowflake, raindrop, leaf, sparkle)
+     * @returns {THREE.CanvasTexture} - The texture
+     */
+    static createTexture(shape) {
+        const canvas = document.createElement('canvas');
+        canvas.width = PARTICLE_TEXTURE_SIZE;
+        canvas.height = PARTICLE_TEXTURE_SIZE;
+        const ctx = canvas.getContext('2d');
+
+        const painter = PARTICLE_TEXTURE_PAINTERS[shape] || PARTICLE_TEXTURE_PAINTERS.sparkle;
+        painter(ctx, PARTICLE_TEXTURE_SIZE);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.needsUpdate = true;
+        return texture;
+    }
+
+    /**
+     * Get the texture shapes createTexture can draw
+     * @returns {Array} - Shape names
+     */
+    static getTextureShapes() {
+        return Object.keys(PARTICLE_TEXTURE_PAINTERS);
+    }
+
+    /**
+     * Create the point sprite object holding the particle pool
+     * @param {number} count - Pool size
+     * @returns {THREE.Points} - The points object
+     * @private
+     */
+    createPoints(count) {
+        const geometry = new THREE.BufferGeometry();
+        const attributes = {
+            position: new THREE.BufferAttribute(new Float32Array(count * 3), 3),
+            size: new THREE.BufferAttribute(new Float32Array(count), 1),
+            alpha: new THREE.BufferAttribute(new Float32Array(count), 1),
+            rotation: new THREE.BufferAttribute(new Float32Array(count), 1),
+            tint: new THREE.BufferAttribute(new Float32Array(count * 3), 3)
+        };
+        Object.entries(attributes).forEach(([name, attribute]) => {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        });
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                map: { value: this.texture },
+                scale: { value: 500 }
+            },
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false,
+            blending: this.config.additive ? THREE.AdditiveBlending : THREE.NormalBlending
+        });
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false; // Particles are spread around the camera
+        return points;
+    }
+
+    /**
+     * Fill the pool with particles spread through the volume at random points in their lives,
+     * so an effect starts with the air already full instead of an empty sky
+     * @param {Object} center - Center of the volume {x, y, z}
+     */
+    prewarm(center) {
+        const volume = this.config.volume;
+        const positions = this.points.geometry.attributes.position.array;
+
+        while (this.freeIndices.length > 0) {
+            const index = this.spawn(center);
+            positions[index * 3 + 1] = center.y + volume.offsetY + (Math.random() - 0.5) * volume.height;
+            this.ages[index] = Math.random() * this.lifetimes[index];
+        }
+    }
+
+    /**
+     * Take a particle from the pool and give it a fresh start
+     * @param {Object} center - Center of the spawn volume {x, y, z}
+     * @returns {number} - Index of the spawned particle, or -1 if the pool is exhausted
+     * @private
+     */
+    spawn(center) {
+        if (this.freeIndices.length === 0) {
+            return -1;
+        }
+
+        const index = this.freeIndices.pop();
+        const i3 = index * 3;
+        const config = this.config;
+        const volume = config.volume;
+        const attributes = this.points.geometry.attributes;
+
+        attributes.position.array[i3] = center.x + (Math.random() - 0.5) * volume.size;
+        attributes.position.array[i3 + 1] = config.spawnAt === 'volume'
+            ? center.y + volume.offsetY + (Math.random() - 0.5) * volume.height
+            : center.y + volume.offsetY + volume.height * (0.4 + Math.random() * 0.1);
+        attributes.position.array[i3 + 2] = center.z + (Math.random() - 0.5) * volume.size;
+
+        this.velocities[i3] = 0;
+        this.velocities[i3 + 1] = config.gravity < 0 ? -config.maxFallSpeed * (0.5 + Math.random() * 0.5) : 0;
+        this.velocities[i3 + 2] = 0;
+
+        this.ages[index] = 0;
+        this.lifetimes[index] = config.lifetime + Math.random() * config.lifetimeVariation;
+        this.baseSizes[index] = config.size + Math.random() * config.sizeVariation;
+        this.spins[index] = (Math.random() * 2 - 1) * config.spin;
+        this.phases[index] = Math.random() * Math.PI * 2;
+        this.alive[index] = 1;
+
+        const tint = this.tints[Math.floor(Math.random() * this.tints.length)];
+        attributes.tint.array[i3] = tint.r;
+        attributes.tint.array[i3 + 1] = tint.g;
+        attributes.tint.array[i3 + 2] = tint.b;
+        attributes.rotation.array[index] = config.spin > 0 ? Math.random() * Math.PI * 2 : 0; // Non-spinning shapes stay upright
+        attributes.size.array[index] = this.baseSizes[index];
+        attributes.alpha.array[index] = 0;
+        attributes.tint.needsUpdate = true;
+
+        return index;
+    }
+
+    /**
+     * Return a particle to the pool
+     * @param {number} index - Index of the particle
+     * @private
+     */
+    kill(index) {
+        this.alive[index] = 0;
+        this.points.geometry.attributes.alpha.array[index] = 0;
+        this.freeIndices.push(index);
+    }
+
+    /**
+     * Change the wind the particles drift with
+     * @param {number} x - Wind speed along the x axis in units per second
+     * @param {number} z - Wind speed along the z axis in units per second
+     */
+    setWind(x, z) {
+        this.wind.x = x;
+        this.wind.z = z;
+    }
+
+    /**
+     * Get the number of particles currently alive
+     * @returns {number} - Active particle count
+     */
+    getActiveCount() {
+        return this.count - this.freeIndices.length;
+    }
+
+    /**
+     * Spawn, move, fade and recycle particles
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} elapsedTime - Elapsed time in seconds
+     * @param {Object} center - Center of the volume, usually the camera position {x, y, z}
+     * @param {THREE.Camera} camera - Camera the particles are viewed with (sets the sprite scale)
+     */
+    update(deltaTime, elapsedTime, center, camera = null) {
+        const config = this.config;
+        const volume = config.volume;
+        const halfSize = volume.size / 2;
+        const top = center.y + volume.offsetY + volume.height / 2;
+        const bottom = center.y + volume.offsetY - volume.height / 2;
+        const attributes = this.points.geometry.attributes;
+        const positions = attributes.position.array;
+        const sizes = attributes.size.array;
+        const alphas = attributes.alpha.array;
+        const rotations = attributes.rotation.array;
+
+        if (camera && camera.isPerspectiveCamera && typeof window !== 'undefined') {
+            this.points.material.uniforms.scale.value =
+                window.innerHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+        }
+
+        // Spawn new particles at a steady rate while the pool has room
+        this.spawnAccumulator += this.spawnRate * deltaTime;
+        while (this.spawnAccumulator >= 1) {
+            this.spawnAccumulator -= 1;
+            if (this.spawn(center) === -1) {
+                this.spawnAccumulator = 0;
+                break;
+            }
+        }
+
+        for (let i = 0; i < this.count; i++) {
+            if (!this.alive[i]) continue;
+
+            const i3 = i * 3;
+            this.ages[i] += deltaTime;
+            const age = this.ages[i];
+            const lifetime = this.lifetimes[i];
+
+            if (age >= lifetime || positions[i3 + 1] < bottom || positions[i3 + 1] > top + volume.height) {
+                this.kill(i);
+                continue;
+            }
+
+            // Gravity up to the terminal speed, then wind and flutter
+            this.velocities[i3 + 1] = Math.max(this.velocities[i3 + 1] + config.gravity * deltaTime, -config.maxFallSpeed);
+            positions[i3] += (this.velocities[i3] + this.wind.x) * deltaTime;
+            positions[i3 + 1] += this.velocities[i3 + 1] * deltaTime;
+            positions[i3 + 2] += (this.velocities[i3 + 2] + this.wind.z) * deltaTime;
+            if (config.sway > 0) {
+                const phase = this.phases[i];
+                positions[i3] += Math.sin(elapsedTime * 1.7 + phase) * config.sway * deltaTime;
+                positions[i3 + 2] += Math.cos(elapsedTime * 1.3 + phase) * config.sway * deltaTime;
+            }
+            rotations[i] += this.spins[i] * deltaTime;
+
+            // Wrap horizontally so the volume follows the camera
+            const dx = positions[i3] - center.x;
+            if (dx > halfSize) positions[i3] -= volume.size;
+            else if (dx < -halfSize) positions[i3] += volume.size;
+
+            const dz = positions[i3 + 2] - center.z;
+            if (dz > halfSize) positions[i3 + 2] -= volume.size;
+            else if (dz < -halfSize) positions[i3 + 2] += volume.size;
+
+            // Fade in after spawning and out before dying
+            let alpha = config.opacity;
+            if (config.fadeIn > 0) alpha *= Math.min(1, age / config.fadeIn);
+            if (config.fadeOut > 0) alpha *= Math.min(1, (lifetime - age) / config.fadeOut);
+            if (config.twinkle > 0) {
+                const flicker = 0.5 + 0.5 * Math.sin(elapsedTime * 6 + this.phases[i] * 3);
+                alpha *= 1 - config.twinkle * flicker;
+                sizes[i] = this.baseSizes[i] * (1 - config.twinkle * 0.5 * flicker);
+            }
+            alphas[i] = alpha;
+        }
+
+        attributes.position.needsUpdate = true;
+        attributes.size.needsUpdate = true;
+        attributes.alpha.needsUpdate = true;
+        attributes.rotation.needsUpdate = true;
+    }
+
+    /**
+     * Remove the particles from the scene and free their GPU resources
+     */
+    dispose() {
+        this.scene.remove(this.points);
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+        this.texture.dispose();
+        this.freeIndices = [];
+        this.alive.fill(0);
+    }
+}
+
+// Export the ParticleEmitter class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ParticleEmitter };
+}
@@ -3,6 +3,7 @@
  * 
  * A simple, low-poly teletubby-style character for the fantasy game.
  * Features a cute, cartoon-like appearance with simple shapes.
+ * The body parts pivot at the hips, neck and shoulders so CharacterAnimator can pose them.
  */
 
 class PlayerCharacter {
@@ -37,24 +38,22 @@ class PlayerCharacter {
             eyeColor: 0x000000,       // Black eyes
             
             // Animation settings
-            idleAnimationSpeed: 0.5,
-            idleAnimationHeight: 0.05,
-            
-            // Physics settings
-            jumpHeight: 5,
-            moveSpeed: 5
+            animationSpeed: 1,        // Playback speed of all animations
+            turnSpeed: 12             // Turning speed in radians per second
         }, options);
         
+        // Outward angle of the arms in the rest pose
+        this.armRestAngle = Math.PI / 2 * 0.7;
+        
         // Create the character mesh
         this.mesh = new THREE.Group();
         this.createCharacter();
         
-        // Animation state
-        this.animationTime = 0;
-        this.isJumping = false;
-        this.isFalling = false;
-        this.jumpVelocity = 0;
-        this.gravity = 0.2;
+        // Animation state machine (movement and physics are handled by PlayerManager)
+        this.animator = new CharacterAnimator(this, {
+            animationSpeed: this.options.animationSpeed,
+            turnSpeed: this.options.turnSpeed
+        });
         
         console.log('Teletubby-style PlayerCharacter created');
     }
@@ -63,6 +62,15 @@ class PlayerCharacter {
      * Create the character mesh with all body parts
      */
     createCharacter() {
+        // Upper body, pivoting at the hips (bobs, squashes, leans and twists as one)
+        this.torso = new THREE.Group();
+        this.mesh.add(this.torso);
+        
+        // Head and eyes, pivoting at the neck
+        this.headGroup = new THREE.Group();
+        this.headGroup.position.y = this.options.bodyHeight;
+        this.torso.add(this.headGroup);
+        
         // Create body (torso) using CapsuleGeometry for a rounder teletubby look
         const bodyGeometry = new THREE.CapsuleGeometry(
             this.options.bodyWidth / 2,    // radius
@@ -73,14 +81,14 @@ class PlayerCharacter {
         const bodyMaterial = new THREE.MeshLambertMaterial({ color: this.options.bodyColor });
         this.body = new THREE.Mesh(bodyGeometry, bodyMaterial);
         this.body.position.y = this.options.bodyHeight / 2;
-        this.mesh.add(this.body);
+        this.torso.add(this.body);
         
         // Create head (sphere for teletubby-like appearance)
         const headGeometry = new THREE.SphereGeometry(this.options.headSize, 12, 12);
         const headMaterial = new THREE.MeshLambertMaterial({ color: this.options.headColor });
         this.head = new THREE.Mesh(headGeometry, headMaterial);
-        this.head.position.y = this.options.bodyHeight + this.options.headSize * 0.8;
-        this.mesh.add(this.head);
+        this.head.position.y = this.options.headSize * 0.8;
+        this.headGroup.add(this.head);
         
         // Create eyes (two small black spheres)
         const eyeGeometry = new THREE.SphereGeometry(this.options.eyeSize, 8, 8);
@@ -90,19 +98,19 @@ class PlayerCharacter {
         this.leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
         this.leftEye.position.set(
             -this.options.headSize * 0.3,
-            this.options.bodyHeight + this.options.headSize * 0.9,
+            this.options.headSize * 0.9,
             this.options.headSize * 0.8
         );
-        this.mesh.add(this.leftEye);
+        this.headGroup.add(this.leftEye);
         
         // Right eye
         this.rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
         this.rightEye.position.set(
             this.options.headSize * 0.3,
-            this.options.bodyHeight + this.options.headSize * 0.9,
+            this.options.headSize * 0.9,
             this.options.headSize * 0.8
         );
-        this.mesh.add(this.rightEye);
+        this.headGroup.add(this.rightEye);
         
         // Create a cute backpack
         const backpackGeometry = new THREE.BoxGeometry(
@@ -117,7 +125,7 @@ class PlayerCharacter {
             this.options.bodyHeight * 0.5,
             this.options.bodyDepth * 0.6
         );
-        this.mesh.add(this.backpack);
+        this.torso.add(this.backpack);
         
         // Create legs (cylinders for stubby teletubby legs)
         const legGeometry = new THREE.CylinderGeometry(
@@ -126,13 +134,14 @@ class PlayerCharacter {
             this.options.legHeight,        // height
             8                              // segments
         );
+        legGeometry.translate(0, -this.options.legHeight / 2, 0); // Pivot at the hip joint
         const legMaterial = new THREE.MeshLambertMaterial({ color: this.options.legColor });
         
         // Left leg - position wider for teletubby stance
         this.leftLeg = new THREE.Mesh(legGeometry, legMaterial);
         this.leftLeg.position.set(
             -this.options.bodyWidth * 0.4,  // Wider stance
-            -this.options.legHeight / 2,
+            0,
             0
         );
         this.mesh.add(this.leftLeg);
@@ -141,7 +150,7 @@ class PlayerCharacter {
         this.rightLeg = new THREE.Mesh(legGeometry, legMaterial);
         this.rightLeg.position.set(
             this.options.bodyWidth * 0.4,   // Wider stance
-            -this.options.legHeight / 2,
+            0,
             0
         );
         this.mesh.add(this.rightLeg);
@@ -153,27 +162,24 @@ class PlayerCharacter {
             this.options.armHeight,        // height
             8                              // segments
         );
+        armGeometry.translate(0, this.options.armHeight / 2, 0); // Pivot at the shoulder
         const armMaterial = new THREE.MeshLambertMaterial({ color: this.options.armColor });
         
-        // Left arm - position slightly forward and rotated
+        // Shoulders, where the angled arms meet the body
+        const shoulderX = this.options.bodyWidth / 2 + this.options.armHeight * 0.3 - this.options.armHeight / 2 * Math.sin(this.armRestAngle);
+        const shoulderY = this.options.bodyHeight * 0.6 - this.options.armHeight / 2 * Math.cos(this.armRestAngle);
+        
+        // Left arm - rotated outward from the shoulder
         this.leftArm = new THREE.Mesh(armGeometry, armMaterial);
-        this.leftArm.rotation.z = Math.PI / 2 * 0.7;  // Angle outward
-        this.leftArm.position.set(
-            -this.options.bodyWidth / 2 - this.options.armHeight * 0.3,
-            this.options.bodyHeight * 0.6,
-            0
-        );
-        this.mesh.add(this.leftArm);
+        this.leftArm.rotation.z = this.armRestAngle;  // Angle outward
+        this.leftArm.position.set(-shoulderX, shoulderY, 0);
+        this.torso.add(this.leftArm);
         
-        // Right arm - position slightly forward and rotated
+        // Right arm - rotated outward from the shoulder
         this.rightArm = new THREE.Mesh(armGeometry, armMaterial);
-        this.rightArm.rotation.z = -Math.PI / 2 * 0.7;  // Angle outward
-        this.rightArm.position.set(
-            this.options.bodyWidth / 2 + this.options.armHeight * 0.3,
-            this.options.bodyHeight * 0.6,
-            0
-        );
-        this.mesh.add(this.rightArm);
+        this.rightArm.rotation.z = -this.armRestAngle;  // Angle outward
+        this.rightArm.position.set(shoulderX, shoulderY, 0);
+        this.torso.add(this.rightArm);
         
         // Add shadow casting for all parts
         this.mesh.traverse((object) => {
@@ -190,109 +196,53 @@ class PlayerCharacter {
     /**
      * Update character animation
      * @param {number} deltaTime - Time since last frame in seconds
+     * @param {Object} motion - Physics state from PlayerManager: {grounded, speed, maxSpeed, verticalVelocity, direction}
      */
-    update(deltaTime) {
-        // Update animation time
-        this.animationTime += deltaTime * this.options.idleAnimationSpeed;
-        
-        // Apply idle animation (gentle bouncing up/down for teletubby feel)
-        if (!this.isJumping && !this.isFalling) {
-            const breathingOffset = Math.sin(this.animationTime) * this.options.idleAnimationHeight;
-            
-            // Body bounce
-            this.body.position.y = this.options.bodyHeight / 2 + breathingOffset;
-            
-            // Head and face elements follow body
-            this.head.position.y = this.options.bodyHeight + this.options.headSize * 0.8 + breathingOffset;
-            this.leftEye.position.y = this.options.bodyHeight + this.options.headSize * 0.9 + breathingOffset;
-            this.rightEye.position.y = this.options.bodyHeight + this.options.headSize * 0.9 + breathingOffset;
-            
-            // Backpack follows body
-            this.backpack.position.y = this.options.bodyHeight * 0.5 + breathingOffset;
-            
-            // Subtle arm wiggle (more pronounced for teletubby style)
-            const armWiggle = Math.sin(this.animationTime) * 0.15;
-            this.leftArm.rotation.x = armWiggle;
-            this.rightArm.rotation.x = -armWiggle;
-        }
-        
-        // Handle jumping and falling
-        if (this.isJumping || this.isFalling) {
-            // Apply gravity to jump velocity
-            this.jumpVelocity -= this.gravity;
-            
-            // Move character based on velocity
-            this.mesh.position.y += this.jumpVelocity * deltaTime * 60;
-            
-            // Check if we've reached the peak of the jump
-            if (this.isJumping && this.jumpVelocity <= 0) {
-                this.isJumping = false;
-                this.isFalling = true;
-            }
-            
-            // Check if we've landed
-            if (this.isFalling && this.mesh.position.y <= this.options.legHeight / 2) {
-                this.mesh.position.y = this.options.legHeight / 2;
-                this.isFalling = false;
-                this.jumpVelocity = 0;
-            }
-        }
+    update(deltaTime, motion = {}) {
+        this.animator.update(deltaTime, motion);
     }
     
     /**
-     * Make the character jump
+     * Pose the body parts (called by the animator every frame)
+     * @param {Object} pose - Pose channels (see CHARACTER_POSE_DEFAULTS in CharacterAnimator.js)
+     * @param {number} yaw - Facing as a rotation around the vertical axis (0 faces the camera)
      */
-    jump() {
-        if (!this.isJumping && !this.isFalling) {
-            this.isJumping = true;
-            this.jumpVelocity = this.options.jumpHeight;
-            
-            // Set jump pose
-            this.leftLeg.rotation.x = -Math.PI / 6;
-            this.rightLeg.rotation.x = -Math.PI / 6;
-            this.leftArm.rotation.x = -Math.PI / 4;
-            this.rightArm.rotation.x = -Math.PI / 4;
-        }
+    applyPose(pose, yaw) {
+        // Squash and stretch keep the volume of the upper body
+        const width = 1 / Math.sqrt(Math.max(0.1, pose.squash));
+        this.torso.position.y = pose.bob;
+        this.torso.scale.set(width, pose.squash, width);
+        this.torso.rotation.set(pose.lean, pose.twist, pose.sway);
+        
+        this.headGroup.rotation.set(pose.headNod, 0, pose.headTilt);
+        
+        // Legs hang down from the hips, so swinging forward is a negative rotation
+        this.leftLeg.rotation.x = -pose.leftLeg;
+        this.rightLeg.rotation.x = -pose.rightLeg;
+        
+        this.leftArm.rotation.x = pose.leftArm;
+        this.rightArm.rotation.x = pose.rightArm;
+        this.leftArm.rotation.z = this.armRestAngle - pose.leftArmRaise;
+        this.rightArm.rotation.z = -(this.armRestAngle - pose.rightArmRaise);
+        
+        this.mesh.rotation.y = yaw;
     }
     
     /**
-     * Move the character left
-     * @param {number} deltaTime - Time since last frame in seconds
+     * Play an emote until it runs out or the player moves
+     * @param {string} name - Emote name (see CharacterAnimator.getEmotes)
+     * @param {number} duration - Seconds to play it (the emote's own duration if omitted)
      */
-    moveLeft(deltaTime) {
-        this.mesh.position.x -= this.options.moveSpeed * deltaTime;
-        
-        // Set running pose with alternating legs
-        const legSwing = Math.sin(this.animationTime * 5) * 0.3;
-        this.leftLeg.rotation.x = legSwing;
-        this.rightLeg.rotation.x = -legSwing;
-        
-        // Arm swing opposite to legs
-        this.leftArm.rotation.x = -legSwing;
-        this.rightArm.rotation.x = legSwing;
-        
-        // Face left
-        this.mesh.rotation.y = Math.PI / 2;
+    playEmote(name, duration) {
+        this.animator.playEmote(name, duration);
     }
     
     /**
-     * Move the character right
-     * @param {number} deltaTime - Time since last frame in seconds
+     * Get the current animation state
+     * @returns {string} - State name ('idle', 'walk', 'run', 'jump', 'fall', 'land', 'wave' or 'dance')
      */
-    moveRight(deltaTime) {
-        this.mesh.position.x += this.options.moveSpeed * deltaTime;
-        
-        // Set running pose with alternating legs
-        const legSwing = Math.sin(this.animationTime * 5) * 0.3;
-        this.leftLeg.rotation.x = legSwing;
-        this.rightLeg.rotation.x = -legSwing;
-        
-        // Arm swing opposite to legs
-        this.leftArm.rotation.x = -legSwing;
-        this.rightArm.rotation.x = legSwing;
-        
-        // Face right
-        this.mesh.rotation.y = -Math.PI / 2;
+    getAnimationState() {
+        return this.animator.getState();
     }
     
     /**
@@ -300,16 +250,9 @@ class PlayerCharacter {
      */
     resetPosition() {
         this.mesh.position.set(0, this.options.legHeight / 2, 0);
-        this.isJumping = false;
-        this.isFalling = false;
-        this.jumpVelocity = 0;
         
-        // Reset all rotations
-        this.leftLeg.rotation.set(0, 0, 0);
-        this.rightLeg.rotation.set(0, 0, 0);
-        this.leftArm.rotation.set(0, 0, 0);
-        this.rightArm.rotation.set(0, 0, 0);
-        this.mesh.rotation.set(0, 0, 0);
+        // Back to the idle pose, facing the camera
+        this.animator.reset();
     }
     
     /**
@@ -0,0 +1,323 @@
+/**
+ * ResponseCache.js
+ * Keeps parsed LLM responses in IndexedDB so repeated natural language commands are replayed
+ * without another API call. Entries are keyed by the normalized input, the route the request took,
+ * the model and the prompt version, so changing any of them asks the model again.
+ */
+
+// Bump when the shape of cached router responses changes, so older entries are no longer used
+const RESPONSE_CACHE_VERSION = 1;
+
+// How the router uses the cache: replay cached responses, always ask the model (and refresh the cache), or neither
+const RESPONSE_CACHE_MODES = ['replay', 'regenerate', 'off'];
+
+class ResponseCache {
+    /**
+     * Create a response cache
+     * @param {Object} options - Cache options
+     * @param {string} options.dbName - IndexedDB database name (default 'ai_response_cache')
+     * @param {number} options.maxEntries - Entries kept before the least recently used are dropped (default 200)
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'ai_response_cache';
+        this.storeName = 'responses';
+        this.maxEntries = options.maxEntries !== undefined ? options.maxEntries : 200;
+
+        // Opened on first use; resolves to null when IndexedDB is unavailable and memoryStore is used instead
+        this.dbPromise = null;
+        this.memoryStore = null;
+
+        // Lookups in this session
+        this.stats = { hits: 0, misses: 0 };
+        this.onChangeCallbacks = [];
+    }
+
+    /**
+     * Normalize user input so trivially different phrasings share an entry
+     * @param {string} input - User input text
+     * @returns {string} - Lower-case input with collapsed whitespace and no trailing punctuation
+     */
+    static normalizeInput(input) {
+        return String(input || '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .replace(/[\s.!?]+$/, '')
+            .trim();
+    }
+
+    /**
+     * Hash text into a short stable id (32-bit FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {string} - Eight hex digits
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Build the cache key for a request
+     * @param {Object} parts - Key parts
+     * @param {string} parts.input - User input text (normalized here)
+     * @param {string} parts.route - Route the request took (e.g., 'simple_parameter', 'code_generator:castle')
+     * @param {string} parts.model - Provider and model (e.g., 'openai/gpt-4o')
+     * @param {string} parts.promptVersion - Version of the system prompt used for the route
+     * @returns {string} - Cache key
+     */
+    static buildKey({ input, route, model, promptVersion }) {
+        return [route, model, promptVersion, ResponseCache.normalizeInput(input)].join('|');
+    }
+
+    /**
+     * Look up a cached response. Hits update the entry's hit count and last use.
+     * @param {string} key - Cache key from buildKey
+     * @returns {Promise<Object|null>} - Entry {key, input, route, model, promptVersion, response, createdAt, lastUsedAt, hits}, or null
+     */
+    async get(key) {
+        const entry = await this.readEntry(key);
+        if (!entry) {
+            this.stats.misses++;
+            this._notifyChange();
+            return null;
+        }
+
+        this.stats.hits++;
+        entry.hits = (entry.hits || 0) + 1;
+        entry.lastUsedAt = new Date().toISOString();
+        await this.writeEntry(entry);
+
+        this._notifyChange();
+        return entry;
+    }
+
+    /**
+     * Store a response, replacing any entry with the same key
+     * @param {string} key - Cache key from buildKey
+     * @param {Object} details - Entry details {input, route, model, promptVersion, response}
+     * @returns {Promise<Object>} - The stored entry
+     */
+    async set(key, details) {
+        const now = new Date().toISOString();
+        const entry = {
+            key,
+            input: details.input,
+            route: details.route,
+            model: details.model,
+            promptVersion: details.promptVersion,
+            response: details.response,
+            createdAt: now,
+            lastUsedAt: now,
+            hits: 0
+        };
+
+        await this.writeEntry(entry);
+        await this.prune();
+
+        this._notifyChange();
+        return entry;
+    }
+
+    /**
+     * Remove one entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>} - Resolves when the entry is gone
+     */
+    async delete(key) {
+        if (await this.usesMemory()) {
+            this.memoryStore.delete(key);
+        } else {
+            await this.storeRequest('readwrite', store => store.delete(key));
+        }
+
+        this._notifyChange();
+    }
+
+    /**
+     * Remove all entries and reset the session hit/miss counts
+     * @returns {Promise<void>} - Resolves when the cache is empty
+     */
+    async clear() {
+        if (await this.usesMemory()) {
+            this.memoryStore.clear();
+        } else {
+            await this.storeRequest('readwrite', store => store.clear());
+        }
+
+        this.stats = { hits: 0, misses: 0 };
+        this._notifyChange();
+        console.log('Response cache cleared');
+    }
+
+    /**
+     * List the cached entries
+     * @returns {Promise<Array>} - Entries, most recently used first
+     */
+    async list() {
+        const entries = (await this.usesMemory())
+            ? Array.from(this.memoryStore.values()).map(entry => this.cloneEntry(entry))
+            : await this.storeRequest('readonly', store => store.getAll());
+
+        return entries.sort((a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || ''));
+    }
+
+    /**
+     * Get the hit and miss counts of this session
+     * @returns {Object} - {hits, misses}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+
+    /**
+     * Register a callback to be called whenever entries or counts change
+     * @param {Function} callback - The callback function
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.onChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Drop the least recently used entries beyond maxEntries
+     * @returns {Promise<void>} - Resolves when the cache is within its limit
+     * @private
+     */
+    async prune() {
+        const entries = await this.list();
+        const expired = entries.slice(this.maxEntries);
+
+        for (const entry of expired) {
+            if (await this.usesMemory()) {
+                this.memoryStore.delete(entry.key);
+            } else {
+                await this.storeRequest('readwrite', store => store.delete(entry.key));
+            }
+        }
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB cannot be used
+     * @private
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Private windows in some browsers block IndexedDB; keep the cache for this session only
+                console.warn('Response cache is not persisted:', error && error.message);
+                this.memoryStore = new Map();
+                return null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Check whether entries are kept in memory instead of IndexedDB
+     * @returns {Promise<boolean>} - True if IndexedDB is unavailable
+     * @private
+     */
+    async usesMemory() {
+        return (await this.openDatabase()) === null;
+    }
+
+    /**
+     * Run one request against the object store in its own transaction
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Called with the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Result of the request once the transaction has completed
+     * @private
+     */
+    async storeRequest(mode, operation) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Response cache transaction aborted'));
+        });
+    }
+
+    /**
+     * Read one entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - A copy of the entry, or null
+     * @private
+     */
+    async readEntry(key) {
+        if (await this.usesMemory()) {
+            const entry = this.memoryStore.get(key);
+            return entry ? this.cloneEntry(entry) : null;
+        }
+
+        return (await this.storeRequest('readonly', store => store.get(key))) || null;
+    }
+
+    /**
+     * Write one entry
+     * @param {Object} entry - Entry with a key
+     * @returns {Promise<void>} - Resolves when the entry is stored
+     * @private
+     */
+    async writeEntry(entry) {
+        if (await this.usesMemory()) {
+            this.memoryStore.set(entry.key, this.cloneEntry(entry));
+            return;
+        }
+
+        await this.storeRequest('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Copy an entry, so callers never share objects with the memory store (IndexedDB copies by itself)
+     * @param {Object} entry - Cache entry
+     * @returns {Object} - Deep copy of the entry
+     * @private
+     */
+    cloneEntry(entry) {
+        return JSON.parse(JSON.stringify(entry));
+    }
+
+    /**
+     * Notify all registered callbacks that the cache changed
+     * @private
+     */
+    _notifyChange() {
+        this.onChangeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in response cache change callback:', error);
+            }
+        });
+    }
+}
+
+// Export the ResponseCache class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ResponseCache, RESPONSE_CACHE_VERSION, RESPONSE_CACHE_MODES };
+}
@@ -0,0 +1,679 @@
+/**
+ * SceneQueryEngine.js
+ * Responsible for answering questions about the world ("how many trees are there?",
+ * "what color is the sky?") from the live state of the managers. Answering never changes
+ * the scene. Questions no rule understands can be sent to the LLM together with collectFacts.
+ */
+
+// Names used to describe colors in words; the nearest one is used
+const SCENE_QUERY_COLOR_NAMES = {
+    'black': 0x000000,
+    'white': 0xFFFFFF,
+    'gray': 0x808080,
+    'red': 0xFF0000,
+    'dark red': 0x8B0000,
+    'orange': 0xFF7E47,
+    'yellow': 0xFFFF00,
+    'gold': 0xFFD700,
+    'green': 0x4CAF50,
+    'dark green': 0x006400,
+    'light green': 0x90EE90,
+    'teal': 0x009688,
+    'cyan': 0x00FFFF,
+    'light blue': 0x87CEEB,
+    'blue': 0x1E88E5,
+    'dark blue': 0x0A0A2A,
+    'navy': 0x000080,
+    'purple': 0x800080,
+    'pink': 0xFFC0CB,
+    'magenta': 0xFF00FF,
+    'brown': 0x8B4513,
+    'sand': 0xEDC9AF,
+    'beige': 0xF5F5DC
+};
+
+// Words for object collections (singular) and the collection they count
+const SCENE_QUERY_COLLECTIONS = {
+    'tree': 'trees',
+    'rock': 'rocks',
+    'stone': 'rocks',
+    'boulder': 'rocks',
+    'platform': 'platforms',
+    'floating island': 'floatingIslands',
+    'island': 'floatingIslands',
+    'cloud': 'clouds',
+    'building': 'buildings'
+};
+
+// How each terrain shape reads in an answer
+const SCENE_QUERY_TERRAIN_WORDS = {
+    hills: 'rolling hills',
+    bumpy: 'bumpy',
+    flat: 'flat'
+};
+
+// Weather effects as they read in an answer, and the words used to ask about them
+const SCENE_QUERY_WEATHER = {
+    clear: { sentence: 'The weather is clear.', asked: ['clear', 'sunny', 'nice'] },
+    rain: { sentence: 'It is raining.', asked: ['raining', 'rainy', 'wet'] },
+    snow: { sentence: 'It is snowing.', asked: ['snowing', 'snowy'] },
+    fog: { sentence: 'It is foggy.', asked: ['foggy', 'misty'] },
+    storm: { sentence: 'There is a storm.', asked: ['stormy', 'storming', 'thundering'] }
+};
+
+class SceneQueryEngine {
+    /**
+     * Create a scene query engine
+     * @param {Object} managers - Object containing the manager instances
+     *                            (skyManager, groundManager, environmentManager, playerManager, selectionManager)
+     */
+    constructor(managers = {}) {
+        this.managers = managers;
+        this.rules = this.createRules();
+    }
+
+    /**
+     * Answer a question from the current scene
+     * @param {string} question - Question in natural language
+     * @returns {Object|null} - {answer, topic}, or null if no rule understands the question
+     */
+    answer(question) {
+        if (!question || typeof question !== 'string') {
+            return null;
+        }
+
+        const text = question
+            .toLowerCase()
+            .replace(/[?!.,]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        for (const rule of this.rules) {
+            const match = text.match(rule.pattern);
+            if (!match) continue;
+
+            const answer = rule.answer(match);
+            if (answer) {
+                return { answer, topic: rule.topic };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Collect the facts questions are answered from, as plain data
+     * @returns {Object} - {sky, ground, weather, particleEffect, objects, player}
+     */
+    collectFacts() {
+        const { skyManager, groundManager, environmentManager, playerManager } = this.managers;
+
+        const objects = {};
+        this.listObjects().forEach(object => {
+            const collection = objects[object.category] || (objects[object.category] = { count: 0, kinds: {} });
+            collection.count++;
+            if (object.kind) {
+                collection.kinds[object.kind] = (collection.kinds[object.kind] || 0) + 1;
+            }
+        });
+
+        return {
+            sky: skyManager ? {
+                ...this.describeColor(skyManager.skyColor),
+                timeOfDay: this.getTimeOfDay(),
+                sun: !!skyManager.sun,
+                moon: !!skyManager.moon
+            } : null,
+            ground: groundManager ? {
+                ...this.describeColor(groundManager.groundColor),
+                terrain: groundManager.terrain ? groundManager.terrain.shape : null
+            } : null,
+            weather: environmentManager ? environmentManager.currentWeather || 'clear' : null,
+            particleEffect: environmentManager ? environmentManager.currentParticleEffect : null,
+            objects,
+            player: playerManager && playerManager.position ? {
+                position: this.roundPosition(playerManager.position),
+                color: playerManager.getState().color !== null ? this.describeColor(playerManager.getState().color) : null,
+                animation: playerManager.getAnimationState()
+            } : null
+        };
+    }
+
+    /**
+     * List the objects in the scene
+     * @returns {Array} - Objects {id, collection, category, kind}: kind is the tree type, generated subtype
+     *                    or preset building type if known, and category is the collection the object is
+     *                    counted in (every building counts as one, see isBuilding)
+     */
+    listObjects() {
+        const environmentManager = this.managers.environmentManager;
+        if (!environmentManager || typeof environmentManager.getCollectionDefinitions !== 'function') {
+            return [];
+        }
+
+        const objects = [];
+        environmentManager.getCollectionDefinitions().forEach(({ name }) => {
+            (environmentManager[name] || []).forEach(object => {
+                const source = object.source || {};
+                const options = object.options || {};
+                const kind = options.treeType || source.subtype || source.buildingType || null;
+                objects.push({
+                    id: object.id,
+                    collection: name,
+                    category: this.isBuilding(name, kind) ? 'buildings' : name,
+                    kind
+                });
+            });
+        });
+
+        return objects;
+    }
+
+    /**
+     * Check whether an object is a building: anything in the buildings collection, and generated
+     * objects of a kind that is a preset building or registered as a building
+     * @param {string} collection - Collection the object is in
+     * @param {string|null} kind - Kind of the object (see listObjects)
+     * @returns {boolean} - True if questions and the overview count the object as a building
+     */
+    isBuilding(collection, kind) {
+        if (collection === 'buildings') return true;
+        if (!kind || collection === 'trees') return false;
+
+        const environmentManager = this.managers.environmentManager;
+        if (environmentManager && typeof environmentManager.getBuildingTypes === 'function' &&
+            environmentManager.getBuildingTypes().includes(kind)) {
+            return true;
+        }
+
+        const definition = typeof PromptRegistry !== 'undefined' ? PromptRegistry.get(kind) : null;
+        return !!definition && definition.collection === 'buildings';
+    }
+
+    /**
+     * Describe a color as a hex code and the nearest color name
+     * @param {number|string} color - Color as a number (0x87CEEB) or hex string ('#87CEEB')
+     * @returns {Object} - {color: '#87CEEB', colorName: 'light blue'}
+     */
+    describeColor(color) {
+        const value = typeof color === 'number'
+            ? color
+            : parseInt(String(color).replace(/^#|^0x/i, '').replace(/^([0-9a-f])([0-9a-f])([0-9a-f])$/i, '$1$1$2$2$3$3'), 16);
+        if (isNaN(value)) {
+            return { color: String(color), colorName: String(color) };
+        }
+
+        const channels = (hex) => [(hex >> 16) & 0xFF, (hex >> 8) & 0xFF, hex & 0xFF];
+        const [r, g, b] = channels(value);
+
+        let colorName = null;
+        let bestDistance = Infinity;
+        Object.entries(SCENE_QUERY_COLOR_NAMES).forEach(([name, hex]) => {
+            const [nr, ng, nb] = channels(hex);
+            const distance = (r - nr) ** 2 + (g - ng) ** 2 + (b - nb) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                colorName = name;
+            }
+        });
+
+        return { color: `#${value.toString(16).padStart(6, '0').toUpperCase()}`, colorName };
+    }
+
+    /**
+     * Work out the time of day from the sun, moon and sky color
+     * @returns {string|null} - 'day', 'sunset' or 'night', or null without a sky manager
+     */
+    getTimeOfDay() {
+        const skyManager = this.managers.skyManager;
+        if (!skyManager) return null;
+
+        if (skyManager.moon && !skyManager.sun) return 'night';
+        if (skyManager.sun && skyManager.sun.position && skyManager.sun.position.y <= 20) return 'sunset';
+        if (skyManager.sun) return 'day';
+
+        // No sun or moon: judge by how dark the sky is
+        const value = parseInt(this.describeColor(skyManager.skyColor).color.slice(1), 16);
+        const luminance = (0.2126 * ((value >> 16) & 0xFF) + 0.7152 * ((value >> 8) & 0xFF) + 0.0722 * (value & 0xFF)) / 255;
+        return luminance < 0.2 ? 'night' : 'day';
+    }
+
+    /**
+     * Create the question rules, tried in order
+     * @returns {Array} - Array of {topic, pattern, answer(match)}
+     * @private
+     */
+    createRules() {
+        return [
+            {
+                topic: 'selection',
+                pattern: /\b(?:what\s+(?:is|are)\s+(?:this(?:\s+one)?|these(?:\s+ones)?|(?:the\s+)?selected(?:\s+\w+)?|(?:the\s+)?selection)|what\s+(?:did|have)\s+i\s+selected?|what(?:'s|\s+is)\s+selected)\b/,
+                answer: () => this.answerSelection()
+            },
+            {
+                topic: 'color',
+                pattern: /\b(?:what|which)\s+colou?r\s+(?:is|are)\s+(?:the\s+|my\s+)?(sky|ground|grass|floor|player|character|avatar|me|i)\b|\bcolou?r\s+of\s+(?:the\s+|my\s+)?(sky|ground|grass|floor|player|character|avatar)\b/,
+                answer: (match) => this.answerColor(match[1] || match[2])
+            },
+            {
+                topic: 'time_of_day',
+                pattern: /\b(?:what\s+time(?:\s+of\s+day)?\s+is\s+it|time\s+of\s+day|day\s+or\s+night|night\s+or\s+day|is\s+it\s+(?:day|daytime|night|nighttime|sunset|evening|morning|dark|light))\b/,
+                answer: () => this.answerTimeOfDay()
+            },
+            {
+                topic: 'weather',
+                pattern: /\b(?:weather|is\s+it\s+(raining|rainy|wet|snowing|snowy|foggy|misty|stormy|storming|thundering|sunny|clear|nice))\b/,
+                answer: (match) => this.answerWeather(match[1])
+            },
+            {
+                topic: 'player',
+                pattern: /\b(?:where\s+(?:am\s+i|is\s+(?:the\s+|my\s+)?(?:player|character|avatar|hero))|(?:player|character|my)\s+(?:position|location|coordinates))\b/,
+                answer: () => this.answerPlayerPosition()
+            },
+            {
+                topic: 'terrain',
+                pattern: /\b(?:terrain|landscape|what\s+(?:kind|type)\s+of\s+ground|ground\s+(?:like|type|mode|shape)|is\s+the\s+ground\s+(?:flat|bumpy|hilly))\b/,
+                answer: () => this.answerTerrain()
+            },
+            {
+                topic: 'particles',
+                pattern: /\b(?:particles?|particle\s+effects?|what\s+effects?)\b/,
+                answer: () => this.answerParticles()
+            },
+            {
+                topic: 'count',
+                pattern: /\bhow\s+many\s+(.+?)(?:\s+(?:are|is)\s+(?:there|in|on|left)\b.*|\s+(?:do|did)\s+(?:i|we|you)\s+have\b.*|\s+exist\b.*)?$/,
+                answer: (match) => this.answerCount(match[1])
+            },
+            {
+                topic: 'exists',
+                pattern: /^(?:are|is)\s+there\s+(?:any\s+|an?\s+|some\s+)?(.+?)(?:\s+(?:in|on)\s+(?:the\s+)?(?:scene|world|map|sky))?$/,
+                answer: (match) => this.answerExists(match[1])
+            },
+            {
+                topic: 'overview',
+                pattern: /\b(?:what(?:'s|\s+is)?\s+(?:in|on)\s+the\s+(?:scene|world|map)|describe\s+(?:the\s+)?(?:scene|world)|what\s+(?:is\s+)?there|what\s+do\s+(?:i|we)\s+have|list\s+(?:the\s+|all\s+)?objects)\b/,
+                answer: () => this.answerOverview()
+            }
+        ];
+    }
+
+    /**
+     * Answer a question about the selected objects
+     * @returns {string|null} - The answer, or null without a selection manager
+     * @private
+     */
+    answerSelection() {
+        const selectionManager = this.managers.selectionManager;
+        if (!selectionManager) return null;
+
+        const selected = selectionManager.describeSelection();
+        if (selected.length === 0) {
+            return 'Nothing is selected. Click an object to select it.';
+        }
+
+        const described = selected.map(({ id, type, position }) => `${id} (${type}) at x ${position.x}, z ${position.z}`);
+        return `You selected ${described.join(', ')}.`;
+    }
+
+    /**
+     * Answer a color question
+     * @param {string} target - What the question is about ('sky', 'ground', 'player', ...)
+     * @returns {string|null} - The answer
+     * @private
+     */
+    answerColor(target) {
+        const { skyManager, groundManager, playerManager } = this.managers;
+
+        if (target === 'sky' && skyManager) {
+            const { color, colorName } = this.describeColor(skyManager.skyColor);
+            return `The sky is ${colorName} (${color}).`;
+        }
+
+        if (['ground', 'grass', 'floor'].includes(target) && groundManager) {
+            const { color, colorName } = this.describeColor(groundManager.groundColor);
+            return `The ${target} is ${colorName} (${color}).`;
+        }
+
+        if (playerManager && !['sky', 'ground', 'grass', 'floor'].includes(target)) {
+            const playerColor = playerManager.getState().color;
+            if (playerColor === null) return null;
+
+            const { color, colorName } = this.describeColor(playerColor);
+            return `Your character is ${colorName} (${color}).`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Answer a time of day question
+     * @returns {string|null} - The answer
+     * @private
+     */
+    answerTimeOfDay() {
+        const timeOfDay = this.getTimeOfDay();
+        if (!timeOfDay) return null;
+
+        const skyManager = this.managers.skyManager;
+        const { colorName } = this.describeColor(skyManager.skyColor);
+        const body = timeOfDay === 'night' && skyManager.moon ? ' and the moon is out'
+            : timeOfDay === 'day' && skyManager.sun ? ' and the sun is out'
+            : '';
+
+        return `It is ${timeOfDay}: the sky is ${colorName}${body}.`;
+    }
+
+    /**
+     * Answer a weather question
+     * @param {string} asked - Weather word from a yes/no question ("is it raining"), if any
+     * @returns {string|null} - The answer
+     * @private
+     */
+    answerWeather(asked) {
+        const environmentManager = this.managers.environmentManager;
+        if (!environmentManager) return null;
+
+        const weather = environmentManager.currentWeather || 'clear';
+        const sentence = (SCENE_QUERY_WEATHER[weather] || { sentence: `The weather is ${weather}.` }).sentence;
+
+        if (!asked) {
+            return sentence;
+        }
+
+        const askedWeather = Object.keys(SCENE_QUERY_WEATHER).find(key => SCENE_QUERY_WEATHER[key].asked.includes(asked));
+        return `${askedWeather === weather ? 'Yes' : 'No'}. ${sentence}`;
+    }
+
+    /**
+     * Answer a question about where the player is
+     * @returns {string|null} - The answer
+     * @private
+     */
+    answerPlayerPosition() {
+        const playerManager = this.managers.playerManager;
+        if (!playerManager || !playerManager.position) return null;
+
+        const { x, y, z } = this.roundPosition(playerManager.position);
+        return `You are at x ${x}, y ${y}, z ${z}.`;
+    }
+
+    /**
+     * Answer a question about the ground shape
+     * @returns {string|null} - The answer
+     * @private
+     */
+    answerTerrain() {
+        const groundManager = this.managers.groundManager;
+        if (!groundManager) return null;
+
+        const shape = groundManager.terrain ? groundManager.terrain.shape : null;
+        const { color, colorName } = this.describeColor(groundManager.groundColor);
+        const shapeWords = SCENE_QUERY_TERRAIN_WORDS[shape] || shape || 'plain';
+
+        return `The ground is ${colorName} (${color}) with ${shapeWords === 'rolling hills' ? 'rolling hills' : `${shapeWords} terrain`}.`;
+    }
+
+    /**
+     * Answer a question about particle effects
+     * @returns {string|null} - The answer
+     * @private
+     */
+    answerParticles() {
+        const environmentManager = this.managers.environmentManager;
+        if (!environmentManager) return null;
+
+        const particleEffect = environmentManager.currentParticleEffect;
+        return particleEffect
+            ? `${particleEffect.charAt(0).toUpperCase()}${particleEffect.slice(1)} are floating in the air.`
+            : 'There are no particle effects right now.';
+    }
+
+    /**
+     * Answer a "how many" question
+     * @param {string} phrase - What to count (e.g., 'pine trees', 'castles')
+     * @returns {string|null} - The answer, or null if the phrase names nothing countable
+     * @private
+     */
+    answerCount(phrase) {
+        const subject = this.resolveSubject(phrase);
+        if (!subject) return null;
+
+        if (subject.all) {
+            return this.describeAllObjects();
+        }
+
+        const breakdown = subject.breakdown ? ` (${subject.breakdown})` : '';
+        if (subject.count === 0) return `There are no ${subject.plural}.`;
+        if (subject.count === 1) return `There is 1 ${subject.singular}${breakdown}.`;
+        return `There are ${subject.count} ${subject.plural}${breakdown}.`;
+    }
+
+    /**
+     * Answer an "is there" / "are there any" question
+     * @param {string} phrase - What to look for
+     * @returns {string|null} - The answer, or null if the phrase names nothing countable
+     * @private
+     */
+    answerExists(phrase) {
+        const subject = this.resolveSubject(phrase);
+        if (!subject) return null;
+
+        if (subject.all) {
+            return this.describeAllObjects();
+        }
+
+        if (subject.celestial) {
+            return subject.count > 0 ? `Yes, the ${subject.singular} is out.` : `No, there is no ${subject.singular} right now.`;
+        }
+
+        if (subject.weather) {
+            return `${subject.count > 0 ? 'Yes' : 'No'}. ${this.answerWeather()}`;
+        }
+
+        if (subject.count === 0) return `No, there are no ${subject.plural}.`;
+        if (subject.count === 1) return `Yes, there is one ${subject.singular}.`;
+        return `Yes, there are ${subject.count} ${subject.plural}.`;
+    }
+
+    /**
+     * Describe the whole scene in a few sentences
+     * @returns {string} - The answer
+     * @private
+     */
+    answerOverview() {
+        const sentences = [];
+        const timeOfDay = this.answerTimeOfDay();
+        const terrain = this.answerTerrain();
+        const weather = this.answerWeather();
+        const particles = this.managers.environmentManager && this.managers.environmentManager.currentParticleEffect
+            ? this.answerParticles()
+            : null;
+
+        [timeOfDay, terrain, weather, particles, this.describeAllObjects()].forEach(sentence => {
+            if (sentence) sentences.push(sentence);
+        });
+
+        return sentences.join(' ');
+    }
+
+    /**
+     * Count all objects by collection
+     * @returns {string} - Sentence such as 'There are 8 objects: 5 trees (3 pine, 2 oak), 3 rocks.'
+     * @private
+     */
+    describeAllObjects() {
+        const objects = this.listObjects();
+        if (objects.length === 0) {
+            return 'There are no objects in the scene.';
+        }
+
+        // Props are listed by kind; trees and buildings are counted like "how many trees/buildings"
+        const groups = new Map();
+        objects.forEach(object => {
+            const byKind = object.category === 'props' && object.kind;
+            const label = byKind ? object.kind.replace(/_/g, ' ') : this.getCollectionLabel(object.category);
+            if (!groups.has(label)) groups.set(label, { members: [], byKind });
+            groups.get(label).members.push(object);
+        });
+
+        const parts = [...groups].map(([label, { members, byKind }]) => {
+            const breakdown = byKind ? null : this.describeKinds(members);
+            return `${members.length} ${members.length === 1 ? label : this.pluralize(label)}${breakdown ? ` (${breakdown})` : ''}`;
+        });
+        return `There ${objects.length === 1 ? 'is 1 object' : `are ${objects.length} objects`}: ${parts.join(', ')}.`;
+    }
+
+    /**
+     * Work out what a phrase in a question refers to and count it
+     * @param {string} phrase - Phrase such as 'pine trees', 'castles', 'objects', 'moon'
+     * @returns {Object|null} - {singular, plural, count, breakdown, celestial, weather} or {all: true} for every object, or null
+     * @private
+     */
+    resolveSubject(phrase) {
+        const words = phrase.replace(/^(?:of\s+)?(?:the|any|a|an|some|my)\s+/, '').trim();
+        if (!words) return null;
+
+        if (/^(?:objects?|things?|items?|stuff)$/.test(words)) {
+            return { all: true };
+        }
+
+        const singular = this.singularize(words);
+        const subject = (count, label = singular) => ({ singular: label, plural: this.pluralize(label), count });
+        const { skyManager, environmentManager } = this.managers;
+
+        // The sun and moon
+        if ((singular === 'sun' || singular === 'moon') && skyManager) {
+            return { ...subject(skyManager[singular] ? 1 : 0), celestial: true };
+        }
+
+        const objects = this.listObjects();
+
+        // "pine trees", "cherry blossom trees"
+        const treeTypeMatch = singular.match(/^(.+?)\s+tree$/);
+        if (treeTypeMatch) {
+            const treeType = treeTypeMatch[1].replace(/\s+/g, '_');
+            return subject(objects.filter(object => object.collection === 'trees' && object.kind === treeType).length);
+        }
+
+        // Whole collections ("trees", "rocks", "islands", "buildings")
+        const collection = SCENE_QUERY_COLLECTIONS[singular];
+        if (collection) {
+            const members = objects.filter(object => object.category === collection);
+            const result = subject(members.length);
+
+            // Say which kinds make up the total ("5 pine, 3 oak")
+            const breakdown = this.describeKinds(members);
+            if (breakdown) {
+                result.breakdown = breakdown;
+            }
+            return result;
+        }
+
+        // Generated objects and preset buildings by kind ("castles", "statues")
+        const kindMatches = objects.filter(object => object.kind && object.kind.replace(/_/g, ' ') === singular);
+        if (kindMatches.length > 0 || this.isKnownKind(singular)) {
+            return subject(kindMatches.length);
+        }
+
+        // Weather effects ("is there fog?")
+        if (environmentManager && typeof environmentManager.getWeatherEffects === 'function' &&
+            environmentManager.getWeatherEffects().includes(singular)) {
+            return { ...subject(environmentManager.currentWeather === singular ? 1 : 0), weather: true };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a name is a kind of object the scene can contain, even if none exist yet
+     * @param {string} name - Singular name (e.g., 'castle')
+     * @returns {boolean} - True for generated subtypes and preset buildings
+     * @private
+     */
+    isKnownKind(name) {
+        const kind = name.replace(/\s+/g, '_');
+        const environmentManager = this.managers.environmentManager;
+
+        if (environmentManager && typeof environmentManager.getBuildingTypes === 'function' &&
+            environmentManager.getBuildingTypes().includes(kind)) {
+            return true;
+        }
+
+        return typeof PromptRegistry !== 'undefined' && PromptRegistry.list().includes(kind);
+    }
+
+    /**
+     * Say which kinds a group of objects is made of
+     * @param {Array} objects - Objects from listObjects
+     * @returns {string|null} - e.g., '5 pine, 3 oak', or null if no object has a known kind
+     * @private
+     */
+    describeKinds(objects) {
+        const kinds = {};
+        objects.forEach(object => {
+            if (!object.kind) return;
+            const kind = object.kind.replace(/_/g, ' ');
+            kinds[kind] = (kinds[kind] || 0) + 1;
+        });
+
+        const entries = Object.entries(kinds);
+        return entries.length > 0 ? entries.map(([kind, count]) => `${count} ${kind}`).join(', ') : null;
+    }
+
+    /**
+     * Get the display label of a collection
+     * @param {string} collection - Collection name (e.g., 'floatingIslands')
+     * @returns {string} - Singular label (e.g., 'floating island')
+     * @private
+     */
+    getCollectionLabel(collection) {
+        const entry = Object.entries(SCENE_QUERY_COLLECTIONS).find(([, name]) => name === collection);
+        return entry ? entry[0] : collection;
+    }
+
+    /**
+     * Turn the last word of a phrase into its singular form
+     * @param {string} phrase - Phrase such as 'pine trees' or 'floating islands'
+     * @returns {string} - Singular phrase
+     * @private
+     */
+    singularize(phrase) {
+        return phrase.replace(/(\w+)$/, word => {
+            if (/ies$/.test(word)) return word.replace(/ies$/, 'y');
+            if (/(?:ch|sh|x|ss)es$/.test(word)) return word.replace(/es$/, '');
+            if (/[^s]s$/.test(word)) return word.slice(0, -1);
+            return word;
+        });
+    }
+
+    /**
+     * Turn the last word of a phrase into its plural form
+     * @param {string} phrase - Singular phrase
+     * @returns {string} - Plural phrase
+     * @private
+     */
+    pluralize(phrase) {
+        return phrase.replace(/(\w+)$/, word => {
+            if (/[^aeiou]y$/.test(word)) return word.replace(/y$/, 'ies');
+            if (/(?:ch|sh|x|s)$/.test(word)) return `${word}es`;
+            return `${word}s`;
+        });
+    }
+
+    /**
+     * Round a position for display
+     * @param {Object} position - Position {x, y, z}
+     * @returns {Object} - Position rounded to one decimal
+     * @private
+     */
+    roundPosition(position) {
+        const round = (value) => Math.round(value * 10) / 10;
+        return { x: round(position.x), y: round(position.y), z: round(position.z) };
+    }
+}
+
+// Export the SceneQueryEngine class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SceneQueryEngine };
+}
@@ -0,0 +1,247 @@
+/**
+ * SceneSerializer.js
+ * Responsible for saving and loading worlds as JSON.
+ * Walks all managers into a versioned document and rebuilds the scene from it.
+ * Documents can be kept in localStorage slots or downloaded/uploaded as files.
+ */
+
+// Document format identifier and current version
+const SCENE_FORMAT = 'fantasy-scene';
+const SCENE_FORMAT_VERSION = 1;
+
+class SceneSerializer {
+    /**
+     * Create a scene serializer
+     * @param {Object} managers - Object containing all manager instances
+     * @param {Object} options - Serializer options
+     * @param {CommandHistory} options.history - History used to make loading undoable (optional)
+     * @param {string} options.storagePrefix - Prefix for localStorage slot keys
+     */
+    constructor(managers, options = {}) {
+        this.managers = managers;
+        this.history = options.history || null;
+        this.storagePrefix = options.storagePrefix || 'scene_slot:';
+        this.indexKey = `${this.storagePrefix}index`;
+    }
+
+    /**
+     * Capture the whole scene as a versioned document
+     * @returns {Object} - Scene document
+     */
+    serialize() {
+        const { skyManager, groundManager, environmentManager, playerManager } = this.managers;
+
+        return {
+            format: SCENE_FORMAT,
+            version: SCENE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            sky: skyManager ? skyManager.getState() : null,
+            ground: groundManager ? groundManager.getState() : null,
+            environment: environmentManager ? environmentManager.describeObjects() : null,
+            player: playerManager ? {
+                ...playerManager.getState(),
+                position: {
+                    x: playerManager.position.x,
+                    y: playerManager.position.y,
+                    z: playerManager.position.z
+                }
+            } : null
+        };
+    }
+
+    /**
+     * Rebuild the scene from a document. Loading is recorded as a single undoable change.
+     * @param {Object} sceneDocument - Scene document created by serialize
+     * @returns {Promise<void>} - Resolves when the scene has been rebuilt
+     */
+    async load(sceneDocument) {
+        this.validate(sceneDocument);
+
+        if (this.history) {
+            await this.history.runBatch('Load scene', () => this.rebuild(sceneDocument), 'user');
+        } else {
+            await this.rebuild(sceneDocument);
+        }
+    }
+
+    /**
+     * Apply a validated document to the managers
+     * @param {Object} sceneDocument - Scene document created by serialize
+     * @returns {Promise<void>} - Resolves when the scene has been rebuilt
+     * @private
+     */
+    async rebuild(sceneDocument) {
+        const { skyManager, groundManager, environmentManager, playerManager } = this.managers;
+
+        // Ground first so objects without a saved height land on the right terrain
+        if (groundManager && sceneDocument.ground) groundManager.applyState(sceneDocument.ground);
+        if (skyManager && sceneDocument.sky) skyManager.applyState(sceneDocument.sky);
+
+        if (environmentManager && sceneDocument.environment) {
+            await environmentManager.rebuildObjects(sceneDocument.environment);
+        }
+
+        if (playerManager && sceneDocument.player) {
+            playerManager.applyState(sceneDocument.player);
+            if (sceneDocument.player.position) {
+                playerManager.setPosition(sceneDocument.player.position);
+            }
+        }
+
+        console.log(`Scene loaded (saved ${sceneDocument.savedAt || 'at an unknown time'})`);
+    }
+
+    /**
+     * Check that a document can be loaded
+     * @param {Object} sceneDocument - Scene document
+     * @throws {Error} - If the document is not a scene or has an unsupported version
+     */
+    validate(sceneDocument) {
+        if (!sceneDocument || typeof sceneDocument !== 'object') {
+            throw new Error('Scene data must be an object');
+        }
+
+        if (sceneDocument.format !== SCENE_FORMAT) {
+            throw new Error('Not a scene file (missing or unknown format)');
+        }
+
+        if (typeof sceneDocument.version !== 'number' || sceneDocument.version > SCENE_FORMAT_VERSION) {
+            throw new Error(`Unsupported scene version: ${sceneDocument.version}`);
+        }
+    }
+
+    /**
+     * Convert the current scene to a JSON string
+     * @param {boolean} pretty - Whether to indent the output
+     * @returns {string} - JSON string
+     */
+    toJSON(pretty = false) {
+        return JSON.stringify(this.serialize(), null, pretty ? 2 : 0);
+    }
+
+    /**
+     * Load the scene from a JSON string
+     * @param {string} json - JSON string
+     * @returns {Promise<void>} - Resolves when the scene has been rebuilt
+     */
+    async loadJSON(json) {
+        let sceneDocument;
+        try {
+            sceneDocument = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Invalid scene JSON: ${error.message}`);
+        }
+
+        await this.load(sceneDocument);
+    }
+
+    /**
+     * Save the current scene to a localStorage slot
+     * @param {string} name - Slot name
+     * @returns {Object} - Slot info {name, savedAt}
+     */
+    saveToSlot(name) {
+        const slotName = (name || '').trim();
+        if (!slotName) {
+            throw new Error('Please enter a slot name');
+        }
+
+        const sceneDocument = this.serialize();
+
+        try {
+            localStorage.setItem(this.storagePrefix + slotName, JSON.stringify(sceneDocument));
+        } catch (error) {
+            // Usually a quota error when the scene has large billboard images
+            throw new Error(`Could not save scene to browser storage: ${error.message}`);
+        }
+
+        // Update the slot index
+        const slots = this.listSlots().filter(slot => slot.name !== slotName);
+        const slotInfo = { name: slotName, savedAt: sceneDocument.savedAt };
+        slots.push(slotInfo);
+        localStorage.setItem(this.indexKey, JSON.stringify(slots));
+
+        console.log(`Scene saved to slot "${slotName}"`);
+        return slotInfo;
+    }
+
+    /**
+     * Load a scene from a localStorage slot
+     * @param {string} name - Slot name
+     * @returns {Promise<void>} - Resolves when the scene has been rebuilt
+     */
+    async loadFromSlot(name) {
+        const json = localStorage.getItem(this.storagePrefix + name);
+        if (json === null) {
+            throw new Error(`No saved scene named "${name}"`);
+        }
+
+        await this.loadJSON(json);
+    }
+
+    /**
+     * Delete a localStorage slot
+     * @param {string} name - Slot name
+     */
+    deleteSlot(name) {
+        localStorage.removeItem(this.storagePrefix + name);
+
+        const slots = this.listSlots().filter(slot => slot.name !== name);
+        localStorage.setItem(this.indexKey, JSON.stringify(slots));
+
+        console.log(`Deleted scene slot "${name}"`);
+    }
+
+    /**
+     * List saved localStorage slots
+     * @returns {Array} - Array of slot info {name, savedAt}, newest first
+     */
+    listSlots() {
+        try {
+            const slots = JSON.parse(localStorage.getItem(this.indexKey) || '[]');
+            return Array.isArray(slots)
+                ? slots.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''))
+                : [];
+        } catch (error) {
+            console.error('Error reading scene slot index:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Download the current scene as a JSON file
+     * @param {string} filename - File name for the download
+     */
+    downloadFile(filename = 'scene.json') {
+        const blob = new Blob([this.toJSON(true)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Load a scene from an uploaded file
+     * @param {File} file - The uploaded JSON file
+     * @returns {Promise<void>} - Resolves when the scene has been rebuilt
+     */
+    async loadFromFile(file) {
+        if (!file) {
+            throw new Error('No file selected');
+        }
+
+        await this.loadJSON(await file.text());
+    }
+}
+
+// Export the SceneSerializer class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SceneSerializer, SCENE_FORMAT, SCENE_FORMAT_VERSION };
+}
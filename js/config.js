@@ -9,5 +9,69 @@ const CONFIG = {
         apiKey: "", // API key should be entered by the user in the UI
         defaultModel: "gpt-4o",
         defaultTemperature: 0.7
+    },
+    
+    // LLM provider settings (OpenAI keeps its settings above)
+    llm: {
+        provider: "openai", // "openai", "openai_compatible" or "anthropic"
+        requestTimeout: 30000, // Milliseconds a request may go without data before it is aborted (0 for no limit)
+        stream: true, // Stream replies so partial JSON is shown and environment changes apply as they arrive
+        cache: {
+            enabled: true, // Keep parsed replies in IndexedDB so repeated commands skip the API call
+            mode: "replay", // "replay" cached replies, "regenerate" (always ask, refresh the cache) or "off"
+            maxEntries: 200 // Least recently used replies beyond this are dropped
+        },
+        context: {
+            enabled: true, // Send earlier requests and the current scene so follow-ups like "make them taller" work
+            maxTokens: 1200, // Estimated tokens the conversation and scene may add to each prompt; older requests are dropped first
+            maxTurns: 10 // Earlier requests kept at most
+        },
+        openai_compatible: {
+            baseUrl: "http://localhost:8080/v1", // llama.cpp server; Ollama uses http://localhost:11434/v1
+            defaultModel: "",
+            jsonMode: "response_format" // Use "json_schema" for servers with structured output, "prompt" for servers that reject response_format
+        },
+        anthropic: {
+            apiKey: "", // API key should be entered by the user in the UI
+            defaultModel: "claude-sonnet-4-5",
+            maxTokens: 4096
+        }
+    },
+    
+    // Offline command parser settings
+    offlineParser: {
+        enabled: true,
+        confidenceThreshold: 0.8 // Skip the LLM when this share of the input was understood
+    },
+    
+    // Intent classification settings
+    intentClassifier: {
+        mode: "hybrid", // "local", "llm" or "hybrid" (ask the LLM only when the local classifier is unsure)
+        llmThreshold: 0.6, // Local confidence below which the LLM is asked
+        model: "" // Cheaper model for classification (e.g. "gpt-4o-mini"); empty uses the selected model
+    },
+    
+    // Generated code settings
+    codeGeneration: {
+        maxRepairAttempts: 2 // How many times the AI may fix a failing code snippet
+    },
+    
+    // Player physics (set_gravity, set_jump_height and set_move_speed change these at runtime)
+    player: {
+        gravity: 20, // Downward acceleration in units per second²
+        jumpHeight: 2.5, // Height of a full jump in units (releasing jump early gives a shorter hop)
+        moveSpeed: 6, // Top running speed in units per second
+        coyoteTime: 0.1, // Seconds after walking off a ledge a jump still works
+        jumpBufferTime: 0.12 // Seconds a jump pressed just before landing is remembered
+    },
+    
+    // Ambient particle settings (start_particles)
+    particles: {
+        maxParticles: 3000 // Particles alive at once across all particle effects
+    },
+    
+    // Scene question settings ("how many trees are there?")
+    sceneQuery: {
+        speakAnswers: false // Read answers aloud with speech synthesis (the "Speak answers" checkbox overrides this)
     }
 };
@@ -7,12 +7,12 @@
 // Global variables
 let scene, camera, renderer, stats;
 let clock;
-let skyManager, groundManager, environmentManager, playerManager;
-let commandDispatcher, commandQueue, naturalLanguageProcessor;
+let skyManager, groundManager, environmentManager, playerManager, selectionManager, collisionManager;
+let commandDispatcher, commandQueue, commandHistory, naturalLanguageProcessor;
+let sceneSerializer;
+let developerConsole;
 
-// OpenAI API settings
-let openaiApiKey = (typeof CONFIG !== 'undefined' && CONFIG.openai && CONFIG.openai.apiKey) ? CONFIG.openai.apiKey : (localStorage.getItem('openai_api_key') || '');
-let openaiModel = (typeof CONFIG !== 'undefined' && CONFIG.openai && CONFIG.openai.defaultModel) ? CONFIG.openai.defaultModel : (localStorage.getItem('openai_model') || 'gpt-4o');
+// LLM settings (provider, API key and model are loaded per provider by NaturalLanguageRouter)
 let openaiTemperature = (typeof CONFIG !== 'undefined' && CONFIG.openai && CONFIG.openai.defaultTemperature !== undefined) ? CONFIG.openai.defaultTemperature : parseFloat(localStorage.getItem('openai_temperature') || '0.7');
 
 // Scene dimensions (landscape mode)
@@ -74,6 +74,21 @@ function init() {
         // Setup UI controls for testing managers
         setupUIControls();
         
+        // Setup scene save/load controls
+        setupSceneSaveControls();
+        
+        // Setup the response cache settings
+        setupResponseCacheControls();
+        
+        // Setup the selection panel
+        setupSelectionControls();
+        
+        // Setup the rebinding screen and the touch controls
+        setupInputControls();
+        
+        // Setup the developer console
+        setupDeveloperConsole();
+        
         console.log('Initialization complete');
     } catch (error) {
         console.error('Error during initialization:', error);
@@ -138,17 +153,56 @@ function setupManagers() {
         groundManager = new GroundManager(scene);
         
         // Create Environment Manager
-        environmentManager = new EnvironmentManager(scene, groundManager);
+        environmentManager = new EnvironmentManager(scene, groundManager, skyManager);
+        environmentManager.setCamera(camera);
+        if (typeof CONFIG !== 'undefined' && CONFIG.particles) {
+            environmentManager.setParticleBudget(CONFIG.particles.maxParticles);
+        }
+        
+        // Create Collision Manager (platforms, islands, rocks and buildings the player collides with)
+        collisionManager = new CollisionManager(environmentManager);
         
         // Create Player Manager
         playerManager = new PlayerManager(scene, groundManager);
+        playerManager.setCollisionManager(collisionManager);
+        if (typeof CONFIG !== 'undefined' && CONFIG.player) {
+            playerManager.setPhysicsOptions(CONFIG.player);
+        }
+        
+        // Create Selection Manager (click objects in the scene to select them)
+        selectionManager = new SelectionManager(scene, camera, environmentManager);
+        if (renderer) {
+            selectionManager.attach(renderer.domElement);
+        }
         
         // Create Command Dispatcher
         commandDispatcher = new CommandDispatcher({
+            skyManager,
+            groundManager,
+            environmentManager,
+            playerManager,
+            selectionManager
+        });
+        
+        // Create Command History for undo/redo
+        commandHistory = new CommandHistory({
             skyManager,
             groundManager,
             environmentManager,
             playerManager
+        }, {
+            limit: 50
+        });
+        commandDispatcher.setHistory(commandHistory);
+        
+        // Create Scene Serializer for saving and loading worlds
+        sceneSerializer = new SceneSerializer({
+            skyManager,
+            groundManager,
+            environmentManager,
+            playerManager
+        }, {
+            history: commandHistory
         });
         
         // Create Command Queue
@@ -159,16 +213,14 @@ function setupManagers() {
         // Initialize or update NaturalLanguageProcessor
         if (!naturalLanguageProcessor) {
             naturalLanguageProcessor = new NaturalLanguageProcessor({
-                apiKey: openaiApiKey,
-                model: openaiModel,
-                temperature: openaiTemperature
+                temperature: openaiTemperature,
+                commandQueue
             }, commandDispatcher);
-            console.log('Natural Language Processor initialized with model:', naturalLanguageProcessor.model);
+            console.log('Natural Language Processor initialized with model:', naturalLanguageProcessor.router.model);
         } else {
             naturalLanguageProcessor.updateConfig({
-                apiKey: openaiApiKey,
-                model: openaiModel,
-                temperature: openaiTemperature
+                temperature: openaiTemperature,
+                commandQueue
             });
             console.log('Natural Language Processor updated with new configuration');
         }
@@ -740,7 +792,17 @@ function animate() {
         
         // Update environment animations using the manager
         if (environmentManager) {
-            environmentManager.update(elapsedTime);
+            environmentManager.update(elapsedTime, delta);
+        }
+        
+        // Keep selection outlines on their objects
+        if (selectionManager) {
+            selectionManager.update();
+        }
+        
+        // Fit colliders to objects that were added, moved or removed
+        if (collisionManager) {
+            collisionManager.update();
         }
         
         // Update player physics and movement
@@ -941,21 +1003,81 @@ function setupUIControls() {
         const aiProcessingIndicator = document.getElementById('ai-processing-indicator');
         const aiResponseDisplay = document.getElementById('ai-response-display');
         const aiResponseJson = document.getElementById('ai-response-json');
+        const aiCacheStatus = document.getElementById('ai-cache-status');
+        const regenerateAiCommandBtn = document.getElementById('regenerate-ai-command-btn');
+        const llmProviderSelect = document.getElementById('llm-provider');
+        const llmBaseUrlLabel = document.getElementById('llm-base-url-label');
+        const llmBaseUrlInput = document.getElementById('llm-base-url');
         const openaiApiKeyInput = document.getElementById('openai-api-key');
         const saveApiKeyBtn = document.getElementById('save-api-key-btn');
         const openaiModelSelect = document.getElementById('openai-model');
+        const llmModelNameInput = document.getElementById('llm-model-name');
         const openaiTemperatureInput = document.getElementById('openai-temperature');
         const temperatureValueDisplay = document.getElementById('temperature-value');
+        const llmRouter = naturalLanguageProcessor.router;
         
-        // Initialize UI with saved values
-        if (openaiApiKeyInput) {
-            openaiApiKeyInput.value = openaiApiKey ? '********' : '';
+        // Show the key, server URL and model of the selected provider
+        function refreshProviderSettings() {
+            const provider = llmRouter.provider;
+            
+            if (llmProviderSelect) {
+                llmProviderSelect.value = llmRouter.providerId;
+            }
+            
+            if (openaiApiKeyInput) {
+                openaiApiKeyInput.value = llmRouter.apiKey ? '********' : '';
+                openaiApiKeyInput.placeholder = provider.requiresApiKey
+                    ? `Enter your ${provider.displayName} API key`
+                    : 'API key (optional for local servers)';
+            }
+            
+            // Only OpenAI-compatible servers need a URL
+            if (llmBaseUrlLabel && llmBaseUrlInput) {
+                llmBaseUrlLabel.classList.toggle('hidden', llmRouter.providerId !== 'openai_compatible');
+                llmBaseUrlInput.value = llmRouter.baseUrl;
+                llmBaseUrlInput.placeholder = provider.defaultBaseUrl;
+            }
+            
+            // Providers with a model list use the dropdown, others take a typed model name
+            const hasModelList = provider.models.length > 0;
+            if (openaiModelSelect) {
+                openaiModelSelect.innerHTML = '';
+                provider.models.forEach(model => {
+                    openaiModelSelect.add(new Option(model.label, model.value));
+                });
+                
+                // Keep a saved model that is not in the list selectable
+                if (hasModelList && !provider.models.some(model => model.value === llmRouter.model)) {
+                    openaiModelSelect.add(new Option(llmRouter.model, llmRouter.model));
+                }
+                
+                openaiModelSelect.value = llmRouter.model;
+                openaiModelSelect.classList.toggle('hidden', !hasModelList);
+            }
+            
+            if (llmModelNameInput) {
+                llmModelNameInput.value = hasModelList ? '' : llmRouter.model;
+                llmModelNameInput.classList.toggle('hidden', hasModelList);
+            }
         }
         
-        if (openaiModelSelect) {
-            openaiModelSelect.value = openaiModel;
+        // Initialize UI with saved values
+        if (llmProviderSelect) {
+            LLMProvider.listProviders().forEach(providerInfo => {
+                llmProviderSelect.add(new Option(providerInfo.displayName, providerInfo.id));
+            });
+            
+            llmProviderSelect.addEventListener('change', () => {
+                naturalLanguageProcessor.updateConfig({
+                    provider: llmProviderSelect.value
+                });
+                refreshProviderSettings();
+                console.log('LLM provider updated to:', llmProviderSelect.value);
+            });
         }
         
+        refreshProviderSettings();
+        
         if (openaiTemperatureInput) {
             openaiTemperatureInput.value = openaiTemperature;
             temperatureValueDisplay.textContent = openaiTemperature;
@@ -967,31 +1089,19 @@ function setupUIControls() {
                 const newApiKey = openaiApiKeyInput.value.trim();
                 
                 if (newApiKey && newApiKey !== '********') {
-                    // Save API key to localStorage
-                    localStorage.setItem('openai_api_key', newApiKey);
-                    openaiApiKey = newApiKey;
-                    
-                    // Initialize or update NaturalLanguageProcessor
-                    if (!naturalLanguageProcessor) {
-                        naturalLanguageProcessor = new NaturalLanguageProcessor({
-                            apiKey: openaiApiKey,
-                            model: openaiModel,
-                            temperature: openaiTemperature
-                        }, commandDispatcher);
-                    } else {
-                        naturalLanguageProcessor.updateConfig({
-                            apiKey: openaiApiKey
-                        });
-                    }
+                    // Save API key for the selected provider (stored in localStorage by the router)
+                    naturalLanguageProcessor.updateConfig({
+                        apiKey: newApiKey
+                    });
                     
                     // Show success message
                     alert('API key saved successfully!');
-                    console.log('OpenAI API key saved and NLP initialized');
+                    console.log(`${llmRouter.provider.displayName} API key saved`);
                 } else if (newApiKey === '') {
                     // Clear API key
-                    localStorage.removeItem('openai_api_key');
-                    openaiApiKey = '';
-                    naturalLanguageProcessor = null;
+                    naturalLanguageProcessor.updateConfig({
+                        apiKey: ''
+                    });
                     alert('API key cleared');
                 }
             });
@@ -1001,16 +1111,37 @@ function setupUIControls() {
         if (openaiModelSelect) {
             openaiModelSelect.addEventListener('change', () => {
                 const newModel = openaiModelSelect.value;
-                localStorage.setItem('openai_model', newModel);
-                openaiModel = newModel;
                 
-                if (naturalLanguageProcessor) {
-                    naturalLanguageProcessor.updateConfig({
-                        model: newModel
-                    });
-                }
+                naturalLanguageProcessor.updateConfig({
+                    model: newModel
+                });
+                
+                console.log('LLM model updated to:', newModel);
+            });
+        }
+        
+        // Model name for providers without a model list
+        if (llmModelNameInput) {
+            llmModelNameInput.addEventListener('change', () => {
+                const newModel = llmModelNameInput.value.trim();
+                if (!newModel) return;
+                
+                naturalLanguageProcessor.updateConfig({
+                    model: newModel
+                });
+                
+                console.log('LLM model updated to:', newModel);
+            });
+        }
+        
+        // Server URL for OpenAI-compatible providers (empty uses the default)
+        if (llmBaseUrlInput) {
+            llmBaseUrlInput.addEventListener('change', () => {
+                naturalLanguageProcessor.updateConfig({
+                    baseUrl: llmBaseUrlInput.value.trim()
+                });
                 
-                console.log('OpenAI model updated to:', newModel);
+                console.log('LLM server URL updated to:', llmRouter.baseUrl || llmRouter.provider.defaultBaseUrl);
             });
         }
         
@@ -1030,15 +1161,136 @@ function setupUIControls() {
             });
         }
         
+        // Cancel the AI request in flight
+        const cancelAiCommandBtn = document.getElementById('cancel-ai-command-btn');
+        if (cancelAiCommandBtn) {
+            cancelAiCommandBtn.addEventListener('click', () => {
+                if (naturalLanguageProcessor && naturalLanguageProcessor.cancel()) {
+                    console.log('AI request cancelled by the user');
+                }
+            });
+        }
+        
+        // Undo last AI command button
+        const undoAiCommandBtn = document.getElementById('undo-ai-command-btn');
+        if (undoAiCommandBtn) {
+            undoAiCommandBtn.addEventListener('click', () => {
+                // Waits for a change that is still running (e.g., a plan) before undoing
+                Promise.resolve(commandHistory.undoLastFromSource('ai')).then(entry => {
+                    if (entry) {
+                        console.log('Undid AI change:', entry.label);
+                    }
+                });
+            });
+            
+            // Only enable the button while there is an AI change to undo
+            commandHistory.onChange((history) => {
+                undoAiCommandBtn.disabled = !history.getLastEntry('ai');
+            });
+        }
+        
+        // Show how many earlier requests follow-ups can refer to, and start over
+        const newConversationBtn = document.getElementById('new-conversation-btn');
+        const conversationStatus = document.getElementById('conversation-status');
+        const conversation = llmRouter.conversation;
+        if (newConversationBtn && conversationStatus) {
+            if (conversation) {
+                const refreshConversationStatus = () => {
+                    const turns = conversation.turns.length;
+                    conversationStatus.textContent = turns === 0
+                        ? 'New conversation'
+                        : `${turns} earlier request${turns === 1 ? '' : 's'} in context (~${conversation.getTokenCount()} tokens)`;
+                    newConversationBtn.disabled = turns === 0;
+                };
+                
+                conversation.onChange(refreshConversationStatus);
+                refreshConversationStatus();
+                
+                newConversationBtn.addEventListener('click', () => {
+                    naturalLanguageProcessor.resetConversation();
+                });
+            } else {
+                conversationStatus.textContent = 'Conversation context is off';
+            }
+        }
+        
+        // Undo/redo keyboard shortcuts (Ctrl+Z / Ctrl+Shift+Z)
+        window.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.code !== 'KeyZ') return;
+            
+            // Leave text fields with their native undo
+            const target = event.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) {
+                return;
+            }
+            
+            event.preventDefault();
+            commandDispatcher.executeCommand(event.shiftKey ? 'redo' : 'undo');
+        });
+        
         // Speech-to-Text-Translate feature is initialized in SpeechToTextTranslator.js
         console.log('Speech-to-Text-Translate feature will be initialized via DOMContentLoaded event');
         
+        // Show whether the reply was replayed from the response cache
+        let lastAiInput = '';
+        const showCacheStatus = (cache) => {
+            if (!aiCacheStatus) return;
+            
+            const labels = {
+                hit: cache && cache.cachedAt ? `⚡ Cached reply from ${new Date(cache.cachedAt).toLocaleString()}` : '⚡ Cached reply',
+                miss: 'New reply',
+                regenerated: 'Regenerated reply'
+            };
+            aiCacheStatus.textContent = cache ? labels[cache.status] || '' : '';
+            aiCacheStatus.classList.toggle('hit', !!cache && cache.status === 'hit');
+            aiCacheStatus.classList.toggle('hidden', !cache);
+            
+            // Cached replies can be asked for again
+            if (regenerateAiCommandBtn) {
+                regenerateAiCommandBtn.classList.toggle('hidden', !cache || cache.status !== 'hit');
+            }
+        };
+        
+        // Show answers to questions about the scene above the raw result, and read them aloud if enabled
+        const aiAnswer = document.getElementById('ai-answer');
+        const speakAnswersToggle = document.getElementById('speak-answers-toggle');
+        if (speakAnswersToggle) {
+            const storedSpeakAnswers = localStorage.getItem('speak_query_answers');
+            speakAnswersToggle.checked = storedSpeakAnswers !== null
+                ? storedSpeakAnswers === 'true'
+                : (typeof CONFIG !== 'undefined' && CONFIG.sceneQuery ? !!CONFIG.sceneQuery.speakAnswers : false);
+            speakAnswersToggle.addEventListener('change', () => {
+                localStorage.setItem('speak_query_answers', speakAnswersToggle.checked.toString());
+            });
+        }
+        const showQueryAnswer = (query) => {
+            if (!aiAnswer) return;
+            
+            const text = query ? query.answer || query.message || '' : '';
+            aiAnswer.textContent = text;
+            aiAnswer.classList.toggle('hidden', !text);
+            
+            if (query && query.answer && speakAnswersToggle && speakAnswersToggle.checked && typeof speechSynthesis !== 'undefined') {
+                speechSynthesis.cancel();
+                speechSynthesis.speak(new SpeechSynthesisUtterance(query.answer));
+            }
+        };
+        
         // Execute AI command
         if (executeAiCommandBtn && aiCommandInput) {
             executeAiCommandBtn.addEventListener('click', () => {
                 executeAiCommand();
             });
             
+            // Ask the AI again for the last command instead of replaying its cached reply
+            if (regenerateAiCommandBtn) {
+                regenerateAiCommandBtn.addEventListener('click', () => {
+                    if (lastAiInput) {
+                        executeAiCommand(lastAiInput, { cacheMode: 'regenerate' });
+                    }
+                });
+            }
+            
             // Execute on Enter key press
             aiCommandInput.addEventListener('keypress', (event) => {
                 if (event.key === 'Enter') {
@@ -1046,31 +1298,31 @@ function setupUIControls() {
                 }
             });
             
-            // Function to execute the AI command
-            function executeAiCommand() {
-                const inputText = aiCommandInput.value.trim();
-                
+            // Function to execute the AI command (the typed text unless another input is given)
+            function executeAiCommand(inputText = aiCommandInput.value.trim(), requestOptions = {}) {
                 if (!inputText) {
                     console.warn('Please enter a description');
                     return;
                 }
                 
                 if (!naturalLanguageProcessor) {
-                    alert('Please enter an OpenAI API key first');
+                    alert('Please set up the AI provider in the settings first');
                     return;
                 }
                 
                 // Show processing indicator
                 aiProcessingIndicator.classList.remove('hidden');
                 aiResponseDisplay.classList.add('hidden');
+                showCacheStatus(null);
+                showQueryAnswer(null);
+                lastAiInput = inputText;
                 
-                // Set up a manual spinner timeout as a fallback
-                const spinnerTimeoutId = setTimeout(() => {
-                    console.error('Manual spinner timeout triggered after 20 seconds');
-                    aiProcessingIndicator.classList.add('hidden');
+                // Show the reply as it streams in, and code repair attempts while the AI fixes a failing snippet
+                // (the request times out in the router and can be stopped with the Cancel button)
+                const showProgress = (message) => {
+                    aiResponseJson.textContent = message;
                     aiResponseDisplay.classList.remove('hidden');
-                    aiResponseJson.textContent = 'Sorry, something went wrong. The request took too long to process. Please try again.';
-                }, 20000); // 20 second timeout
+                };
                 
                 console.log('AI command execution started for input:', inputText);
                 
@@ -1089,11 +1341,12 @@ function setupUIControls() {
                         // Success callback
                         (result) => {
                             console.log('AI processing succeeded with result:', result);
-                            clearTimeout(spinnerTimeoutId);
                             
                             // Display the result
                             aiResponseJson.textContent = JSON.stringify(result, null, 2);
                             aiResponseDisplay.classList.remove('hidden');
+                            showCacheStatus(result && result.cache);
+                            showQueryAnswer(result && result.query);
                             
                             // Clear input on success
                             aiCommandInput.value = '';
@@ -1101,7 +1354,6 @@ function setupUIControls() {
                         // Error callback
                         (error) => {
                             console.error('AI processing error:', error);
-                            clearTimeout(spinnerTimeoutId);
                             
                             // Display user-friendly error
                             aiResponseJson.textContent = `Error: ${error}`;
@@ -1114,9 +1366,11 @@ function setupUIControls() {
                         // Complete callback
                         () => {
                             console.log('AI processing completed for input:', inputText);
-                            clearTimeout(spinnerTimeoutId);
                             aiProcessingIndicator.classList.add('hidden');
-                        }
+                        },
+                        // Progress callback
+                        showProgress,
+                        requestOptions
                     );
                 } else {
                     // Process regular natural language input
@@ -1126,11 +1380,12 @@ function setupUIControls() {
                         // Success callback
                         (result) => {
                             console.log('AI processing succeeded with result type:', typeof result);
-                            clearTimeout(spinnerTimeoutId);
                             
                             // Display the result
                             aiResponseJson.textContent = JSON.stringify(result, null, 2);
                             aiResponseDisplay.classList.remove('hidden');
+                            showCacheStatus(result && result.cache);
+                            showQueryAnswer(result && result.query);
                             
                             // Clear input on success
                             aiCommandInput.value = '';
@@ -1138,14 +1393,15 @@ function setupUIControls() {
                         // Error callback
                         (error) => {
                             console.error('AI processing error:', error);
-                            clearTimeout(spinnerTimeoutId);
                             
                             // Display user-friendly error with suggestions
                             let errorMessage = `Error: ${error}`;
                             if (error.includes('API key')) {
                                 errorMessage += '\n\nPlease check that your OpenAI API key is valid and has sufficient credits.';
-                            } else if (error.includes('timeout')) {
+                            } else if (error.includes('timed out')) {
                                 errorMessage += '\n\nThe request took too long to complete. Please try again or use a simpler request.';
+                            } else if (error.includes('cancelled')) {
+                                errorMessage += '\n\nChanges made before cancelling can be undone with the Undo button.';
                             }
                             
                             aiResponseJson.textContent = errorMessage;
@@ -1158,21 +1414,509 @@ function setupUIControls() {
                         // Complete callback
                         () => {
                             console.log('AI processing completed for input:', inputText);
-                            clearTimeout(spinnerTimeoutId);
                             aiProcessingIndicator.classList.add('hidden');
-                        }
+                        },
+                        // Progress callback
+                        showProgress,
+                        requestOptions
                     );
                 }
             }
         }
         
         // Log available commands for debugging
-        console.log('Available commands:', commandDispatcher.getAvailableCommands());
+        console.log('Available commands:\n' + commandDispatcher.getHelpText());
         console.log('UI controls setup complete');
     } catch (error) {
         console.error('Error setting up UI controls:', error);
     }
 }
 
+/**
+ * Setup the scene save/load panel (localStorage slots and JSON files)
+ */
+function setupSceneSaveControls() {
+    try {
+        const slotNameInput = document.getElementById('scene-slot-name');
+        const slotSelect = document.getElementById('scene-slot-select');
+        const saveSceneBtn = document.getElementById('save-scene-btn');
+        const loadSceneBtn = document.getElementById('load-scene-btn');
+        const deleteSceneBtn = document.getElementById('delete-scene-btn');
+        const downloadSceneBtn = document.getElementById('download-scene-btn');
+        const sceneFileUpload = document.getElementById('scene-file-upload');
+        const sceneSaveStatus = document.getElementById('scene-save-status');
+        
+        if (!sceneSerializer || !slotSelect) {
+            console.warn('Scene save controls not available');
+            return;
+        }
+        
+        // Show a short status message in the panel
+        const showStatus = (message, isError = false) => {
+            if (!sceneSaveStatus) return;
+            sceneSaveStatus.textContent = message;
+            sceneSaveStatus.classList.toggle('error', isError);
+            sceneSaveStatus.classList.remove('hidden');
+        };
+        
+        // Fill the slot dropdown from localStorage
+        const refreshSlots = (selectedName = null) => {
+            const slots = sceneSerializer.listSlots();
+            slotSelect.innerHTML = '';
+            
+            if (slots.length === 0) {
+                const option = document.createElement('option');
+                option.value = '';
+                option.textContent = 'No saved worlds';
+                slotSelect.appendChild(option);
+            }
+            
+            slots.forEach(slot => {
+                const option = document.createElement('option');
+                option.value = slot.name;
+                option.textContent = `${slot.name} (${new Date(slot.savedAt).toLocaleString()})`;
+                slotSelect.appendChild(option);
+            });
+            
+            if (selectedName) {
+                slotSelect.value = selectedName;
+            }
+            
+            if (loadSceneBtn) loadSceneBtn.disabled = slots.length === 0;
+            if (deleteSceneBtn) deleteSceneBtn.disabled = slots.length === 0;
+        };
+        
+        refreshSlots();
+        
+        // Save to slot
+        if (saveSceneBtn && slotNameInput) {
+            saveSceneBtn.addEventListener('click', () => {
+                try {
+                    const slot = sceneSerializer.saveToSlot(slotNameInput.value);
+                    refreshSlots(slot.name);
+                    showStatus(`Saved "${slot.name}"`);
+                } catch (error) {
+                    console.error('Error saving scene:', error);
+                    showStatus(error.message, true);
+                }
+            });
+        }
+        
+        // Load from slot
+        if (loadSceneBtn) {
+            loadSceneBtn.addEventListener('click', async () => {
+                const name = slotSelect.value;
+                if (!name) return;
+                
+                try {
+                    loadSceneBtn.disabled = true;
+                    await sceneSerializer.loadFromSlot(name);
+                    if (slotNameInput) slotNameInput.value = name;
+                    showStatus(`Loaded "${name}" (Ctrl+Z to undo)`);
+                } catch (error) {
+                    console.error('Error loading scene:', error);
+                    showStatus(error.message, true);
+                } finally {
+                    loadSceneBtn.disabled = false;
+                }
+            });
+        }
+        
+        // Delete slot
+        if (deleteSceneBtn) {
+            deleteSceneBtn.addEventListener('click', () => {
+                const name = slotSelect.value;
+                if (!name || !confirm(`Delete saved world "${name}"?`)) return;
+                
+                sceneSerializer.deleteSlot(name);
+                refreshSlots();
+                showStatus(`Deleted "${name}"`);
+            });
+        }
+        
+        // Download as JSON file
+        if (downloadSceneBtn) {
+            downloadSceneBtn.addEventListener('click', () => {
+                try {
+                    const name = (slotNameInput && slotNameInput.value.trim()) || 'scene';
+                    sceneSerializer.downloadFile(`${name.replace(/[^a-z0-9_-]+/gi, '_')}.json`);
+                } catch (error) {
+                    console.error('Error downloading scene:', error);
+                    showStatus(error.message, true);
+                }
+            });
+        }
+        
+        // Upload a JSON file
+        if (sceneFileUpload) {
+            sceneFileUpload.addEventListener('change', async (event) => {
+                const file = event.target.files[0];
+                if (!file) return;
+                
+                try {
+                    await sceneSerializer.loadFromFile(file);
+                    showStatus(`Loaded ${file.name} (Ctrl+Z to undo)`);
+                } catch (error) {
+                    console.error('Error loading scene file:', error);
+                    showStatus(error.message, true);
+                } finally {
+                    // Allow uploading the same file again
+                    sceneFileUpload.value = '';
+                }
+            });
+        }
+        
+        console.log('Scene save controls setup complete');
+    } catch (error) {
+        console.error('Error setting up scene save controls:', error);
+    }
+}
+
+/**
+ * Setup the response cache settings (cache mode, inspecting and clearing cached replies)
+ */
+function setupResponseCacheControls() {
+    try {
+        const cacheModeSelect = document.getElementById('llm-cache-mode');
+        const cacheSummary = document.getElementById('llm-cache-summary');
+        const showCacheBtn = document.getElementById('show-llm-cache-btn');
+        const clearCacheBtn = document.getElementById('clear-llm-cache-btn');
+        const cacheList = document.getElementById('llm-cache-list');
+        const llmRouter = naturalLanguageProcessor && naturalLanguageProcessor.router;
+        const responseCache = llmRouter && llmRouter.responseCache;
+        
+        if (!responseCache || !cacheModeSelect) {
+            console.warn('Response cache controls not available');
+            if (cacheModeSelect) {
+                cacheModeSelect.value = 'off';
+                cacheModeSelect.disabled = true;
+            }
+            return;
+        }
+        
+        cacheModeSelect.value = llmRouter.cacheMode;
+        cacheModeSelect.addEventListener('change', () => {
+            naturalLanguageProcessor.updateConfig({
+                cacheMode: cacheModeSelect.value
+            });
+            console.log('Response cache mode updated to:', cacheModeSelect.value);
+        });
+        
+        // Show the number of cached replies and this session's hits and misses, and the entries if the list is open
+        const refreshCache = async () => {
+            try {
+                const entries = await responseCache.list();
+                const stats = responseCache.getStats();
+                if (cacheSummary) {
+                    cacheSummary.textContent = `${entries.length} cached, ${stats.hits} hits / ${stats.misses} misses`;
+                }
+                if (clearCacheBtn) clearCacheBtn.disabled = entries.length === 0;
+                
+                if (!cacheList || cacheList.classList.contains('hidden')) return;
+                
+                cacheList.innerHTML = '';
+                if (entries.length === 0) {
+                    const item = document.createElement('li');
+                    item.textContent = 'No cached replies';
+                    cacheList.appendChild(item);
+                }
+                
+                entries.forEach(entry => {
+                    const item = document.createElement('li');
+                    
+                    const input = document.createElement('span');
+                    input.className = 'llm-cache-entry-input';
+                    input.textContent = entry.input;
+                    input.title = `${entry.input}\nCached ${new Date(entry.createdAt).toLocaleString()}, prompt ${entry.promptVersion}`;
+                    
+                    const meta = document.createElement('span');
+                    meta.className = 'llm-cache-entry-meta';
+                    meta.textContent = `${entry.route} · ${entry.model} · ${entry.hits} hits`;
+                    
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.textContent = '✕';
+                    deleteBtn.title = 'Forget this reply';
+                    deleteBtn.addEventListener('click', () => {
+                        responseCache.delete(entry.key).catch(error => {
+                            console.error('Error deleting cached reply:', error);
+                        });
+                    });
+                    
+                    item.append(input, meta, deleteBtn);
+                    cacheList.appendChild(item);
+                });
+            } catch (error) {
+                console.error('Error reading response cache:', error);
+                if (cacheSummary) cacheSummary.textContent = 'Cache unavailable';
+            }
+        };
+        
+        responseCache.onChange(() => refreshCache());
+        refreshCache();
+        
+        // Show or hide the cached entries
+        if (showCacheBtn && cacheList) {
+            showCacheBtn.addEventListener('click', () => {
+                const isHidden = cacheList.classList.toggle('hidden');
+                showCacheBtn.textContent = isHidden ? 'Show' : 'Hide';
+                refreshCache();
+            });
+        }
+        
+        // Clear all cached replies
+        if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', async () => {
+                if (!confirm('Clear all cached AI replies?')) return;
+                
+                try {
+                    await responseCache.clear();
+                } catch (error) {
+                    console.error('Error clearing response cache:', error);
+                }
+            });
+        }
+        
+        console.log('Response cache controls setup complete');
+    } catch (error) {
+        console.error('Error setting up response cache controls:', error);
+    }
+}
+
+/**
+ * Setup the selection panel: lists the selected objects and applies commands to them
+ */
+function setupSelectionControls() {
+    try {
+        const selectionPanel = document.getElementById('selection-panel');
+        const selectionTitle = document.getElementById('selection-title');
+        const selectionList = document.getElementById('selection-list');
+        const selectionColorInput = document.getElementById('selection-color');
+        const replaceTypeSelect = document.getElementById('selection-replace-type');
+        
+        if (!selectionManager || !selectionPanel || !selectionList) {
+            console.warn('Selection panel not available');
+            return;
+        }
+        
+        // Run selection commands through the dispatcher so they can be undone
+        const runSelectionCommand = (command) => {
+            const result = commandDispatcher.executeCommand(command);
+            Promise.resolve(result.pending ? result.completion : result).then(finalResult => {
+                if (!finalResult.ok) {
+                    console.warn(`Could not run ${command}:`, finalResult.error.message);
+                }
+            });
+        };
+        
+        // Tree and building types the selection can be replaced with
+        if (replaceTypeSelect) {
+            environmentManager.getTreeTypes().forEach(type => {
+                replaceTypeSelect.add(new Option(`${type.replace(/_/g, ' ')} tree`, type));
+            });
+            environmentManager.getBuildingTypes().forEach(type => {
+                replaceTypeSelect.add(new Option(type, type));
+            });
+        }
+        
+        // Show the ID, type and position of each selected object
+        selectionManager.onChange(() => {
+            const selected = selectionManager.describeSelection();
+            
+            selectionPanel.classList.toggle('hidden', selected.length === 0);
+            if (selectionTitle) {
+                selectionTitle.textContent = `Selected (${selected.length})`;
+            }
+            
+            selectionList.innerHTML = '';
+            selected.forEach(({ id, type, position }) => {
+                const item = document.createElement('li');
+                const idLabel = document.createElement('span');
+                idLabel.className = 'selection-id';
+                idLabel.textContent = id;
+                item.appendChild(idLabel);
+                item.appendChild(document.createTextNode(` ${type} at (${position.x}, ${position.y}, ${position.z})`));
+                selectionList.appendChild(item);
+            });
+        });
+        
+        const bindButton = (id, handler) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        };
+        
+        bindButton('clear-selection-btn', () => selectionManager.clear());
+        bindButton('delete-selection-btn', () => runSelectionCommand('delete_selected'));
+        bindButton('recolor-selection-btn', () => runSelectionCommand(`recolor_selected:${selectionColorInput.value}`));
+        bindButton('replace-selection-btn', () => runSelectionCommand(`replace_selected:${replaceTypeSelect.value}`));
+        
+        // Delete removes the selection, Escape clears it (unless typing somewhere)
+        window.addEventListener('keydown', (event) => {
+            const target = event.target;
+            if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+                return;
+            }
+            
+            if (event.key === 'Delete' && selectionManager.getSelectedIds().length > 0) {
+                event.preventDefault();
+                runSelectionCommand('delete_selected');
+            } else if (event.key === 'Escape') {
+                selectionManager.clear();
+            }
+        });
+        
+        console.log('Selection controls setup complete');
+    } catch (error) {
+        console.error('Error setting up selection controls:', error);
+    }
+}
+
+/**
+ * Setup the rebinding screen and, on touch devices, the on-screen joystick and jump button
+ */
+function setupInputControls() {
+    try {
+        const inputManager = playerManager && playerManager.inputManager;
+        const bindingsPanel = document.getElementById('input-bindings');
+        const bindingsList = document.getElementById('input-bindings-list');
+        const bindingsStatus = document.getElementById('input-bindings-status');
+        const gamepadStatus = document.getElementById('gamepad-status');
+        const deadzoneInput = document.getElementById('input-deadzone');
+        const deadzoneValue = document.getElementById('input-deadzone-value');
+        
+        if (!inputManager) {
+            console.warn('Input manager not available');
+            return;
+        }
+        
+        // Show the on-screen controls on touch devices
+        const touchControls = document.getElementById('touch-controls');
+        const isTouchDevice = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        if (touchControls && isTouchDevice) {
+            inputManager.attachTouchControls(
+                document.getElementById('touch-joystick'),
+                document.getElementById('touch-joystick-knob'),
+                document.getElementById('touch-jump-btn')
+            );
+            touchControls.classList.remove('hidden');
+        }
+        
+        if (!bindingsPanel || !bindingsList) {
+            console.warn('Rebinding screen not available');
+            return;
+        }
+        
+        const defaultStatus = bindingsStatus ? bindingsStatus.textContent : '';
+        
+        // Wait for the new key or button and report the outcome
+        const rebind = (device, action, button) => {
+            button.classList.add('capturing');
+            button.textContent = device === 'keyboard' ? 'Press a key...' : 'Press a button...';
+            if (bindingsStatus) {
+                bindingsStatus.textContent = `Rebinding ${action} (${device}), Esc cancels`;
+            }
+            
+            inputManager.captureBinding(device, action).then(binding => {
+                if (bindingsStatus) {
+                    bindingsStatus.textContent = binding
+                        ? `${action} is now ${InputManager.describeBinding(binding)}`
+                        : defaultStatus;
+                }
+                renderBindings();
+            });
+        };
+        
+        // One row per action with a rebind button for the keyboard and one for the gamepad
+        const renderBindings = () => {
+            bindingsList.innerHTML = '';
+            inputManager.getActions().forEach(action => {
+                const row = document.createElement('tr');
+                const actionCell = document.createElement('td');
+                actionCell.textContent = action;
+                row.appendChild(actionCell);
+                
+                ['keyboard', 'gamepad'].forEach(device => {
+                    const cell = document.createElement('td');
+                    const button = document.createElement('button');
+                    button.textContent = inputManager.getBindings(device, action).map(binding => InputManager.describeBinding(binding)).join(' / ');
+                    button.title = `Rebind ${action} (${device})`;
+                    button.addEventListener('click', () => rebind(device, action, button));
+                    cell.appendChild(button);
+                    row.appendChild(cell);
+                });
+                
+                bindingsList.appendChild(row);
+            });
+            
+            if (deadzoneInput) {
+                deadzoneInput.value = inputManager.getDeadzone();
+            }
+            if (deadzoneValue) {
+                deadzoneValue.textContent = inputManager.getDeadzone().toFixed(2);
+            }
+            if (gamepadStatus) {
+                const gamepads = inputManager.getConnectedGamepads();
+                gamepadStatus.textContent = gamepads.length > 0
+                    ? `Gamepad: ${gamepads.join(', ')}`
+                    : 'No gamepad connected';
+            }
+        };
+        
+        inputManager.onChange(() => {
+            if (!inputManager.isCapturing()) renderBindings();
+        });
+        renderBindings();
+        
+        const toggleButton = document.getElementById('input-bindings-btn');
+        if (toggleButton) {
+            toggleButton.addEventListener('click', () => {
+                const hidden = bindingsPanel.classList.toggle('hidden');
+                if (hidden) inputManager.cancelCapture();
+            });
+        }
+        
+        const resetButton = document.getElementById('reset-input-bindings-btn');
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                inputManager.cancelCapture();
+                inputManager.resetBindings();
+            });
+        }
+        
+        if (deadzoneInput) {
+            deadzoneInput.addEventListener('input', () => {
+                inputManager.setDeadzone(parseFloat(deadzoneInput.value));
+            });
+        }
+        
+        console.log('Input controls setup complete');
+    } catch (error) {
+        console.error('Error setting up input controls:', error);
+    }
+}
+
+/**
+ * Setup the developer console for running raw dispatcher commands (toggle with the backtick key)
+ */
+function setupDeveloperConsole() {
+    try {
+        const container = document.getElementById('developer-console');
+        const input = document.getElementById('developer-console-input');
+        const output = document.getElementById('developer-console-output');
+        const hint = document.getElementById('developer-console-hint');
+        
+        if (!commandDispatcher || !container || !input || !output) {
+            console.warn('Developer console not available');
+            return;
+        }
+        
+        developerConsole = new DeveloperConsole(commandDispatcher, { container, input, output, hint });
+        developerConsole.print('Developer console - type help for commands, Esc or ` to close', 'info');
+        
+        console.log('Developer console setup complete');
+    } catch (error) {
+        console.error('Error setting up developer console:', error);
+    }
+}
+
 // Start the game when the page loads
 window.addEventListener('load', init);
@@ -0,0 +1,214 @@
+/**
+ * CollisionManager.js
+ * Responsible for the colliders the player collides with besides the terrain.
+ * Keeps an axis-aligned bounding box for each platform, floating island, rock and building
+ * of the EnvironmentManager, and answers the player's questions: what can I stand on,
+ * what blocks me sideways and what do I bump my head on.
+ */
+
+// Height the player can step up onto without jumping
+const COLLISION_STEP_HEIGHT = 0.3;
+
+// How each collection collides. 'surface' colliders can be landed on from above and are passed
+// through from below and the sides (one-way platforms); 'solid' colliders also block sideways
+// movement and jumps from below. ignoreDepth makes a collider count wherever the player is along
+// z, so platforms and islands the side view shows in line with the player can be jumped onto;
+// solid objects only collide when they actually reach the player's depth. Collections that are
+// not listed (trees, clouds, props) can be walked through.
+const COLLISION_RULES = {
+    platforms: { kind: 'surface', ignoreDepth: true },
+    floatingIslands: { kind: 'surface', ignoreDepth: true },
+    rocks: { kind: 'solid', ignoreDepth: false },
+    buildings: { kind: 'solid', ignoreDepth: false }
+};
+
+class CollisionManager {
+    /**
+     * Create a collision manager
+     * @param {EnvironmentManager} environmentManager - The manager whose objects become colliders
+     */
+    constructor(environmentManager) {
+        this.environmentManager = environmentManager;
+
+        // Colliders by object ID: {id, collection, kind, ignoreDepth, node, box}
+        this.colliders = new Map();
+    }
+
+    /**
+     * Bring the colliders in line with the environment: add colliders for new objects, drop
+     * colliders of removed objects and refit the boxes of objects that moved, were replaced (recolor
+     * and undo swap in a new node with the same ID) or whose parts changed, which EnvironmentManager
+     * reports with markShapeChanged (a model finishing loading, a part that grows).
+     * Call once per frame before the player moves.
+     */
+    update() {
+        const environmentManager = this.environmentManager;
+        if (!environmentManager) {
+            return;
+        }
+
+        const seen = new Set();
+        environmentManager.getCollectionDefinitions().forEach(({ name, objectKey }) => {
+            const rule = COLLISION_RULES[name];
+            if (!rule) return;
+
+            environmentManager[name].forEach(object => {
+                const node = object[objectKey];
+                if (!node) return;
+                seen.add(object.id);
+
+                let collider = this.colliders.get(object.id);
+                if (!collider || collider.node !== node) {
+                    collider = {
+                        id: object.id,
+                        collection: name,
+                        kind: rule.kind,
+                        ignoreDepth: rule.ignoreDepth,
+                        node,
+                        box: new THREE.Box3(),
+                        matrixWorld: new THREE.Matrix4(),
+                        childCount: -1,
+                        shapeVersion: -1
+                    };
+                    this.colliders.set(object.id, collider);
+                }
+
+                // Refit only when the object moved or its parts changed since the last fit
+                node.updateWorldMatrix(false, false);
+                const shapeVersion = node.userData.shapeVersion || 0;
+                if (!collider.matrixWorld.equals(node.matrixWorld) || collider.childCount !== node.children.length ||
+                    collider.shapeVersion !== shapeVersion) {
+                    node.updateMatrixWorld(true);
+                    collider.box.setFromObject(node);
+                    collider.matrixWorld.copy(node.matrixWorld);
+                    collider.childCount = node.children.length;
+                    collider.shapeVersion = shapeVersion;
+                }
+            });
+        });
+
+        this.colliders.forEach((collider, id) => {
+            if (!seen.has(id)) {
+                this.colliders.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Get all colliders
+     * @returns {Array} - Colliders as {id, collection, kind, ignoreDepth, node, box}
+     */
+    getColliders() {
+        return [...this.colliders.values()];
+    }
+
+    /**
+     * Find the highest collider top the player can stand on
+     * @param {number} x - Player X position
+     * @param {number} z - Player Z position
+     * @param {number} halfWidth - Half of the player's width
+     * @param {number} feetY - Height of the player's feet before this frame's fall
+     * @returns {Object|null} - {height, collider} of the highest top at or below the feet, or null
+     */
+    getSupport(x, z, halfWidth, feetY) {
+        let support = null;
+
+        this.colliders.forEach(collider => {
+            const box = collider.box;
+            if (!this.overlapsFootprint(collider, x, z, halfWidth)) return;
+
+            // Only tops the feet were above (or within a small step of) can catch the player
+            const top = box.max.y;
+            if (top > feetY + COLLISION_STEP_HEIGHT) return;
+
+            if (!support || top > support.height) {
+                support = { height: top, collider };
+            }
+        });
+
+        return support;
+    }
+
+    /**
+     * Stop horizontal movement at the sides of solid colliders
+     * @param {number} x - Player X position after moving
+     * @param {number} previousX - Player X position before moving
+     * @param {number} z - Player Z position
+     * @param {number} halfWidth - Half of the player's width
+     * @param {number} feetY - Height of the player's feet
+     * @param {number} headY - Height of the top of the player's head
+     * @returns {Object} - {x, blocked}: the corrected X position and whether a collider was hit
+     */
+    resolveHorizontal(x, previousX, z, halfWidth, feetY, headY) {
+        let resolvedX = x;
+        let blocked = false;
+
+        this.colliders.forEach(collider => {
+            if (collider.kind !== 'solid') return;
+
+            const box = collider.box;
+            if (!this.overlapsFootprint(collider, resolvedX, z, halfWidth)) return;
+
+            // Ledges lower than a step are walked onto instead of blocking
+            if (feetY >= box.max.y - COLLISION_STEP_HEIGHT || headY <= box.min.y) return;
+
+            if (previousX <= box.min.x + (box.max.x - box.min.x) / 2) {
+                resolvedX = Math.min(resolvedX, box.min.x - halfWidth);
+            } else {
+                resolvedX = Math.max(resolvedX, box.max.x + halfWidth);
+            }
+            blocked = true;
+        });
+
+        return { x: resolvedX, blocked };
+    }
+
+    /**
+     * Find the underside of a solid collider the player's head would hit while rising
+     * @param {number} x - Player X position
+     * @param {number} z - Player Z position
+     * @param {number} halfWidth - Half of the player's width
+     * @param {number} previousHeadY - Height of the head before this frame's rise
+     * @param {number} headY - Height of the head after this frame's rise
+     * @returns {number|null} - Height of the lowest underside crossed, or null if nothing was hit
+     */
+    getCeiling(x, z, halfWidth, previousHeadY, headY) {
+        let ceiling = null;
+
+        this.colliders.forEach(collider => {
+            if (collider.kind !== 'solid') return;
+
+            const bottom = collider.box.min.y;
+            if (bottom < previousHeadY || bottom > headY) return;
+            if (!this.overlapsFootprint(collider, x, z, halfWidth)) return;
+
+            if (ceiling === null || bottom < ceiling) {
+                ceiling = bottom;
+            }
+        });
+
+        return ceiling;
+    }
+
+    /**
+     * Check whether the player's footprint lies over a collider
+     * @param {Object} collider - The collider
+     * @param {number} x - Player X position
+     * @param {number} z - Player Z position
+     * @param {number} halfWidth - Half of the player's width
+     * @returns {boolean} - True if the collider is under or beside the player
+     * @private
+     */
+    overlapsFootprint(collider, x, z, halfWidth) {
+        const box = collider.box;
+        if (box.isEmpty()) return false;
+        if (x + halfWidth <= box.min.x || x - halfWidth >= box.max.x) return false;
+        if (!collider.ignoreDepth && (z + halfWidth <= box.min.z || z - halfWidth >= box.max.z)) return false;
+        return true;
+    }
+}
+
+// Export the CollisionManager class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CollisionManager };
+}
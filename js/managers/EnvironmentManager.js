@@ -4,15 +4,26 @@
  * Controls trees, rocks, platforms, and other props.
  */
 
+// Options understood by spawnTreeType, spawnBuildingType, startWeatherEffect and startParticleEffect
+const ENVIRONMENT_TREE_TYPES = ['cherry_blossom', 'pine', 'oak', 'willow', 'palm', 'magical'];
+const ENVIRONMENT_BUILDING_TYPES = ['shrine', 'castle', 'cottage', 'tower', 'ruins', 'temple', 'pagoda'];
+const ENVIRONMENT_WEATHER_EFFECTS = ['clear', 'rain', 'snow', 'fog', 'storm'];
+const ENVIRONMENT_PARTICLE_EFFECTS = ['petals', 'snowflakes', 'raindrops', 'leaves', 'sparkles'];
+
 class EnvironmentManager {
     /**
      * Create an environment manager
      * @param {THREE.Scene} scene - The Three.js scene
      * @param {GroundManager} groundManager - The ground manager for height queries
+     * @param {SkyManager} skyManager - The sky manager for fog and lightning (optional)
      */
-    constructor(scene, groundManager) {
+    constructor(scene, groundManager, skyManager = null) {
         this.scene = scene;
         this.groundManager = groundManager;
+        this.skyManager = skyManager;
+        
+        // Camera that weather effects follow (set via setCamera)
+        this.camera = null;
         
         // Collections to track environment objects
         this.trees = [];
@@ -21,6 +32,10 @@ class EnvironmentManager {
         this.floatingIslands = [];
         this.clouds = [];
         this.buildings = [];
+        this.props = []; // Generated objects that are not buildings (statues, creatures, ...)
+        
+        // Grow animations that are still running, keyed by the object they scale (see finishGrowth)
+        this.growthAnimations = new Map();
         
         // Counters for generating unique IDs
         this.treeIdCounter = 0;
@@ -29,6 +44,19 @@ class EnvironmentManager {
         this.islandIdCounter = 0;
         this.cloudIdCounter = 0;
         this.buildingIdCounter = 0;
+        this.propIdCounter = 0;
+        
+        // Weather state
+        this.currentWeather = 'clear';
+        this.weatherSystems = [];
+        this.weatherAreaSize = 120; // Width/depth of the precipitation volume
+        this.weatherAreaHeight = 60; // Height of the precipitation volume
+        this.lightning = null;
+        
+        // Active ambient particle effect (null when none) and the emitters drawing it
+        this.currentParticleEffect = null;
+        this.particleEmitters = [];
+        this.maxParticles = 3000; // Particles alive at once across all emitters (see setParticleBudget)
         
         // Materials and colors
         this.treeTrunkMaterial = new THREE.MeshStandardMaterial({
@@ -46,6 +74,46 @@ class EnvironmentManager {
         ];
     }
     
+    /**
+     * Set the camera that weather effects should follow
+     * @param {THREE.Camera} camera - The active camera
+     */
+    setCamera(camera) {
+        this.camera = camera;
+    }
+    
+    /**
+     * Get the tree types spawnTreeType can create
+     * @returns {Array} - Tree type names
+     */
+    getTreeTypes() {
+        return [...ENVIRONMENT_TREE_TYPES];
+    }
+    
+    /**
+     * Get the building types spawnBuildingType can create
+     * @returns {Array} - Building type names
+     */
+    getBuildingTypes() {
+        return [...ENVIRONMENT_BUILDING_TYPES];
+    }
+    
+    /**
+     * Get the weather effects startWeatherEffect supports
+     * @returns {Array} - Weather effect names
+     */
+    getWeatherEffects() {
+        return [...ENVIRONMENT_WEATHER_EFFECTS];
+    }
+    
+    /**
+     * Get the particle effects startParticleEffect supports
+     * @returns {Array} - Particle effect names
+     */
+    getParticleEffects() {
+        return [...ENVIRONMENT_PARTICLE_EFFECTS];
+    }
+    
     /**
      * Spawn trees of a specific type
      * @param {string} treeType - Type of tree to spawn (cherry_blossom, pine, oak, willow, palm, magical)
@@ -64,8 +132,8 @@ class EnvironmentManager {
             const randomZ = (Math.random() - 0.5) * 100;
             const position = { x: randomX, z: randomZ };
             
-            // Set options based on tree type
-            const options = this.getTreeOptionsForType(treeType);
+            // Set options based on tree type (the type is kept so it can be saved and asked about)
+            const options = { ...this.getTreeOptionsForType(treeType), treeType };
             
             // Add the tree
             this.addTree(position, options);
@@ -163,10 +231,11 @@ class EnvironmentManager {
      * Add a placeholder building to the scene
      * @param {Object} position - Position {x, y, z} to place the building
      * @param {string} buildingType - Type of building
+     * @param {Object} options - Optional parameters (id to reuse a saved ID)
      * @returns {Object} - The created building object with ID
      */
-    addPlaceholderBuilding(position, buildingType) {
-        const id = `building_${this.buildingIdCounter++}`;
+    addPlaceholderBuilding(position, buildingType, options = {}) {
+        const id = this.reserveId('building', 'buildingIdCounter', options.id);
         
         // Get ground height if y is not specified
         if (position.y === undefined && this.groundManager) {
@@ -255,7 +324,8 @@ class EnvironmentManager {
             group: buildingGroup,
             mesh: buildingMesh,
             type: buildingType,
-            position: { ...position }
+            position: { ...position },
+            source: { kind: 'placeholder', buildingType }
         };
         
         this.buildings.push(buildingData);
@@ -380,10 +450,11 @@ class EnvironmentManager {
      * Create a building billboard from an image texture
      * @param {THREE.Texture} texture - The texture for the building
      * @param {Object} position - Position {x, y, z} to place the building
+     * @param {Object} options - Optional parameters (id, height, rotationY, exactPosition)
      * @returns {Object} - The created building object with ID
      */
-    createBuildingBillboard(texture, position) {
-        const id = `building_${this.buildingIdCounter++}`;
+    createBuildingBillboard(texture, position, options = {}) {
+        const id = this.reserveId('building', 'buildingIdCounter', options.id);
         
         // Get ground height if y is not specified
         if (position.y === undefined && this.groundManager) {
@@ -391,7 +462,10 @@ class EnvironmentManager {
         }
         
         // Ensure position is slightly above ground to avoid z-fighting
-        position.y += 0.1;
+        // (saved positions already include the offset)
+        if (!options.exactPosition) {
+            position.y += 0.1;
+        }
         
         // Create building group
         const buildingGroup = new THREE.Group();
@@ -401,7 +475,7 @@ class EnvironmentManager {
         const aspectRatio = texture.image.width / texture.image.height;
         
         // Set billboard dimensions based on aspect ratio
-        const height = 20 + Math.random() * 10; // Random height between 20-30
+        const height = options.height || 20 + Math.random() * 10; // Random height between 20-30
         const width = height * aspectRatio;
         
         // Create a plane geometry for the billboard
@@ -423,7 +497,10 @@ class EnvironmentManager {
         const mesh = new THREE.Mesh(geometry, material);
         
         // Slightly randomize rotation for variety (1-5 degrees)
-        mesh.rotation.y = (Math.random() * 5 + 1) * (Math.PI / 180) * (Math.random() > 0.5 ? 1 : -1);
+        const rotationY = options.rotationY !== undefined
+            ? options.rotationY
+            : (Math.random() * 5 + 1) * (Math.PI / 180) * (Math.random() > 0.5 ? 1 : -1);
+        mesh.rotation.y = rotationY;
         
         // Position at ground level
         mesh.position.y = height / 2;
@@ -456,6 +533,7 @@ class EnvironmentManager {
             // Update scale and opacity
             mesh.scale.set(scale, scale, scale);
             material.opacity = easeOut;
+            this.markShapeChanged(mesh);
             
             // Continue animation until complete
             if (progress < 1) {
@@ -473,7 +551,8 @@ class EnvironmentManager {
             mesh,
             texture,
             type: 'billboard',
-            position: { ...position }
+            position: { ...position },
+            source: { kind: 'billboard', height, rotationY }
         };
         
         this.buildings.push(buildingData);
@@ -511,14 +590,35 @@ class EnvironmentManager {
             default:
                 // Clear weather, no effect needed
                 console.log('Clear weather, no effect applied');
+                return;
         }
+        
+        this.currentWeather = weatherEffect;
     }
     
     /**
      * Clear all weather effects
      */
     clearWeatherEffects() {
-        // TODO: Implement clearing of weather effects
+        // Remove precipitation meshes and free their GPU resources
+        for (const system of this.weatherSystems) {
+            this.scene.remove(system.mesh);
+            system.mesh.geometry.dispose();
+            system.mesh.material.dispose();
+            if (typeof system.mesh.dispose === 'function') {
+                system.mesh.dispose();
+            }
+        }
+        this.weatherSystems = [];
+        
+        // Restore the sky's default fog density and remove any lightning
+        if (this.skyManager) {
+            this.skyManager.resetFogDensity();
+            this.skyManager.removeLightning();
+        }
+        
+        this.lightning = null;
+        this.currentWeather = 'clear';
         console.log('Cleared all weather effects');
     }
     
@@ -526,34 +626,280 @@ class EnvironmentManager {
      * Create rain effect
      */
     createRainEffect() {
-        // TODO: Implement rain particle effect
-        console.log('Rain effect not fully implemented yet');
+        // Thin streaks, tilted slightly by the wind
+        const geometry = new THREE.BoxGeometry(0.04, 1.2, 0.04);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xAEC6E8,
+            transparent: true,
+            opacity: 0.55,
+            depthWrite: false
+        });
+        
+        this.addPrecipitationSystem({
+            count: 2500,
+            geometry,
+            material,
+            fallSpeed: 45,
+            speedVariation: 10,
+            windX: 4
+        });
+        
+        // Light haze while it rains
+        if (this.skyManager) {
+            this.skyManager.setFogDensity(0.006);
+        }
+        
+        console.log('Rain effect started');
     }
     
     /**
      * Create snow effect
      */
     createSnowEffect() {
-        // TODO: Implement snow particle effect
-        console.log('Snow effect not fully implemented yet');
+        const geometry = new THREE.OctahedronGeometry(0.15, 0);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xFFFFFF,
+            transparent: true,
+            opacity: 0.9,
+            depthWrite: false
+        });
+        
+        this.addPrecipitationSystem({
+            count: 1800,
+            geometry,
+            material,
+            fallSpeed: 3,
+            speedVariation: 1.5,
+            windX: 0.8,
+            drift: 1.2
+        });
+        
+        if (this.skyManager) {
+            this.skyManager.setFogDensity(0.005);
+        }
+        
+        console.log('Snow effect started');
     }
     
     /**
      * Create fog effect
      */
     createFogEffect() {
-        // TODO: Implement fog effect
-        console.log('Fog effect not fully implemented yet');
+        // The fog color already follows the sky color in SkyManager,
+        // so only the density needs to change
+        if (this.skyManager) {
+            this.skyManager.setFogDensity(0.025);
+        } else {
+            console.warn('SkyManager not available, fog effect skipped');
+        }
+        
+        console.log('Fog effect started');
     }
     
     /**
      * Create storm effect
      */
     createStormEffect() {
-        // TODO: Implement storm effect
-        console.log('Storm effect not fully implemented yet');
+        // Heavy, wind-driven rain
+        const geometry = new THREE.BoxGeometry(0.05, 1.6, 0.05);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x9FB4CC,
+            transparent: true,
+            opacity: 0.6,
+            depthWrite: false
+        });
+        
+        this.addPrecipitationSystem({
+            count: 4000,
+            geometry,
+            material,
+            fallSpeed: 60,
+            speedVariation: 15,
+            windX: 14
+        });
+        
+        if (this.skyManager) {
+            this.skyManager.setFogDensity(0.012);
+            this.skyManager.addLightning();
+        }
+        
+        // Lightning timing state, advanced in update()
+        this.lightning = {
+            nextStrikeIn: 2 + Math.random() * 3,
+            flashTime: -1
+        };
+        
+        console.log('Storm effect started');
     }
     
+    /**
+     * Create an instanced precipitation system that follows the camera
+     * @param {Object} config - Precipitation settings
+     * @param {number} config.count - Number of particles
+     * @param {THREE.BufferGeometry} config.geometry - Geometry for a single particle
+     * @param {THREE.Material} config.material - Material shared by all particles
+     * @param {number} config.fallSpeed - Base fall speed in units per second
+     * @param {number} config.speedVariation - Random extra fall speed per particle
+     * @param {number} config.windX - Horizontal wind speed along the x axis
+     * @param {number} config.drift - Amplitude of the sideways sway (0 for none)
+     * @returns {Object} - The created precipitation system
+     */
+    addPrecipitationSystem(config) {
+        const count = config.count;
+        const areaSize = this.weatherAreaSize;
+        const areaHeight = this.weatherAreaHeight;
+        const windX = config.windX || 0;
+        
+        // Lean the streaks into the wind once, so instances only need translation
+        if (windX !== 0) {
+            config.geometry.rotateZ(Math.atan2(windX, config.fallSpeed));
+        }
+        
+        const mesh = new THREE.InstancedMesh(config.geometry, config.material, count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        mesh.frustumCulled = false; // Instances are spread around the camera
+        
+        // World-space particle positions, wrapped around the camera in update()
+        const center = this.getWeatherCenter();
+        const positions = new Float32Array(count * 3);
+        const speeds = new Float32Array(count);
+        const phases = new Float32Array(count);
+        const matrix = new THREE.Matrix4();
+        
+        for (let i = 0; i < count; i++) {
+            const i3 = i * 3;
+            positions[i3] = center.x + (Math.random() - 0.5) * areaSize;
+            positions[i3 + 1] = center.y - areaHeight * 0.3 + Math.random() * areaHeight;
+            positions[i3 + 2] = center.z + (Math.random() - 0.5) * areaSize;
+            speeds[i] = config.fallSpeed + Math.random() * config.speedVariation;
+            phases[i] = Math.random() * Math.PI * 2;
+            
+            matrix.makeTranslation(positions[i3], positions[i3 + 1], positions[i3 + 2]);
+            mesh.setMatrixAt(i, matrix);
+        }
+        
+        this.scene.add(mesh);
+        
+        const system = {
+            mesh,
+            count,
+            positions,
+            speeds,
+            phases,
+            windX,
+            drift: config.drift || 0
+        };
+        
+        this.weatherSystems.push(system);
+        return system;
+    }
+    
+    /**
+     * Get the point precipitation is centered on (the camera, if known)
+     * @returns {THREE.Vector3} - Center of the weather volume
+     */
+    getWeatherCenter() {
+        if (this.camera) {
+            return this.camera.position;
+        }
+        
+        return new THREE.Vector3(0, 15, 0);
+    }
+    
+    /**
+     * Animate active weather effects
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} elapsedTime - Elapsed time in seconds
+     */
+    updateWeatherEffects(deltaTime, elapsedTime) {
+        const center = this.getWeatherCenter();
+        const halfSize = this.weatherAreaSize / 2;
+        const areaHeight = this.weatherAreaHeight;
+        const bottom = center.y - areaHeight * 0.3;
+        
+        for (const system of this.weatherSystems) {
+            const positions = system.positions;
+            const matrixArray = system.mesh.instanceMatrix.array;
+            
+            for (let i = 0; i < system.count; i++) {
+                const i3 = i * 3;
+                
+                // Fall, blow with the wind and sway
+                positions[i3 + 1] -= system.speeds[i] * deltaTime;
+                positions[i3] += system.windX * deltaTime;
+                if (system.drift > 0) {
+                    positions[i3] += Math.sin(elapsedTime * 1.5 + system.phases[i]) * system.drift * deltaTime;
+                    positions[i3 + 2] += Math.cos(elapsedTime * 1.1 + system.phases[i]) * system.drift * deltaTime;
+                }
+                
+                // Respawn at the top once below the volume
+                if (positions[i3 + 1] < bottom) {
+                    positions[i3 + 1] += areaHeight;
+                } else if (positions[i3 + 1] > bottom + areaHeight) {
+                    positions[i3 + 1] -= areaHeight;
+                }
+                
+                // Wrap horizontally so the volume follows the camera
+                const dx = positions[i3] - center.x;
+                if (dx > halfSize) positions[i3] -= this.weatherAreaSize;
+                else if (dx < -halfSize) positions[i3] += this.weatherAreaSize;
+                
+                const dz = positions[i3 + 2] - center.z;
+                if (dz > halfSize) positions[i3 + 2] -= this.weatherAreaSize;
+                else if (dz < -halfSize) positions[i3 + 2] += this.weatherAreaSize;
+                
+                // Write the translation straight into the instance matrix
+                const m = i * 16;
+                matrixArray[m + 12] = positions[i3];
+                matrixArray[m + 13] = positions[i3 + 1];
+                matrixArray[m + 14] = positions[i3 + 2];
+            }
+            
+            system.mesh.instanceMatrix.needsUpdate = true;
+        }
+        
+        // Lightning flashes during storms
+        if (this.lightning && this.skyManager) {
+            this.updateLightning(deltaTime);
+        }
+    }
+    
+    /**
+     * Advance the storm lightning timer and flash curve
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    updateLightning(deltaTime) {
+        const lightning = this.lightning;
+        
+        if (lightning.flashTime >= 0) {
+            lightning.flashTime += deltaTime;
+            
+            // Two quick pulses followed by a fade
+            const t = lightning.flashTime;
+            let intensity = 0;
+            if (t < 0.08) {
+                intensity = 3.0;
+            } else if (t < 0.14) {
+                intensity = 0.4;
+            } else if (t < 0.22) {
+                intensity = 2.2;
+            } else if (t < 0.6) {
+                intensity = 2.2 * (1 - (t - 0.22) / 0.38);
+            } else {
+                lightning.flashTime = -1;
+                lightning.nextStrikeIn = 3 + Math.random() * 6;
+            }
+            
+            this.skyManager.setLightningIntensity(intensity);
+            return;
+        }
+        
+        lightning.nextStrikeIn -= deltaTime;
+        if (lightning.nextStrikeIn <= 0) {
+            lightning.flashTime = 0;
+        }
+    }
+
     /**
      * Start a particle effect
      * @param {string} particleEffect - Type of particle effect (petals, snowflakes, raindrops, leaves, sparkles)
@@ -587,14 +933,21 @@ class EnvironmentManager {
                 
             default:
                 console.log(`Unknown particle effect: ${particleEffect}`);
+                return;
         }
+        
+        this.currentParticleEffect = particleEffect;
     }
     
     /**
      * Clear all particle effects
      */
     clearParticleEffects() {
-        // TODO: Implement clearing of particle effects
+        // Remove the emitters and free their GPU resources
+        this.particleEmitters.forEach(emitter => emitter.dispose());
+        this.particleEmitters = [];
+        
+        this.currentParticleEffect = null;
         console.log('Cleared all particle effects');
     }
     
@@ -602,40 +955,170 @@ class EnvironmentManager {
      * Create petal effect (falling cherry blossoms)
      */
     createPetalEffect() {
-        // TODO: Implement petal particle effect
-        console.log('Petal effect not fully implemented yet');
+        // Petals flutter down slowly and spin as they drift with the breeze
+        this.addParticleEmitter({
+            texture: 'petal',
+            maxParticles: 900,
+            colors: [0xFFB7C5, 0xFFC0CB, 0xF8A5C2, 0xFFE4EC],
+            size: 0.35,
+            sizeVariation: 0.15,
+            lifetime: 16,
+            lifetimeVariation: 6,
+            gravity: -0.8,
+            maxFallSpeed: 1.4,
+            wind: { x: 1.2, z: 0.4 },
+            sway: 1.2,
+            spin: 2.5
+        });
+        
+        console.log('Petal effect started');
     }
     
     /**
      * Create snowflake effect
      */
     createSnowflakeEffect() {
-        // TODO: Implement snowflake particle effect
-        console.log('Snowflake effect not fully implemented yet');
+        this.addParticleEmitter({
+            texture: 'snowflake',
+            maxParticles: 1500,
+            colors: [0xFFFFFF, 0xE8F4FF],
+            size: 0.3,
+            sizeVariation: 0.2,
+            lifetime: 20,
+            lifetimeVariation: 8,
+            opacity: 0.9,
+            gravity: -0.6,
+            maxFallSpeed: 1.6,
+            wind: { x: 0.5, z: 0.2 },
+            sway: 0.7,
+            spin: 0.6
+        });
+        
+        console.log('Snowflake effect started');
     }
     
     /**
      * Create raindrop effect
      */
     createRaindropEffect() {
-        // TODO: Implement raindrop particle effect
-        console.log('Raindrop effect not fully implemented yet');
+        // Light shower of drops (the rain weather effect is the heavy version)
+        this.addParticleEmitter({
+            texture: 'raindrop',
+            maxParticles: 1500,
+            colors: [0xAEC6E8, 0xC8DAF0],
+            size: 0.45,
+            sizeVariation: 0.15,
+            lifetime: 1.8,
+            lifetimeVariation: 0.4,
+            opacity: 0.7,
+            fadeIn: 0.2,
+            fadeOut: 0.3,
+            gravity: -30,
+            maxFallSpeed: 16,
+            wind: { x: 0.6, z: 0 }
+        });
+        
+        console.log('Raindrop effect started');
     }
     
     /**
      * Create leaf effect (falling leaves)
      */
     createLeafEffect() {
-        // TODO: Implement leaf particle effect
-        console.log('Leaf effect not fully implemented yet');
+        // Autumn leaves tumble down in wide arcs
+        this.addParticleEmitter({
+            texture: 'leaf',
+            maxParticles: 600,
+            colors: [0xD2691E, 0xE67E22, 0xC0392B, 0xF1C40F, 0x8B5A2B],
+            size: 0.5,
+            sizeVariation: 0.2,
+            lifetime: 14,
+            lifetimeVariation: 6,
+            gravity: -1,
+            maxFallSpeed: 1.8,
+            wind: { x: 1.5, z: 0.6 },
+            sway: 1.8,
+            spin: 3
+        });
+        
+        console.log('Leaf effect started');
     }
     
     /**
      * Create sparkle effect
      */
     createSparkleEffect() {
-        // TODO: Implement sparkle particle effect
-        console.log('Sparkle effect not fully implemented yet');
+        // Glowing motes that appear around the camera, float upwards and twinkle
+        this.addParticleEmitter({
+            texture: 'sparkle',
+            maxParticles: 600,
+            colors: [0xFFF8DC, 0xFFD700, 0xE0FFFF, 0xFFB6F2],
+            size: 0.35,
+            sizeVariation: 0.25,
+            lifetime: 4,
+            lifetimeVariation: 3,
+            fadeIn: 0.8,
+            fadeOut: 1.5,
+            gravity: 0.15,
+            maxFallSpeed: 0.5,
+            sway: 0.4,
+            spin: 1,
+            twinkle: 0.7,
+            volume: { size: 50, height: 16, offsetY: -4 },
+            spawnAt: 'volume',
+            additive: true
+        });
+        
+        console.log('Sparkle effect started');
+    }
+    
+    /**
+     * Set how many ambient particles may be alive at once across all particle effects
+     * @param {number} maxParticles - Particle budget
+     */
+    setParticleBudget(maxParticles) {
+        this.maxParticles = Math.max(0, Math.floor(maxParticles));
+    }
+    
+    /**
+     * Create a particle emitter within the particle budget
+     * @param {Object} config - Emitter settings (see ParticleEmitter)
+     * @returns {ParticleEmitter|null} - The created emitter, or null if the budget is used up
+     */
+    addParticleEmitter(config) {
+        const used = this.particleEmitters.reduce((total, emitter) => total + emitter.count, 0);
+        const available = this.maxParticles - used;
+        
+        if (available <= 0) {
+            console.warn('Particle budget used up, particle effect skipped');
+            return null;
+        }
+        
+        if (config.maxParticles > available) {
+            console.warn(`Particle effect limited to ${available} of ${config.maxParticles} particles by the particle budget`);
+        }
+        
+        const emitter = new ParticleEmitter(this.scene, {
+            ...config,
+            maxParticles: Math.min(config.maxParticles, available)
+        });
+        emitter.prewarm(this.getWeatherCenter());
+        
+        this.particleEmitters.push(emitter);
+        return emitter;
+    }
+    
+    /**
+     * Animate active particle effects
+     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} elapsedTime - Elapsed time in seconds
+     */
+    updateParticleEffects(deltaTime, elapsedTime) {
+        const center = this.getWeatherCenter();
+        
+        this.particleEmitters.forEach(emitter => {
+            emitter.update(deltaTime, elapsedTime, center, this.camera);
+        });
     }
     
     /**
@@ -644,130 +1127,309 @@ class EnvironmentManager {
      * @returns {Array} - Array of created skyscraper objects
      */
     /**
-     * Transform trees into fantasy skyscrapers using code snippet
+     * Transform trees into fantasy skyscrapers using code snippet.
+     * The snippet runs in the sandbox once per tree, so each skyscraper can vary.
      * @param {string} javascriptCodeSnippet - JavaScript code that creates a Three.js mesh
-     * @returns {Array} - Array of created skyscraper objects
+     * @param {Object} options - Transformation options
+     * @param {boolean} options.useFallbackBuildings - Skip the snippet and build fallback skyscrapers
+     *                                                  (used once repair attempts are exhausted)
+     * @returns {Promise<Array>} - Array of created skyscraper objects
+     * @throws {Error} - If the snippet fails validation or the sandbox fails
      */
-    transformTreesToSkyscrapers(javascriptCodeSnippet) {
+    async transformTreesToSkyscrapers(javascriptCodeSnippet, options = {}) {
         console.log('Transforming trees to fantasy skyscrapers with code snippet');
         
-        // If no trees, return empty array
-        if (this.trees.length === 0) {
-            console.log('No trees to transform');
-            return [];
+        return this.placeGeneratedObjects(javascriptCodeSnippet, this.getGeneratedObjectDefinition('skyscraper'), {
+            useFallback: options.useFallbackBuildings
+        });
+    }
+    
+    /**
+     * Get the definition of a code generator subtype from the prompt registry
+     * @param {string} subtype - Subtype name (e.g., 'skyscraper', 'lamp_post')
+     * @returns {Object} - Subtype definition (see PromptRegistry.register)
+     * @throws {Error} - If the prompt registry is not loaded
+     */
+    getGeneratedObjectDefinition(subtype) {
+        if (typeof PromptRegistry === 'undefined') {
+            throw new Error('PromptRegistry not available. Make sure it\'s imported.');
         }
         
+        return PromptRegistry.resolve(subtype);
+    }
+    
+    /**
+     * Place objects built from a code snippet, following a subtype's placement rule.
+     * The snippet runs in the sandbox once per object, so each object can vary.
+     * @param {string} javascriptCodeSnippet - JavaScript code that creates a Three.js mesh
+     * @param {Object} definition - Subtype definition (see PromptRegistry.register)
+     * @param {Object} options - Placement options
+     * @param {number} options.count - Number of objects, overriding the placement rule's count (optional)
+     * @param {boolean} options.useFallback - Skip the snippet and use the subtype's fallback objects
+     *                                         (used once repair attempts are exhausted)
+     * @returns {Promise<Array>} - Array of created objects
+     * @throws {Error} - If the snippet fails validation or the sandbox fails
+     */
+    async placeGeneratedObjects(javascriptCodeSnippet, definition, options = {}) {
+        console.log(`Placing generated ${definition.subtype} objects (${definition.placement.rule})`);
+        
         // Import CodeEvaluator if not already available
         if (typeof CodeEvaluator === 'undefined') {
             console.error('CodeEvaluator not available. Make sure it\'s imported.');
             return [];
         }
         
-        // Get all tree positions
-        const treePositions = this.trees.map(tree => ({ ...tree.position }));
+        const { positions, treesToRemove } = this.getPlacementPositions(definition, options.count);
+        if (positions.length === 0) {
+            console.log(`Nowhere to place ${definition.subtype} objects`);
+            return [];
+        }
         
-        // Store trees to remove after transformation
-        const treesToRemove = [...this.trees];
+        let meshResults;
+        if (options.useFallback) {
+            console.warn(`Using fallback objects instead of the generated ${definition.subtype} code`);
+            meshResults = positions.map(() => ({ ok: false, error: 'Generated code could not be repaired' }));
+        } else {
+            // Reject snippets that fail static validation before running anything
+            if (typeof SnippetValidator !== 'undefined') {
+                const validation = SnippetValidator.validate(javascriptCodeSnippet);
+                if (!validation.valid) {
+                    throw SnippetValidator.createError(validation);
+                }
+            }
+            
+            // Build all meshes in a single sandbox run
+            meshResults = await CodeEvaluator.createMeshesFromSnippet(javascriptCodeSnippet, positions.length);
+        }
         
-        // Create skyscrapers at tree positions
-        const createdSkyscrapers = [];
+        const createdObjects = [];
         
-        for (const position of treePositions) {
-            try {
-                // Create a skyscraper mesh using the code snippet
-                const skyscraperMesh = CodeEvaluator.createMeshFromSnippet(javascriptCodeSnippet);
-                
-                // Create a unique ID for the skyscraper
-                const id = `skyscraper_${this.buildingIdCounter++}`;
-                
-                // Create a group for the skyscraper
-                const skyscraperGroup = new THREE.Group();
-                
-                // Position the group at the tree position
-                skyscraperGroup.position.set(position.x, position.y, position.z);
-                
-                // Apply size constraints to ensure buildings fit environment scale
-                // Calculate the current dimensions of the mesh
-                const boundingBox = new THREE.Box3().setFromObject(skyscraperMesh);
-                const size = new THREE.Vector3();
-                boundingBox.getSize(size);
-                
-                // Calculate scaling factors to fit within our constraints
-                // Max height: 20-30 units, width/depth: 5-8 units
-                const targetHeight = 20 + Math.random() * 10; // 20-30 units
-                const targetWidth = 5 + Math.random() * 3;   // 5-8 units
-                const targetDepth = 5 + Math.random() * 3;   // 5-8 units
-                
-                // Calculate scale factors
-                const heightScale = targetHeight / size.y;
-                const widthScale = targetWidth / size.x;
-                const depthScale = targetDepth / size.z;
-                
-                // Apply the smallest scale factor to maintain proportions
-                // but ensure it fits within our constraints
-                const uniformScale = Math.min(heightScale, widthScale, depthScale);
-                
-                // Apply scaling to the mesh
-                skyscraperMesh.scale.set(uniformScale, uniformScale, uniformScale);
-                
-                // Add slight random height variation for organic skyline
-                const heightVariation = 0.9 + Math.random() * 0.2; // +/- 10%
-                skyscraperMesh.scale.y *= heightVariation;
-                
-                // Add the mesh to the group
-                skyscraperGroup.add(skyscraperMesh);
-                
-                // Add to scene
-                this.scene.add(skyscraperGroup);
-                
-                // Apply a smooth grow-up animation
-                this.animateSkyscraperGrowth(skyscraperGroup);
-                
-                // Store skyscraper data
-                const skyscraperData = {
-                    id,
-                    group: skyscraperGroup,
-                    mesh: skyscraperMesh,
-                    type: 'fantasy_skyscraper',
-                    position: { ...position }
-                };
-                
-                // Add to buildings array
-                this.buildings.push(skyscraperData);
-                createdSkyscrapers.push(skyscraperData);
-                
-                console.log(`Created fantasy skyscraper at position (${position.x}, ${position.y}, ${position.z})`);
-            } catch (error) {
-                console.error('Error creating skyscraper:', error);
-                
-                // Create a fallback skyscraper
-                const fallbackSkyscraper = this.createFallbackSkyscraper(position);
-                createdSkyscrapers.push(fallbackSkyscraper);
+        positions.forEach((position, index) => {
+            const result = meshResults[index];
+            const { rotationY, ...groundPosition } = position;
+            
+            if (result.ok) {
+                createdObjects.push(this.placeGeneratedObject(groundPosition, javascriptCodeSnippet, result.mesh, definition, { rotationY }));
+            } else if (definition.fallback === 'skyscraper') {
+                // A single run can still fail when the snippet uses randomness
+                if (!options.useFallback) {
+                    console.warn(`${definition.subtype} ${index + 1} failed, using a fallback building:`, result.error);
+                }
+                createdObjects.push(this.createFallbackSkyscraper(groundPosition));
+            } else {
+                console.warn(`${definition.subtype} ${index + 1} failed and was skipped:`, result.error);
+            }
+        });
+        
+        // Remove replaced trees with animation
+        if (treesToRemove.length > 0) {
+            this.fadeOutAndRemoveTrees(treesToRemove);
+        }
+        
+        return createdObjects;
+    }
+    
+    /**
+     * Work out where generated objects go.
+     * Rules: 'replace_trees' uses tree positions, 'in_front' lines objects up side by side in
+     * front of the camera, 'row' places them one after another along the view direction
+     * (off to one side, like lamp posts along a path), and 'scatter' spreads them randomly.
+     * @param {Object} definition - Subtype definition (see PromptRegistry.register)
+     * @param {number} requestedCount - Number of objects, overriding the rule's count (optional)
+     * @returns {Object} - {positions: [{x, y, z, rotationY}], treesToRemove}
+     * @private
+     */
+    getPlacementPositions(definition, requestedCount) {
+        const placement = definition.placement;
+        const count = requestedCount || placement.count;
+        
+        if (placement.rule === 'replace_trees') {
+            // Without a count every tree is replaced
+            const trees = [...this.trees].sort(() => Math.random() - 0.5).slice(0, count || this.trees.length);
+            return {
+                positions: trees.map(tree => ({ ...tree.position, rotationY: 0 })),
+                treesToRemove: trees
+            };
+        }
+        
+        // Work on the ground plane, looking the way the camera looks
+        const origin = this.camera ? this.camera.position : new THREE.Vector3(0, 0, 0);
+        const forward = new THREE.Vector3(0, 0, -1);
+        if (this.camera) {
+            this.camera.getWorldDirection(forward);
+            forward.y = 0;
+            if (forward.lengthSq() < 1e-6) forward.set(0, 0, -1);
+            forward.normalize();
+        }
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+        
+        const distance = placement.distance || 15;
+        const spacing = placement.spacing || definition.size.width[1] * 1.5;
+        const points = [];
+        
+        for (let i = 0; i < count; i++) {
+            let along = distance;
+            let across = 0;
+            
+            switch (placement.rule) {
+                case 'row':
+                    along = distance + i * spacing;
+                    across = placement.offset || 0;
+                    break;
+                    
+                case 'scatter': {
+                    const radius = Math.sqrt(Math.random()) * (placement.radius || 10);
+                    const angle = Math.random() * Math.PI * 2;
+                    along = distance + Math.cos(angle) * radius;
+                    across = Math.sin(angle) * radius;
+                    break;
+                }
+                    
+                default: // in_front
+                    across = (i - (count - 1) / 2) * spacing;
+                    break;
             }
+            
+            points.push({
+                x: origin.x + forward.x * along + right.x * across,
+                z: origin.z + forward.z * along + right.z * across
+            });
         }
         
-        // Remove all trees with animation
-        this.fadeOutAndRemoveTrees(treesToRemove);
+        const positions = points.map(({ x, z }) => ({
+            x,
+            y: this.groundManager ? this.groundManager.getHeightAt(x, z) : 0,
+            z,
+            // Turn the object's front (+z) towards the camera
+            rotationY: Math.atan2(origin.x - x, origin.z - z)
+        }));
+        
+        return { positions, treesToRemove: [] };
+    }
+    
+    /**
+     * Create a single generated object from a code snippet (used when restoring saved scenes)
+     * @param {Object} position - Position {x, y, z} to place the object
+     * @param {string} javascriptCodeSnippet - JavaScript code that creates a Three.js mesh
+     * @param {Object} definition - Subtype definition (see PromptRegistry.register)
+     * @param {Object} options - Optional parameters (id, meshScale and rotationY to reuse saved values)
+     * @returns {Promise<Object>} - The created object with ID
+     */
+    async createGeneratedObject(position, javascriptCodeSnippet, definition, options = {}) {
+        // Create the mesh using the code snippet (runs in the sandbox)
+        const mesh = await CodeEvaluator.createMeshFromSnippet(javascriptCodeSnippet);
+        
+        return this.placeGeneratedObject(position, javascriptCodeSnippet, mesh, definition, options);
+    }
+    
+    /**
+     * Place a mesh built from a code snippet into the scene, scaled to its subtype's size range
+     * @param {Object} position - Position {x, y, z} to place the object
+     * @param {string} javascriptCodeSnippet - The code snippet the mesh was built from
+     * @param {THREE.Object3D} mesh - The mesh built by CodeEvaluator
+     * @param {Object} definition - Subtype definition (see PromptRegistry.register)
+     * @param {Object} options - Optional parameters (id, meshScale to reuse a saved scale, rotationY)
+     * @returns {Object} - The created object with ID
+     */
+    placeGeneratedObject(position, javascriptCodeSnippet, mesh, definition, options = {}) {
+        // Buildings share the building counter so IDs stay unique within the collection
+        const counterName = definition.collection === 'buildings' ? 'buildingIdCounter' : 'propIdCounter';
+        const id = this.reserveId(definition.subtype, counterName, options.id);
+        const rotationY = options.rotationY || 0;
+        
+        // Create a group for the object
+        const group = new THREE.Group();
+        group.position.set(position.x, position.y, position.z);
+        group.rotation.y = rotationY;
+        
+        if (options.meshScale) {
+            // Reuse the scale from a saved scene
+            mesh.scale.set(options.meshScale.x, options.meshScale.y, options.meshScale.z);
+        } else {
+            // Apply size constraints so the object fits the environment scale
+            const boundingBox = new THREE.Box3().setFromObject(mesh);
+            const size = new THREE.Vector3();
+            boundingBox.getSize(size);
+            
+            // Pick a target size within the subtype's ranges
+            const { height, width, depth, variation } = definition.size;
+            const pick = ([min, max]) => min + Math.random() * (max - min);
+            
+            // Apply the smallest scale factor to maintain proportions
+            const uniformScale = Math.min(
+                pick(height) / (size.y || 1),
+                pick(width) / (size.x || 1),
+                pick(depth) / (size.z || 1)
+            );
+            mesh.scale.set(uniformScale, uniformScale, uniformScale);
+            
+            // Add slight random height variation so groups look organic
+            if (variation) {
+                mesh.scale.y *= 1 - variation + Math.random() * variation * 2;
+            }
+        }
         
-        return createdSkyscrapers;
+        // Rest the lowest point of the object on the ground
+        const scaledBox = new THREE.Box3().setFromObject(mesh);
+        if (isFinite(scaledBox.min.y)) {
+            mesh.position.y -= scaledBox.min.y;
+        }
+        
+        // Add the mesh to the group
+        group.add(mesh);
+        
+        // Add to scene
+        this.scene.add(group);
+        
+        // Apply a smooth grow-up animation
+        this.animateSkyscraperGrowth(group);
+        
+        // Store object data
+        const objectData = {
+            id,
+            group,
+            mesh,
+            type: definition.objectType,
+            subtype: definition.subtype,
+            position: { ...position },
+            source: {
+                kind: 'code',
+                subtype: definition.subtype,
+                codeSnippet: javascriptCodeSnippet,
+                meshScale: {
+                    x: mesh.scale.x,
+                    y: mesh.scale.y,
+                    z: mesh.scale.z
+                },
+                rotationY
+            }
+        };
+        
+        // Add to the subtype's collection
+        this[definition.collection].push(objectData);
+        
+        console.log(`Created ${definition.subtype} at position (${position.x}, ${position.y}, ${position.z})`);
+        
+        return objectData;
     }
     
     /**
      * Create a fallback skyscraper if code evaluation fails
      * @param {Object} position - Position {x, y, z} to place the skyscraper
+     * @param {Object} options - Optional parameters (id, width, depth, height, baseColor, topColor)
      * @returns {Object} - The created skyscraper object with ID
      */
-    createFallbackSkyscraper(position) {
-        const id = `skyscraper_${this.buildingIdCounter++}`;
+    createFallbackSkyscraper(position, options = {}) {
+        const id = this.reserveId('skyscraper', 'buildingIdCounter', options.id);
         
         // Create a fantasy skyscraper with appropriate dimensions
         // Following the new size constraints (height: 20-30, width/depth: 5-8)
         const height = 20 + Math.random() * 10; // 20-30 units tall
-        const width = 5 + Math.random() * 3;   // 5-8 units wide
-        const depth = 5 + Math.random() * 3;   // 5-8 units deep
+        const width = options.width || 5 + Math.random() * 3;   // 5-8 units wide
+        const depth = options.depth || 5 + Math.random() * 3;   // 5-8 units deep
         
         // Add slight random height variation for organic skyline
-        const heightVariation = height * (0.9 + Math.random() * 0.2); // +/- 10% variation
+        const heightVariation = options.height || height * (0.9 + Math.random() * 0.2); // +/- 10% variation
         
         // Create a more interesting building shape - a base with a tapered top
         const buildingGroup = new THREE.Group();
@@ -791,8 +1453,8 @@ class EnvironmentManager {
             0xcdb4db, // pastel purple
             0xa2d2ff  // light blue
         ];
-        const baseColor = colors[Math.floor(Math.random() * colors.length)];
-        const topColor = colors[Math.floor(Math.random() * colors.length)];
+        const baseColor = options.baseColor !== undefined ? options.baseColor : colors[Math.floor(Math.random() * colors.length)];
+        const topColor = options.topColor !== undefined ? options.topColor : colors[Math.floor(Math.random() * colors.length)];
         
         // Create materials with slight emissive glow for magical effect
         const baseMaterial = new THREE.MeshStandardMaterial({
@@ -868,7 +1530,8 @@ class EnvironmentManager {
             group: skyscraperGroup,
             mesh: buildingGroup,
             type: 'fantasy_skyscraper',
-            position: { ...position }
+            position: { ...position },
+            source: { kind: 'fallback', width, depth, height: heightVariation, baseColor, topColor }
         };
         
         // Add to buildings array
@@ -882,11 +1545,13 @@ class EnvironmentManager {
     /**
      * Animate a skyscraper growing up from the ground with a smooth animation
      * @param {THREE.Group} skyscraperGroup - The skyscraper group to animate
+     * @returns {Promise<void>} - Resolves when the animation has finished
      */
     animateSkyscraperGrowth(skyscraperGroup) {
-        // Store original scale and position
+        // Store original scale, position and facing
         const originalScale = skyscraperGroup.scale.clone();
         const originalY = skyscraperGroup.position.y;
+        const originalRotationY = skyscraperGroup.rotation.y;
         
         // Start with very small scale (0.1 → 1.0)
         skyscraperGroup.scale.set(originalScale.x * 0.1, 0.01, originalScale.z * 0.1);
@@ -895,8 +1560,24 @@ class EnvironmentManager {
         const startTime = Date.now();
         const animationDuration = 2000; // 2 seconds for smoother effect
         
+        // Resolved when the animation has finished
+        let onFinished;
+        const finished = new Promise(resolve => { onFinished = resolve; });
+        
+        // Jump to the final state (also used by finishGrowth to end the animation early)
+        const finish = () => {
+            this.growthAnimations.delete(skyscraperGroup);
+            skyscraperGroup.scale.copy(originalScale);
+            skyscraperGroup.rotation.set(0, originalRotationY, 0);
+            onFinished();
+        };
+        this.growthAnimations.set(skyscraperGroup, finish);
+        
         // Create animation function
         const animate = () => {
+            // Stop if the animation was finished early
+            if (this.growthAnimations.get(skyscraperGroup) !== finish) return;
+            
             const elapsedTime = Date.now() - startTime;
             const progress = Math.min(elapsedTime / animationDuration, 1);
             
@@ -918,10 +1599,10 @@ class EnvironmentManager {
             
             // Add a slight rotation during growth for more visual interest
             if (progress < 0.7) {
-                skyscraperGroup.rotation.y = Math.sin(progress * Math.PI) * 0.05;
+                skyscraperGroup.rotation.y = originalRotationY + Math.sin(progress * Math.PI) * 0.05;
             } else {
                 // Settle back to straight position
-                skyscraperGroup.rotation.y *= 0.9;
+                skyscraperGroup.rotation.y = originalRotationY + (skyscraperGroup.rotation.y - originalRotationY) * 0.9;
             }
             
             // Continue animation until complete
@@ -929,13 +1610,27 @@ class EnvironmentManager {
                 requestAnimationFrame(animate);
             } else {
                 // Ensure final state is exactly as intended
-                skyscraperGroup.scale.copy(originalScale);
-                skyscraperGroup.rotation.set(0, 0, 0);
+                finish();
             }
         };
         
         // Start animation
         animate();
+        
+        return finished;
+    }
+    
+    /**
+     * Finish running grow animations of an object and its parts right away, so it has its full size
+     * @param {THREE.Object3D} object - Object that may still be growing
+     */
+    finishGrowth(object) {
+        object.traverse(node => {
+            const finish = this.growthAnimations.get(node);
+            if (finish) {
+                finish();
+            }
+        });
     }
     
     /**
@@ -982,6 +1677,18 @@ class EnvironmentManager {
      * @param {Array} trees - Array of tree objects to remove
      */
     fadeOutAndRemoveTrees(trees) {
+        // Take the trees out of the collection right away; only the visuals linger
+        this.trees = this.trees.filter(tree => !trees.includes(tree));
+        
+        for (const tree of trees) {
+            tree.fadingOut = true;
+            
+            // Fade a private copy of the shared trunk material
+            if (tree.trunk && tree.trunk.material === this.treeTrunkMaterial) {
+                tree.trunk.material = this.treeTrunkMaterial.clone();
+            }
+        }
+        
         // Store animation start time
         const startTime = Date.now();
         const animationDuration = 800; // 0.8 seconds
@@ -994,9 +1701,9 @@ class EnvironmentManager {
             // Ease-in cubic function for smooth fade out
             const easeIn = Math.pow(progress, 3);
             
-            // Update scale and opacity for each tree
+            // Update scale and opacity for each tree (skip trees restored by undo)
             for (const tree of trees) {
-                if (tree.group) {
+                if (tree.group && tree.fadingOut) {
                     // Shrink the tree
                     const scale = 1 - easeIn;
                     tree.group.scale.set(scale, scale, scale);
@@ -1010,9 +1717,9 @@ class EnvironmentManager {
                         tree.trunk.material.opacity = 1 - easeIn;
                     }
                     
-                    if (tree.leaves && tree.leaves.material) {
-                        tree.leaves.material.transparent = true;
-                        tree.leaves.material.opacity = 1 - easeIn;
+                    for (const leaf of tree.leaves || []) {
+                        leaf.material.transparent = true;
+                        leaf.material.opacity = 1 - easeIn;
                     }
                 }
             }
@@ -1021,14 +1728,15 @@ class EnvironmentManager {
             if (progress < 1) {
                 requestAnimationFrame(animate);
             } else {
-                // Remove all trees from the scene
+                // Remove the faded trees from the scene
                 for (const tree of trees) {
-                    this.scene.remove(tree.group);
+                    if (tree.fadingOut) {
+                        this.scene.remove(tree.group);
+                        tree.fadingOut = false;
+                    }
                 }
                 
-                // Clear the trees array
-                this.trees = [];
-                console.log('All trees removed after fade-out animation');
+                console.log('Trees removed after fade-out animation');
             }
         };
         
@@ -1036,14 +1744,35 @@ class EnvironmentManager {
         animate();
     }
     
+    /**
+     * Restore a tree's visuals after an interrupted fade-out
+     * @param {Object} tree - Tree object to reset
+     */
+    resetTreeAppearance(tree) {
+        tree.fadingOut = false;
+        tree.group.scale.set(1, 1, 1);
+        tree.group.position.y = tree.position.y;
+        
+        if (tree.trunk && tree.trunk.material !== this.treeTrunkMaterial) {
+            tree.trunk.material.dispose();
+            tree.trunk.material = this.treeTrunkMaterial;
+        }
+        
+        for (const leaf of tree.leaves || []) {
+            leaf.material.transparent = false;
+            leaf.material.opacity = 1;
+        }
+    }
+    
     /**
      * Create a stylized building based on transformation data
      * @param {Object} position - Position {x, y, z} to place the building
      * @param {Object} transformData - Data describing how to transform trees into buildings
+     * @param {Object} options - Optional parameters (id, props to reuse saved building properties)
      * @returns {Object} - The created building object with ID
      */
-    createStylizedBuilding(position, transformData) {
-        const id = `building_${this.buildingIdCounter++}`;
+    createStylizedBuilding(position, transformData, options = {}) {
+        const id = this.reserveId('building', 'buildingIdCounter', options.id);
         
         // Get ground height if y is not specified
         if (position.y === undefined && this.groundManager) {
@@ -1055,7 +1784,7 @@ class EnvironmentManager {
         buildingGroup.position.set(position.x, position.y, position.z);
         
         // Get building properties based on transformation data
-        const buildingProps = this.getBuildingPropertiesFromTransform(transformData);
+        const buildingProps = options.props || this.getBuildingPropertiesFromTransform(transformData);
         
         // Create the building mesh based on the object type
         let buildingMesh;
@@ -1098,7 +1827,8 @@ class EnvironmentManager {
             group: buildingGroup,
             mesh: buildingMesh,
             type: transformData.new_object_type,
-            position: { ...position }
+            position: { ...position },
+            source: { kind: 'stylized', transformData, props: buildingProps }
         };
         
         this.buildings.push(buildingData);
@@ -1323,14 +2053,34 @@ class EnvironmentManager {
      * Animate building transition
      * @param {THREE.Object3D} object - Object to animate
      * @param {string} animationType - Type of animation
+     * @returns {Promise<void>} - Resolves when the animation has finished
      */
     animateBuildingTransition(object, animationType) {
         // Store animation start time
         const startTime = Date.now();
         const animationDuration = 1000; // 1 second
         
+        // Resolved when the animation has finished
+        let onFinished;
+        const finished = new Promise(resolve => { onFinished = resolve; });
+        
+        // Jump to the final state (also used by finishGrowth to end the animation early)
+        const finish = () => {
+            this.growthAnimations.delete(object);
+            object.scale.set(1, 1, 1);
+            if (animationType === 'spiral_up') {
+                object.rotation.y = Math.PI * 2;
+            }
+            this.markShapeChanged(object);
+            onFinished();
+        };
+        this.growthAnimations.set(object, finish);
+        
         // Create animation function
         const animate = () => {
+            // Stop if the animation was finished early
+            if (this.growthAnimations.get(object) !== finish) return;
+            
             const elapsedTime = Date.now() - startTime;
             const progress = Math.min(elapsedTime / animationDuration, 1);
             
@@ -1374,14 +2124,21 @@ class EnvironmentManager {
                     );
             }
             
+            // The building's collider follows the growing part
+            this.markShapeChanged(object);
+            
             // Continue animation until complete
             if (progress < 1) {
                 requestAnimationFrame(animate);
+            } else {
+                finish();
             }
         };
         
         // Start animation
         animate();
+        
+        return finished;
     }
     
     /**
@@ -1468,7 +2225,7 @@ class EnvironmentManager {
      * @returns {Object} - The created tree object with ID
      */
     addTree(position, options = {}) {
-        const id = `tree_${this.treeIdCounter++}`;
+        const id = this.reserveId('tree', 'treeIdCounter', options.id);
         const scale = options.scale || 1.0;
         const leafColor = options.leafColor || this.leafColors[Math.floor(Math.random() * this.leafColors.length)];
         
@@ -1491,27 +2248,19 @@ class EnvironmentManager {
         
         // Create leaves (several spheres with different colors)
         const leaves = [];
-        for (let i = 0; i < 5; i++) {
-            const leafSize = (3 + Math.random() * 2) * scale;
-            const leafGeometry = new THREE.SphereGeometry(leafSize, 8, 8);
+        const leafLayout = options.leaves || this.generateLeafLayout(scale, options.leafColor);
+        for (const layout of leafLayout) {
+            const leafGeometry = new THREE.SphereGeometry(layout.size, 8, 8);
             const leafMaterial = new THREE.MeshStandardMaterial({
-                color: options.leafColor || this.leafColors[i % this.leafColors.length],
+                color: layout.color,
                 roughness: 0.7,
                 metalness: 0.3,
-                emissive: options.leafColor || this.leafColors[i % this.leafColors.length],
+                emissive: layout.color,
                 emissiveIntensity: 0.2
             });
             
             const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-            
-            // Position leaves on top of trunk with some variation
-            const angle = (i / 5) * Math.PI * 2;
-            const radius = (2 + Math.random()) * scale;
-            leaf.position.set(
-                Math.cos(angle) * radius,
-                10 * scale + Math.random() * 3 * scale,
-                Math.sin(angle) * radius
-            );
+            leaf.position.set(layout.x, layout.y, layout.z);
             
             leaf.castShadow = true;
             leaf.receiveShadow = true;
@@ -1528,13 +2277,40 @@ class EnvironmentManager {
             group: treeGroup,
             trunk,
             leaves,
-            position: { ...position }
+            position: { ...position },
+            options: { scale, leafColor, leaves: leafLayout, treeType: options.treeType }
         };
         
         this.trees.push(treeData);
         return treeData;
     }
     
+    /**
+     * Generate a random leaf layout for a tree
+     * @param {number} scale - Tree scale
+     * @param {number} leafColor - Optional single leaf color (otherwise uses the leaf palette)
+     * @returns {Array} - Array of leaf descriptions {size, color, x, y, z}
+     */
+    generateLeafLayout(scale, leafColor) {
+        const layout = [];
+        
+        for (let i = 0; i < 5; i++) {
+            // Position leaves on top of trunk with some variation
+            const angle = (i / 5) * Math.PI * 2;
+            const radius = (2 + Math.random()) * scale;
+            
+            layout.push({
+                size: (3 + Math.random() * 2) * scale,
+                color: leafColor || this.leafColors[i % this.leafColors.length],
+                x: Math.cos(angle) * radius,
+                y: 10 * scale + Math.random() * 3 * scale,
+                z: Math.sin(angle) * radius
+            });
+        }
+        
+        return layout;
+    }
+    
     /**
      * Remove a tree from the scene
      * @param {string} treeId - ID of the tree to remove
@@ -1558,7 +2334,7 @@ class EnvironmentManager {
      * @returns {Object} - The created rock object with ID
      */
     addRock(position, options = {}) {
-        const id = `rock_${this.rockIdCounter++}`;
+        const id = this.reserveId('rock', 'rockIdCounter', options.id);
         const scale = options.scale || (0.8 + Math.random() * 1.2);
         const color = options.color || 0x808080;
         
@@ -1577,11 +2353,12 @@ class EnvironmentManager {
         
         const rock = new THREE.Mesh(rockGeometry, rockMaterial);
         rock.position.set(position.x, position.y + scale, position.z);
-        rock.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
-        );
+        const rotation = options.rotation || {
+            x: Math.random() * Math.PI,
+            y: Math.random() * Math.PI,
+            z: Math.random() * Math.PI
+        };
+        rock.rotation.set(rotation.x, rotation.y, rotation.z);
         rock.castShadow = true;
         rock.receiveShadow = true;
         
@@ -1593,7 +2370,8 @@ class EnvironmentManager {
             id,
             mesh: rock,
             position: { ...position },
-            scale
+            scale,
+            options: { scale, color, rotation }
         };
         
         this.rocks.push(rockData);
@@ -1623,7 +2401,7 @@ class EnvironmentManager {
      * @returns {Object} - The created platform object with ID
      */
     addPlatform(position, options = {}) {
-        const id = `platform_${this.platformIdCounter++}`;
+        const id = this.reserveId('platform', 'platformIdCounter', options.id);
         const size = options.size || { width: 5, height: 1, depth: 5 };
         const color = options.color || 0x795548; // Brown
         const glowColor = options.glowColor || 0x00BCD4; // Cyan
@@ -1669,7 +2447,8 @@ class EnvironmentManager {
             platform,
             glow,
             position: { ...position },
-            size
+            size,
+            options: { size, color, glowColor }
         };
         
         this.platforms.push(platformData);
@@ -1699,10 +2478,14 @@ class EnvironmentManager {
      * @returns {Object} - The created island object with ID
      */
     addFloatingIsland(position, options = {}) {
-        const id = `island_${this.islandIdCounter++}`;
+        const id = this.reserveId('island', 'islandIdCounter', options.id);
         const size = options.size || 15 + Math.random() * 10;
         const color = options.color || 0x8BC34A; // Light green
         
+        // Seeded randomness so a saved island can be rebuilt with the same shape
+        const seed = options.seed !== undefined ? options.seed : Math.floor(Math.random() * 0xFFFFFFFF);
+        const random = this.createSeededRandom(seed);
+        
         // Create island group
         const islandGroup = new THREE.Group();
         islandGroup.position.set(position.x, position.y, position.z);
@@ -1713,7 +2496,7 @@ class EnvironmentManager {
         // Add some noise to make it look more natural
         const vertices = islandGeometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
-            const noise = (Math.random() - 0.5) * 2;
+            const noise = (random() - 0.5) * 2;
             vertices[i] += noise;
             vertices[i + 1] += noise;
             vertices[i + 2] += noise;
@@ -1777,7 +2560,8 @@ class EnvironmentManager {
             group: islandGroup,
             island,
             position: { ...position },
-            size
+            size,
+            options: { size, color, seed, addVegetation: options.addVegetation !== false }
         };
         
         this.floatingIslands.push(islandData);
@@ -1807,7 +2591,7 @@ class EnvironmentManager {
      * @returns {Object} - The created cloud object with ID
      */
     addCloud(position, options = {}) {
-        const id = `cloud_${this.cloudIdCounter++}`;
+        const id = this.reserveId('cloud', 'cloudIdCounter', options.id);
         const scale = options.scale || 1.0;
         const color = options.color || 0xFFFFFF;
         
@@ -1816,7 +2600,6 @@ class EnvironmentManager {
         cloudGroup.position.set(position.x, position.y, position.z);
         
         // Create cloud puffs (several spheres grouped together)
-        const puffCount = 5 + Math.floor(Math.random() * 5);
         const cloudMaterial = new THREE.MeshStandardMaterial({
             color: color,
             roughness: 0.3,
@@ -1825,17 +2608,11 @@ class EnvironmentManager {
             opacity: 0.9
         });
         
-        for (let i = 0; i < puffCount; i++) {
-            const puffSize = (3 + Math.random() * 3) * scale;
-            const puffGeometry = new THREE.SphereGeometry(puffSize, 8, 8);
+        const puffs = options.puffs || this.generateCloudPuffs(scale);
+        for (const puffData of puffs) {
+            const puffGeometry = new THREE.SphereGeometry(puffData.size, 8, 8);
             const puff = new THREE.Mesh(puffGeometry, cloudMaterial);
-            
-            // Position puffs with some variation
-            puff.position.set(
-                (Math.random() - 0.5) * 10 * scale,
-                (Math.random() - 0.5) * 5 * scale,
-                (Math.random() - 0.5) * 10 * scale
-            );
+            puff.position.set(puffData.x, puffData.y, puffData.z);
             
             cloudGroup.add(puff);
         }
@@ -1848,13 +2625,36 @@ class EnvironmentManager {
             id,
             group: cloudGroup,
             position: { ...position },
-            scale
+            scale,
+            options: { scale, color, puffs }
         };
         
         this.clouds.push(cloudData);
         return cloudData;
     }
     
+    /**
+     * Generate a random puff layout for a cloud
+     * @param {number} scale - Cloud scale
+     * @returns {Array} - Array of puff descriptions {size, x, y, z}
+     */
+    generateCloudPuffs(scale) {
+        const puffs = [];
+        const puffCount = 5 + Math.floor(Math.random() * 5);
+        
+        for (let i = 0; i < puffCount; i++) {
+            // Position puffs with some variation
+            puffs.push({
+                size: (3 + Math.random() * 3) * scale,
+                x: (Math.random() - 0.5) * 10 * scale,
+                y: (Math.random() - 0.5) * 5 * scale,
+                z: (Math.random() - 0.5) * 10 * scale
+            });
+        }
+        
+        return puffs;
+    }
+    
     /**
      * Remove a cloud from the scene
      * @param {string} cloudId - ID of the cloud to remove
@@ -1879,7 +2679,7 @@ class EnvironmentManager {
      * @returns {Object} - The created building object with ID
      */
     addBuilding(modelUrl, position, options = {}) {
-        const id = `building_${this.buildingIdCounter++}`;
+        const id = this.reserveId('building', 'buildingIdCounter', options.id);
         const scale = options.scale || 1.0;
         
         // Get ground height if y is not specified
@@ -1912,7 +2712,8 @@ class EnvironmentManager {
             group: buildingGroup,
             position: { ...position },
             scale,
-            loaded: false
+            loaded: false,
+            source: { kind: 'model', modelUrl, scale }
         };
         
         this.buildings.push(buildingData);
@@ -1937,6 +2738,7 @@ class EnvironmentManager {
                 buildingGroup.add(model);
                 buildingData.model = model;
                 buildingData.loaded = true;
+                this.markShapeChanged(buildingGroup);
             },
             (xhr) => {
                 // Loading progress
@@ -1967,11 +2769,227 @@ class EnvironmentManager {
         return false;
     }
     
+    /**
+     * Remove a generated prop (statue, creature, ...) from the scene
+     * @param {string} propId - ID of the prop to remove
+     * @returns {boolean} - True if prop was found and removed
+     */
+    removeProp(propId) {
+        const index = this.props.findIndex(prop => prop.id === propId);
+        if (index !== -1) {
+            const prop = this.props[index];
+            this.scene.remove(prop.group);
+            this.props.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Find an object in any collection by ID
+     * @param {string} objectId - ID of the object (e.g., 'tree_3', 'castle_1')
+     * @returns {Object|null} - {collection, object, node, objectKey}, or null if no object has the ID
+     */
+    findObject(objectId) {
+        for (const { name, objectKey } of this.getCollectionDefinitions()) {
+            const object = this[name].find(item => item.id === objectId);
+            if (object) {
+                return { collection: name, object, node: object[objectKey], objectKey };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Note that the parts of an object changed (e.g., a part grew or a model finished loading),
+     * so colliders refit it (see CollisionManager.update)
+     * @param {THREE.Object3D} part - The object's scene node or one of its parts
+     */
+    markShapeChanged(part) {
+        let node = part;
+        while (node.parent && node.parent !== this.scene) {
+            node = node.parent;
+        }
+        node.userData.shapeVersion = (node.userData.shapeVersion || 0) + 1;
+    }
+    
+    /**
+     * Remove an object from whichever collection holds it
+     * @param {string} objectId - ID of the object to remove
+     * @returns {boolean} - True if the object was found and removed
+     */
+    removeObject(objectId) {
+        const found = this.findObject(objectId);
+        if (!found) {
+            return false;
+        }
+        
+        this.scene.remove(found.node);
+        this[found.collection].splice(this[found.collection].indexOf(found.object), 1);
+        return true;
+    }
+    
+    /**
+     * Change the color of an object. Trees change their leaves; objects created from options are
+     * rebuilt with the new color, others get tinted copies of their materials. The object is
+     * replaced by a new one with the same ID, so undo snapshots keep the old one.
+     * @param {string} objectId - ID of the object to recolor
+     * @param {string|number} color - New color ('#FF5722' or 0xFF5722)
+     * @returns {Object|null} - The recolored object, or null if no object has the ID
+     */
+    recolorObject(objectId, color) {
+        const found = this.findObject(objectId);
+        if (!found) {
+            return null;
+        }
+        
+        const colorHex = typeof color === 'string' ? parseInt(color.replace('#', ''), 16) : color;
+        const { collection, object, objectKey } = found;
+        const builders = {
+            trees: (position, options) => this.addTree(position, {
+                ...options,
+                leafColor: colorHex,
+                leaves: (options.leaves || []).map(leaf => ({ ...leaf, color: colorHex }))
+            }),
+            rocks: (position, options) => this.addRock(position, { ...options, color: colorHex }),
+            platforms: (position, options) => this.addPlatform(position, { ...options, color: colorHex }),
+            floatingIslands: (position, options) => this.addFloatingIsland(position, { ...options, color: colorHex }),
+            clouds: (position, options) => this.addCloud(position, { ...options, color: colorHex })
+        };
+        
+        let recolored;
+        if (builders[collection]) {
+            // Rebuild from the saved options, then put the new object where the old one was
+            recolored = builders[collection]({ ...object.position }, { ...object.options, id: object.id });
+            this[collection].pop();
+            if (object.scaleFactor) this.applyScaleFactor(recolored, recolored[objectKey], object.scaleFactor);
+        } else {
+            recolored = this.cloneObject(object, objectKey);
+            this.tintNode(recolored.group, colorHex);
+            if (object.source) recolored.source = { ...object.source, color: colorHex };
+            this.scene.add(recolored.group);
+        }
+        
+        this.scene.remove(found.node);
+        this[collection][this[collection].indexOf(object)] = recolored;
+        return recolored;
+    }
+    
+    /**
+     * Scale an object along each axis (a y factor above 1 makes it taller). The object is replaced
+     * by a scaled copy with the same ID, so undo snapshots keep the old one.
+     * @param {string} objectId - ID of the object to scale
+     * @param {Object} factors - Scale factors {x, y, z}; omitted axes keep their size
+     * @returns {Object|null} - The scaled object, or null if no object has the ID
+     */
+    scaleObject(objectId, factors) {
+        const found = this.findObject(objectId);
+        if (!found) {
+            return null;
+        }
+        
+        const { collection, object, objectKey } = found;
+        const scaled = this.cloneObject(object, objectKey);
+        this.applyScaleFactor(scaled, scaled[objectKey], factors);
+        
+        this.scene.remove(found.node);
+        this.scene.add(scaled[objectKey]);
+        this[collection][this[collection].indexOf(object)] = scaled;
+        return scaled;
+    }
+    
+    /**
+     * Copy an object with its scene node. Properties that refer to parts of the node (meshes,
+     * leaves, glow) point to the matching parts of the copy.
+     * @param {Object} object - Object from one of the collections
+     * @param {string} objectKey - Property holding the object's scene node (see getCollectionDefinitions)
+     * @returns {Object} - The copy (not yet added to the scene or a collection)
+     * @private
+     */
+    cloneObject(object, objectKey) {
+        // A copy of an object that is still growing would keep its partial size
+        const node = object[objectKey];
+        this.finishGrowth(node);
+        const copy = node.clone(true);
+        
+        const originals = [];
+        node.traverse(part => originals.push(part));
+        const parts = new Map();
+        let index = 0;
+        copy.traverse(part => parts.set(originals[index++], part));
+        
+        const mapPart = value => parts.get(value) || value;
+        const cloned = {};
+        Object.entries(object).forEach(([key, value]) => {
+            cloned[key] = Array.isArray(value) ? value.map(mapPart) : mapPart(value);
+        });
+        return cloned;
+    }
+    
+    /**
+     * Scale an object's node and remember the factors, so saving and recoloring keep them
+     * @param {Object} object - Object from one of the collections
+     * @param {THREE.Object3D} node - The object's scene node
+     * @param {Object} factors - Scale factors {x, y, z}; omitted axes keep their size
+     * @private
+     */
+    applyScaleFactor(object, node, factors) {
+        const previous = object.scaleFactor || { x: 1, y: 1, z: 1 };
+        const scaleFactor = {};
+        ['x', 'y', 'z'].forEach(axis => {
+            const factor = factors[axis] !== undefined ? factors[axis] : 1;
+            node.scale[axis] *= factor;
+            scaleFactor[axis] = previous[axis] * factor;
+        });
+        object.scaleFactor = scaleFactor;
+    }
+    
+    /**
+     * Replace an object with a tree or preset building of another type at the same spot
+     * @param {string} objectId - ID of the object to replace
+     * @param {string} type - Tree type (see getTreeTypes) or building type (see getBuildingTypes)
+     * @returns {Object|null} - The new object, or null if no object has the ID or the type is unknown
+     */
+    replaceObject(objectId, type) {
+        const found = this.findObject(objectId);
+        const isTree = ENVIRONMENT_TREE_TYPES.includes(type);
+        if (!found || (!isTree && !ENVIRONMENT_BUILDING_TYPES.includes(type))) {
+            return null;
+        }
+        
+        const position = { x: found.object.position.x, z: found.object.position.z };
+        this.removeObject(objectId);
+        
+        return isTree
+            ? this.addTree(position, { ...this.getTreeOptionsForType(type), treeType: type })
+            : this.addPlaceholderBuilding(position, type);
+    }
+    
+    /**
+     * Give every mesh below a node its own copy of its materials, tinted with a color
+     * @param {THREE.Object3D} node - Root of the object
+     * @param {number} colorHex - Color to tint with
+     * @private
+     */
+    tintNode(node, colorHex) {
+        node.traverse(child => {
+            if (!child.material) return;
+            
+            const tint = (material) => {
+                const copy = material.clone();
+                if (copy.color) copy.color.setHex(colorHex);
+                return copy;
+            };
+            child.material = Array.isArray(child.material) ? child.material.map(tint) : tint(child.material);
+        });
+    }
+    
     /**
      * Update animations for all environment objects
      * @param {number} elapsedTime - Elapsed time in seconds
+     * @param {number} deltaTime - Time since last frame in seconds
      */
-    update(elapsedTime) {
+    update(elapsedTime, deltaTime = 1 / 60) {
         // Animate clouds
         this.clouds.forEach((cloud, index) => {
             cloud.group.position.x += Math.sin(elapsedTime * 0.1 + index) * 0.05;
@@ -1989,6 +3007,353 @@ class EnvironmentManager {
             platform.glow.position.y = -0.6 + Math.sin(elapsedTime * 2 + index) * 0.1;
             platform.glow.material.emissiveIntensity = 0.3 + Math.sin(elapsedTime * 3 + index) * 0.2;
         });
+        
+        // Animate weather (cap delta time to avoid huge jumps after pauses)
+        if (this.weatherSystems.length > 0 || this.lightning) {
+            this.updateWeatherEffects(Math.min(deltaTime, 0.1), elapsedTime);
+        }
+        
+        // Animate ambient particles
+        if (this.particleEmitters.length > 0) {
+            this.updateParticleEffects(Math.min(deltaTime, 0.1), elapsedTime);
+        }
+    }
+    
+    /**
+     * Reserve an object ID, reusing a saved ID when one is provided
+     * @param {string} prefix - ID prefix (e.g., 'tree')
+     * @param {string} counterName - Name of the counter property (e.g., 'treeIdCounter')
+     * @param {string} requestedId - Saved ID to reuse (optional)
+     * @returns {string} - The object ID
+     * @private
+     */
+    reserveId(prefix, counterName, requestedId) {
+        if (!requestedId) {
+            return `${prefix}_${this[counterName]++}`;
+        }
+        
+        // Keep the counter ahead of restored IDs so new objects never collide
+        const match = /_(\d+)$/.exec(requestedId);
+        if (match) {
+            this[counterName] = Math.max(this[counterName], parseInt(match[1], 10) + 1);
+        }
+        
+        return requestedId;
+    }
+    
+    /**
+     * Create a seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - 32-bit integer seed
+     * @returns {Function} - Function returning numbers in [0, 1)
+     * @private
+     */
+    createSeededRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Describe the object collections and which property holds each object's scene node
+     * @returns {Array} - Array of { name, objectKey } entries
+     */
+    getCollectionDefinitions() {
+        return [
+            { name: 'trees', objectKey: 'group' },
+            { name: 'rocks', objectKey: 'mesh' },
+            { name: 'platforms', objectKey: 'group' },
+            { name: 'floatingIslands', objectKey: 'group' },
+            { name: 'clouds', objectKey: 'group' },
+            { name: 'buildings', objectKey: 'group' },
+            { name: 'props', objectKey: 'group' }
+        ];
+    }
+    
+    /**
+     * Capture the current environment so it can be restored later (used by undo/redo).
+     * Snapshots hold references to the existing objects rather than copies.
+     * @returns {Object} - Environment snapshot
+     */
+    createSnapshot() {
+        const snapshot = {
+            weather: this.currentWeather,
+            particleEffect: this.currentParticleEffect
+        };
+        
+        for (const { name } of this.getCollectionDefinitions()) {
+            snapshot[name] = [...this[name]];
+        }
+        
+        return snapshot;
+    }
+    
+    /**
+     * Restore the environment from a snapshot created by createSnapshot
+     * @param {Object} snapshot - Environment snapshot
+     */
+    restoreSnapshot(snapshot) {
+        for (const { name, objectKey } of this.getCollectionDefinitions()) {
+            const restored = snapshot[name] || [];
+            
+            // Remove objects that were not part of the snapshot
+            for (const item of this[name]) {
+                if (!restored.includes(item)) {
+                    this.scene.remove(item[objectKey]);
+                }
+            }
+            
+            // Put the snapshot's objects back into the scene
+            for (const item of restored) {
+                this.scene.add(item[objectKey]);
+            }
+            
+            this[name] = [...restored];
+        }
+        
+        // Trees may have been captured halfway through a fade-out
+        this.trees.forEach(tree => this.resetTreeAppearance(tree));
+        
+        // Restart weather and particles if they differ
+        if (snapshot.weather !== this.currentWeather) {
+            this.startWeatherEffect(snapshot.weather);
+        }
+        
+        if (snapshot.particleEffect !== this.currentParticleEffect) {
+            if (snapshot.particleEffect) {
+                this.startParticleEffect(snapshot.particleEffect);
+            } else {
+                this.clearParticleEffects();
+            }
+        }
+    }
+    
+    /**
+     * Describe all environment objects as plain data for saving.
+     * Objects keep the options used to create them so they rebuild identically.
+     * @returns {Object} - Serializable environment description
+     */
+    describeObjects() {
+        const textures = {};
+        
+        const buildings = this.buildings
+            .filter(building => building.source)
+            .map(building => {
+                const source = { ...building.source };
+                
+                // Billboard images are stored once and shared between buildings
+                if (source.kind === 'billboard' && building.texture) {
+                    const textureId = building.texture.uuid;
+                    if (!textures[textureId]) {
+                        textures[textureId] = this.getTextureDataUrl(building.texture);
+                    }
+                    source.textureId = textureId;
+                }
+                
+                return { id: building.id, position: { ...building.position }, source };
+            });
+        
+        // Objects scaled with scaleObject keep their factors
+        const scaleFactors = {};
+        for (const { name } of this.getCollectionDefinitions()) {
+            this[name].forEach(object => {
+                if (object.scaleFactor) scaleFactors[object.id] = { ...object.scaleFactor };
+            });
+        }
+        
+        return {
+            trees: this.trees.map(tree => ({ id: tree.id, position: { ...tree.position }, options: tree.options })),
+            rocks: this.rocks.map(rock => ({ id: rock.id, position: { ...rock.position }, options: rock.options })),
+            platforms: this.platforms.map(platform => ({ id: platform.id, position: { ...platform.position }, options: platform.options })),
+            floatingIslands: this.floatingIslands.map(island => ({ id: island.id, position: { ...island.position }, options: island.options })),
+            clouds: this.clouds.map(cloud => ({ id: cloud.id, position: { ...cloud.position }, options: cloud.options })),
+            buildings,
+            props: this.props.map(prop => ({ id: prop.id, position: { ...prop.position }, source: { ...prop.source } })),
+            textures,
+            scaleFactors,
+            weather: this.currentWeather,
+            particleEffect: this.currentParticleEffect
+        };
+    }
+    
+    /**
+     * Rebuild the environment from a description created by describeObjects.
+     * Existing objects are removed first.
+     * @param {Object} data - Environment description
+     * @returns {Promise<void>} - Resolves when all objects have been rebuilt
+     */
+    async rebuildObjects(data) {
+        this.clearAll();
+        
+        (data.trees || []).forEach(tree => this.addTree({ ...tree.position }, { ...tree.options, id: tree.id }));
+        (data.rocks || []).forEach(rock => this.addRock({ ...rock.position }, { ...rock.options, id: rock.id }));
+        (data.platforms || []).forEach(platform => this.addPlatform({ ...platform.position }, { ...platform.options, id: platform.id }));
+        (data.floatingIslands || []).forEach(island => this.addFloatingIsland({ ...island.position }, { ...island.options, id: island.id }));
+        (data.clouds || []).forEach(cloud => this.addCloud({ ...cloud.position }, { ...cloud.options, id: cloud.id }));
+        
+        // Decode shared billboard textures before building anything that uses them
+        const textures = {};
+        for (const [textureId, dataUrl] of Object.entries(data.textures || {})) {
+            try {
+                textures[textureId] = await this.loadTextureFromDataUrl(dataUrl);
+            } catch (error) {
+                console.error(`Error loading saved texture ${textureId}:`, error);
+            }
+        }
+        
+        for (const building of data.buildings || []) {
+            try {
+                const restored = await this.restoreBuilding(building, textures);
+                if (restored && building.source.color !== undefined) this.tintNode(restored.group, building.source.color);
+            } catch (error) {
+                console.error(`Error restoring building ${building.id}:`, error);
+            }
+        }
+        
+        for (const prop of data.props || []) {
+            try {
+                const restored = await this.restoreGeneratedObject(prop, 'props');
+                if (restored && prop.source.color !== undefined) this.tintNode(restored.group, prop.source.color);
+            } catch (error) {
+                console.error(`Error restoring ${prop.id}:`, error);
+            }
+        }
+        
+        Object.entries(data.scaleFactors || {}).forEach(([objectId, factors]) => {
+            const found = this.findObject(objectId);
+            if (found) this.applyScaleFactor(found.object, found.node, factors);
+        });
+        
+        // Weather and particles
+        this.startWeatherEffect(data.weather || 'clear');
+        if (data.particleEffect) {
+            this.startParticleEffect(data.particleEffect);
+        } else {
+            this.clearParticleEffects();
+        }
+    }
+    
+    /**
+     * Rebuild a single building from its saved description
+     * @param {Object} building - Saved building {id, position, source}
+     * @param {Object} textures - Decoded billboard textures keyed by texture ID
+     * @returns {Promise<Object|null>} - The created building object, or null if it could not be rebuilt
+     * @private
+     */
+    async restoreBuilding(building, textures = {}) {
+        const { id, source } = building;
+        const position = { ...building.position };
+        
+        switch (source.kind) {
+            case 'placeholder':
+                return this.addPlaceholderBuilding(position, source.buildingType, { id });
+                
+            case 'billboard': {
+                const texture = textures[source.textureId];
+                if (!texture) {
+                    console.warn(`Missing texture for billboard ${id}`);
+                    return null;
+                }
+                return this.createBuildingBillboard(texture, position, {
+                    id,
+                    height: source.height,
+                    rotationY: source.rotationY,
+                    exactPosition: true
+                });
+            }
+                
+            case 'code':
+                return this.restoreGeneratedObject(building, 'buildings');
+                
+            case 'fallback':
+                return this.createFallbackSkyscraper(position, { ...source, id });
+                
+            case 'stylized':
+                return this.createStylizedBuilding(position, source.transformData, { id, props: source.props });
+                
+            case 'model':
+                return this.addBuilding(source.modelUrl, position, { id, scale: source.scale });
+                
+            default:
+                console.warn(`Unknown building kind: ${source.kind}`);
+                return null;
+        }
+    }
+    
+    /**
+     * Rebuild a single generated object from its saved description
+     * @param {Object} saved - Saved object {id, position, source}
+     * @param {string} collection - Collection the object was saved in ('buildings' or 'props')
+     * @returns {Promise<Object|null>} - The created object, or null if it could not be rebuilt
+     * @private
+     */
+    async restoreGeneratedObject(saved, collection) {
+        const { id, source } = saved;
+        const position = { ...saved.position };
+        
+        // Scenes saved before subtypes existed only contain skyscrapers
+        const definition = { ...this.getGeneratedObjectDefinition(source.subtype || 'skyscraper'), collection };
+        
+        try {
+            return await this.createGeneratedObject(position, source.codeSnippet, definition, {
+                id,
+                meshScale: source.meshScale,
+                rotationY: source.rotationY
+            });
+        } catch (error) {
+            if (definition.fallback === 'skyscraper') {
+                console.warn(`Saved ${definition.subtype} ${id} could not be rebuilt, using a fallback building:`, error.message);
+                return this.createFallbackSkyscraper(position, { id });
+            }
+            
+            console.warn(`Saved ${definition.subtype} ${id} could not be rebuilt:`, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Encode a texture's image as a PNG data URL
+     * @param {THREE.Texture} texture - The texture to encode
+     * @returns {string|null} - The data URL, or null if the image cannot be read
+     * @private
+     */
+    getTextureDataUrl(texture) {
+        const image = texture.image;
+        if (!image) return null;
+        
+        // Canvas textures can be encoded directly
+        if (typeof image.toDataURL === 'function') {
+            return image.toDataURL('image/png');
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+    
+    /**
+     * Create a texture from a data URL
+     * @param {string} dataUrl - Image data URL
+     * @returns {Promise<THREE.Texture>} - Resolves with the loaded texture
+     * @private
+     */
+    loadTextureFromDataUrl(dataUrl) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const texture = new THREE.Texture(image);
+                texture.needsUpdate = true;
+                resolve(texture);
+            };
+            image.onerror = () => reject(new Error('Could not decode image data'));
+            image.src = dataUrl;
+        });
     }
     
     /**
@@ -2018,6 +3383,10 @@ class EnvironmentManager {
         // Remove all buildings
         this.buildings.forEach(building => this.scene.remove(building.group));
         this.buildings = [];
+        
+        // Remove all generated props
+        this.props.forEach(prop => this.scene.remove(prop.group));
+        this.props = [];
     }
 }
 
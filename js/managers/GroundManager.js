@@ -18,6 +18,10 @@ class GroundManager {
         this.groundSegments = 128;
         this.textureLoader = new THREE.TextureLoader();
         this.textures = {};
+        this.textureUrl = null;
+        
+        // Current terrain shape ('hills', 'bumpy' or 'flat') and bumpiness intensity
+        this.terrain = { shape: 'hills', intensity: 1 };
         
         // Initialize with default ground
         this.initDefaultGround();
@@ -36,6 +40,7 @@ class GroundManager {
     createRollingHills() {
         // Remove existing ground if any
         this.removeGround();
+        this.terrain = { shape: 'hills', intensity: 1 };
         
         // Create a large ground plane with hills
         const geometry = new THREE.PlaneGeometry(this.groundSize, this.groundSize, this.groundSegments, this.groundSegments);
@@ -147,6 +152,8 @@ class GroundManager {
      * @param {string} textureUrl - URL of the texture
      */
     changeGroundTexture(textureUrl) {
+        this.textureUrl = textureUrl;
+        
         // Load texture if not already loaded
         if (!this.textures[textureUrl]) {
             this.textureLoader.load(textureUrl, (texture) => {
@@ -181,6 +188,8 @@ class GroundManager {
     makeGroundBumpy(intensity = 0.5) {
         if (!this.groundMesh) return;
         
+        this.terrain = { shape: 'bumpy', intensity };
+        
         // Scale intensity to a reasonable range
         intensity = Math.max(0, Math.min(1, intensity)) * 2;
         
@@ -225,6 +234,8 @@ class GroundManager {
     makeGroundFlat() {
         if (!this.groundMesh) return;
         
+        this.terrain = { shape: 'flat', intensity: 0 };
+        
         // Update vertices for flat ground
         const vertices = this.groundMesh.geometry.attributes.position.array;
         for (let i = 0; i < vertices.length; i += 3) {
@@ -281,6 +292,101 @@ class GroundManager {
         }
     }
     
+    /**
+     * Get the current ground appearance as plain data
+     * @returns {Object} - Ground state (color, material properties, terrain shape and texture)
+     */
+    getState() {
+        const state = {
+            color: this.groundColor,
+            terrain: { ...this.terrain },
+            textureUrl: this.textureUrl,
+            roughness: null,
+            metalness: null,
+            detail: null
+        };
+        
+        if (this.groundMesh) {
+            state.roughness = this.groundMesh.material.roughness;
+            state.metalness = this.groundMesh.material.metalness;
+        }
+        
+        if (this.detailMesh) {
+            state.detail = {
+                color: this.detailMesh.material.color.getHex(),
+                opacity: this.detailMesh.material.opacity
+            };
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Apply a ground state captured by getState
+     * @param {Object} state - Ground state
+     */
+    applyState(state) {
+        // Reshape the terrain only if it changed
+        const terrain = state.terrain || { shape: 'hills', intensity: 1 };
+        if (terrain.shape !== this.terrain.shape || terrain.intensity !== this.terrain.intensity) {
+            this.setTerrain(terrain);
+        }
+        
+        this.changeGroundColor(state.color);
+        
+        if (state.textureUrl && state.textureUrl !== this.textureUrl) {
+            this.changeGroundTexture(state.textureUrl);
+        } else if (!state.textureUrl && this.textureUrl) {
+            this.removeGroundTexture();
+        }
+        
+        if (this.groundMesh) {
+            if (state.roughness !== null) this.groundMesh.material.roughness = state.roughness;
+            if (state.metalness !== null) this.groundMesh.material.metalness = state.metalness;
+        }
+        
+        if (this.detailMesh && state.detail) {
+            this.detailMesh.material.color.set(state.detail.color);
+            this.detailMesh.material.opacity = state.detail.opacity;
+        }
+    }
+    
+    /**
+     * Set the terrain shape
+     * @param {Object} terrain - Terrain {shape: 'hills'|'bumpy'|'flat', intensity}
+     */
+    setTerrain(terrain) {
+        switch (terrain.shape) {
+            case 'flat':
+                this.makeGroundFlat();
+                break;
+                
+            case 'bumpy':
+                this.makeGroundBumpy(terrain.intensity);
+                break;
+                
+            default: {
+                // Rebuilding the hills creates new meshes, so carry the current appearance over
+                const state = this.getState();
+                this.createRollingHills();
+                this.textureUrl = null;
+                this.applyState({ ...state, terrain: this.terrain });
+            }
+        }
+    }
+    
+    /**
+     * Remove the texture from the ground
+     */
+    removeGroundTexture() {
+        this.textureUrl = null;
+        
+        if (this.groundMesh) {
+            this.groundMesh.material.map = null;
+            this.groundMesh.material.needsUpdate = true;
+        }
+    }
+    
     /**
      * Get the height at a specific position based on the terrain
      * @param {number} x - X coordinate
@@ -288,10 +394,21 @@ class GroundManager {
      * @returns {number} - The height at the given position
      */
     getHeightAt(x, z) {
-        return 5 * Math.sin(x * 0.05) + 
-               3 * Math.sin(z * 0.08) +
-               2 * Math.sin(x * 0.02 + z * 0.03) +
-               1 * Math.sin(x * 0.1 + z * 0.05);
+        if (this.terrain.shape === 'flat') {
+            return 0;
+        }
+        
+        const height = 5 * Math.sin(x * 0.05) + 
+                       3 * Math.sin(z * 0.08) +
+                       2 * Math.sin(x * 0.02 + z * 0.03) +
+                       1 * Math.sin(x * 0.1 + z * 0.05);
+        
+        // Bumpy terrain scales the hills (see makeGroundBumpy)
+        if (this.terrain.shape === 'bumpy') {
+            return height * Math.max(0, Math.min(1, this.terrain.intensity)) * 2;
+        }
+        
+        return height;
     }
 }
 
@@ -0,0 +1,530 @@
+/**
+ * InputManager.js
+ * Responsible for reading player input from the keyboard, gamepads and the on-screen touch controls.
+ * All sources are merged into one {left, right, jump} state that PlayerManager copies into its keys.
+ * Keyboard and gamepad bindings can be changed at runtime and are kept in localStorage.
+ */
+
+// Actions the player can perform
+const INPUT_ACTIONS = ['left', 'right', 'jump'];
+
+// Default bindings per device. Keyboard bindings are KeyboardEvent.code values; gamepad bindings are
+// 'button:<index>' or 'axis:<index>+' / 'axis:<index>-' for the standard gamepad mapping
+const INPUT_DEFAULT_BINDINGS = {
+    keyboard: {
+        left: ['ArrowLeft', 'KeyA'],
+        right: ['ArrowRight', 'KeyD'],
+        jump: ['Space']
+    },
+    gamepad: {
+        left: ['axis:0-', 'button:14'], // Left stick, d-pad left
+        right: ['axis:0+', 'button:15'], // Left stick, d-pad right
+        jump: ['button:0'] // A / Cross
+    }
+};
+
+// Stick deflection (0-1) below which a gamepad axis counts as released
+const INPUT_DEFAULT_DEADZONE = 0.25;
+
+// Stick deflection needed to bind an axis while rebinding
+const INPUT_CAPTURE_AXIS_THRESHOLD = 0.6;
+
+// localStorage key for the bindings and deadzone
+const INPUT_STORAGE_KEY = 'input_bindings';
+
+class InputManager {
+    /**
+     * Create an input manager with the bindings saved in localStorage (or the defaults)
+     */
+    constructor() {
+        this.bindings = this.loadBindings();
+
+        // Keyboard keys currently held (KeyboardEvent.code values)
+        this.pressedKeys = new Set();
+
+        // State of the on-screen touch controls
+        this.touchState = { left: false, right: false, jump: false };
+
+        // Gamepad state from the last poll, used to detect new presses
+        this.gamepadState = { left: false, right: false, jump: false };
+
+        // Actions pressed since the last poll, so a tap shorter than a frame is not lost
+        this.pressedSinceLastPoll = new Set();
+
+        // Pending rebind {device, action, resolve, ignoredButtons} (see captureBinding)
+        this.capture = null;
+
+        this.connectedGamepads = [];
+        this.onChangeCallbacks = [];
+    }
+
+    /**
+     * Listen to keyboard and gamepad events
+     * @param {Window} target - Object keyboard events are read from
+     */
+    attach(target) {
+        target.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        target.addEventListener('keyup', (event) => {
+            this.pressedKeys.delete(event.code);
+        });
+
+        // Keys released while the window is in the background never send keyup
+        target.addEventListener('blur', () => {
+            this.pressedKeys.clear();
+        });
+
+        target.addEventListener('gamepadconnected', (event) => {
+            console.log(`Gamepad connected: ${event.gamepad.id}`);
+            this.refreshGamepads();
+        });
+        target.addEventListener('gamepaddisconnected', (event) => {
+            console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+            this.refreshGamepads();
+        });
+    }
+
+    /**
+     * Drive the player with an on-screen joystick and jump button
+     * @param {HTMLElement} joystick - Joystick base element; dragging inside it steers left and right
+     * @param {HTMLElement} knob - Knob element moved with the finger
+     * @param {HTMLElement} jumpButton - Button that jumps while held
+     */
+    attachTouchControls(joystick, knob, jumpButton) {
+        let activePointer = null;
+
+        const moveKnob = (event) => {
+            const rect = joystick.getBoundingClientRect();
+            const radius = rect.width / 2;
+            const offsetX = Math.max(-radius, Math.min(radius, event.clientX - (rect.left + radius)));
+            const offsetY = Math.max(-radius, Math.min(radius, event.clientY - (rect.top + rect.height / 2)));
+            const deflection = offsetX / radius;
+
+            knob.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+            this.setTouchState({
+                left: deflection < -this.bindings.deadzone,
+                right: deflection > this.bindings.deadzone
+            });
+        };
+
+        const releaseKnob = () => {
+            activePointer = null;
+            knob.style.transform = '';
+            this.setTouchState({ left: false, right: false });
+        };
+
+        joystick.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            activePointer = event.pointerId;
+            joystick.setPointerCapture(event.pointerId);
+            moveKnob(event);
+        });
+        joystick.addEventListener('pointermove', (event) => {
+            if (event.pointerId === activePointer) moveKnob(event);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            joystick.addEventListener(type, (event) => {
+                if (event.pointerId === activePointer) releaseKnob();
+            });
+        });
+
+        jumpButton.addEventListener('pointerdown', (event) => {
+            event.preventDefault();
+            this.setTouchState({ jump: true });
+        });
+        ['pointerup', 'pointercancel', 'pointerleave'].forEach(type => {
+            jumpButton.addEventListener(type, () => this.setTouchState({ jump: false }));
+        });
+    }
+
+    /**
+     * Update the touch controls' part of the input
+     * @param {Object} state - Any of {left, right, jump}
+     */
+    setTouchState(state) {
+        Object.entries(state).forEach(([action, active]) => {
+            if (active && !this.touchState[action]) {
+                this.pressedSinceLastPoll.add(action);
+            }
+            this.touchState[action] = active;
+        });
+    }
+
+    /**
+     * Read all input sources. Call once per frame.
+     * @returns {Object} - {left, right, jump, pressed}; pressed lists the actions newly pressed since the last poll
+     */
+    poll() {
+        const gamepadState = this.readGamepads();
+        INPUT_ACTIONS.forEach(action => {
+            if (gamepadState[action] && !this.gamepadState[action]) {
+                this.pressedSinceLastPoll.add(action);
+            }
+        });
+        this.gamepadState = gamepadState;
+
+        const state = { pressed: {} };
+        INPUT_ACTIONS.forEach(action => {
+            state[action] = this.isKeyboardActive(action) || gamepadState[action] || this.touchState[action];
+            state.pressed[action] = this.pressedSinceLastPoll.has(action);
+        });
+        this.pressedSinceLastPoll.clear();
+
+        return state;
+    }
+
+    /**
+     * Wait for the next key, gamepad button or stick movement and bind it to an action
+     * (replacing that device's previous bindings for the action). Escape cancels.
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - Action to bind ('left', 'right' or 'jump')
+     * @returns {Promise<string|null>} - The new binding, or null if the capture was cancelled
+     */
+    captureBinding(device, action) {
+        if (!INPUT_DEFAULT_BINDINGS[device] || !INPUT_ACTIONS.includes(action)) {
+            return Promise.reject(new Error(`Unknown binding: ${device} ${action}`));
+        }
+
+        this.cancelCapture();
+
+        return new Promise(resolve => {
+            // Buttons already held when the capture starts do not count
+            const ignoredButtons = new Set(this.getPressedGamepadInputs());
+            this.capture = { device, action, resolve, ignoredButtons };
+        });
+    }
+
+    /**
+     * Cancel a pending captureBinding
+     */
+    cancelCapture() {
+        if (this.capture) {
+            const { resolve } = this.capture;
+            this.capture = null;
+            resolve(null);
+        }
+    }
+
+    /**
+     * Check whether a rebind is waiting for input
+     * @returns {boolean} - True while captureBinding is pending
+     */
+    isCapturing() {
+        return this.capture !== null;
+    }
+
+    /**
+     * Get the bindings of an action
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string} action - Action name
+     * @returns {Array} - Binding codes
+     */
+    getBindings(device, action) {
+        return [...this.bindings[device][action]];
+    }
+
+    /**
+     * Describe a binding for display
+     * @param {string} binding - Binding code (e.g., 'KeyA', 'button:0', 'axis:0-')
+     * @returns {string} - e.g., 'A', 'Button 0', 'Stick 0 ←'
+     */
+    static describeBinding(binding) {
+        const axis = /^axis:(\d+)([+-])$/.exec(binding);
+        if (axis) {
+            const horizontal = Number(axis[1]) % 2 === 0;
+            const arrow = horizontal ? (axis[2] === '-' ? '←' : '→') : (axis[2] === '-' ? '↑' : '↓');
+            return `Stick ${axis[1]} ${arrow}`;
+        }
+
+        const button = /^button:(\d+)$/.exec(binding);
+        if (button) {
+            return `Button ${button[1]}`;
+        }
+
+        return binding.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Arrow/, '') + (binding.startsWith('Arrow') ? ' arrow' : '');
+    }
+
+    /**
+     * Get the actions players can bind
+     * @returns {Array} - Action names
+     */
+    getActions() {
+        return [...INPUT_ACTIONS];
+    }
+
+    /**
+     * Get the gamepad stick deadzone
+     * @returns {number} - Deadzone (0-1)
+     */
+    getDeadzone() {
+        return this.bindings.deadzone;
+    }
+
+    /**
+     * Set the gamepad stick and touch joystick deadzone
+     * @param {number} deadzone - Deflection (0-0.9) below which the stick counts as released
+     */
+    setDeadzone(deadzone) {
+        const value = Number(deadzone);
+        if (!Number.isFinite(value)) return;
+
+        this.bindings.deadzone = Math.max(0, Math.min(0.9, value));
+        this.saveBindings();
+        this._notifyChange();
+    }
+
+    /**
+     * Restore the default bindings and deadzone
+     */
+    resetBindings() {
+        this.bindings = this.createDefaultBindings();
+        this.saveBindings();
+        this._notifyChange();
+    }
+
+    /**
+     * Get the names of the connected gamepads
+     * @returns {Array} - Gamepad IDs
+     */
+    getConnectedGamepads() {
+        return this.connectedGamepads.map(gamepad => gamepad.id);
+    }
+
+    /**
+     * Register a callback to be called whenever the bindings or connected gamepads change
+     * @param {Function} callback - The callback function
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.onChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Handle a key press: finish a keyboard rebind, or hold the key
+     * @param {KeyboardEvent} event - The keydown event
+     * @private
+     */
+    handleKeyDown(event) {
+        if (this.capture) {
+            // The key is being bound, so no other shortcut should react to it
+            event.stopImmediatePropagation();
+            if (event.code === 'Escape') {
+                this.cancelCapture();
+            } else if (this.capture.device === 'keyboard') {
+                event.preventDefault();
+                this.finishCapture(event.code);
+            }
+            return;
+        }
+
+        // Typing in the command input or the developer console must not move the player
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' || target.isContentEditable)) {
+            return;
+        }
+
+        if (!event.repeat) {
+            INPUT_ACTIONS.forEach(action => {
+                if (this.bindings.keyboard[action].includes(event.code)) {
+                    this.pressedSinceLastPoll.add(action);
+                }
+            });
+        }
+        this.pressedKeys.add(event.code);
+    }
+
+    /**
+     * Bind the captured input to the pending action
+     * @param {string} binding - Binding code
+     * @private
+     */
+    finishCapture(binding) {
+        const { device, action, resolve } = this.capture;
+        this.capture = null;
+
+        this.bindings[device][action] = [binding];
+        this.saveBindings();
+        this._notifyChange();
+        resolve(binding);
+    }
+
+    /**
+     * Check whether any keyboard binding of an action is held
+     * @param {string} action - Action name
+     * @returns {boolean} - True if held
+     * @private
+     */
+    isKeyboardActive(action) {
+        return this.bindings.keyboard[action].some(code => this.pressedKeys.has(code));
+    }
+
+    /**
+     * Read the connected gamepads and finish a gamepad rebind
+     * @returns {Object} - {left, right, jump} from the gamepads
+     * @private
+     */
+    readGamepads() {
+        const state = { left: false, right: false, jump: false };
+        const gamepads = this.getGamepads();
+
+        if (this.capture && this.capture.device === 'gamepad') {
+            const binding = this.getPressedGamepadInputs(gamepads).find(input => !this.capture.ignoredButtons.has(input));
+            if (binding) {
+                this.finishCapture(binding);
+            }
+            return state;
+        }
+
+        gamepads.forEach(gamepad => {
+            INPUT_ACTIONS.forEach(action => {
+                if (this.bindings.gamepad[action].some(binding => this.isGamepadBindingActive(gamepad, binding, this.bindings.deadzone))) {
+                    state[action] = true;
+                }
+            });
+        });
+
+        return state;
+    }
+
+    /**
+     * Check whether a gamepad binding is active
+     * @param {Gamepad} gamepad - The gamepad
+     * @param {string} binding - Binding code ('button:<index>' or 'axis:<index>+/-')
+     * @param {number} threshold - Axis deflection needed
+     * @returns {boolean} - True if pressed or deflected past the threshold
+     * @private
+     */
+    isGamepadBindingActive(gamepad, binding, threshold) {
+        const axis = /^axis:(\d+)([+-])$/.exec(binding);
+        if (axis) {
+            const value = gamepad.axes[Number(axis[1])] || 0;
+            return axis[2] === '+' ? value > threshold : value < -threshold;
+        }
+
+        const button = /^button:(\d+)$/.exec(binding);
+        if (button) {
+            const pressed = gamepad.buttons[Number(button[1])];
+            return Boolean(pressed && pressed.pressed);
+        }
+
+        return false;
+    }
+
+    /**
+     * List the gamepad inputs that are currently pressed or deflected, as binding codes
+     * @param {Array} gamepads - Gamepads to read (defaults to the connected ones)
+     * @returns {Array} - Binding codes
+     * @private
+     */
+    getPressedGamepadInputs(gamepads = this.getGamepads()) {
+        const inputs = [];
+        gamepads.forEach(gamepad => {
+            gamepad.buttons.forEach((button, index) => {
+                if (button.pressed) inputs.push(`button:${index}`);
+            });
+            gamepad.axes.forEach((value, index) => {
+                if (value > INPUT_CAPTURE_AXIS_THRESHOLD) inputs.push(`axis:${index}+`);
+                if (value < -INPUT_CAPTURE_AXIS_THRESHOLD) inputs.push(`axis:${index}-`);
+            });
+        });
+        return inputs;
+    }
+
+    /**
+     * Get the connected gamepads
+     * @returns {Array} - Gamepad objects (empty if the Gamepad API is not available)
+     * @private
+     */
+    getGamepads() {
+        if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+            return [];
+        }
+        return Array.from(navigator.getGamepads()).filter(Boolean);
+    }
+
+    /**
+     * Update the list of connected gamepads
+     * @private
+     */
+    refreshGamepads() {
+        this.connectedGamepads = this.getGamepads();
+        this._notifyChange();
+    }
+
+    /**
+     * Create a copy of the default bindings
+     * @returns {Object} - {keyboard, gamepad, deadzone}
+     * @private
+     */
+    createDefaultBindings() {
+        return {
+            keyboard: JSON.parse(JSON.stringify(INPUT_DEFAULT_BINDINGS.keyboard)),
+            gamepad: JSON.parse(JSON.stringify(INPUT_DEFAULT_BINDINGS.gamepad)),
+            deadzone: INPUT_DEFAULT_DEADZONE
+        };
+    }
+
+    /**
+     * Load the saved bindings; anything missing or malformed falls back to the defaults
+     * @returns {Object} - {keyboard, gamepad, deadzone}
+     * @private
+     */
+    loadBindings() {
+        const bindings = this.createDefaultBindings();
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(INPUT_STORAGE_KEY) || 'null');
+            if (!saved) {
+                return bindings;
+            }
+
+            ['keyboard', 'gamepad'].forEach(device => {
+                INPUT_ACTIONS.forEach(action => {
+                    const codes = saved[device] && saved[device][action];
+                    if (Array.isArray(codes) && codes.length > 0 && codes.every(code => typeof code === 'string')) {
+                        bindings[device][action] = codes;
+                    }
+                });
+            });
+
+            if (typeof saved.deadzone === 'number' && saved.deadzone >= 0 && saved.deadzone <= 0.9) {
+                bindings.deadzone = saved.deadzone;
+            }
+        } catch (error) {
+            console.warn('Could not load input bindings, using the defaults:', error);
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Save the bindings to localStorage
+     * @private
+     */
+    saveBindings() {
+        try {
+            localStorage.setItem(INPUT_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save input bindings:', error);
+        }
+    }
+
+    /**
+     * Notify all registered callbacks that the bindings or gamepads changed
+     * @private
+     */
+    _notifyChange() {
+        this.onChangeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in input change callback:', error);
+            }
+        });
+    }
+}
+
+// Export the InputManager class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InputManager };
+}
@@ -2,9 +2,19 @@
  * PlayerManager.js
  * Responsible for managing the player character in the 3D scene.
  * Handles player mesh, physics, movement, and controls.
- * Now uses the improved PlayerCharacter class for a more human-like appearance.
+ * Physics run in fixed time steps, so movement and jumps feel the same at any frame rate;
+ * PlayerCharacter only animates the mesh.
  */
 
+// Allowed ranges of the tunable physics settings (see setPhysicsOptions)
+const PLAYER_PHYSICS_LIMITS = {
+    gravity: { min: 2, max: 80 },         // Downward acceleration in units per second²
+    jumpHeight: { min: 0.5, max: 15 },    // Height of a full jump in units
+    moveSpeed: { min: 1, max: 30 },       // Top running speed in units per second
+    coyoteTime: { min: 0, max: 0.5 },     // Seconds after leaving a ledge a jump still works
+    jumpBufferTime: { min: 0, max: 0.5 }  // Seconds a jump pressed before landing is remembered
+};
+
 class PlayerManager {
     /**
      * Create a player manager
@@ -17,15 +27,34 @@ class PlayerManager {
         
         // Physics properties
         this.position = new THREE.Vector3(0, 10, 0); // Start position (x, y, z)
+        this.previousPosition = this.position.clone(); // Position before the last physics step
         this.velocity = new THREE.Vector3(0, 0, 0); // Velocity vector
-        this.acceleration = new THREE.Vector3(0, 0, 0); // Acceleration vector
-        this.gravity = -20; // Gravity strength
-        this.jumpForce = 10; // Jump strength
-        this.moveSpeed = 10; // Movement speed
-        this.friction = 0.9; // Friction for smooth deceleration (0-1)
+        this.gravity = 20; // Downward acceleration in units per second²
+        this.jumpHeight = 2.5; // Height of a full jump in units
+        this.moveSpeed = 6; // Top running speed in units per second
+        this.groundAcceleration = 12; // How quickly the speed follows the input on the ground (per second)
+        this.airAcceleration = 5; // How quickly the speed follows the input in the air (per second)
+        this.coyoteTime = 0.1; // Seconds after leaving a ledge a jump still works
+        this.jumpBufferTime = 0.12; // Seconds a jump pressed before landing is remembered
+        this.jumpReleaseGravity = 3; // Gravity multiplier while rising with jump released (short hops)
+        this.maxSlopeAngle = 50; // Steepest hill in degrees the player can walk up
         this.isGrounded = false; // Whether player is on ground
+        this.isJumping = false; // Whether player is rising from a jump
+        this.halfWidth = 0.4; // Half of the character's width, used for collisions
+        
+        // Fixed-timestep state
+        this.fixedTimeStep = 1 / 120; // Seconds per physics step
+        this.maxSubSteps = 8; // Physics steps per frame at most (slow frames run in slow motion)
+        this.accumulator = 0; // Frame time not yet simulated
+        this.timeSinceGrounded = Infinity; // Seconds since the player last stood on something
+        this.jumpBufferTimer = 0; // Seconds the last jump press stays buffered
         
-        // Control state
+        // Colliders for platforms, islands, rocks and buildings (set via setCollisionManager)
+        this.collisionManager = null;
+        this.groundCollider = null; // Collider the player stands on (null on the terrain)
+        
+        // Control state (filled from the input manager every frame)
+        this.inputManager = null;
         this.keys = {
             left: false,
             right: false,
@@ -73,11 +102,7 @@ class PlayerManager {
             legColor: 0x9C27B0,       // Purple legs
             armColor: 0xE91E63,       // Pink arms (matching body)
             backpackColor: 0x4CAF50,  // Green backpack
-            eyeColor: 0x000000,       // Black eyes
-            
-            // Physics settings
-            jumpHeight: this.jumpForce,
-            moveSpeed: this.moveSpeed
+            eyeColor: 0x000000        // Black eyes
         });
         
         // Get the mesh from the character
@@ -93,63 +118,72 @@ class PlayerManager {
     }
     
     /**
-     * Setup keyboard controls
+     * Setup keyboard, gamepad and touch controls
      */
     setupControls() {
-        // Keydown event
-        window.addEventListener('keydown', (event) => {
-            switch (event.code) {
-                case 'ArrowLeft':
-                case 'KeyA':
-                    this.keys.left = true;
-                    break;
-                case 'ArrowRight':
-                case 'KeyD':
-                    this.keys.right = true;
-                    break;
-                case 'Space':
-                    this.keys.jump = true;
-                    break;
-            }
-        });
-        
-        // Keyup event
-        window.addEventListener('keyup', (event) => {
-            switch (event.code) {
-                case 'ArrowLeft':
-                case 'KeyA':
-                    this.keys.left = false;
-                    break;
-                case 'ArrowRight':
-                case 'KeyD':
-                    this.keys.right = false;
-                    break;
-                case 'Space':
-                    this.keys.jump = false;
-                    break;
-            }
-        });
+        // The input manager merges all input sources; update() copies its state into this.keys
+        this.inputManager = new InputManager();
+        this.inputManager.attach(window);
         
         console.log('Player controls initialized');
     }
     
     /**
-     * Check if player is on ground
-     * @returns {boolean} - Whether player is on ground
+     * Copy the merged input into this.keys and buffer new jump presses
+     * @private
      */
-    checkGroundCollision() {
-        if (!this.groundManager || !this.groundManager.groundMesh) {
-            return false;
+    readInput() {
+        const input = this.inputManager.poll();
+        
+        // Buffer the press itself; holding the button only extends the jump
+        if (input.pressed.jump) {
+            this.requestJump();
         }
         
-        // Get ground height at player position
-        const groundHeight = this.getGroundHeightAt(this.position.x, this.position.z);
+        this.keys.left = input.left;
+        this.keys.right = input.right;
+        this.keys.jump = input.jump;
+    }
+    
+    /**
+     * Set the collision manager the player collides with besides the terrain
+     * @param {CollisionManager} collisionManager - The collision manager
+     */
+    setCollisionManager(collisionManager) {
+        this.collisionManager = collisionManager;
+    }
+    
+    /**
+     * Find the surface the player stands on at a position
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {number} feetY - Height of the feet before this step's fall
+     * @returns {Object} - {height, collider}; collider is null when the surface is the terrain
+     */
+    getSupportAt(x, z, feetY) {
+        const groundHeight = this.getGroundHeightAt(x, z);
+        const support = this.collisionManager
+            ? this.collisionManager.getSupport(x, z, this.halfWidth, feetY)
+            : null;
         
-        // Check if player is on or below ground level (with small buffer for stability)
-        const playerBottom = this.position.y - 1; // Adjust for character height
-        const isOnGround = playerBottom <= groundHeight + 0.1;
+        if (support && support.height > groundHeight) {
+            return { height: support.height, collider: support.collider };
+        }
         
-        return isOnGround;
+        return { height: groundHeight, collider: null };
+    }
+    
+    /**
+     * Get the steepness of the terrain in a direction of movement
+     * @param {number} x - X position
+     * @param {number} z - Z position
+     * @param {number} direction - Direction along the x axis (-1 or 1)
+     * @returns {number} - Slope angle in radians (positive uphill, negative downhill)
+     */
+    getSlopeAt(x, z, direction) {
+        const probe = 0.25;
+        const rise = this.getGroundHeightAt(x + direction * probe, z) - this.getGroundHeightAt(x, z);
+        return Math.atan2(rise, probe);
     }
     
     /**
@@ -163,6 +197,12 @@ class PlayerManager {
             return 0;
         }
         
+        // The terrain is built from a height function, which is much cheaper than a raycast
+        // and is queried several times per physics step
+        if (typeof this.groundManager.getHeightAt === 'function') {
+            return this.groundManager.getHeightAt(x, z);
+        }
+        
         // Get the ground mesh
         const groundMesh = this.groundManager.groundMesh;
         
@@ -186,14 +226,45 @@ class PlayerManager {
     }
     
     /**
-     * Apply jump force if grounded
+     * Jump now if the player is on the ground or has just left it
+     * @returns {boolean} - True if the player jumped
      */
     jump() {
-        if (this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            console.log('Player jumped');
+        if (!this.canJump()) {
+            return false;
         }
+        
+        this.velocity.y = this.getJumpVelocity();
+        this.isGrounded = false;
+        this.isJumping = true;
+        this.timeSinceGrounded = Infinity; // No second jump from coyote time
+        this.jumpBufferTimer = 0;
+        
+        console.log('Player jumped');
+        return true;
+    }
+    
+    /**
+     * Jump as soon as possible: now, or on landing if the player lands within the jump buffer time
+     */
+    requestJump() {
+        this.jumpBufferTimer = this.jumpBufferTime;
+    }
+    
+    /**
+     * Check whether the player can jump (on the ground, or within coyote time of leaving it)
+     * @returns {boolean} - Whether a jump would start now
+     */
+    canJump() {
+        return !this.isJumping && (this.isGrounded || this.timeSinceGrounded <= this.coyoteTime);
+    }
+    
+    /**
+     * Get the upward speed that makes a full jump reach the jump height
+     * @returns {number} - Jump velocity in units per second
+     */
+    getJumpVelocity() {
+        return Math.sqrt(2 * this.gravity * this.jumpHeight);
     }
     
     /**
@@ -201,83 +272,173 @@ class PlayerManager {
      * @param {number} deltaTime - Time since last frame in seconds
      */
     update(deltaTime) {
-        // Cap delta time to avoid huge jumps after pauses
-        const dt = Math.min(deltaTime, 0.1);
-        
-        // Apply gravity
-        this.acceleration.y = this.gravity;
-        
-        // Handle movement input with smooth acceleration
-        this.acceleration.x = 0;
+        if (this.inputManager) {
+            this.readInput();
+        }
         
-        if (this.keys.left) {
-            this.acceleration.x = -this.moveSpeed * 4;
-            
-            // Use the PlayerCharacter's moveLeft method for animation
-            if (this.playerCharacter) {
-                this.playerCharacter.moveLeft(dt);
-            }
+        // Simulate the frame time in fixed steps; cap the backlog so a long pause
+        // doesn't replay seconds of physics at once
+        this.accumulator = Math.min(this.accumulator + deltaTime, this.fixedTimeStep * this.maxSubSteps);
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.previousPosition.copy(this.position);
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
         }
-        if (this.keys.right) {
-            this.acceleration.x = this.moveSpeed * 4;
+        
+        // Update player mesh position
+        if (this.playerMesh) {
+            // Draw the player between the last two physics states so motion stays smooth
+            this.playerMesh.position.lerpVectors(this.previousPosition, this.position, this.accumulator / this.fixedTimeStep);
             
-            // Use the PlayerCharacter's moveRight method for animation
+            // Let the PlayerCharacter animate the physics state (idle, walk, run, jump, fall, land)
             if (this.playerCharacter) {
-                this.playerCharacter.moveRight(dt);
+                this.playerCharacter.update(deltaTime, {
+                    grounded: this.isGrounded,
+                    speed: Math.abs(this.velocity.x),
+                    maxSpeed: this.moveSpeed,
+                    verticalVelocity: this.velocity.y,
+                    direction: this.keys.left === this.keys.right ? 0 : (this.keys.left ? -1 : 1)
+                });
             }
         }
+    }
+    
+    /**
+     * Advance the player physics by one fixed step
+     * @param {number} dt - Step length in seconds
+     * @private
+     */
+    step(dt) {
+        // Steer towards the top speed in the input direction (less grip in the air)
+        const direction = (this.keys.right ? 1 : 0) - (this.keys.left ? 1 : 0);
+        const acceleration = this.isGrounded ? this.groundAcceleration : this.airAcceleration;
+        this.velocity.x += (direction * this.moveSpeed - this.velocity.x) * Math.min(1, acceleration * dt);
         
-        // Handle jump input
-        if (this.keys.jump && this.isGrounded) {
+        // Jump if one was pressed recently and the player is (or just was) on the ground
+        this.timeSinceGrounded = this.isGrounded ? 0 : this.timeSinceGrounded + dt;
+        this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - dt);
+        if (this.jumpBufferTimer > 0) {
             this.jump();
-            
-            // Use the PlayerCharacter's jump method for animation
-            if (this.playerCharacter) {
-                this.playerCharacter.jump();
-            }
         }
         
-        // Update velocity with acceleration
-        this.velocity.x += this.acceleration.x * dt;
-        this.velocity.y += this.acceleration.y * dt;
+        // Gravity is stronger while rising with the jump key released, so a tap gives a short hop
+        const releasedEarly = this.isJumping && this.velocity.y > 0 && !this.keys.jump;
+        this.velocity.y -= this.gravity * (releasedEarly ? this.jumpReleaseGravity : 1) * dt;
+        if (this.velocity.y <= 0) {
+            this.isJumping = false;
+        }
         
-        // Apply friction to horizontal movement
-        this.velocity.x *= this.friction;
+        // Walk along hills: slow down by the slope so the speed along the surface stays the same,
+        // and stop at hills that are too steep to climb
+        const previousX = this.position.x;
+        const previousY = this.position.y;
+        let dx = this.velocity.x * dt;
+        const maxSlope = THREE.MathUtils.degToRad(this.maxSlopeAngle);
+        if (this.isGrounded && !this.groundCollider && dx !== 0) {
+            const slope = this.getSlopeAt(this.position.x, this.position.z, Math.sign(dx));
+            if (slope > maxSlope) {
+                dx = 0;
+                this.velocity.x = 0;
+            } else {
+                dx *= Math.cos(slope);
+            }
+        }
         
         // Update position with velocity
-        this.position.x += this.velocity.x * dt;
+        this.position.x += dx;
         this.position.y += this.velocity.y * dt;
         
-        // Check ground collision
-        this.isGrounded = this.checkGroundCollision();
+        if (this.collisionManager) {
+            // Stop at the sides of rocks and buildings
+            const horizontal = this.collisionManager.resolveHorizontal(
+                this.position.x, previousX, this.position.z, this.halfWidth, previousY - 1, previousY + 1
+            );
+            if (horizontal.blocked) {
+                this.position.x = horizontal.x;
+                this.velocity.x = 0;
+            }
+            
+            // Bump the head on their undersides while rising
+            if (this.velocity.y > 0) {
+                const ceiling = this.collisionManager.getCeiling(
+                    this.position.x, this.position.z, this.halfWidth, previousY + 1, this.position.y + 1
+                );
+                if (ceiling !== null) {
+                    this.position.y = ceiling - 1;
+                    this.velocity.y = 0;
+                    this.isJumping = false;
+                }
+            }
+        }
+        
+        // Check ground collision (terrain, or platforms and other colliders the player falls onto).
+        // While walking, stay on the ground down slopes and over crests instead of briefly falling.
+        const support = this.getSupportAt(this.position.x, this.position.z, previousY - 1);
+        const snapDistance = this.isGrounded && !this.isJumping ? Math.abs(dx) * Math.tan(maxSlope) + 0.05 : 0;
+        const playerBottom = this.position.y - 1; // Adjust for character height
+        this.isGrounded = this.velocity.y <= 0 && playerBottom <= support.height + 0.1 + snapDistance;
+        this.groundCollider = this.isGrounded ? support.collider : null;
         
         // If on ground, stop falling and place on ground
         if (this.isGrounded) {
-            const groundHeight = this.getGroundHeightAt(this.position.x, this.position.z);
-            this.position.y = groundHeight + 1; // Adjust for character height
+            this.position.y = support.height + 1; // Adjust for character height
             this.velocity.y = 0;
         }
-        
-        // Update player mesh position
-        if (this.playerMesh) {
-            this.playerMesh.position.copy(this.position);
-            
-            // Update the PlayerCharacter's animation
-            if (this.playerCharacter && !this.keys.left && !this.keys.right) {
-                this.playerCharacter.update(dt);
+    }
+    
+    /**
+     * Change the tunable physics settings; values are clamped to PLAYER_PHYSICS_LIMITS
+     * @param {Object} options - Any of {gravity, jumpHeight, moveSpeed, coyoteTime, jumpBufferTime}
+     */
+    setPhysicsOptions(options = {}) {
+        Object.entries(PLAYER_PHYSICS_LIMITS).forEach(([name, { min, max }]) => {
+            const value = Number(options[name]);
+            if (options[name] !== undefined && options[name] !== null && Number.isFinite(value)) {
+                this[name] = Math.max(min, Math.min(max, value));
             }
-        }
+        });
     }
     
     /**
-     * Apply jump force if grounded
+     * Get the tunable physics settings
+     * @returns {Object} - {gravity, jumpHeight, moveSpeed, coyoteTime, jumpBufferTime}
      */
-    jump() {
-        if (this.isGrounded) {
-            this.velocity.y = this.jumpForce;
-            this.isGrounded = false;
-            console.log('Player jumped');
+    getPhysicsOptions() {
+        const options = {};
+        Object.keys(PLAYER_PHYSICS_LIMITS).forEach(name => {
+            options[name] = this[name];
+        });
+        return options;
+    }
+    
+    /**
+     * Make the character play an emote until it runs out or the player moves
+     * @param {string} name - Emote name (see getEmotes)
+     * @param {number} duration - Seconds to play it (the emote's own duration if omitted)
+     */
+    playEmote(name, duration) {
+        if (!this.playerCharacter) {
+            throw new Error('Player character not available');
         }
+        
+        this.playerCharacter.playEmote(name, duration);
+        console.log(`Player emote: ${name}`);
+    }
+    
+    /**
+     * Get the emotes the character can play
+     * @returns {Array} - Emote names
+     */
+    getEmotes() {
+        return CharacterAnimator.getEmotes();
+    }
+    
+    /**
+     * Get what the character is doing
+     * @returns {string|null} - Animation state (e.g., 'idle', 'run', 'dance'), or null without a character
+     */
+    getAnimationState() {
+        return this.playerCharacter ? this.playerCharacter.getAnimationState() : null;
     }
     
     /**
@@ -298,6 +459,54 @@ class PlayerManager {
             });
         }
     }
+    
+    /**
+     * Move the player to a position and stop any movement
+     * @param {Object} position - Position {x, y, z}
+     */
+    setPosition(position) {
+        this.position.set(position.x, position.y, position.z);
+        this.previousPosition.copy(this.position);
+        this.velocity.set(0, 0, 0);
+        this.isJumping = false;
+        this.jumpBufferTimer = 0;
+        
+        if (this.playerMesh) {
+            this.playerMesh.position.copy(this.position);
+        }
+    }
+    
+    /**
+     * Move the player back to the start position
+     */
+    resetPosition() {
+        this.setPosition({ x: 0, y: 10, z: 0 });
+    }
+    
+    /**
+     * Get the player's appearance as plain data
+     * @returns {Object} - Player state
+     */
+    getState() {
+        return {
+            color: this.playerCharacter ? this.playerCharacter.body.material.color.getHex() : null,
+            physics: this.getPhysicsOptions()
+        };
+    }
+    
+    /**
+     * Apply a player state captured by getState
+     * @param {Object} state - Player state
+     */
+    applyState(state) {
+        if (state.color !== null) {
+            this.changePlayerColor(state.color);
+        }
+        
+        if (state.physics) {
+            this.setPhysicsOptions(state.physics);
+        }
+    }
 }
 
 // Export the PlayerManager class
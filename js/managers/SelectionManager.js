@@ -0,0 +1,373 @@
+/**
+ * SelectionManager.js
+ * Responsible for selecting environment objects by clicking them in the 3D view.
+ * Selected objects are outlined, and commands such as delete_selected apply only to them.
+ */
+
+// Outline color of selected objects
+const SELECTION_OUTLINE_COLOR = 0xFFEB3B;
+
+// Outline thickness in clip space (about 3 pixels on a 1000 pixel high view)
+const SELECTION_OUTLINE_WIDTH = 0.006;
+
+// Words that refer to the selected objects ("make this one a castle", "delete selected")
+const SELECTION_REFERENCE_PATTERN = /\b(?:selected|selection|this(?:\s+one)?|these(?:\s+ones)?|that\s+one)\b/i;
+
+// How objects without a more specific type are described, by collection
+const SELECTION_COLLECTION_LABELS = {
+    trees: 'tree',
+    rocks: 'rock',
+    platforms: 'platform',
+    floatingIslands: 'floating island',
+    clouds: 'cloud',
+    buildings: 'building',
+    props: 'object'
+};
+
+class SelectionManager {
+    /**
+     * Create a selection manager
+     * @param {THREE.Scene} scene - The Three.js scene (outlines are added to it)
+     * @param {THREE.Camera} camera - The camera clicks are cast from
+     * @param {EnvironmentManager} environmentManager - The manager whose objects can be selected
+     */
+    constructor(scene, camera, environmentManager) {
+        this.scene = scene;
+        this.camera = camera;
+        this.environmentManager = environmentManager;
+        this.raycaster = new THREE.Raycaster();
+
+        // Selected object IDs in the order they were selected, and their outlines {group, node, sources}
+        this.selectedIds = [];
+        this.outlines = new Map();
+        this.outlineMaterial = this.createOutlineMaterial();
+
+        // Element clicks are read from (set via attach)
+        this.domElement = null;
+        this.onChangeCallbacks = [];
+    }
+
+    /**
+     * Check whether a request refers to the selected objects
+     * @param {string} input - User input text
+     * @returns {boolean} - True if the input contains words like "selected", "this one" or "these"
+     */
+    static isSelectionReference(input) {
+        return SELECTION_REFERENCE_PATTERN.test(input || '');
+    }
+
+    /**
+     * Select objects by clicking them: a click selects the object under the pointer,
+     * Shift+click adds or removes it, and clicking empty space clears the selection
+     * @param {HTMLElement} domElement - The renderer's canvas
+     */
+    attach(domElement) {
+        this.domElement = domElement;
+        domElement.addEventListener('click', (event) => {
+            this.selectAt(event.clientX, event.clientY, event.shiftKey);
+        });
+    }
+
+    /**
+     * Find the object under a point of the view
+     * @param {number} clientX - Horizontal position in CSS pixels
+     * @param {number} clientY - Vertical position in CSS pixels
+     * @returns {string|null} - ID of the nearest object under the point, or null
+     */
+    pickAt(clientX, clientY) {
+        if (!this.camera || !this.environmentManager) {
+            return null;
+        }
+
+        const rect = this.domElement
+            ? this.domElement.getBoundingClientRect()
+            : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+        const pointer = new THREE.Vector2(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+
+        // Cast against the scene nodes of all objects and map hits back to the object that owns them
+        const owners = new Map();
+        this.environmentManager.getCollectionDefinitions().forEach(({ name, objectKey }) => {
+            this.environmentManager[name].forEach(object => {
+                if (object[objectKey]) owners.set(object[objectKey], object);
+            });
+        });
+
+        const hits = this.raycaster.intersectObjects([...owners.keys()], true);
+        for (const hit of hits) {
+            let node = hit.object;
+            while (node && !owners.has(node)) {
+                node = node.parent;
+            }
+            if (node) {
+                return owners.get(node).id;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Select the object under a point of the view
+     * @param {number} clientX - Horizontal position in CSS pixels
+     * @param {number} clientY - Vertical position in CSS pixels
+     * @param {boolean} additive - Add or remove the object instead of replacing the selection
+     * @returns {string|null} - ID of the clicked object, or null if the click hit nothing
+     */
+    selectAt(clientX, clientY, additive = false) {
+        const objectId = this.pickAt(clientX, clientY);
+
+        if (!objectId) {
+            if (!additive) this.clear();
+            return null;
+        }
+
+        if (additive) {
+            this.toggle(objectId);
+        } else {
+            this.select([objectId]);
+        }
+
+        return objectId;
+    }
+
+    /**
+     * Select objects by ID
+     * @param {Array} objectIds - IDs of the objects to select (unknown IDs are ignored)
+     * @param {boolean} additive - Keep the current selection and add to it
+     */
+    select(objectIds, additive = false) {
+        const existing = objectIds.filter(objectId => this.environmentManager.findObject(objectId));
+        const selectedIds = additive ? [...this.selectedIds] : [];
+        existing.forEach(objectId => {
+            if (!selectedIds.includes(objectId)) selectedIds.push(objectId);
+        });
+
+        this.setSelection(selectedIds);
+    }
+
+    /**
+     * Add an object to the selection, or remove it if it is already selected
+     * @param {string} objectId - ID of the object
+     */
+    toggle(objectId) {
+        if (this.selectedIds.includes(objectId)) {
+            this.setSelection(this.selectedIds.filter(selectedId => selectedId !== objectId));
+        } else {
+            this.select([objectId], true);
+        }
+    }
+
+    /**
+     * Deselect all objects
+     */
+    clear() {
+        if (this.selectedIds.length > 0) {
+            this.setSelection([]);
+        }
+    }
+
+    /**
+     * Get the IDs of the selected objects
+     * @returns {Array} - Object IDs in the order they were selected
+     */
+    getSelectedIds() {
+        return [...this.selectedIds];
+    }
+
+    /**
+     * Describe the selected objects as plain data (for the selection panel and prompts)
+     * @returns {Array} - Array of {id, type, position}, e.g. {id: 'tree_3', type: 'pine tree', position: {x, y, z}}
+     */
+    describeSelection() {
+        return this.selectedIds
+            .map(objectId => this.environmentManager.findObject(objectId))
+            .filter(Boolean)
+            .map(({ collection, object, node }) => ({
+                id: object.id,
+                type: this.getObjectType(collection, object),
+                position: this.roundPosition(node ? node.position : object.position)
+            }));
+    }
+
+    /**
+     * Keep the outlines on their objects and drop objects that no longer exist (after undo or
+     * delete). Call once per frame.
+     */
+    update() {
+        const missing = this.selectedIds.filter(objectId => !this.environmentManager.findObject(objectId));
+        if (missing.length > 0) {
+            this.setSelection(this.selectedIds.filter(objectId => !missing.includes(objectId)));
+        }
+
+        this.outlines.forEach((outline, objectId) => {
+            const { node } = this.environmentManager.findObject(objectId);
+
+            // Recolor and undo swap in a new node with the same ID, and models that finish loading add meshes
+            if (outline.node !== node || outline.sources.length !== this.getMeshes(node).length) {
+                this.scene.remove(outline.group);
+                outline = this.createOutline(node);
+                this.scene.add(outline.group);
+                this.outlines.set(objectId, outline);
+            }
+
+            this.syncOutline(outline);
+        });
+    }
+
+    /**
+     * Register a callback to be called whenever the selection changes
+     * @param {Function} callback - The callback function
+     */
+    onChange(callback) {
+        if (typeof callback === 'function') {
+            this.onChangeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Replace the selection and update the outlines
+     * @param {Array} selectedIds - IDs of the objects to select
+     * @private
+     */
+    setSelection(selectedIds) {
+        this.selectedIds = selectedIds;
+
+        // Remove outlines of deselected objects (they share the objects' geometries, so nothing is disposed)
+        this.outlines.forEach((outline, objectId) => {
+            if (!selectedIds.includes(objectId)) {
+                this.scene.remove(outline.group);
+                this.outlines.delete(objectId);
+            }
+        });
+
+        // Outline newly selected objects
+        selectedIds.forEach(objectId => {
+            if (this.outlines.has(objectId)) return;
+
+            const outline = this.createOutline(this.environmentManager.findObject(objectId).node);
+            this.syncOutline(outline);
+            this.scene.add(outline.group);
+            this.outlines.set(objectId, outline);
+        });
+
+        this._notifyChange();
+    }
+
+    /**
+     * Create the material outlines are drawn with: the back faces of each mesh, pushed outwards
+     * along their normals on screen, show as a rim of constant width around the object
+     * @returns {THREE.Material} - Outline material
+     * @private
+     */
+    createOutlineMaterial() {
+        const material = new THREE.MeshBasicMaterial({ color: SELECTION_OUTLINE_COLOR, side: THREE.BackSide });
+        material.onBeforeCompile = (shader) => {
+            shader.vertexShader = shader.vertexShader.replace('#include <project_vertex>', `#include <project_vertex>
+                vec4 outlineNormal = projectionMatrix * modelViewMatrix * vec4( normal, 0.0 );
+                if ( length( outlineNormal.xy ) > 0.0 ) {
+                    gl_Position.xy += normalize( outlineNormal.xy ) * ${SELECTION_OUTLINE_WIDTH} * gl_Position.w;
+                }`);
+        };
+        return material;
+    }
+
+    /**
+     * Create an outline for an object: a copy of each of its meshes drawn with the outline material
+     * @param {THREE.Object3D} node - Scene node of the object
+     * @returns {Object} - Outline {group, node, sources}: the group added to the scene, the object's
+     *                     node and the meshes the group's children copy
+     * @private
+     */
+    createOutline(node) {
+        const group = new THREE.Group();
+        const sources = this.getMeshes(node);
+        sources.forEach(source => {
+            const mesh = new THREE.Mesh(source.geometry, this.outlineMaterial);
+
+            // Placed from the source mesh's world matrix (see syncOutline)
+            mesh.matrixAutoUpdate = false;
+            group.add(mesh);
+        });
+
+        return { group, node, sources };
+    }
+
+    /**
+     * Move an outline's meshes onto the meshes they copy
+     * @param {Object} outline - Outline from createOutline
+     * @private
+     */
+    syncOutline(outline) {
+        outline.node.updateWorldMatrix(true, true);
+        outline.sources.forEach((source, index) => {
+            const mesh = outline.group.children[index];
+            mesh.matrix.copy(source.matrixWorld);
+            mesh.visible = source.visible;
+        });
+    }
+
+    /**
+     * Get the meshes below a node
+     * @param {THREE.Object3D} node - Scene node
+     * @returns {Array} - Meshes with geometry
+     * @private
+     */
+    getMeshes(node) {
+        const meshes = [];
+        node.traverse(child => {
+            if (child.isMesh && child.geometry) meshes.push(child);
+        });
+        return meshes;
+    }
+
+    /**
+     * Describe what kind of object something is
+     * @param {string} collection - Collection the object is in
+     * @param {Object} object - The object
+     * @returns {string} - e.g., 'pine tree', 'castle', 'rock'
+     * @private
+     */
+    getObjectType(collection, object) {
+        const options = object.options || {};
+        const source = object.source || {};
+
+        if (options.treeType) return `${options.treeType.replace(/_/g, ' ')} tree`;
+        if (source.subtype) return source.subtype.replace(/_/g, ' ');
+        if (source.buildingType) return source.buildingType;
+        return SELECTION_COLLECTION_LABELS[collection] || collection;
+    }
+
+    /**
+     * Round a position for display
+     * @param {Object} position - Position {x, y, z}
+     * @returns {Object} - Position rounded to one decimal
+     * @private
+     */
+    roundPosition(position) {
+        const round = (value) => Math.round((value || 0) * 10) / 10;
+        return { x: round(position.x), y: round(position.y), z: round(position.z) };
+    }
+
+    /**
+     * Notify all registered callbacks that the selection changed
+     * @private
+     */
+    _notifyChange() {
+        this.onChangeCallbacks.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Error in selection change callback:', error);
+            }
+        });
+    }
+}
+
+// Export the SelectionManager class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SelectionManager };
+}
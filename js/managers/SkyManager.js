@@ -15,6 +15,8 @@ class SkyManager {
         this.skyTexture = null;
         this.skyMesh = null;
         this.fog = null;
+        this.defaultFogDensity = 0.002;
+        this.lightningLight = null;
         
         // Initialize with default sky
         this.initDefaultSky();
@@ -28,7 +30,7 @@ class SkyManager {
         this.scene.background = new THREE.Color(this.skyColor);
         
         // Add fog for depth
-        this.fog = new THREE.FogExp2(this.skyColor, 0.002);
+        this.fog = new THREE.FogExp2(this.skyColor, this.defaultFogDensity);
         this.scene.fog = this.fog;
         
         // Add ambient light for overall scene illumination
@@ -56,6 +58,55 @@ class SkyManager {
         if (this.fog) this.fog.color.set(this.skyColor);
     }
     
+    /**
+     * Change the fog density (the fog color always follows the sky color)
+     * @param {number} density - Exponential fog density (e.g., 0.002 for light haze)
+     */
+    setFogDensity(density) {
+        if (this.fog) {
+            this.fog.density = density;
+        }
+    }
+    
+    /**
+     * Restore the default fog density
+     */
+    resetFogDensity() {
+        this.setFogDensity(this.defaultFogDensity);
+    }
+    
+    /**
+     * Add a lightning light used for storm flashes (starts dark)
+     */
+    addLightning() {
+        if (this.lightningLight) return;
+        
+        this.lightningLight = new THREE.DirectionalLight(0xDDE6FF, 0);
+        this.lightningLight.position.set(-40, 120, 60);
+        this.scene.add(this.lightningLight);
+    }
+    
+    /**
+     * Set the intensity of the lightning light
+     * @param {number} intensity - Light intensity (0 for no flash)
+     */
+    setLightningIntensity(intensity) {
+        if (this.lightningLight) {
+            this.lightningLight.intensity = intensity;
+        }
+    }
+    
+    /**
+     * Remove the lightning light from the scene
+     */
+    removeLightning() {
+        if (this.lightningLight) {
+            this.scene.remove(this.lightningLight);
+            this.lightningLight.dispose();
+            this.lightningLight = null;
+        }
+    }
+    
     /**
      * Change the ambient light color
      * @param {string|number} colorHex - Color in hex format (e.g., '#FFFFFF' or 0xFFFFFF)
@@ -248,6 +299,56 @@ class SkyManager {
             this.addSun({ position: { x: 100, y: 10, z: 100 }, color: 0xff5500 });
         }
     }
+    
+    /**
+     * Get the current sky state as plain data
+     * @returns {Object} - Sky state (sky color, ambient light, sun and moon)
+     */
+    getState() {
+        const describeBody = (mesh) => {
+            if (!mesh) return null;
+            return {
+                position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
+                size: mesh.geometry.parameters.radius,
+                color: mesh.material.color.getHex()
+            };
+        };
+        
+        return {
+            skyColor: this.skyColor,
+            ambientLight: this.ambientLight ? {
+                color: this.ambientLight.color.getHex(),
+                intensity: this.ambientLight.intensity
+            } : null,
+            sun: describeBody(this.sun),
+            moon: describeBody(this.moon)
+        };
+    }
+    
+    /**
+     * Apply a sky state captured by getState
+     * @param {Object} state - Sky state
+     */
+    applyState(state) {
+        const current = this.getState();
+        
+        this.changeSkyColor(state.skyColor);
+        
+        if (state.ambientLight) {
+            this.changeAmbientLightColor(state.ambientLight.color, state.ambientLight.intensity);
+        }
+        
+        // Only rebuild the sun and moon when they actually changed
+        if (JSON.stringify(current.sun) !== JSON.stringify(state.sun)) {
+            this.removeSun();
+            if (state.sun) this.addSun(state.sun);
+        }
+        
+        if (JSON.stringify(current.moon) !== JSON.stringify(state.moon)) {
+            this.removeMoon();
+            if (state.moon) this.addMoon(state.moon);
+        }
+    }
 }
 
 // Export the SkyManager class
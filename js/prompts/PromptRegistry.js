@@ -0,0 +1,220 @@
+/**
+ * PromptRegistry.js
+ * Registry of code generator subtypes (skyscraper, castle, statue, ...).
+ * Each subtype registers its system prompt, the size its meshes are scaled to, the
+ * EnvironmentManager collection it is stored in and the rule used to place it, so new
+ * generators can be added without touching the router or the environment manager.
+ */
+
+// Registered subtype definitions keyed by subtype name
+const PROMPT_REGISTRY_DEFINITIONS = new Map();
+
+// Placement rules understood by EnvironmentManager.getPlacementPositions
+const PROMPT_PLACEMENT_RULES = ['replace_trees', 'in_front', 'row', 'scatter'];
+
+// Most objects a single request may place
+const PROMPT_MAX_OBJECT_COUNT = 20;
+
+// Collections generated objects can be stored in
+const PROMPT_TARGET_COLLECTIONS = ['buildings', 'props'];
+
+// Sandbox rules shared by every generated prompt (see CodeEvaluator)
+const PROMPT_SANDBOX_LIMITS = `
+Sandbox limits (the code runs in an isolated sandbox, anything else fails):
+- Available: THREE.Group, THREE.Mesh, THREE.Color, THREE.Vector3, THREE.MathUtils, THREE.DoubleSide
+- Geometries: Box, Sphere, Cylinder, Cone, Torus, TorusKnot, Plane, Circle, Ring, Capsule, Tetrahedron, Octahedron, Icosahedron, Dodecahedron
+- Materials: MeshStandardMaterial, MeshLambertMaterial, MeshPhongMaterial, MeshBasicMaterial (colors and numeric properties only, no textures)
+- At most 128 segments per geometry parameter, 400 parts and 150,000 triangles per object
+- No window, document, fetch, localStorage or timers
+- Loops need a constant start, bound and step (at most 1000 iterations) and must not change their loop variable in the body, and the code must end with a return statement
+`;
+
+class PromptRegistry {
+    /**
+     * Register a code generator subtype, replacing any earlier definition with the same name
+     * @param {string} subtype - Subtype name (e.g., 'lamp_post')
+     * @param {Object} definition - Subtype definition
+     * @param {string} definition.prompt - System prompt (optional, built from the other fields when missing)
+     * @param {string} definition.description - What the object is, used in built prompts (e.g., 'a fantasy castle')
+     * @param {Array} definition.guidelines - Extra design guidelines for built prompts (optional)
+     * @param {Array} definition.aliases - Other words that mean this subtype (optional)
+     * @param {Object} definition.size - Target size {height: [min, max], width: [min, max], depth: [min, max], variation}
+     * @param {string} definition.collection - EnvironmentManager collection: 'buildings' or 'props'
+     * @param {Object} definition.placement - Placement {rule, count, distance, spacing, radius, offset}
+     * @param {string} definition.objectType - Type stored on placed objects (optional, defaults to the subtype)
+     * @param {string} definition.fallback - 'skyscraper' to build plain skyscrapers when the code fails (optional)
+     * @returns {Object} - The stored definition
+     * @throws {Error} - If the definition is invalid
+     */
+    static register(subtype, definition) {
+        const name = PromptRegistry.normalizeName(subtype);
+        if (!name) {
+            throw new Error('Code generator subtype needs a name');
+        }
+
+        const collection = definition.collection || 'props';
+        if (!PROMPT_TARGET_COLLECTIONS.includes(collection)) {
+            throw new Error(`Unknown target collection for ${name}: ${collection}`);
+        }
+
+        const placement = { rule: 'in_front', count: 1, ...definition.placement };
+        if (!PROMPT_PLACEMENT_RULES.includes(placement.rule)) {
+            throw new Error(`Unknown placement rule for ${name}: ${placement.rule}`);
+        }
+
+        const stored = {
+            ...definition,
+            subtype: name,
+            description: definition.description || `a fantasy ${name.replace(/_/g, ' ')}`,
+            aliases: (definition.aliases || []).map(alias => PromptRegistry.normalizeName(alias)),
+            size: PromptRegistry.normalizeSize(definition.size),
+            collection,
+            placement,
+            objectType: definition.objectType || name,
+            fallback: definition.fallback || null
+        };
+        stored.prompt = definition.prompt || PromptRegistry.buildPrompt(stored);
+
+        PROMPT_REGISTRY_DEFINITIONS.set(name, stored);
+        return stored;
+    }
+
+    /**
+     * Get a registered subtype by name or alias
+     * @param {string} subtype - Subtype name or alias (e.g., 'lamp post', 'dragon')
+     * @returns {Object|null} - The definition, or null if nothing matches
+     */
+    static get(subtype) {
+        const name = PromptRegistry.normalizeName(subtype);
+        if (PROMPT_REGISTRY_DEFINITIONS.has(name)) {
+            return PROMPT_REGISTRY_DEFINITIONS.get(name);
+        }
+
+        for (const definition of PROMPT_REGISTRY_DEFINITIONS.values()) {
+            if (definition.aliases.includes(name)) {
+                return definition;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a registered subtype, or a generic definition for subtypes nobody registered
+     * @param {string} subtype - Subtype name or alias
+     * @returns {Object} - The definition
+     */
+    static resolve(subtype) {
+        const definition = PromptRegistry.get(subtype);
+        if (definition) {
+            return definition;
+        }
+
+        const name = PromptRegistry.normalizeName(subtype) || 'object';
+        const generic = {
+            subtype: name,
+            description: `a fantasy ${name.replace(/_/g, ' ')}`,
+            aliases: [],
+            size: PromptRegistry.normalizeSize(),
+            collection: 'props',
+            placement: { rule: 'in_front', count: 1 },
+            objectType: name,
+            fallback: null
+        };
+        generic.prompt = PromptRegistry.buildPrompt(generic);
+
+        return generic;
+    }
+
+    /**
+     * List the registered subtype names
+     * @returns {Array} - Subtype names in registration order
+     */
+    static list() {
+        return [...PROMPT_REGISTRY_DEFINITIONS.keys()];
+    }
+
+    /**
+     * Remove a registered subtype
+     * @param {string} subtype - Subtype name
+     * @returns {boolean} - True if the subtype was registered
+     */
+    static unregister(subtype) {
+        return PROMPT_REGISTRY_DEFINITIONS.delete(PromptRegistry.normalizeName(subtype));
+    }
+
+    /**
+     * Build a system prompt from a definition's description, guidelines and size
+     * @param {Object} definition - Subtype definition (see register)
+     * @returns {string} - System prompt
+     */
+    static buildPrompt(definition) {
+        const { height, width, depth } = definition.size;
+        const guidelines = (definition.guidelines || []).map(line => `- ${line}`).join('\n');
+
+        // Objects that do not replace trees can be placed several times
+        const countField = definition.placement.rule === 'replace_trees'
+            ? ''
+            : `,\n  "count": "Optional number of objects the player asked for (default ${definition.placement.count || 1}, at most ${PROMPT_MAX_OBJECT_COUNT})"`;
+
+        return `
+You are a 3D environment assistant for a fantasy game built with Three.js (JavaScript based).
+
+When the player asks for ${definition.description}, output ONLY a pure JSON object.
+
+The JSON must contain:
+
+{
+  "javascript_code_snippet": "JS code string that creates and returns a Three.js Mesh or Group for ${definition.description}",
+  "comments": "Optional inline comments explaining what the code does"${countField}
+}
+
+Code Requirements:
+- Use Three.js syntax and combine several geometries into one THREE.Group.
+- Apply MeshStandardMaterial or MeshLambertMaterial with colors that suit a stylized fantasy world.
+- Build the object around the origin with its base at y = 0, facing the +z direction.
+- Target dimensions (the object is scaled to fit, so keep these proportions):
+   - Height: ${height[0]}–${height[1]} units
+   - Width: ${width[0]}–${width[1]} units
+   - Depth: ${depth[0]}–${depth[1]} units
+${guidelines}
+
+Rules:
+- ONLY return JSON, no extra explanation outside JSON.
+- Keep the JS code snippet clean, safe, and lightweight.
+- No external assets, no HTML DOM changes, no CSS classes.
+- Only Three.js compatible object creation.
+- Your code MUST return a valid Three.js Object3D (Mesh, Group, etc.)
+${PROMPT_SANDBOX_LIMITS}`;
+    }
+
+    /**
+     * Normalize a subtype name ('Lamp Post' → 'lamp_post')
+     * @param {string} subtype - Subtype name
+     * @returns {string} - Normalized name
+     * @private
+     */
+    static normalizeName(subtype) {
+        return String(subtype || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+    }
+
+    /**
+     * Fill in missing size ranges with defaults
+     * @param {Object} size - Size {height, width, depth, variation} (optional)
+     * @returns {Object} - Complete size definition
+     * @private
+     */
+    static normalizeSize(size = {}) {
+        return {
+            height: size.height || [4, 8],
+            width: size.width || [3, 6],
+            depth: size.depth || [3, 6],
+            variation: size.variation !== undefined ? size.variation : 0
+        };
+    }
+}
+
+// Export the PromptRegistry class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PromptRegistry, PROMPT_PLACEMENT_RULES, PROMPT_TARGET_COLLECTIONS, PROMPT_MAX_OBJECT_COUNT };
+}
@@ -0,0 +1,78 @@
+/**
+ * objectPrompts.js
+ * Registers the built-in code generator subtypes besides skyscrapers.
+ * Prompts are built by PromptRegistry from each description, its guidelines and the size range.
+ */
+
+PromptRegistry.register('castle', {
+    description: 'a fantasy castle',
+    aliases: ['castles', 'fortress', 'citadel', 'keep'],
+    guidelines: [
+        'Combine a keep, corner towers with conical roofs, connecting walls and a gate facing +z.',
+        'Add battlements, banners or glowing windows for a storybook look.'
+    ],
+    size: { height: [18, 28], width: [20, 30], depth: [20, 30] },
+    collection: 'buildings',
+    placement: { rule: 'in_front', count: 1, distance: 50 }
+});
+
+PromptRegistry.register('bridge', {
+    description: 'a fantasy bridge',
+    aliases: ['bridges', 'footbridge'],
+    guidelines: [
+        'The bridge spans the x axis: a walkable deck with arches or supports at both ends.',
+        'Add railings, lanterns or carved posts; keep the deck flat so it could be walked on.'
+    ],
+    size: { height: [3, 8], width: [24, 36], depth: [5, 8] },
+    collection: 'buildings',
+    placement: { rule: 'in_front', count: 1, distance: 30 }
+});
+
+PromptRegistry.register('statue', {
+    description: 'a fantasy statue on a pedestal',
+    aliases: ['statues', 'sculpture', 'monument'],
+    guidelines: [
+        'Start with a pedestal and build a stylized figure (hero, animal or abstract shape) on top of it.',
+        'Use stone, marble or bronze-like colors with a little metalness.'
+    ],
+    size: { height: [6, 12], width: [3, 5], depth: [3, 5] },
+    collection: 'props',
+    placement: { rule: 'in_front', count: 1, distance: 15 }
+});
+
+PromptRegistry.register('vehicle', {
+    description: 'a stylized fantasy vehicle',
+    aliases: ['vehicles', 'car', 'cart', 'carriage', 'wagon', 'boat', 'ship', 'airship'],
+    guidelines: [
+        'The front of the vehicle points towards +z; wheels, runners or a hull sit at y = 0.',
+        'Keep it toy-like and chunky, with bright accent colors.'
+    ],
+    size: { height: [3, 5], width: [3, 4], depth: [6, 9] },
+    collection: 'props',
+    placement: { rule: 'in_front', count: 1, distance: 12 }
+});
+
+PromptRegistry.register('creature', {
+    description: 'a cute stylized fantasy creature',
+    aliases: ['creatures', 'dragon', 'monster', 'animal', 'beast', 'pet', 'robot'],
+    guidelines: [
+        'Build the body, head, legs and details (wings, horns, tail) from simple rounded shapes.',
+        'The creature faces +z and stands on the ground at y = 0.',
+        'Vary colors slightly with Math.random() so a group of creatures looks different.'
+    ],
+    size: { height: [3, 8], width: [2, 5], depth: [4, 9], variation: 0.15 },
+    collection: 'props',
+    placement: { rule: 'scatter', count: 3, distance: 20, radius: 12 }
+});
+
+PromptRegistry.register('lamp_post', {
+    description: 'a fantasy lamp post',
+    aliases: ['lamp_posts', 'lamppost', 'lampposts', 'lamp', 'lamps', 'lantern', 'lanterns', 'street_lamp', 'streetlight'],
+    guidelines: [
+        'A slim post with a decorative base and a lantern or glowing orb at the top.',
+        'Give the light part an emissive color so it reads as lit at night.'
+    ],
+    size: { height: [5, 7], width: [1, 2], depth: [1, 2] },
+    collection: 'props',
+    placement: { rule: 'row', count: 6, distance: 8, spacing: 8, offset: 4 }
+});
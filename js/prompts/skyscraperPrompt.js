@@ -3,6 +3,9 @@
  * Contains the system prompt for generating skyscrapers using OpenAI
  */
 
+// Size skyscrapers are scaled to; the prompt asks for the same dimensions
+const SKYSCRAPER_SIZE = { height: [20, 30], width: [5, 8], depth: [5, 8], variation: 0.1 };
+
 const SKYSCRAPER_SYSTEM_PROMPT = `
 You are a 3D environment assistant for a fantasy game built with Three.js (JavaScript based).
 
@@ -20,10 +23,10 @@ Code Requirements:
 - Use Three.js syntax to create fantasy skyscraper meshes.
 - Go beyond simple BoxGeometry when possible - consider using combinations of geometries for more interesting shapes.
 - Apply MeshStandardMaterial or MeshLambertMaterial with magical pastel colors (e.g., light blue, soft lavender, mint green).
-- Target skyscraper dimensions:
-   - Height: 25–50 units
-   - Width: 2–5 units
-   - Depth: 2–5 units
+- Target skyscraper dimensions (the skyscraper is scaled to fit, so keep these proportions):
+   - Height: ${SKYSCRAPER_SIZE.height[0]}–${SKYSCRAPER_SIZE.height[1]} units
+   - Width: ${SKYSCRAPER_SIZE.width[0]}–${SKYSCRAPER_SIZE.width[1]} units
+   - Depth: ${SKYSCRAPER_SIZE.depth[0]}–${SKYSCRAPER_SIZE.depth[1]} units
 - Keep proportions suitable for a fantasy cityscape (tall and elegant).
 - Add slight randomness (5–10%) to height and width if possible.
 - Consider adding magical elements like:
@@ -35,7 +38,7 @@ Code Requirements:
 Example JSON you should return:
 
 {
-  "javascript_code_snippet": "// Create a fancy fantasy skyscraper\nconst baseGeometry = new THREE.BoxGeometry(3, 30, 3);\nconst topGeometry = new THREE.ConeGeometry(2, 10, 4);\nconst baseMaterial = new THREE.MeshStandardMaterial({ color: '#8ecae6', roughness: 0.7 });\nconst topMaterial = new THREE.MeshStandardMaterial({ color: '#ffafcc', metalness: 0.3 });\nconst baseSection = new THREE.Mesh(baseGeometry, baseMaterial);\nconst topSection = new THREE.Mesh(topGeometry, topMaterial);\ntopSection.position.y = 20;\nconst skyscraper = new THREE.Group();\nskyscraper.add(baseSection);\nskyscraper.add(topSection);\nskyscraper.position.y = 15;\nreturn skyscraper;",
+  "javascript_code_snippet": "// Create a fancy fantasy skyscraper\nconst baseGeometry = new THREE.BoxGeometry(6, 20, 6);\nconst topGeometry = new THREE.ConeGeometry(4, 6, 4);\nconst baseMaterial = new THREE.MeshStandardMaterial({ color: '#8ecae6', roughness: 0.7 });\nconst topMaterial = new THREE.MeshStandardMaterial({ color: '#ffafcc', metalness: 0.3 });\nconst baseSection = new THREE.Mesh(baseGeometry, baseMaterial);\nconst topSection = new THREE.Mesh(topGeometry, topMaterial);\ntopSection.position.y = 13;\nconst skyscraper = new THREE.Group();\nskyscraper.add(baseSection);\nskyscraper.add(topSection);\nskyscraper.position.y = 10;\nreturn skyscraper;",
   "comments": "Creates a fantasy skyscraper with a blue base and pink spire top"
 }
 
@@ -46,6 +49,14 @@ Rules:
 - Only Three.js compatible object creation.
 - Your code MUST return a valid Three.js Object3D (Mesh, Group, etc.)
 
+Sandbox limits (the code runs in an isolated sandbox, anything else fails):
+- Available: THREE.Group, THREE.Mesh, THREE.Color, THREE.Vector3, THREE.MathUtils, THREE.DoubleSide
+- Geometries: Box, Sphere, Cylinder, Cone, Torus, TorusKnot, Plane, Circle, Ring, Capsule, Tetrahedron, Octahedron, Icosahedron, Dodecahedron
+- Materials: MeshStandardMaterial, MeshLambertMaterial, MeshPhongMaterial, MeshBasicMaterial (colors and numeric properties only, no textures)
+- At most 128 segments per geometry parameter, 400 parts and 150,000 triangles per skyscraper
+- No window, document, fetch, localStorage or timers
+- Loops need a constant start, bound and step (at most 1000 iterations), and the code must end with a return statement
+
 Focus:
 - Directly usable code snippets.
 - Skyscrapers should look fantasy, magical, stylized - not realistic modern buildings.
@@ -54,7 +65,21 @@ Focus:
 - Creative and varied designs that would look good in a magical cityscape.
 `;
 
+// Skyscrapers replace the trees and fall back to plain buildings when the code fails
+if (typeof PromptRegistry !== 'undefined') {
+    PromptRegistry.register('skyscraper', {
+        prompt: SKYSCRAPER_SYSTEM_PROMPT,
+        description: 'a stylized fantasy skyscraper',
+        aliases: ['skyscrapers', 'high_rise'],
+        size: SKYSCRAPER_SIZE,
+        collection: 'buildings',
+        placement: { rule: 'replace_trees', count: null },
+        objectType: 'fantasy_skyscraper',
+        fallback: 'skyscraper'
+    });
+}
+
 // Export the prompt
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { SKYSCRAPER_SYSTEM_PROMPT };
+    module.exports = { SKYSCRAPER_SYSTEM_PROMPT, SKYSCRAPER_SIZE };
 }
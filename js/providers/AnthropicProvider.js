@@ -0,0 +1,113 @@
+/**
+ * AnthropicProvider.js
+ * Chat completions on the Anthropic Messages API.
+ * The API has no JSON mode, so JSON replies are prefilled with an opening brace.
+ */
+
+class AnthropicProvider extends LLMProvider {
+    /**
+     * Create an Anthropic provider
+     * @param {Object} options - Provider options (see LLMProvider)
+     * @param {number} options.maxTokens - Maximum tokens in a reply
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.id = 'anthropic';
+        this.displayName = 'Anthropic';
+        this.models = [
+            { value: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5' },
+            { value: 'claude-haiku-4-5', label: 'Claude Haiku 4.5' },
+            { value: 'claude-opus-4-1', label: 'Claude Opus 4.1' }
+        ];
+        this.defaultBaseUrl = 'https://api.anthropic.com/v1';
+        this.maxTokens = options.maxTokens || 4096;
+    }
+
+    /**
+     * Build the HTTP request for /messages
+     * @param {Object} request - Request options (see LLMProvider.complete)
+     * @returns {Object} - {url, headers, body}
+     */
+    buildRequest(request) {
+        const messages = [...request.messages];
+
+        // Start the reply with a brace so the model continues a JSON object
+        if (request.json) {
+            messages.push({ role: 'assistant', content: '{' });
+        }
+
+        return {
+            url: `${this.getBaseUrl()}/messages`,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true' // Required for calls from the browser
+            },
+            body: {
+                model: request.model,
+                system: request.systemPrompt,
+                messages,
+                max_tokens: this.maxTokens,
+                temperature: request.temperature,
+                ...(request.stream ? { stream: true } : {})
+            }
+        };
+    }
+
+    /**
+     * Check whether the backend can stream replies as server-sent events
+     * @returns {boolean} - True if streaming is supported
+     */
+    supportsStreaming() {
+        return true;
+    }
+
+    /**
+     * Get text the streamed reply starts with: the prefilled brace of JSON replies
+     * @param {Object} request - Request options (see LLMProvider.complete)
+     * @returns {string} - Prefix text
+     */
+    getStreamPrefix(request) {
+        return request.json ? '{' : '';
+    }
+
+    /**
+     * Pull the new reply text out of a Messages API stream event
+     * @param {Object} event - Parsed event
+     * @returns {string|null} - Text added by the event
+     */
+    parseStreamEvent(event) {
+        if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+            return event.delta.text;
+        }
+
+        return null;
+    }
+
+    /**
+     * Pull the reply text out of a Messages API response
+     * @param {Object} data - Parsed response body
+     * @param {Object} request - Request options (see LLMProvider.complete)
+     * @returns {string|null} - Reply text
+     */
+    parseResponse(data, request) {
+        if (!Array.isArray(data.content)) {
+            return null;
+        }
+
+        const text = data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        // Put back the prefilled brace
+        return request.json ? `{${text}` : text;
+    }
+}
+
+// Export the AnthropicProvider class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnthropicProvider };
+}
@@ -0,0 +1,265 @@
+/**
+ * LLMProvider.js
+ * Base class for the chat completion backends used by NaturalLanguageRouter.
+ * A provider turns a system prompt and a list of messages into an HTTP request for its API
+ * and pulls the reply text back out, so the router does not depend on any one request shape.
+ */
+
+class LLMProvider {
+    /**
+     * Create a provider
+     * @param {Object} options - Provider options
+     * @param {string} options.apiKey - API key for the backend
+     * @param {string} options.baseUrl - Base URL of the API (optional, defaults per provider)
+     */
+    constructor(options = {}) {
+        this.id = 'base';
+        this.displayName = 'LLM';
+        this.requiresApiKey = true;
+        this.models = [];
+        this.defaultBaseUrl = '';
+
+        this.apiKey = options.apiKey || '';
+        this.baseUrl = options.baseUrl || '';
+    }
+
+    /**
+     * Get the provider classes by id
+     * @returns {Object} - Map of provider id to provider class
+     */
+    static getProviderClasses() {
+        return {
+            openai: OpenAIProvider,
+            openai_compatible: OpenAICompatibleProvider,
+            anthropic: AnthropicProvider
+        };
+    }
+
+    /**
+     * Create a provider by id
+     * @param {string} id - Provider id ('openai', 'openai_compatible' or 'anthropic')
+     * @param {Object} options - Provider options
+     * @returns {LLMProvider} - The provider
+     */
+    static create(id, options = {}) {
+        const ProviderClass = LLMProvider.getProviderClasses()[id];
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider: ${id}`);
+        }
+
+        return new ProviderClass(options);
+    }
+
+    /**
+     * List the available providers
+     * @returns {Array} - Array of {id, displayName, requiresApiKey, models}
+     */
+    static listProviders() {
+        return Object.keys(LLMProvider.getProviderClasses()).map(id => {
+            const provider = LLMProvider.create(id);
+            return {
+                id,
+                displayName: provider.displayName,
+                requiresApiKey: provider.requiresApiKey,
+                models: provider.models
+            };
+        });
+    }
+
+    /**
+     * Get the base URL without a trailing slash
+     * @returns {string} - Base URL
+     */
+    getBaseUrl() {
+        return (this.baseUrl || this.defaultBaseUrl).replace(/\/+$/, '');
+    }
+
+    /**
+     * Send a chat completion request
+     * @param {Object} request - Request options
+     * @param {string} request.systemPrompt - System prompt
+     * @param {Array} request.messages - Conversation messages [{role: 'user'|'assistant', content}]
+     * @param {string} request.model - Model name
+     * @param {number} request.temperature - Sampling temperature
+     * @param {number} request.topP - Nucleus sampling value
+     * @param {boolean} request.json - Whether the reply must be a JSON object
+     * @param {Object} request.jsonSchema - JSON Schema the reply must follow {name, schema} (optional, used
+     *                                      by backends with structured output, others only get JSON mode)
+     * @param {AbortSignal} request.signal - Signal used to cancel the request (optional)
+     * @param {Function} request.onToken - Called with (textSoFar, delta) as a streamed reply arrives (optional;
+     *                                     the reply is streamed only when set and the provider supports it)
+     * @returns {Promise<string>} - The reply text (a JSON string when request.json is set)
+     */
+    async complete(request) {
+        const stream = !!request.onToken && this.supportsStreaming();
+        const { url, headers, body } = this.buildRequest({ ...request, stream });
+
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: request.signal
+        });
+
+        console.log(`${this.displayName} API response received with status:`, response.status);
+
+        // Check if the response is OK
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const errorMessage = this.getErrorMessage(errorData) || response.statusText;
+            throw new Error(`${this.displayName} API returned ${response.status}: ${errorMessage}`);
+        }
+
+        let content;
+        let data = null;
+        if (stream) {
+            content = await this.readStream(response, request);
+        } else {
+            data = await response.json();
+            content = this.parseResponse(data, request);
+        }
+
+        if (typeof content !== 'string' || !content) {
+            console.error(`Invalid response format from ${this.displayName} API:`, data);
+            throw new Error(`Invalid response format from ${this.displayName} API`);
+        }
+
+        return request.json ? this.extractJson(content) : content;
+    }
+
+    /**
+     * Read a server-sent events response, collecting the reply text as it arrives
+     * @param {Response} response - Fetch response with an event stream body
+     * @param {Object} request - Request options (see complete)
+     * @returns {Promise<string>} - The full reply text
+     */
+    async readStream(response, request) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = this.getStreamPrefix(request);
+
+        while (true) {
+            const { done, value } = await reader.read();
+
+            // Events are separated by newlines; keep an incomplete last line for the next chunk,
+            // until the stream ends without a final newline
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') continue;
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (error) {
+                    console.warn(`Skipping malformed ${this.displayName} stream event:`, payload);
+                    continue;
+                }
+
+                if (event.error) {
+                    throw new Error(`${this.displayName} stream failed: ${this.getErrorMessage(event) || 'unknown error'}`);
+                }
+
+                const delta = this.parseStreamEvent(event);
+                if (delta) {
+                    text += delta;
+                    request.onToken(text, delta);
+                }
+            }
+
+            if (done) break;
+        }
+
+        return text;
+    }
+
+    /**
+     * Check whether the backend can stream replies as server-sent events
+     * @returns {boolean} - True if streaming is supported
+     */
+    supportsStreaming() {
+        return false;
+    }
+
+    /**
+     * Get text the streamed reply starts with before the first event (e.g., a prefilled brace)
+     * @param {Object} request - Request options (see complete)
+     * @returns {string} - Prefix text
+     */
+    getStreamPrefix(request) {
+        return '';
+    }
+
+    /**
+     * Pull the new reply text out of one stream event
+     * @param {Object} event - Parsed event data
+     * @returns {string|null} - Text added by the event, or null if it adds none
+     */
+    parseStreamEvent(event) {
+        return null;
+    }
+
+    /**
+     * Build the HTTP request for the backend
+     * @param {Object} request - Request options (see complete)
+     * @returns {Object} - {url, headers, body}
+     */
+    buildRequest(request) {
+        throw new Error(`${this.displayName} provider does not implement buildRequest`);
+    }
+
+    /**
+     * Pull the reply text out of a response body
+     * @param {Object} data - Parsed response body
+     * @param {Object} request - Request options (see complete)
+     * @returns {string|null} - Reply text, or null if the response has none
+     */
+    parseResponse(data, request) {
+        throw new Error(`${this.displayName} provider does not implement parseResponse`);
+    }
+
+    /**
+     * Pull an error message out of an error response body
+     * @param {Object} errorData - Parsed error body
+     * @returns {string|undefined} - Error message
+     */
+    getErrorMessage(errorData) {
+        return errorData.error?.message;
+    }
+
+    /**
+     * Strip markdown code fences and surrounding text from a JSON reply.
+     * Backends without a strict JSON mode often wrap the object in ```json fences.
+     * @param {string} content - Reply text
+     * @returns {string} - The JSON object text
+     */
+    extractJson(content) {
+        let text = content.trim();
+
+        const fenceMatch = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+        if (fenceMatch) {
+            text = fenceMatch[1];
+        }
+
+        // Drop anything before the first brace or after the last one
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start !== -1 && end > start) {
+            text = text.slice(start, end + 1);
+        }
+
+        return text;
+    }
+}
+
+// Export the LLMProvider class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LLMProvider };
+}
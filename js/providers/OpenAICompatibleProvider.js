@@ -0,0 +1,59 @@
+/**
+ * OpenAICompatibleProvider.js
+ * Chat completions on any server that speaks the OpenAI API (llama.cpp, Ollama, vLLM, ...).
+ * The API key is optional, the model name is free text, and JSON mode can fall back to
+ * a prompt instruction for servers that reject response_format, or use json_schema on
+ * servers with structured output.
+ */
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+    /**
+     * Create an OpenAI-compatible provider
+     * @param {Object} options - Provider options (see LLMProvider)
+     * @param {string} options.jsonMode - 'response_format' (default), 'json_schema' or 'prompt'
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.id = 'openai_compatible';
+        this.displayName = 'OpenAI-compatible server';
+        this.requiresApiKey = false;
+        this.models = [];
+        this.defaultBaseUrl = 'http://localhost:8080/v1';
+        this.jsonMode = options.jsonMode || 'response_format';
+    }
+
+    /**
+     * Check whether response_format json_object should be sent
+     * @returns {boolean} - True if JSON mode is supported
+     */
+    supportsJsonMode() {
+        return this.jsonMode !== 'prompt';
+    }
+
+    /**
+     * Check whether response_format json_schema should be sent
+     * @returns {boolean} - True if the server was configured for structured output
+     */
+    supportsJsonSchema() {
+        return this.jsonMode === 'json_schema';
+    }
+
+    /**
+     * Get the system prompt, adding a JSON instruction when response_format is not used
+     * @param {Object} request - Request options (see LLMProvider.complete)
+     * @returns {string} - System prompt
+     */
+    getSystemPrompt(request) {
+        if (!request.json || this.supportsJsonMode()) {
+            return request.systemPrompt;
+        }
+
+        return `${request.systemPrompt}\n\nRespond with a single JSON object only, without markdown fences or any other text.`;
+    }
+}
+
+// Export the OpenAICompatibleProvider class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpenAICompatibleProvider };
+}
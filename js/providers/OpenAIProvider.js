@@ -0,0 +1,128 @@
+/**
+ * OpenAIProvider.js
+ * Chat completions on the OpenAI API. JSON replies use response_format json_object, or
+ * json_schema structured output when the request has a schema and the model supports it.
+ */
+
+class OpenAIProvider extends LLMProvider {
+    /**
+     * Create an OpenAI provider
+     * @param {Object} options - Provider options (see LLMProvider)
+     */
+    constructor(options = {}) {
+        super(options);
+
+        this.id = 'openai';
+        this.displayName = 'OpenAI';
+        this.models = [
+            { value: 'gpt-4o', label: 'GPT-4o' },
+            { value: 'gpt-4-turbo', label: 'GPT-4 Turbo' },
+            { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo' }
+        ];
+        this.defaultBaseUrl = 'https://api.openai.com/v1';
+    }
+
+    /**
+     * Build the HTTP request for /chat/completions
+     * @param {Object} request - Request options (see LLMProvider.complete)
+     * @returns {Object} - {url, headers, body}
+     */
+    buildRequest(request) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const body = {
+            model: request.model,
+            messages: [
+                { role: 'system', content: this.getSystemPrompt(request) },
+                ...request.messages
+            ],
+            temperature: request.temperature,
+            top_p: request.topP
+        };
+
+        if (request.stream) {
+            body.stream = true; // Reply arrives as server-sent events
+        }
+
+        if (request.json && request.jsonSchema && this.supportsJsonSchema(request.model)) {
+            // Structured output: the reply must match the schema (non-strict, so optional fields stay optional)
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: request.jsonSchema.name, schema: request.jsonSchema.schema, strict: false }
+            };
+        } else if (request.json && this.supportsJsonMode()) {
+            body.response_format = { type: 'json_object' }; // Ensure JSON response
+        }
+
+        return {
+            url: `${this.getBaseUrl()}/chat/completions`,
+            headers,
+            body
+        };
+    }
+
+    /**
+     * Get the system prompt to send
+     * @param {Object} request - Request options (see LLMProvider.complete)
+     * @returns {string} - System prompt
+     */
+    getSystemPrompt(request) {
+        return request.systemPrompt;
+    }
+
+    /**
+     * Check whether the backend accepts response_format json_object
+     * @returns {boolean} - True if JSON mode is supported
+     */
+    supportsJsonMode() {
+        return true;
+    }
+
+    /**
+     * Check whether the backend accepts response_format json_schema for a model
+     * @param {string} model - Model name
+     * @returns {boolean} - True if structured output is supported
+     */
+    supportsJsonSchema(model) {
+        return /^(?:gpt-4o|gpt-4\.1|gpt-5|o\d)/.test(model || '');
+    }
+
+    /**
+     * Check whether the backend can stream replies as server-sent events
+     * @returns {boolean} - True if streaming is supported
+     */
+    supportsStreaming() {
+        return true;
+    }
+
+    /**
+     * Pull the new reply text out of a chat completion chunk
+     * @param {Object} event - Parsed chunk
+     * @returns {string|null} - Text added by the chunk
+     */
+    parseStreamEvent(event) {
+        const choice = event.choices && event.choices[0];
+        return choice && choice.delta ? choice.delta.content || null : null;
+    }
+
+    /**
+     * Pull the reply text out of a chat completion
+     * @param {Object} data - Parsed response body
+     * @returns {string|null} - Reply text
+     */
+    parseResponse(data) {
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+            return null;
+        }
+
+        return data.choices[0].message.content;
+    }
+}
+
+// Export the OpenAIProvider class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpenAIProvider };
+}
@@ -1,96 +1,398 @@
 /**
  * CodeEvaluator.js
- * Utility for safely evaluating JavaScript code snippets
+ * Utility for safely evaluating JavaScript code snippets.
+ * Snippets run in SnippetSandbox (an isolated worker); the scene description they
+ * produce is validated against whitelists and budgets before any THREE object is built.
  */
 
+// Default limits applied to every evaluated snippet
+const CODE_EVALUATOR_LIMITS = {
+    timeoutMs: 1000,      // CPU time per run before the worker is terminated
+    maxVertices: 150000,  // Vertex budget per returned object
+    maxTriangles: 150000, // Triangle budget per returned object
+    maxNodes: 400,        // Maximum number of meshes/groups per returned object
+    maxSegments: 128,     // Maximum value of any geometry segment parameter
+    maxCoordinate: 10000  // Maximum absolute value of any number in the description
+};
+
+// Whitelisted geometries: which constructor parameters are segment counts, and how
+// many vertices/triangles they produce (estimates mirror the THREE geometry builders)
+const SNIPPET_GEOMETRY_RULES = {
+    BoxGeometry: {
+        segments: [3, 4, 5],
+        estimate: (p) => {
+            const [w, h, d] = [p[3] || 1, p[4] || 1, p[5] || 1];
+            return {
+                vertices: 2 * ((w + 1) * (h + 1) + (w + 1) * (d + 1) + (h + 1) * (d + 1)),
+                triangles: 4 * (w * h + w * d + h * d)
+            };
+        }
+    },
+    SphereGeometry: {
+        segments: [1, 2],
+        estimate: (p) => {
+            const [w, h] = [p[1] || 32, p[2] || 16];
+            return { vertices: (w + 1) * (h + 1), triangles: 2 * w * h };
+        }
+    },
+    CylinderGeometry: {
+        segments: [3, 4],
+        estimate: (p) => {
+            const [r, h] = [p[3] || 32, p[4] || 1];
+            return { vertices: (r + 1) * (h + 1) + 2 * (2 * r + 1), triangles: 2 * r * h + 2 * r };
+        }
+    },
+    ConeGeometry: {
+        segments: [2, 3],
+        estimate: (p) => {
+            const [r, h] = [p[2] || 32, p[3] || 1];
+            return { vertices: (r + 1) * (h + 1) + 2 * r + 1, triangles: 2 * r * h + r };
+        }
+    },
+    TorusGeometry: {
+        segments: [2, 3],
+        estimate: (p) => {
+            const [r, t] = [p[2] || 12, p[3] || 48];
+            return { vertices: (r + 1) * (t + 1), triangles: 2 * r * t };
+        }
+    },
+    TorusKnotGeometry: {
+        segments: [2, 3],
+        estimate: (p) => {
+            const [t, r] = [p[2] || 64, p[3] || 8];
+            return { vertices: (r + 1) * (t + 1), triangles: 2 * r * t };
+        }
+    },
+    PlaneGeometry: {
+        segments: [2, 3],
+        estimate: (p) => {
+            const [w, h] = [p[2] || 1, p[3] || 1];
+            return { vertices: (w + 1) * (h + 1), triangles: 2 * w * h };
+        }
+    },
+    CircleGeometry: {
+        segments: [1],
+        estimate: (p) => {
+            const s = p[1] || 32;
+            return { vertices: s + 2, triangles: s };
+        }
+    },
+    RingGeometry: {
+        segments: [2, 3],
+        estimate: (p) => {
+            const [t, r] = [p[2] || 32, p[3] || 1];
+            return { vertices: (t + 1) * (r + 1), triangles: 2 * t * r };
+        }
+    },
+    CapsuleGeometry: {
+        segments: [2, 3],
+        estimate: (p) => {
+            const [c, r] = [p[2] || 4, p[3] || 8];
+            return { vertices: (r + 1) * (2 * c + 2), triangles: 2 * r * (2 * c + 1) };
+        }
+    },
+    TetrahedronGeometry: { detail: 4 },
+    OctahedronGeometry: { detail: 8 },
+    IcosahedronGeometry: { detail: 20 },
+    DodecahedronGeometry: { detail: 36 }
+};
+
+// Whitelisted materials and the properties that may be copied onto them
+const SNIPPET_MATERIAL_TYPES = ['MeshStandardMaterial', 'MeshLambertMaterial', 'MeshPhongMaterial', 'MeshBasicMaterial'];
+const SNIPPET_MATERIAL_PROPERTIES = {
+    color: 'color',
+    emissive: 'color',
+    specular: 'color',
+    roughness: 'number',
+    metalness: 'number',
+    opacity: 'number',
+    emissiveIntensity: 'number',
+    shininess: 'number',
+    reflectivity: 'number',
+    transparent: 'boolean',
+    flatShading: 'boolean',
+    wireframe: 'boolean',
+    fog: 'boolean',
+    depthWrite: 'boolean',
+    side: 'side'
+};
+
 class CodeEvaluator {
     /**
-     * Safely evaluate a JavaScript code snippet in a controlled context
-     * @param {string} codeSnippet - JavaScript code to evaluate
-     * @param {Object} context - Context object with available variables and functions
-     * @returns {any} - Result of the evaluated code
+     * Evaluate a code snippet in the sandbox and return its validated scene description
+     * @param {string} codeSnippet - JavaScript code that builds and returns a THREE object
+     * @param {Object} options - Evaluation options (context and any CODE_EVALUATOR_LIMITS overrides)
+     * @returns {Promise<Object>} - Validated description {root, geometries, materials}
      */
-    static evaluateSnippet(codeSnippet, context = {}) {
-        try {
-            // Create a function with the provided context variables as parameters
-            const contextKeys = Object.keys(context);
-            const contextValues = Object.values(context);
-            
-            // Add THREE to the context if not already present
-            if (!contextKeys.includes('THREE') && typeof THREE !== 'undefined') {
-                contextKeys.push('THREE');
-                contextValues.push(THREE);
-            }
-            
-            // Create a function that wraps the code snippet
-            const evaluator = new Function(...contextKeys, `
-                try {
-                    ${codeSnippet}
-                } catch (error) {
-                    console.error('Error in evaluated code:', error);
-                    throw error;
-                }
-            `);
-            
-            // Execute the function with the context values
-            return evaluator(...contextValues);
-        } catch (error) {
-            console.error('Failed to evaluate code snippet:', error);
-            throw new Error(`Code evaluation failed: ${error.message}`);
+    static async evaluateSnippet(codeSnippet, options = {}) {
+        const [result] = await CodeEvaluator.evaluateSnippetRuns(codeSnippet, 1, options);
+        if (!result.ok) {
+            throw new Error(`Code evaluation failed: ${result.error}`);
         }
+
+        return result.description;
     }
-    
+
+    /**
+     * Evaluate a code snippet several times in one sandbox (snippets may use randomness,
+     * so each run can give a different object)
+     * @param {string} codeSnippet - JavaScript code that builds and returns a THREE object
+     * @param {number} runs - Number of runs
+     * @param {Object} options - Evaluation options (context and any CODE_EVALUATOR_LIMITS overrides)
+     * @returns {Promise<Array>} - Array of {ok: true, description} or {ok: false, error}
+     */
+    static async evaluateSnippetRuns(codeSnippet, runs, options = {}) {
+        const limits = { ...CODE_EVALUATOR_LIMITS, ...options };
+
+        const results = await SnippetSandbox.run(codeSnippet, {
+            runs,
+            timeoutMs: limits.timeoutMs,
+            context: options.context
+        });
+
+        // Nothing from the worker is trusted until it passes validation
+        return results.map(result => {
+            if (!result || !result.ok) {
+                return { ok: false, error: result && result.error ? String(result.error) : 'Unknown sandbox error' };
+            }
+
+            try {
+                return { ok: true, description: CodeEvaluator.validateDescription(result.description, limits) };
+            } catch (error) {
+                return { ok: false, error: error.message };
+            }
+        });
+    }
+
     /**
      * Safely create a Three.js mesh from a code snippet
      * @param {string} codeSnippet - JavaScript code that creates and returns a Three.js mesh
-     * @param {Object} context - Additional context variables
-     * @returns {THREE.Object3D} - The created mesh or a default mesh if creation fails
+     * @param {Object} options - Evaluation options (context and any CODE_EVALUATOR_LIMITS overrides)
+     * @returns {Promise<THREE.Object3D>} - The created mesh
+     * @throws {Error} - If the snippet fails or does not produce a valid object
      */
-    static createMeshFromSnippet(codeSnippet, context = {}) {
-        try {
-            // Create a function that returns the mesh
-            const meshCreator = new Function(...Object.keys(context), `
-                try {
-                    ${codeSnippet}
-                } catch (error) {
-                    console.error('Error creating mesh:', error);
-                    // Return a default mesh as fallback
-                    const geometry = new THREE.BoxGeometry(3, 30, 3);
-                    const material = new THREE.MeshStandardMaterial({ color: 0x8ecae6 });
-                    const defaultMesh = new THREE.Mesh(geometry, material);
-                    defaultMesh.position.y = 15;
-                    return defaultMesh;
-                }
-            `);
-            
-            // Execute the function with the context values
-            const result = meshCreator(...Object.values(context));
-            
-            // Verify that the result is a valid Three.js Object3D
-            if (result instanceof THREE.Object3D) {
+    static async createMeshFromSnippet(codeSnippet, options = {}) {
+        const description = await CodeEvaluator.evaluateSnippet(codeSnippet, options);
+        return CodeEvaluator.buildFromDescription(description);
+    }
+
+    /**
+     * Safely create several Three.js meshes from one code snippet
+     * @param {string} codeSnippet - JavaScript code that creates and returns a Three.js mesh
+     * @param {number} count - Number of meshes to create
+     * @param {Object} options - Evaluation options (context and any CODE_EVALUATOR_LIMITS overrides)
+     * @returns {Promise<Array>} - One result per mesh: {ok: true, mesh} or {ok: false, error}
+     * @throws {Error} - If the sandbox itself fails (e.g., the time limit is exceeded)
+     */
+    static async createMeshesFromSnippet(codeSnippet, count, options = {}) {
+        const results = await CodeEvaluator.evaluateSnippetRuns(codeSnippet, count, options);
+
+        return results.map(result => {
+            if (!result.ok) {
                 return result;
-            } else {
-                console.error('Code snippet did not return a valid Three.js Object3D');
-                // Return a default mesh as fallback
-                const geometry = new THREE.BoxGeometry(3, 30, 3);
-                const material = new THREE.MeshStandardMaterial({ color: 0x8ecae6 });
-                const defaultMesh = new THREE.Mesh(geometry, material);
-                defaultMesh.position.y = 15;
-                return defaultMesh;
             }
-        } catch (error) {
-            console.error('Failed to create mesh from code snippet:', error);
-            // Return a default mesh as fallback
-            const geometry = new THREE.BoxGeometry(3, 30, 3);
-            const material = new THREE.MeshStandardMaterial({ color: 0x8ecae6 });
-            const defaultMesh = new THREE.Mesh(geometry, material);
-            defaultMesh.position.y = 15;
-            return defaultMesh;
+
+            return { ok: true, mesh: CodeEvaluator.buildFromDescription(result.description) };
+        });
+    }
+
+    /**
+     * Validate a scene description from the sandbox against the whitelists and budgets
+     * @param {Object} description - Description {root, geometries, materials}
+     * @param {Object} limits - Limits (see CODE_EVALUATOR_LIMITS)
+     * @returns {Object} - A cleaned copy of the description containing only whitelisted data
+     * @throws {Error} - If the description is malformed or over budget
+     */
+    static validateDescription(description, limits = CODE_EVALUATOR_LIMITS) {
+        if (!description || typeof description !== 'object') {
+            throw new Error('Sandbox result is not an object');
         }
+
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limits.maxCoordinate;
+        const checkVector = (value, label) => {
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(isNumber)) {
+                throw new Error(`Invalid ${label}`);
+            }
+            return [...value];
+        };
+
+        // Geometries
+        const geometries = (Array.isArray(description.geometries) ? description.geometries : []).map((geometry, index) => {
+            const rules = geometry && SNIPPET_GEOMETRY_RULES[geometry.type];
+            if (!rules) {
+                throw new Error(`Geometry type not allowed: ${geometry && geometry.type}`);
+            }
+
+            const params = Array.isArray(geometry.params) ? geometry.params : [];
+            if (params.length > 10 || !params.every(value => isNumber(value) || typeof value === 'boolean' || value === null)) {
+                throw new Error(`Invalid parameters for geometry ${index} (${geometry.type})`);
+            }
+
+            const segmentIndexes = rules.detail ? [1] : rules.segments;
+            const maxSegments = rules.detail ? 5 : limits.maxSegments;
+            for (const segmentIndex of segmentIndexes) {
+                const value = params[segmentIndex];
+                if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0 || value > maxSegments)) {
+                    throw new Error(`${geometry.type} segment count ${value} exceeds the limit of ${maxSegments}`);
+                }
+            }
+
+            const transforms = (Array.isArray(geometry.transforms) ? geometry.transforms : []).map(transform => {
+                const [operation, ...args] = Array.isArray(transform) ? transform : [];
+                if (!['translate', 'rotateX', 'rotateY', 'rotateZ', 'scale', 'center'].includes(operation) || !args.every(isNumber)) {
+                    throw new Error(`Invalid geometry transform on ${geometry.type}`);
+                }
+                return [operation, ...args];
+            });
+
+            const counts = rules.detail
+                ? { triangles: rules.detail * Math.pow((params[1] || 0) + 1, 2), vertices: 3 * rules.detail * Math.pow((params[1] || 0) + 1, 2) }
+                : rules.estimate(params);
+
+            return { type: geometry.type, params: params.map(value => (value === null ? undefined : value)), transforms, counts };
+        });
+
+        // Materials
+        const materials = (Array.isArray(description.materials) ? description.materials : []).map(material => {
+            if (!material || !SNIPPET_MATERIAL_TYPES.includes(material.type)) {
+                throw new Error(`Material type not allowed: ${material && material.type}`);
+            }
+
+            const params = {};
+            Object.keys(material.params || {}).forEach(key => {
+                const kind = SNIPPET_MATERIAL_PROPERTIES[key];
+                const value = material.params[key];
+                if (!kind) return; // Unknown properties are dropped
+
+                if (kind === 'color' && !CodeEvaluator.isValidColor(value)) {
+                    throw new Error(`Invalid color for ${key}: ${value}`);
+                }
+                if (kind === 'number' && !isNumber(value)) {
+                    throw new Error(`Invalid value for ${key}`);
+                }
+                if (kind === 'boolean' && typeof value !== 'boolean') {
+                    throw new Error(`Invalid value for ${key}`);
+                }
+                if (kind === 'side' && ![0, 1, 2].includes(value)) {
+                    throw new Error(`Invalid value for ${key}`);
+                }
+
+                params[key] = value;
+            });
+
+            return { type: material.type, params };
+        });
+
+        // Object tree, with node count and geometry budgets
+        let nodeCount = 0;
+        let vertices = 0;
+        let triangles = 0;
+
+        const validateNode = (node, depth) => {
+            if (!node || typeof node !== 'object' || !['Group', 'Mesh'].includes(node.type)) {
+                throw new Error('Object tree may only contain THREE.Group and THREE.Mesh');
+            }
+            if (depth > 32) {
+                throw new Error('Object hierarchy is too deep');
+            }
+            if (++nodeCount > limits.maxNodes) {
+                throw new Error(`Object has more than ${limits.maxNodes} parts`);
+            }
+
+            const clean = {
+                type: node.type,
+                name: String(node.name || '').slice(0, 100),
+                position: checkVector(node.position, 'position'),
+                rotation: checkVector(node.rotation, 'rotation'),
+                scale: checkVector(node.scale, 'scale'),
+                visible: node.visible !== false,
+                castShadow: !!node.castShadow,
+                receiveShadow: !!node.receiveShadow,
+                children: []
+            };
+
+            if (node.type === 'Mesh') {
+                if (!Number.isInteger(node.geometry) || !geometries[node.geometry]) {
+                    throw new Error('Mesh references an unknown geometry');
+                }
+                if (!Number.isInteger(node.material) || !materials[node.material]) {
+                    throw new Error('Mesh references an unknown material');
+                }
+
+                // Shared geometries are counted per mesh since each one is drawn
+                vertices += geometries[node.geometry].counts.vertices;
+                triangles += geometries[node.geometry].counts.triangles;
+                if (vertices > limits.maxVertices) {
+                    throw new Error(`Object exceeds the vertex budget of ${limits.maxVertices}`);
+                }
+                if (triangles > limits.maxTriangles) {
+                    throw new Error(`Object exceeds the triangle budget of ${limits.maxTriangles}`);
+                }
+
+                clean.geometry = node.geometry;
+                clean.material = node.material;
+            }
+
+            clean.children = (Array.isArray(node.children) ? node.children : []).map(child => validateNode(child, depth + 1));
+            return clean;
+        };
+
+        const root = validateNode(description.root, 0);
+
+        return { root, geometries, materials, stats: { nodes: nodeCount, vertices, triangles } };
+    }
+
+    /**
+     * Check that a value is a color THREE.Color can parse (hex number or CSS color string)
+     * @param {any} value - The value to check
+     * @returns {boolean} - True if the value is a valid color
+     * @private
+     */
+    static isValidColor(value) {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF;
+        }
+
+        return typeof value === 'string' && value.length <= 64 &&
+            /^(#[0-9a-f]{3,8}|[a-z]+|(rgb|hsl)a?\([\d\s.,%]+\))$/i.test(value.trim());
+    }
+
+    /**
+     * Build a Three.js object from a validated description
+     * @param {Object} description - Description returned by validateDescription
+     * @returns {THREE.Object3D} - The reconstructed object
+     */
+    static buildFromDescription(description) {
+        const geometries = description.geometries.map(geometryData => {
+            const geometry = new THREE[geometryData.type](...geometryData.params);
+            geometryData.transforms.forEach(([operation, ...args]) => geometry[operation](...args));
+            return geometry;
+        });
+
+        const materials = description.materials.map(materialData => new THREE[materialData.type](materialData.params));
+
+        const buildNode = (node) => {
+            const object = node.type === 'Mesh'
+                ? new THREE.Mesh(geometries[node.geometry], materials[node.material])
+                : new THREE.Group();
+
+            object.name = node.name;
+            object.position.fromArray(node.position);
+            object.rotation.set(node.rotation[0], node.rotation[1], node.rotation[2]);
+            object.scale.fromArray(node.scale);
+            object.visible = node.visible;
+            object.castShadow = node.castShadow;
+            object.receiveShadow = node.receiveShadow;
+
+            node.children.forEach(child => object.add(buildNode(child)));
+            return object;
+        };
+
+        return buildNode(description.root);
     }
 }
 
 // Export the CodeEvaluator class
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CodeEvaluator };
+    module.exports = { CodeEvaluator, CODE_EVALUATOR_LIMITS };
 }
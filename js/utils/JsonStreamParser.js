@@ -0,0 +1,103 @@
+/**
+ * JsonStreamParser.js
+ * Picks complete entries out of an array in a JSON object that is still being streamed,
+ * e.g. each {"command": ...} of {"commands": [...]} as soon as its closing brace arrives.
+ */
+
+class JsonStreamParser {
+    /**
+     * Create a parser for one streamed reply
+     * @param {string} arrayKey - Top-level key of the array whose entries are wanted (e.g., 'commands')
+     */
+    constructor(arrayKey) {
+        this.arrayKey = arrayKey;
+        this.position = 0;
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.stringStart = -1;
+        this.lastKey = null;
+        this.arrayDepth = null;
+        this.entryStart = -1;
+    }
+
+    /**
+     * Scan newly streamed text
+     * @param {string} text - The whole reply received so far (must extend the previous text)
+     * @returns {Array} - Entries completed since the last call, parsed (entries that are not objects are skipped)
+     */
+    update(text) {
+        const entries = [];
+
+        for (; this.position < text.length; this.position++) {
+            const char = text[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                    // Strings directly inside the top-level object are its keys (or values)
+                    if (this.depth === 1) {
+                        this.lastKey = text.slice(this.stringStart + 1, this.position);
+                    }
+                }
+                continue;
+            }
+
+            switch (char) {
+                case '"':
+                    this.inString = true;
+                    this.stringStart = this.position;
+                    break;
+
+                case '{':
+                case '[':
+                    if (char === '[' && this.depth === 1 && this.lastKey === this.arrayKey && this.arrayDepth === null) {
+                        this.arrayDepth = this.depth + 1;
+                    } else if (char === '{' && this.arrayDepth !== null && this.depth === this.arrayDepth) {
+                        this.entryStart = this.position;
+                    }
+                    this.depth++;
+                    break;
+
+                case '}':
+                case ']':
+                    this.depth--;
+                    if (char === '}' && this.entryStart !== -1 && this.depth === this.arrayDepth) {
+                        const entry = this.parseEntry(text.slice(this.entryStart, this.position + 1));
+                        if (entry) entries.push(entry);
+                        this.entryStart = -1;
+                    } else if (char === ']' && this.arrayDepth !== null && this.depth === this.arrayDepth - 1) {
+                        // The array is finished; later arrays with the same key are ignored
+                        this.arrayDepth = -1;
+                    }
+                    break;
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parse one complete entry
+     * @param {string} entryText - JSON text of the entry
+     * @returns {Object|null} - The entry, or null if it is not valid JSON
+     * @private
+     */
+    parseEntry(entryText) {
+        try {
+            return JSON.parse(entryText);
+        } catch (error) {
+            console.warn('Skipping malformed streamed entry:', entryText);
+            return null;
+        }
+    }
+}
+
+// Export the JsonStreamParser class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { JsonStreamParser };
+}
@@ -0,0 +1,495 @@
+/**
+ * SnippetSandbox.js
+ * Runs LLM-generated code snippets in an isolated Web Worker.
+ * The worker has no DOM, no localStorage and no network access, and the snippet only
+ * sees a whitelisted stand-in for THREE that records what it builds. The result is a
+ * plain, serializable scene description that the main thread validates and rebuilds.
+ */
+
+/**
+ * Entry point of the sandbox worker. This function is stringified into a Blob URL,
+ * so it must not reference anything outside its own body.
+ */
+function snippetSandboxWorkerMain() {
+    // Keep what we need before scrubbing the global scope
+    const post = self.postMessage.bind(self);
+    const scope = self;
+
+    // APIs a snippet could use to reach the network or other contexts
+    const BLOCKED_GLOBALS = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts',
+        'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker',
+        'navigator', 'location', 'postMessage', 'close', 'Request', 'Response',
+        'WebTransport', 'FileReader', 'FileReaderSync'
+    ];
+
+    /**
+     * Remove blocked APIs from the global object and its prototype chain
+     */
+    const scrubGlobals = () => {
+        let target = scope;
+        while (target && target !== Object.prototype) {
+            for (const name of BLOCKED_GLOBALS) {
+                try {
+                    if (Object.prototype.hasOwnProperty.call(target, name)) {
+                        Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false });
+                    }
+                } catch (error) {
+                    // Non-configurable properties are shadowed by the function parameters below
+                }
+            }
+            target = Object.getPrototypeOf(target);
+        }
+    };
+
+    // --- Whitelisted THREE stand-in -------------------------------------------------
+
+    class Vector3 {
+        constructor(x = 0, y = 0, z = 0) { this.x = x; this.y = y; this.z = z; }
+        set(x, y, z) { this.x = x; this.y = y; this.z = z; return this; }
+        setScalar(value) { this.x = value; this.y = value; this.z = value; return this; }
+        copy(v) { this.x = v.x; this.y = v.y; this.z = v.z; return this; }
+        add(v) { this.x += v.x; this.y += v.y; this.z += v.z; return this; }
+        multiplyScalar(value) { this.x *= value; this.y *= value; this.z *= value; return this; }
+        clone() { return new Vector3(this.x, this.y, this.z); }
+    }
+
+    class Euler extends Vector3 {}
+
+    // CSS color names and their hex values (sent by the main thread, see SnippetSandbox.run)
+    let colorNames = {};
+
+    // Like THREE.Color, components are linear; hex values and CSS strings are sRGB
+    const SRGB_COLOR_SPACE = 'srgb';
+    const toLinear = (c) => (c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4));
+    const toSRGB = (c) => (c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 0.41666) - 0.055);
+    const clamp01 = (value) => Math.max(0, Math.min(1, value));
+    const hueToRGB = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+        return p;
+    };
+
+    class Color {
+        constructor(r, g, b) {
+            this.r = 1; this.g = 1; this.b = 1;
+            if (r !== undefined) this.set(r, g, b);
+        }
+        set(r, g, b) {
+            if (g !== undefined) return this.setRGB(r, g, b);
+            if (r instanceof Color) return this.copy(r);
+            if (typeof r === 'number') return this.setHex(r);
+            if (typeof r === 'string') return this.setStyle(r);
+            throw new Error(`Unsupported color value: ${r}`);
+        }
+        setScalar(value) { this.r = value; this.g = value; this.b = value; return this; }
+        setHex(hex) {
+            hex = Math.floor(hex);
+            return this.setRGB(((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255, SRGB_COLOR_SPACE);
+        }
+        setRGB(r, g, b, colorSpace) {
+            const convert = colorSpace === SRGB_COLOR_SPACE ? toLinear : (c) => c;
+            this.r = convert(r); this.g = convert(g); this.b = convert(b);
+            return this;
+        }
+        setHSL(h, s, l, colorSpace) {
+            h = ((h % 1) + 1) % 1;
+            s = clamp01(s);
+            l = clamp01(l);
+            if (s === 0) return this.setRGB(l, l, l, colorSpace);
+            const q = l <= 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            return this.setRGB(hueToRGB(p, q, h + 1 / 3), hueToRGB(p, q, h), hueToRGB(p, q, h - 1 / 3), colorSpace);
+        }
+        setStyle(style) {
+            const text = String(style).trim().toLowerCase();
+            let match;
+            if ((match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text))) {
+                const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+                return this.setHex(parseInt(digits, 16));
+            }
+            if ((match = /^rgba?\(\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)\s*,\s*([\d.]+)(%?)\s*(?:,\s*[\d.]+\s*)?\)$/.exec(text))) {
+                const channel = (value, percent) => clamp01(parseFloat(value) / (percent ? 100 : 255));
+                return this.setRGB(channel(match[1], match[2]), channel(match[3], match[4]), channel(match[5], match[6]), SRGB_COLOR_SPACE);
+            }
+            if ((match = /^hsla?\(\s*([\d.]+)\s*,\s*([\d.]+)%\s*,\s*([\d.]+)%\s*(?:,\s*[\d.]+\s*)?\)$/.exec(text))) {
+                return this.setHSL(parseFloat(match[1]) / 360, parseFloat(match[2]) / 100, parseFloat(match[3]) / 100, SRGB_COLOR_SPACE);
+            }
+            if (Object.prototype.hasOwnProperty.call(colorNames, text)) {
+                return this.setHex(colorNames[text]);
+            }
+            throw new Error(`Unknown color: ${style}`);
+        }
+        setColorName(name) { return this.setStyle(name); }
+        copy(color) { this.r = color.r; this.g = color.g; this.b = color.b; return this; }
+        clone() { return new Color().copy(this); }
+        getHex() {
+            const channel = (c) => Math.round(clamp01(toSRGB(c)) * 255);
+            return (channel(this.r) << 16) + (channel(this.g) << 8) + channel(this.b);
+        }
+        getHexString() { return this.getHex().toString(16).padStart(6, '0'); }
+        getStyle() { return `#${this.getHexString()}`; }
+        getHSL(target = {}) {
+            const max = Math.max(this.r, this.g, this.b);
+            const min = Math.min(this.r, this.g, this.b);
+            const l = (min + max) / 2;
+            let h = 0;
+            let s = 0;
+            if (max !== min) {
+                const delta = max - min;
+                s = l <= 0.5 ? delta / (max + min) : delta / (2 - max - min);
+                if (max === this.r) h = (this.g - this.b) / delta + (this.g < this.b ? 6 : 0);
+                else if (max === this.g) h = (this.b - this.r) / delta + 2;
+                else h = (this.r - this.g) / delta + 4;
+                h /= 6;
+            }
+            target.h = h; target.s = s; target.l = l;
+            return target;
+        }
+        offsetHSL(h, s, l) {
+            const hsl = this.getHSL();
+            return this.setHSL(hsl.h + h, hsl.s + s, hsl.l + l);
+        }
+        add(color) { this.r += color.r; this.g += color.g; this.b += color.b; return this; }
+        addScalar(value) { this.r += value; this.g += value; this.b += value; return this; }
+        sub(color) {
+            this.r = Math.max(0, this.r - color.r); this.g = Math.max(0, this.g - color.g); this.b = Math.max(0, this.b - color.b);
+            return this;
+        }
+        multiply(color) { this.r *= color.r; this.g *= color.g; this.b *= color.b; return this; }
+        multiplyScalar(value) { this.r *= value; this.g *= value; this.b *= value; return this; }
+        lerp(color, alpha) {
+            this.r += (color.r - this.r) * alpha; this.g += (color.g - this.g) * alpha; this.b += (color.b - this.b) * alpha;
+            return this;
+        }
+        lerpColors(color1, color2, alpha) { return this.copy(color1).lerp(color2, alpha); }
+        equals(color) { return color.r === this.r && color.g === this.g && color.b === this.b; }
+    }
+
+    // Geometry types a snippet may construct
+    const GEOMETRY_TYPES = [
+        'BoxGeometry', 'SphereGeometry', 'CylinderGeometry', 'ConeGeometry', 'TorusGeometry',
+        'TorusKnotGeometry', 'PlaneGeometry', 'CircleGeometry', 'RingGeometry', 'CapsuleGeometry',
+        'OctahedronGeometry', 'DodecahedronGeometry', 'IcosahedronGeometry', 'TetrahedronGeometry'
+    ];
+
+    class Geometry {
+        constructor(type, params) {
+            this.type = type;
+            this.params = params;
+            this.transforms = [];
+        }
+        translate(x, y, z) { this.transforms.push(['translate', x, y, z]); return this; }
+        rotateX(angle) { this.transforms.push(['rotateX', angle]); return this; }
+        rotateY(angle) { this.transforms.push(['rotateY', angle]); return this; }
+        rotateZ(angle) { this.transforms.push(['rotateZ', angle]); return this; }
+        scale(x, y, z) { this.transforms.push(['scale', x, y, z]); return this; }
+        center() { this.transforms.push(['center']); return this; }
+        clone() {
+            const copy = new Geometry(this.type, [...this.params]);
+            copy.transforms = this.transforms.map(transform => [...transform]);
+            return copy;
+        }
+        dispose() {}
+    }
+
+    const MATERIAL_TYPES = ['MeshStandardMaterial', 'MeshLambertMaterial', 'MeshPhongMaterial', 'MeshBasicMaterial'];
+    const COLOR_PROPERTIES = ['color', 'emissive', 'specular'];
+
+    class Material {
+        constructor(type, params = {}) {
+            this.type = type;
+            this.color = new Color(0xFFFFFF);
+            this.emissive = new Color(0x000000);
+            Object.keys(params || {}).forEach(key => {
+                if (COLOR_PROPERTIES.includes(key)) {
+                    this[key] = new Color(params[key]);
+                } else {
+                    this[key] = params[key];
+                }
+            });
+        }
+        clone() {
+            const copy = new Material(this.type);
+            Object.keys(this).forEach(key => {
+                copy[key] = this[key] instanceof Color ? this[key].clone() : this[key];
+            });
+            return copy;
+        }
+        dispose() {}
+    }
+
+    class Object3D {
+        constructor() {
+            this.type = 'Object3D';
+            this.name = '';
+            this.position = new Vector3();
+            this.rotation = new Euler();
+            this.scale = new Vector3(1, 1, 1);
+            this.children = [];
+            this.visible = true;
+            this.castShadow = false;
+            this.receiveShadow = false;
+        }
+        add(...objects) {
+            objects.forEach(object => {
+                if (object instanceof Object3D && object !== this) this.children.push(object);
+            });
+            return this;
+        }
+        remove(...objects) {
+            this.children = this.children.filter(child => !objects.includes(child));
+            return this;
+        }
+        traverse(callback) {
+            callback(this);
+            this.children.forEach(child => child.traverse(callback));
+        }
+        clone() {
+            const copy = new this.constructor(this.geometry, this.material);
+            copy.name = this.name;
+            copy.position.copy(this.position);
+            copy.rotation.copy(this.rotation);
+            copy.scale.copy(this.scale);
+            copy.visible = this.visible;
+            copy.castShadow = this.castShadow;
+            copy.receiveShadow = this.receiveShadow;
+            this.children.forEach(child => copy.add(child.clone()));
+            return copy;
+        }
+    }
+
+    class Group extends Object3D {
+        constructor() { super(); this.type = 'Group'; }
+    }
+
+    class Mesh extends Object3D {
+        constructor(geometry, material) {
+            super();
+            this.type = 'Mesh';
+            this.geometry = geometry;
+            this.material = material;
+        }
+    }
+
+    const FakeTHREE = {
+        Vector3, Euler, Color, Object3D, Group, Mesh,
+        FrontSide: 0, BackSide: 1, DoubleSide: 2,
+        SRGBColorSpace: SRGB_COLOR_SPACE, LinearSRGBColorSpace: 'srgb-linear',
+        MathUtils: {
+            DEG2RAD: Math.PI / 180,
+            RAD2DEG: 180 / Math.PI,
+            degToRad: (degrees) => degrees * Math.PI / 180,
+            radToDeg: (radians) => radians * 180 / Math.PI,
+            clamp: (value, min, max) => Math.max(min, Math.min(max, value)),
+            lerp: (a, b, t) => a + (b - a) * t,
+            randFloat: (low, high) => low + Math.random() * (high - low),
+            randFloatSpread: (range) => range * (0.5 - Math.random()),
+            randInt: (low, high) => low + Math.floor(Math.random() * (high - low + 1))
+        }
+    };
+
+    GEOMETRY_TYPES.forEach(type => {
+        FakeTHREE[type] = class extends Geometry {
+            constructor(...params) { super(type, params); }
+        };
+    });
+
+    MATERIAL_TYPES.forEach(type => {
+        FakeTHREE[type] = class extends Material {
+            constructor(params) { super(type, params); }
+        };
+    });
+
+    Object.freeze(FakeTHREE.MathUtils);
+    Object.freeze(FakeTHREE);
+
+    // --- Serialization --------------------------------------------------------------
+
+    /**
+     * Convert a recorded object tree into a plain description
+     * @param {Object3D} root - Object returned by the snippet
+     * @returns {Object} - Description {root, geometries, materials}
+     */
+    const describe = (root) => {
+        if (!(root instanceof Object3D)) {
+            throw new Error('Snippet must return a THREE.Mesh or THREE.Group');
+        }
+
+        const geometries = [];
+        const materials = [];
+        const geometryIndex = new Map();
+        const materialIndex = new Map();
+
+        const plainValue = (value) => (value instanceof Color ? value.getHex() : value);
+
+        const indexGeometry = (geometry) => {
+            if (!(geometry instanceof Geometry)) {
+                throw new Error('Mesh geometry must be one of the supported THREE geometries');
+            }
+            if (!geometryIndex.has(geometry)) {
+                geometryIndex.set(geometry, geometries.length);
+                geometries.push({ type: geometry.type, params: geometry.params, transforms: geometry.transforms });
+            }
+            return geometryIndex.get(geometry);
+        };
+
+        const indexMaterial = (material) => {
+            if (!(material instanceof Material)) {
+                throw new Error('Mesh material must be one of the supported THREE materials');
+            }
+            if (!materialIndex.has(material)) {
+                const params = {};
+                Object.keys(material).forEach(key => {
+                    if (key !== 'type') params[key] = plainValue(material[key]);
+                });
+                materialIndex.set(material, materials.length);
+                materials.push({ type: material.type, params });
+            }
+            return materialIndex.get(material);
+        };
+
+        const describeNode = (node, depth) => {
+            if (depth > 32) {
+                throw new Error('Object hierarchy is too deep');
+            }
+
+            const description = {
+                type: node instanceof Mesh ? 'Mesh' : 'Group',
+                name: String(node.name || ''),
+                position: [node.position.x, node.position.y, node.position.z],
+                rotation: [node.rotation.x, node.rotation.y, node.rotation.z],
+                scale: [node.scale.x, node.scale.y, node.scale.z],
+                visible: node.visible !== false,
+                castShadow: !!node.castShadow,
+                receiveShadow: !!node.receiveShadow,
+                children: node.children.map(child => describeNode(child, depth + 1))
+            };
+
+            if (node instanceof Mesh) {
+                description.geometry = indexGeometry(node.geometry);
+                description.material = indexMaterial(node.material);
+            }
+
+            return description;
+        };
+
+        return { root: describeNode(root, 0), geometries, materials };
+    };
+
+    // --- Message handling -----------------------------------------------------------
+
+    scope.onmessage = (event) => {
+        const { code, runs = 1, context = {} } = event.data || {};
+        colorNames = (event.data && event.data.colorNames) || {};
+        scope.onmessage = null;
+
+        // Shadow anything global the snippet could still reach by name
+        // ('eval' cannot be a parameter name in strict mode; it only sees the scrubbed global)
+        const contextKeys = Object.keys(context);
+        const shadowed = ['self', 'globalThis', 'Function', ...BLOCKED_GLOBALS]
+            .filter(name => !contextKeys.includes(name));
+
+        scrubGlobals();
+
+        let snippetFunction;
+        try {
+            snippetFunction = new Function('THREE', ...shadowed, ...contextKeys, `"use strict";\n${code}`);
+        } catch (error) {
+            post({ error: `Syntax error: ${error.message}` });
+            return;
+        }
+
+        const results = [];
+        for (let i = 0; i < runs; i++) {
+            try {
+                const output = snippetFunction(FakeTHREE, ...shadowed.map(() => undefined), ...contextKeys.map(key => context[key]));
+                results.push({ ok: true, description: describe(output) });
+            } catch (error) {
+                results.push({ ok: false, error: error && error.message ? error.message : String(error) });
+            }
+        }
+
+        post({ results });
+    };
+}
+
+class SnippetSandbox {
+    /**
+     * Run a code snippet in an isolated worker
+     * @param {string} codeSnippet - JavaScript code that builds and returns a THREE object
+     * @param {Object} options - Sandbox options
+     * @param {number} options.runs - Number of times to run the snippet (each run gives one result)
+     * @param {number} options.timeoutMs - CPU time allowed per run before the worker is terminated
+     * @param {Object} options.context - Extra variables passed to the snippet (must be cloneable)
+     * @returns {Promise<Array>} - Array of results {ok, description} or {ok: false, error}
+     */
+    static run(codeSnippet, options = {}) {
+        const runs = Math.max(1, Math.floor(options.runs || 1));
+        const timeoutMs = (options.timeoutMs || 1000) * runs;
+
+        if (typeof Worker === 'undefined' || typeof Blob === 'undefined') {
+            return Promise.reject(new Error('Sandboxed code execution requires Web Worker support'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(SnippetSandbox.getWorkerUrl());
+            let finished = false;
+
+            const finish = (callback, value) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timeoutId);
+                worker.terminate();
+                callback(value);
+            };
+
+            // Terminating the worker is the only reliable way to stop runaway code
+            const timeoutId = setTimeout(() => {
+                finish(reject, new Error(`Code snippet exceeded the ${timeoutMs}ms time limit`));
+            }, timeoutMs);
+
+            worker.onmessage = (event) => {
+                const data = event.data || {};
+                if (data.error) {
+                    finish(reject, new Error(data.error));
+                } else if (Array.isArray(data.results)) {
+                    finish(resolve, data.results);
+                } else {
+                    finish(reject, new Error('Sandbox returned an invalid response'));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(reject, new Error(`Sandbox error: ${event.message || 'unknown error'}`));
+            };
+
+            // Color names let the THREE.Color stand-in understand strings like 'skyblue'
+            const colorNames = typeof THREE !== 'undefined' && THREE.Color && THREE.Color.NAMES ? THREE.Color.NAMES : {};
+            worker.postMessage({ code: String(codeSnippet), runs, context: options.context || {}, colorNames });
+        });
+    }
+
+    /**
+     * Get (and cache) the Blob URL of the worker script
+     * @returns {string} - Object URL for the worker script
+     * @private
+     */
+    static getWorkerUrl() {
+        if (!SnippetSandbox.workerUrl) {
+            const source = `(${snippetSandboxWorkerMain.toString()})();`;
+            SnippetSandbox.workerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        }
+
+        return SnippetSandbox.workerUrl;
+    }
+}
+
+// Export the SnippetSandbox class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnippetSandbox, snippetSandboxWorkerMain };
+}
@@ -0,0 +1,619 @@
+/**
+ * SnippetValidator.js
+ * Static checks for generated Three.js code snippets, run before they reach CodeEvaluator.
+ * Parses the snippet with acorn and reports structured diagnostics (forbidden identifiers,
+ * imports, loops that may not terminate, missing return) that can be sent back to the model.
+ */
+
+// Default validator options
+const SNIPPET_VALIDATOR_OPTIONS = {
+    maxLoopIterations: 1000,  // Largest allowed iteration count for a single loop
+    maxTotalIterations: 5000  // Largest allowed iteration count for nested loops combined
+};
+
+// Globals a snippet must never reference
+const SNIPPET_FORBIDDEN_IDENTIFIERS = [
+    'window', 'document', 'fetch', 'localStorage', 'sessionStorage', 'eval', 'Function',
+    'XMLHttpRequest', 'WebSocket', 'globalThis', 'self', 'importScripts', 'Worker',
+    'navigator', 'location', 'indexedDB', 'setTimeout', 'setInterval', 'require', 'process'
+];
+
+// Properties that can be used to climb out of the sandbox, through member access or destructuring.
+// Computed keys are checked when they are constant (a literal, a const or a concatenation of those); keys computed at run time
+// cannot be checked statically, so for those the worker sandbox is the only defense.
+const SNIPPET_FORBIDDEN_PROPERTIES = ['constructor', '__proto__', 'prototype', '__defineGetter__', '__defineSetter__'];
+
+class SnippetValidator {
+    /**
+     * Validate a code snippet
+     * @param {string} codeSnippet - JavaScript code that should build and return a THREE object
+     * @param {Object} options - Validator options (see SNIPPET_VALIDATOR_OPTIONS)
+     * @returns {Object} - Result {valid, diagnostics: [{severity, code, message, line, column}]}
+     */
+    static validate(codeSnippet, options = {}) {
+        const settings = { ...SNIPPET_VALIDATOR_OPTIONS, ...options };
+        const diagnostics = [];
+
+        const report = (severity, code, message, node = null) => {
+            diagnostics.push({
+                severity,
+                code,
+                message,
+                line: node && node.loc ? node.loc.start.line : null,
+                column: node && node.loc ? node.loc.start.column + 1 : null
+            });
+        };
+
+        if (typeof codeSnippet !== 'string' || !codeSnippet.trim()) {
+            report('error', 'empty-snippet', 'The code snippet is empty');
+            return SnippetValidator.createResult(diagnostics);
+        }
+
+        if (typeof acorn === 'undefined') {
+            // The sandbox still protects the page; we just cannot give early feedback
+            report('warning', 'validator-unavailable', 'acorn is not loaded, static validation was skipped');
+            return SnippetValidator.createResult(diagnostics);
+        }
+
+        // Parse as a module so the checks match the sandbox's strict mode
+        let ast;
+        try {
+            ast = acorn.parse(codeSnippet, {
+                ecmaVersion: 2020,
+                sourceType: 'module',
+                allowReturnOutsideFunction: true,
+                locations: true
+            });
+        } catch (error) {
+            diagnostics.push({
+                severity: 'error',
+                code: 'syntax-error',
+                message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+                line: error.loc ? error.loc.line : null,
+                column: error.loc ? error.loc.column + 1 : null
+            });
+            return SnippetValidator.createResult(diagnostics);
+        }
+
+        const constants = SnippetValidator.collectConstants(ast);
+        SnippetValidator.checkNodes(ast, settings, report, constants);
+        SnippetValidator.checkReturn(ast, report);
+
+        return SnippetValidator.createResult(diagnostics);
+    }
+
+    /**
+     * Walk the syntax tree and check identifiers, imports and loops
+     * @param {Object} ast - acorn Program node
+     * @param {Object} settings - Validator options
+     * @param {Function} report - Diagnostic reporter
+     * @param {Map} constants - Values of the snippet's constants (see collectConstants)
+     * @private
+     */
+    static checkNodes(ast, settings, report, constants) {
+        const visit = (node, parent, loopIterations) => {
+            if (!node || typeof node.type !== 'string') return;
+
+            let iterations = loopIterations;
+
+            switch (node.type) {
+                case 'Identifier':
+                    if (SNIPPET_FORBIDDEN_IDENTIFIERS.includes(node.name) && !SnippetValidator.isPropertyName(node, parent)) {
+                        report('error', 'forbidden-identifier', `"${node.name}" is not available in generated code`, node);
+                    }
+                    break;
+
+                case 'MemberExpression': {
+                    const property = node.computed
+                        ? SnippetValidator.evaluateConstant(node.property, constants)
+                        : node.property.name;
+                    if (SNIPPET_FORBIDDEN_PROPERTIES.includes(property)) {
+                        report('error', 'forbidden-property', `Accessing "${property}" is not allowed`, node.property);
+                    }
+                    break;
+                }
+
+                case 'Property': {
+                    // Destructuring reads the key like a property access; string keys are covered by the Literal case
+                    if (!parent || parent.type !== 'ObjectPattern' || node.key.type === 'Literal') break;
+                    const property = node.computed
+                        ? SnippetValidator.evaluateConstant(node.key, constants)
+                        : node.key.name;
+                    if (SNIPPET_FORBIDDEN_PROPERTIES.includes(property)) {
+                        report('error', 'forbidden-property', `Destructuring "${property}" is not allowed`, node.key);
+                    }
+                    break;
+                }
+
+                case 'Literal':
+                    // Strings naming a forbidden property only serve to reach it through a variable
+                    if (SNIPPET_FORBIDDEN_PROPERTIES.includes(node.value) && !(parent && parent.type === 'MemberExpression' && parent.property === node)) {
+                        report('error', 'forbidden-property', `The string "${node.value}" is not allowed`, node);
+                    }
+                    break;
+
+                case 'ImportDeclaration':
+                case 'ImportExpression':
+                case 'ExportNamedDeclaration':
+                case 'ExportDefaultDeclaration':
+                case 'ExportAllDeclaration':
+                    report('error', 'forbidden-import', 'import/export is not allowed; THREE is already available', node);
+                    break;
+
+                case 'MetaProperty':
+                    report('error', 'forbidden-import', `"${node.meta.name}.${node.property.name}" is not allowed`, node);
+                    break;
+
+                case 'AwaitExpression':
+                    report('error', 'forbidden-async', 'await is not allowed; the code must run synchronously', node);
+                    break;
+
+                case 'ForStatement':
+                case 'WhileStatement':
+                case 'DoWhileStatement': {
+                    const count = SnippetValidator.checkLoop(node, settings, report, constants);
+                    iterations = loopIterations * count;
+                    // Only nested loops are reported here; single loops are covered by checkLoop
+                    if (loopIterations > 1 && iterations > settings.maxTotalIterations && loopIterations <= settings.maxTotalIterations) {
+                        report('error', 'loop-budget',
+                            `Nested loops run about ${iterations} times (limit ${settings.maxTotalIterations})`, node);
+                    }
+                    break;
+                }
+
+                default:
+                    break;
+            }
+
+            for (const key of Object.keys(node)) {
+                if (key === 'loc' || key === 'start' || key === 'end') continue;
+
+                const child = node[key];
+                if (Array.isArray(child)) {
+                    child.forEach(item => visit(item, node, iterations));
+                } else if (child && typeof child.type === 'string') {
+                    visit(child, node, iterations);
+                }
+            }
+        };
+
+        visit(ast, null, 1);
+    }
+
+    /**
+     * Check a loop for termination and estimate its iteration count
+     * @param {Object} node - Loop node
+     * @param {Object} settings - Validator options
+     * @param {Function} report - Diagnostic reporter
+     * @param {Map} constants - Values of the snippet's constants (see collectConstants)
+     * @returns {number} - Estimated iteration count (1 when it cannot be estimated)
+     * @private
+     */
+    static checkLoop(node, settings, report, constants) {
+        const test = node.test;
+        const alwaysTrue = !test || (test.type === 'Literal' && !!test.value);
+
+        if (alwaysTrue) {
+            if (!SnippetValidator.containsBreak(node.body)) {
+                report('error', 'infinite-loop', 'Loop has no exit condition and no break', node);
+            } else {
+                report('warning', 'unbounded-loop', 'Loop only exits through break; make sure it always terminates', node);
+            }
+            return 1;
+        }
+
+        if (node.type !== 'ForStatement') {
+            report('warning', 'unbounded-loop', 'while loops cannot be checked for termination; prefer a for loop with a fixed count', node);
+            return 1;
+        }
+
+        if (!node.update) {
+            report('error', 'infinite-loop', 'for loop has no update expression', node);
+            return 1;
+        }
+
+        const estimate = SnippetValidator.estimateForLoopCount(node, constants);
+        if (estimate.error) {
+            report('error', estimate.error, estimate.message, node);
+            return 1;
+        }
+
+        const assignment = SnippetValidator.findAssignment(node.body, estimate.variable);
+        if (assignment) {
+            report('error', 'loop-variable-modified',
+                `for loop body changes the loop variable "${estimate.variable}"; only the update expression may change it`, assignment);
+            return 1;
+        }
+
+        if (estimate.count > settings.maxLoopIterations) {
+            report('error', 'unbounded-loop', `for loop runs about ${estimate.count} times (limit ${settings.maxLoopIterations})`, node);
+        }
+
+        return estimate.count;
+    }
+
+    /**
+     * Count the iterations of `for (let i = a; i < b; i += step)` style loops. The loop variable
+     * must be compared with a constant bound and move towards it by a constant step.
+     * @param {Object} node - ForStatement node
+     * @param {Map} constants - Values of the snippet's constants (see collectConstants)
+     * @returns {Object} - {count, variable}, or {error, message} with error 'infinite-loop' or 'unbounded-loop'
+     * @private
+     */
+    static estimateForLoopCount(node, constants) {
+        const numberValue = (expression) => {
+            const value = SnippetValidator.evaluateConstant(expression, constants);
+            return typeof value === 'number' && Number.isFinite(value) ? value : null;
+        };
+
+        // Step from i++, i--, i += n, i -= n, i = i + n and i = i - n
+        const update = node.update;
+        let variable = null;
+        let step = null;
+        if (update.type === 'UpdateExpression' && update.argument.type === 'Identifier') {
+            variable = update.argument.name;
+            step = update.operator === '++' ? 1 : -1;
+        } else if (update.type === 'AssignmentExpression' && update.left.type === 'Identifier') {
+            variable = update.left.name;
+            const right = update.right;
+            if (update.operator === '+=' || update.operator === '-=') {
+                step = numberValue(right);
+                if (step === null) {
+                    return { error: 'unbounded-loop', message: 'for loop step is not a constant number' };
+                }
+                step = update.operator === '+=' ? step : -step;
+            } else if (update.operator === '=' && right.type === 'BinaryExpression' && ['+', '-'].includes(right.operator) &&
+                right.left.type === 'Identifier' && right.left.name === variable) {
+                step = numberValue(right.right);
+                if (step === null) {
+                    return { error: 'unbounded-loop', message: 'for loop step is not a constant number' };
+                }
+                step = right.operator === '+' ? step : -step;
+            }
+        }
+
+        if (variable === null || step === null) {
+            return { error: 'infinite-loop', message: 'for loop update must add or subtract a constant step from the loop variable' };
+        }
+        if (step === 0) {
+            return { error: 'infinite-loop', message: 'for loop step is 0, so the loop never ends' };
+        }
+
+        // The condition must compare the loop variable with the bound (on either side)
+        const test = node.test;
+        const flipped = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '!=': '!=', '!==': '!==' };
+        if (test.type !== 'BinaryExpression' || !flipped[test.operator]) {
+            return { error: 'unbounded-loop', message: 'for loop condition must compare the loop variable with a number' };
+        }
+
+        let operator = test.operator;
+        let boundExpression;
+        if (test.left.type === 'Identifier' && test.left.name === variable) {
+            boundExpression = test.right;
+        } else if (test.right.type === 'Identifier' && test.right.name === variable) {
+            boundExpression = test.left;
+            operator = flipped[operator];
+        } else {
+            return { error: 'infinite-loop', message: `for loop condition does not test the loop variable "${variable}"` };
+        }
+
+        const bound = numberValue(boundExpression);
+        if (bound === null) {
+            return { error: 'unbounded-loop', message: 'for loop bound is not a constant number' };
+        }
+
+        // Start value from `let i = a` or `i = a`
+        const init = node.init;
+        let startExpression;
+        if (init && init.type === 'VariableDeclaration') {
+            const declaration = init.declarations.find(item => item.id.type === 'Identifier' && item.id.name === variable);
+            startExpression = declaration ? declaration.init : null;
+        } else if (init && init.type === 'AssignmentExpression' && init.operator === '=' &&
+            init.left.type === 'Identifier' && init.left.name === variable) {
+            startExpression = init.right;
+        }
+
+        const start = numberValue(startExpression);
+        if (start === null) {
+            return { error: 'unbounded-loop', message: 'for loop start value is not a constant number' };
+        }
+
+        const distance = bound - start;
+        const runs = { '<': start < bound, '<=': start <= bound, '>': start > bound, '>=': start >= bound }[operator];
+
+        if (operator === '!=' || operator === '!==') {
+            // Only ends if the steps land exactly on the bound
+            const steps = distance / step;
+            if (steps < 0 || !Number.isInteger(steps)) {
+                return { error: 'infinite-loop', message: `for loop steps past its bound ${bound} and never ends` };
+            }
+            return { count: steps, variable };
+        }
+
+        if (!runs) {
+            return { count: 0, variable };
+        }
+
+        // The update has to move the variable towards the bound
+        const towardsBound = operator.startsWith('<') ? step > 0 : step < 0;
+        if (!towardsBound) {
+            return { error: 'infinite-loop', message: `for loop update moves "${variable}" away from its bound ${bound}, so the loop never ends` };
+        }
+
+        const count = operator.includes('=')
+            ? Math.floor(distance / step) + 1
+            : Math.ceil(distance / step);
+        return { count, variable };
+    }
+
+    /**
+     * Find an assignment to a variable, e.g. a loop body changing its loop variable.
+     * Nested loops that declare their own variable with the same name are skipped.
+     * @param {Object} node - Node to search
+     * @param {string} name - Variable name
+     * @returns {Object|null} - The assigning node, or null if the variable is not changed
+     * @private
+     */
+    static findAssignment(node, name) {
+        if (!node || typeof node.type !== 'string') return null;
+
+        if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier' && node.argument.name === name) {
+            return node;
+        }
+        if (node.type === 'AssignmentExpression' && SnippetValidator.getPatternNames(node.left).includes(name)) {
+            return node;
+        }
+
+        if (['ForStatement', 'ForInStatement', 'ForOfStatement'].includes(node.type)) {
+            const head = node.type === 'ForStatement' ? node.init : node.left;
+            if (head && head.type === 'VariableDeclaration') {
+                if (head.kind !== 'var' && head.declarations.some(item => SnippetValidator.getPatternNames(item.id).includes(name))) {
+                    return null;
+                }
+            } else if (node.type !== 'ForStatement' && SnippetValidator.getPatternNames(head).includes(name)) {
+                return node;
+            }
+        }
+
+        for (const key of Object.keys(node)) {
+            if (key === 'loc' || key === 'start' || key === 'end') continue;
+
+            const child = node[key];
+            const found = Array.isArray(child)
+                ? child.reduce((result, item) => result || SnippetValidator.findAssignment(item, name), null)
+                : SnippetValidator.findAssignment(child, name);
+            if (found) return found;
+        }
+
+        return null;
+    }
+
+    /**
+     * List the variable names an assignment target or declaration pattern binds
+     * @param {Object} pattern - Identifier or destructuring pattern node
+     * @returns {Array<string>} - Variable names
+     * @private
+     */
+    static getPatternNames(pattern) {
+        if (!pattern) return [];
+
+        switch (pattern.type) {
+            case 'Identifier':
+                return [pattern.name];
+            case 'ObjectPattern':
+                return pattern.properties.flatMap(property =>
+                    SnippetValidator.getPatternNames(property.type === 'RestElement' ? property.argument : property.value));
+            case 'ArrayPattern':
+                return pattern.elements.flatMap(element => SnippetValidator.getPatternNames(element));
+            case 'AssignmentPattern':
+                return SnippetValidator.getPatternNames(pattern.left);
+            case 'RestElement':
+                return SnippetValidator.getPatternNames(pattern.argument);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Collect the snippet's constants: const declarations (declared once) whose values can be
+     * computed statically, so loop bounds and property keys can refer to them
+     * @param {Object} ast - acorn Program node
+     * @returns {Map} - Constant values by name
+     * @private
+     */
+    static collectConstants(ast) {
+        const declarations = [];
+        const declarationCounts = new Map();
+
+        const visit = (node) => {
+            if (!node || typeof node.type !== 'string') return;
+
+            if (node.type === 'VariableDeclaration') {
+                node.declarations.forEach(declarator => {
+                    if (declarator.id.type !== 'Identifier') return;
+                    const name = declarator.id.name;
+                    declarationCounts.set(name, (declarationCounts.get(name) || 0) + 1);
+                    if (node.kind === 'const') {
+                        declarations.push(declarator);
+                    }
+                });
+            }
+
+            for (const key of Object.keys(node)) {
+                if (key === 'loc' || key === 'start' || key === 'end') continue;
+                const child = node[key];
+                if (Array.isArray(child)) {
+                    child.forEach(visit);
+                } else if (child && typeof child.type === 'string') {
+                    visit(child);
+                }
+            }
+        };
+        visit(ast);
+
+        // In source order, so later constants can build on earlier ones
+        const constants = new Map();
+        declarations.forEach(declarator => {
+            const name = declarator.id.name;
+            if (declarationCounts.get(name) !== 1) return;
+
+            const value = SnippetValidator.evaluateConstant(declarator.init, constants);
+            if (value !== undefined) {
+                constants.set(name, value);
+            }
+        });
+
+        return constants;
+    }
+
+    /**
+     * Compute the value of a constant expression (numbers, strings, constants and arithmetic on them)
+     * @param {Object} expression - Expression node
+     * @param {Map} constants - Known constant values
+     * @returns {number|string|undefined} - The value, or undefined if it is not constant
+     * @private
+     */
+    static evaluateConstant(expression, constants = new Map()) {
+        if (!expression) return undefined;
+
+        switch (expression.type) {
+            case 'Literal':
+                return typeof expression.value === 'number' || typeof expression.value === 'string' ? expression.value : undefined;
+
+            case 'TemplateLiteral': {
+                let text = expression.quasis[0].value.cooked;
+                for (let index = 0; index < expression.expressions.length; index++) {
+                    const value = SnippetValidator.evaluateConstant(expression.expressions[index], constants);
+                    if (value === undefined) return undefined;
+                    text += String(value) + expression.quasis[index + 1].value.cooked;
+                }
+                return text;
+            }
+
+            case 'Identifier':
+                return constants.has(expression.name) ? constants.get(expression.name) : undefined;
+
+            case 'UnaryExpression': {
+                const value = SnippetValidator.evaluateConstant(expression.argument, constants);
+                if (typeof value !== 'number') return undefined;
+                if (expression.operator === '-') return -value;
+                if (expression.operator === '+') return value;
+                return undefined;
+            }
+
+            case 'BinaryExpression': {
+                const left = SnippetValidator.evaluateConstant(expression.left, constants);
+                const right = SnippetValidator.evaluateConstant(expression.right, constants);
+                if (left === undefined || right === undefined) return undefined;
+
+                if (expression.operator === '+') return left + right;
+                if (typeof left !== 'number' || typeof right !== 'number') return undefined;
+                switch (expression.operator) {
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                    default: return undefined;
+                }
+            }
+
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Check whether a loop body contains a break (or return) that exits it
+     * @param {Object} node - Loop body node
+     * @returns {boolean} - True if an exit was found
+     * @private
+     */
+    static containsBreak(node) {
+        if (!node || typeof node.type !== 'string') return false;
+        if (node.type === 'BreakStatement' || node.type === 'ReturnStatement' || node.type === 'ThrowStatement') return true;
+
+        // Breaks inside nested loops or functions do not exit this loop
+        if (['ForStatement', 'WhileStatement', 'DoWhileStatement', 'FunctionDeclaration',
+            'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type)) {
+            return false;
+        }
+
+        return Object.keys(node).some(key => {
+            const child = node[key];
+            if (Array.isArray(child)) return child.some(item => SnippetValidator.containsBreak(item));
+            return child && typeof child.type === 'string' && SnippetValidator.containsBreak(child);
+        });
+    }
+
+    /**
+     * Check that the snippet ends by returning the created object
+     * @param {Object} ast - acorn Program node
+     * @param {Function} report - Diagnostic reporter
+     * @private
+     */
+    static checkReturn(ast, report) {
+        const lastStatement = ast.body[ast.body.length - 1];
+
+        if (!lastStatement || lastStatement.type !== 'ReturnStatement') {
+            report('error', 'missing-return', 'The code must end with a return statement that returns the created Mesh or Group', lastStatement);
+        } else if (!lastStatement.argument) {
+            report('error', 'missing-return', 'The final return statement must return the created Mesh or Group', lastStatement);
+        }
+    }
+
+    /**
+     * Check whether an identifier is only used as a property name (e.g., obj.window)
+     * @param {Object} node - Identifier node
+     * @param {Object} parent - Parent node
+     * @returns {boolean} - True if the identifier is a property name
+     * @private
+     */
+    static isPropertyName(node, parent) {
+        if (!parent) return false;
+        if (parent.type === 'MemberExpression') return parent.property === node && !parent.computed;
+        if (parent.type === 'Property' || parent.type === 'MethodDefinition') return parent.key === node && !parent.computed && parent.value !== node;
+        return false;
+    }
+
+    /**
+     * Build a validation result
+     * @param {Array} diagnostics - Collected diagnostics
+     * @returns {Object} - Result {valid, diagnostics}
+     * @private
+     */
+    static createResult(diagnostics) {
+        return {
+            valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'),
+            diagnostics
+        };
+    }
+
+    /**
+     * Format diagnostics as text (for logs and for feeding back to the model)
+     * @param {Array} diagnostics - Diagnostics from validate
+     * @returns {string} - One diagnostic per line
+     */
+    static formatDiagnostics(diagnostics) {
+        return diagnostics.map(diagnostic => {
+            const location = diagnostic.line !== null ? `line ${diagnostic.line}:${diagnostic.column} ` : '';
+            return `${location}${diagnostic.severity} [${diagnostic.code}] ${diagnostic.message}`;
+        }).join('\n');
+    }
+
+    /**
+     * Create an Error for a failed validation, with the diagnostics attached
+     * @param {Object} result - Result from validate
+     * @returns {Error} - Error with a `diagnostics` property
+     */
+    static createError(result) {
+        const errors = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        const error = new Error(`Generated code failed validation:\n${SnippetValidator.formatDiagnostics(errors)}`);
+        error.diagnostics = result.diagnostics;
+        return error;
+    }
+}
+
+// Export the SnippetValidator class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnippetValidator, SNIPPET_VALIDATOR_OPTIONS };
+}